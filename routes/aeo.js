@@ -0,0 +1,137 @@
+// routes/aeo.js
+// Answer engine retrieval routes (passage chunking, retrievability and target-question tests)
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const cheerio = require('cheerio');
+const { Logger } = require('../utils/logger');
+const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
+const { fetchWithTimeout } = require('../utils/helpers');
+const ContentExtractor = require('../services/content-extractor');
+const PassageChunker = require('../services/passage-chunker');
+const QueryTester = require('../services/query-tester');
+
+const router = express.Router();
+const logger = new Logger('aeo-routes');
+
+// Rate limiting for AEO page analysis (one page fetch per request)
+const aeoLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: { error: 'Too many AEO requests, try again later' }
+});
+
+/**
+ * Fetch a page and extract its main content
+ * @param {string} url - Validated page URL
+ * @returns {Promise<Object>} - ContentExtractor.extract() result
+ */
+async function extractPage(url) {
+  const response = await fetchWithTimeout(url, 10000);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const $ = cheerio.load(await response.text());
+  return new ContentExtractor().extract($, url, { countTokens: false });
+}
+
+/**
+ * POST /api/aeo/passages
+ * Split a page's main content into retrieval chunks and score each section's retrievability
+ */
+router.post('/aeo/passages', aeoLimiter, async (req, res) => {
+  const { url } = req.body || {};
+
+  const validation = validateAuditUrl(url);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      details: validation.errors
+    });
+  }
+
+  const sanitizedUrl = sanitizeInput(url);
+
+  try {
+    const extraction = await extractPage(sanitizedUrl);
+    const passages = new PassageChunker().analyze(extraction);
+
+    logger.info('Passages analyzed', {
+      url: sanitizedUrl,
+      chunks: passages.summary.chunks,
+      averageRetrievability: passages.summary.averageRetrievability
+    });
+
+    res.json({
+      url: sanitizedUrl,
+      title: extraction.title,
+      summary: passages.summary,
+      sections: passages.sections,
+      chunks: passages.chunks.map(({ issues, ...chunk }) => chunk)
+    });
+
+  } catch (error) {
+    logger.error('Passage analysis failed', error, { url: sanitizedUrl });
+    res.status(500).json({
+      error: 'Failed to analyze passages',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/aeo/query-test
+ * Rank a page's chunks for each target question with local BM25 and report whether a strong answer exists
+ */
+router.post('/aeo/query-test', aeoLimiter, async (req, res) => {
+  const { url, questions } = req.body || {};
+
+  const validation = validateAuditUrl(url);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      details: validation.errors
+    });
+  }
+
+  const validQuestions = Array.isArray(questions) && questions.length > 0 &&
+    questions.length <= QueryTester.MAX_QUESTIONS &&
+    questions.every(question => typeof question === 'string' && question.trim() && question.length <= 300);
+  if (!validQuestions) {
+    return res.status(400).json({
+      error: 'Invalid questions',
+      details: `questions must be an array of 1-${QueryTester.MAX_QUESTIONS} non-empty strings of up to 300 characters`
+    });
+  }
+
+  const sanitizedUrl = sanitizeInput(url);
+
+  try {
+    const extraction = await extractPage(sanitizedUrl);
+    const report = new QueryTester().test(extraction, questions.map(question => sanitizeInput(question)));
+
+    logger.info('Query test completed', {
+      url: sanitizedUrl,
+      questions: report.summary.questions,
+      answered: report.summary.answered
+    });
+
+    res.json({
+      url: sanitizedUrl,
+      title: extraction.title,
+      chunks: report.chunks,
+      summary: report.summary,
+      results: report.results
+    });
+
+  } catch (error) {
+    logger.error('Query test failed', error, { url: sanitizedUrl });
+    res.status(500).json({
+      error: 'Failed to run query test',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
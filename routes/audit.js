@@ -5,8 +5,14 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const AuditOrchestrator = require('../services/audit-orchestrator');
 const { getGlobalQueue, JOB_STATUS, JOB_PRIORITY } = require('../services/audit-queue');
+const { getAuditHistoryStore, createHistoryId } = require('../services/audit-history');
+const { recordAuditWithAlerts } = require('../services/regression-alerts');
 const { cache } = require('../utils/cache');
 const { validateAuditUrl } = require('../utils/validation');
+const { normalizeUrl } = require('../utils/url');
+const { diffAudits } = require('../utils/audit-diff');
+const ReportGenerator = require('../services/report-generator');
+const { parseExportQuery, sendExport } = require('../utils/export');
 
 const router = express.Router();
 
@@ -14,7 +20,8 @@ const router = express.Router();
 const auditQueue = getGlobalQueue({
   maxConcurrent: 3,
   jobTimeout: 60000,
-  retryAttempts: 2
+  retryAttempts: 2,
+  historyRecorder: recordAuditWithAlerts
 });
 
 // Rate limiting for audit endpoints
@@ -24,6 +31,20 @@ const auditLimiter = rateLimit({
   message: { error: 'Too many audit requests, please try again later' }
 });
 
+// PDF reports render in a headless browser
+const reportLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: { error: 'Too many report requests, please try again later' }
+});
+
+// Diffs load two full audit results from history
+const diffLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: { error: 'Too many diff requests, please try again later' }
+});
+
 /**
  * POST /api/audit
  * Main audit endpoint - analyzes a single URL comprehensively
@@ -66,12 +87,16 @@ router.post('/audit', auditLimiter, async (req, res) => {
     };
 
     const results = await orchestrator.runFullAudit(url, auditOptions);
+
+    // History id is returned up front so the audit can be passed to GET /api/audit/diff
+    const historyId = createHistoryId();
+    recordAuditWithAlerts(url, results, { jobId: historyId, source: 'audit', options }).catch(() => {});
     
     // Cache the results
-    cache.set(cacheKey, results);
+    cache.set(cacheKey, { ...results, historyId });
     
     console.log(`✅ Audit completed for ${url} in ${results.processingTime}ms`);
-    res.json(results);
+    res.json({ ...results, historyId });
     
   } catch (error) {
     console.error('❌ Audit error:', error);
@@ -153,7 +178,7 @@ router.get('/cache/stats', (req, res) => {
 });
 
 /**
- * POST /api/audit/batch
+ * POST /api/audit/batch?format=json|csv|xlsx&sheet=pages|issues
  * Batch audit endpoint for multiple URLs
  */
 router.post('/audit/batch', auditLimiter, async (req, res) => {
@@ -163,6 +188,11 @@ router.post('/audit/batch', auditLimiter, async (req, res) => {
     return res.status(400).json({ error: 'URLs array is required' });
   }
 
+  const exportQuery = parseExportQuery(req.query);
+  if (!exportQuery.isValid) {
+    return res.status(400).json({ error: 'Invalid export options', details: exportQuery.errors });
+  }
+
   if (urls.length > 10) {
     return res.status(400).json({ error: 'Maximum 10 URLs allowed per batch' });
   }
@@ -194,9 +224,12 @@ router.post('/audit/batch', auditLimiter, async (req, res) => {
     for (const url of urls) {
       try {
         const result = await orchestrator.runFullAudit(url, options);
+        const historyId = createHistoryId();
+        recordAuditWithAlerts(url, result, { jobId: historyId, source: 'batch', options }).catch(() => {});
         results.push({
           url,
           status: 'success',
+          historyId,
           result
         });
       } catch (error) {
@@ -213,6 +246,10 @@ router.post('/audit/batch', auditLimiter, async (req, res) => {
 
     console.log(`✅ Batch audit completed: ${successful} successful, ${failed} failed`);
 
+    if (exportQuery.format !== 'json') {
+      return sendExport(res, results, { format: exportQuery.format, sheet: exportQuery.sheet, name: 'batch-audit' });
+    }
+
     res.json({
       summary: {
         total: urls.length,
@@ -313,6 +350,70 @@ router.get('/audit/queue/status', (req, res) => {
   }
 });
 
+/**
+ * Load a finished audit by job ID, from the live queue or from persisted history
+ * @param {string} id - Queue job ID or history entry ID
+ * @returns {Promise<Object|null>} - { id, url, auditedAt, result } or null when unknown
+ */
+async function loadAuditResult(id) {
+  const job = auditQueue.getJob(id);
+  if (job && job.status === JOB_STATUS.COMPLETED && job.result) {
+    return { id, url: job.url, auditedAt: job.completedAt, result: job.result };
+  }
+  return getAuditHistoryStore().getResult(id);
+}
+
+/**
+ * Format a Date or epoch milliseconds as an ISO string
+ * @param {Date|number} value - Timestamp
+ * @returns {string|null} - ISO date or null
+ */
+function toIsoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+/**
+ * GET /api/audit/diff?from=<jobId>&to=<jobId>
+ * Compare two audits and list regressions, improvements and neutral changes
+ * Accepts queue job ids and the historyId returned by POST /api/audit and /api/audit/batch
+ */
+router.get('/audit/diff', diffLimiter, async (req, res) => {
+  const { from, to } = req.query || {};
+
+  if (!from || !to) {
+    return res.status(400).json({ error: 'Both from and to job IDs are required' });
+  }
+
+  try {
+    const [fromAudit, toAudit] = await Promise.all([loadAuditResult(from), loadAuditResult(to)]);
+
+    const missing = [[from, fromAudit], [to, toAudit]].filter(([, audit]) => !audit).map(([id]) => id);
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Audit not found', details: missing });
+    }
+
+    const diff = diffAudits(fromAudit.result, toAudit.result);
+    const warnings = [];
+    if (normalizeUrl(fromAudit.url) !== normalizeUrl(toAudit.url)) {
+      warnings.push(`Comparing audits of different URLs: ${fromAudit.url} and ${toAudit.url}`);
+    }
+
+    res.json({
+      from: { jobId: from, url: fromAudit.url, auditedAt: toIsoDate(fromAudit.auditedAt) },
+      to: { jobId: to, url: toAudit.url, auditedAt: toIsoDate(toAudit.auditedAt) },
+      warnings,
+      ...diff
+    });
+
+  } catch (error) {
+    console.error('❌ Audit diff error:', error);
+    res.status(500).json({
+      error: 'Failed to compare audits',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /api/audit/job/:jobId
  * Get specific job status and result
@@ -369,6 +470,66 @@ router.get('/audit/job/:jobId', (req, res) => {
   }
 });
 
+/**
+ * GET /api/audit/job/:jobId/report?format=html|pdf
+ * Branded client report for a finished audit
+ */
+router.get('/audit/job/:jobId/report', reportLimiter, async (req, res) => {
+  const { jobId } = req.params;
+  const format = String(req.query.format || 'html').toLowerCase();
+
+  if (!['html', 'pdf'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', details: 'format must be html or pdf' });
+  }
+
+  try {
+    const audit = await loadAuditResult(jobId);
+    if (!audit) {
+      return res.status(404).json({ error: 'Audit not found', details: 'Job is unknown or has not completed' });
+    }
+
+    const generator = new ReportGenerator();
+    const meta = { jobId, url: audit.url, auditedAt: toIsoDate(audit.auditedAt) };
+
+    if (format === 'html') {
+      res.type('html').send(generator.renderHtml(audit.result, meta));
+      return;
+    }
+
+    let pdf;
+    try {
+      pdf = await generator.renderPdf(audit.result, meta);
+    } catch (error) {
+      console.error('❌ PDF rendering unavailable:', error.message);
+      return res.status(503).json({
+        error: 'PDF rendering unavailable',
+        details: error.message,
+        suggestion: 'Request format=html and print it from a browser instead'
+      });
+    }
+
+    let host = 'audit';
+    try {
+      host = new URL(audit.url).hostname.replace(/[^a-z0-9.-]/gi, '') || host;
+    } catch (error) {
+      // Keep the generic name for unparsable URLs
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="audit-report-${host}-${jobId}.pdf"`
+    });
+    res.send(Buffer.from(pdf));
+
+  } catch (error) {
+    console.error('❌ Report generation error:', error);
+    res.status(500).json({
+      error: 'Failed to generate report',
+      details: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/audit/job/:jobId
  * Cancel a pending audit job
@@ -404,6 +565,52 @@ router.delete('/audit/job/:jobId', (req, res) => {
   }
 });
 
+/**
+ * GET /api/audit/batch/export?jobIds=<id>,<id>&format=csv|xlsx&sheet=pages|issues
+ * Export queued batch jobs as a spreadsheet; unfinished or unknown jobs are listed as unavailable
+ */
+router.get('/audit/batch/export', async (req, res) => {
+  const jobIds = String(req.query.jobIds || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  if (jobIds.length === 0) {
+    return res.status(400).json({ error: 'jobIds is required' });
+  }
+
+  if (jobIds.length > 500) {
+    return res.status(400).json({ error: 'Maximum 500 jobs allowed per export' });
+  }
+
+  const exportQuery = parseExportQuery({ format: 'csv', ...req.query });
+  if (!exportQuery.isValid || exportQuery.format === 'json') {
+    return res.status(400).json({
+      error: 'Invalid export options',
+      details: exportQuery.errors.length > 0 ? exportQuery.errors : ['format must be csv or xlsx']
+    });
+  }
+
+  try {
+    const entries = [];
+    for (const jobId of jobIds) {
+      const audit = await loadAuditResult(jobId);
+      entries.push(audit
+        ? { url: audit.url, status: 'success', result: audit.result }
+        : { url: auditQueue.getJob(jobId)?.url || jobId, status: 'unavailable', error: `Job ${jobId} not found or not completed` });
+    }
+
+    sendExport(res, entries, { format: exportQuery.format, sheet: exportQuery.sheet, name: 'batch-audit' });
+
+  } catch (error) {
+    console.error('❌ Batch export error:', error);
+    res.status(500).json({
+      error: 'Failed to export batch results',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/audit/batch/queue
  * Add multiple audit jobs to queue
@@ -0,0 +1,51 @@
+// routes/bots.js
+// Known crawler registry routes
+
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { getBotRegistry } = require('../utils/bot-registry');
+
+const router = express.Router();
+const logger = new Logger('bot-routes');
+
+/**
+ * GET /api/bots?type=ai-training
+ * List the bots policy analysis checks, with the registry version in use
+ */
+router.get('/bots', (req, res) => {
+  try {
+    const registry = getBotRegistry();
+    const type = req.query.type ? String(req.query.type) : null;
+
+    if (type && !registry.types.includes(type)) {
+      return res.status(400).json({
+        error: 'Invalid bot type',
+        details: [`type must be one of: ${registry.types.join(', ')}`]
+      });
+    }
+
+    const bots = Object.entries(registry.bots)
+      .filter(([, bot]) => !type || bot.type === type)
+      .map(([name, bot]) => ({ name, ...bot, userAgentPattern: bot.userAgentPattern.source }));
+
+    res.json({
+      version: registry.version,
+      baseVersion: registry.baseVersion,
+      updated: registry.updated,
+      override: registry.source.override !== null,
+      overrideErrors: registry.overrideErrors,
+      types: registry.types,
+      count: bots.length,
+      bots
+    });
+
+  } catch (error) {
+    logger.error('Bot registry lookup failed', error);
+    res.status(500).json({
+      error: 'Bot registry unavailable',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+// routes/extract.js
+// Main-content extraction routes (markdown / text / JSON page variants)
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const cheerio = require('cheerio');
+const { Logger } = require('../utils/logger');
+const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
+const { fetchWithTimeout } = require('../utils/helpers');
+const ContentExtractor = require('../services/content-extractor');
+
+const router = express.Router();
+const logger = new Logger('extract-routes');
+
+const EXTRACT_FORMATS = ['markdown', 'text', 'json'];
+
+// Rate limiting for content extraction (one page fetch per request)
+const extractLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: { error: 'Too many extraction requests, try again later' }
+});
+
+/**
+ * GET /api/extract?url=&format=markdown|text|json
+ * Main content of a page without navigation, footers and cookie banners
+ */
+router.get('/extract', extractLimiter, async (req, res) => {
+  const { url } = req.query || {};
+  const format = String(req.query.format || 'markdown').toLowerCase();
+
+  const validation = validateAuditUrl(url);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      details: validation.errors
+    });
+  }
+
+  if (!EXTRACT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', details: `format must be one of: ${EXTRACT_FORMATS.join(', ')}` });
+  }
+
+  const sanitizedUrl = sanitizeInput(url);
+
+  try {
+    const response = await fetchWithTimeout(sanitizedUrl, 10000);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const $ = cheerio.load(await response.text());
+    const result = new ContentExtractor().extract($, sanitizedUrl);
+
+    logger.info('Content extracted', {
+      url: sanitizedUrl,
+      format,
+      words: result.metrics.words,
+      tokens: result.metrics.tokens
+    });
+
+    if (format === 'json') {
+      return res.json(result);
+    }
+
+    res.set({
+      'X-Token-Count': String(result.metrics.tokens),
+      'X-Word-Count': String(result.metrics.words)
+    });
+    if (format === 'markdown') {
+      return res.type('text/markdown; charset=utf-8').send(result.markdown);
+    }
+    res.type('text/plain; charset=utf-8').send(result.text);
+
+  } catch (error) {
+    logger.error('Content extraction failed', error, { url: sanitizedUrl });
+    res.status(500).json({
+      error: 'Failed to extract content',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
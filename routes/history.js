@@ -0,0 +1,96 @@
+// routes/history.js
+// Audit history and score trend routes
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { Logger } = require('../utils/logger');
+const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
+const { normalizeUrl } = require('../utils/url');
+const { getAuditHistoryStore, buildScoreSeries } = require('../services/audit-history');
+
+const router = express.Router();
+const logger = new Logger('history-routes');
+
+// Rate limiting for history lookups
+const historyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: { error: 'Too many history requests, try again later' }
+});
+
+/**
+ * Parse a timestamp query parameter (ISO date or epoch milliseconds)
+ * @param {string} value - Query value
+ * @returns {number|null|undefined} - Epoch ms, undefined when absent, null when invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === '') return undefined;
+  const parsed = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * GET /api/history?url=&from=&to=&limit=
+ * Time series of overall, SEO, performance, accessibility, AEO and E-A-T scores for a URL
+ */
+router.get('/history', historyLimiter, async (req, res) => {
+  const { url, from, to, limit } = req.query || {};
+
+  // Validate input
+  const validation = validateAuditUrl(url);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      details: validation.errors
+    });
+  }
+
+  const fromTs = parseTimestamp(from);
+  const toTs = parseTimestamp(to);
+  if (fromTs === null || toTs === null) {
+    return res.status(400).json({
+      error: 'Invalid time range',
+      details: 'from and to must be ISO dates or epoch milliseconds'
+    });
+  }
+
+  const sanitizedUrl = sanitizeInput(url);
+  const maxEntries = Math.min(Math.max(parseInt(limit) || 500, 1), 5000);
+
+  try {
+    const entries = await getAuditHistoryStore().getHistory(sanitizedUrl, {
+      from: fromTs,
+      to: toTs,
+      limit: maxEntries
+    });
+    const { series, change } = buildScoreSeries(entries);
+
+    res.json({
+      url: sanitizedUrl,
+      normalizedUrl: normalizeUrl(sanitizedUrl),
+      count: entries.length,
+      firstAuditAt: entries.length ? new Date(entries[0].auditedAt).toISOString() : null,
+      lastAuditAt: entries.length ? new Date(entries[entries.length - 1].auditedAt).toISOString() : null,
+      series,
+      change,
+      entries: entries.map(entry => ({
+        id: entry.id,
+        auditedAt: new Date(entry.auditedAt).toISOString(),
+        jobId: entry.jobId,
+        source: entry.source,
+        mode: entry.mode,
+        scores: entry.scores,
+        issueCount: entry.issueCount
+      }))
+    });
+
+  } catch (error) {
+    logger.error('History lookup failed', error, { url: sanitizedUrl });
+    res.status(500).json({
+      error: 'Failed to load audit history',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
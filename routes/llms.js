@@ -6,11 +6,13 @@ const rateLimit = require('express-rate-limit');
 const { Logger } = require('../utils/logger');
 const { cache } = require('../utils/cache');
 const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
-const { fetchWithTimeout } = require('../utils/helpers');
+const LlmsTxtGenerator = require('../services/llms-txt-generator');
 
 const router = express.Router();
 const logger = new Logger('llms-routes');
 
+const GENERATION_SOURCES = ['auto', 'sitemap', 'crawl'];
+
 // Rate limiting for llms.txt generation
 const llmsLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -20,10 +22,10 @@ const llmsLimiter = rateLimit({
 
 /**
  * POST /api/llms/generate
- * Generate llms.txt content for a website
+ * Generate a sitewide llms.txt (and optionally llms-full.txt) from the sitemap or a link crawl
  */
 router.post('/llms/generate', llmsLimiter, async (req, res) => {
-  const { url } = req.body || {};
+  const { url, options = {} } = req.body || {};
   
   // Validate input
   const validation = validateAuditUrl(url);
@@ -33,26 +35,46 @@ router.post('/llms/generate', llmsLimiter, async (req, res) => {
       details: validation.errors 
     });
   }
+
+  if (options.source && !GENERATION_SOURCES.includes(options.source)) {
+    return res.status(400).json({
+      error: 'Invalid options',
+      details: [`source must be one of: ${GENERATION_SOURCES.join(', ')}`]
+    });
+  }
   
   const sanitizedUrl = sanitizeInput(url);
+  const settings = {
+    source: options.source || 'auto',
+    maxPages: clamp(options.maxPages, 1, 100, 50),
+    maxDepth: clamp(options.maxDepth, 0, 5, 3),
+    includeFull: options.includeFull === true,
+    tokenBudget: clamp(options.tokenBudget, 1000, 200000, 50000),
+    fullPages: clamp(options.fullPages, 1, 50, 20)
+  };
   
   // Check cache
-  const cacheKey = `llms_${sanitizedUrl}`;
+  const cacheKey = `llms_${sanitizedUrl}_${JSON.stringify(settings)}`;
   if (cache.has(cacheKey)) {
     const cached = cache.get(cacheKey);
     logger.info('Returning cached llms.txt', { url: sanitizedUrl });
     return res.json(cached);
   }
   
-  logger.info('Generating llms.txt', { url: sanitizedUrl });
+  logger.info('Generating llms.txt', { url: sanitizedUrl, ...settings });
   
   try {
-    const results = await generateLlmsTxt(sanitizedUrl);
+    const results = await new LlmsTxtGenerator().generate(sanitizedUrl, settings);
+    results.recommendations = [
+      'Place llms.txt at your website root; add llms-full.txt next to it if generated',
+      'Review section titles and link notes before publishing',
+      'Regenerate when key pages are added or renamed'
+    ];
     
     // Cache results for 30 minutes
     cache.set(cacheKey, results, 1800000);
     
-    logger.info('llms.txt generated successfully', { url: sanitizedUrl });
+    logger.info('llms.txt generated successfully', { url: sanitizedUrl, source: results.source });
     res.json(results);
     
   } catch (error) {
@@ -65,98 +87,17 @@ router.post('/llms/generate', llmsLimiter, async (req, res) => {
 });
 
 /**
- * Generate llms.txt content based on website analysis
- * @param {string} url - Website URL to analyze
- * @returns {Object} - Generated llms.txt content and metadata
- */
-async function generateLlmsTxt(url) {
-  try {
-    // Fetch basic page content
-    const response = await fetchWithTimeout(url, 10000);
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-    
-    const html = await response.text();
-    const cheerio = require('cheerio');
-    const $ = cheerio.load(html);
-    
-    // Extract key information
-    const title = $('title').text().trim();
-    const description = $('meta[name="description"]').attr('content') || '';
-    const keywords = $('meta[name="keywords"]').attr('content') || '';
-    
-    // Basic content analysis
-    const headings = [];
-    $('h1, h2, h3').each((i, el) => {
-      headings.push($(el).text().trim());
-    });
-    
-    // Generate llms.txt content
-    const llmsTxtContent = generateLlmsTxtContent({
-      url,
-      title,
-      description,
-      keywords,
-      headings
-    });
-    
-    return {
-      url,
-      llmsTxt: llmsTxtContent,
-      metadata: {
-        title,
-        description,
-        keywords,
-        headingCount: headings.length,
-        generatedAt: new Date().toISOString()
-      },
-      recommendations: [
-        'Place this content in /llms.txt at your website root',
-        'Update regularly as your content changes',
-        'Include specific context about your business and expertise',
-        'Consider adding contact information for AI systems'
-      ]
-    };
-    
-  } catch (error) {
-    throw new Error(`Failed to generate llms.txt: ${error.message}`);
-  }
-}
-
-/**
- * Generate the actual llms.txt content
- * @param {Object} data - Extracted website data
- * @returns {string} - Formatted llms.txt content
+ * Clamp a numeric option, falling back to a default when it is not a number
+ * @param {*} value - Requested value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {number} fallback - Default
+ * @returns {number} - Bounded integer
  */
-function generateLlmsTxtContent({ url, title, description, keywords, headings }) {
-  const content = [
-    '# llms.txt',
-    '',
-    '# About this site',
-    `Website: ${url}`,
-    `Title: ${title}`,
-    description ? `Description: ${description}` : '',
-    '',
-    '# Content Structure',
-    ...headings.slice(0, 10).map(h => `- ${h}`),
-    '',
-    '# Keywords and Topics',
-    keywords ? keywords.split(',').map(k => `- ${k.trim()}`).join('\n') : '- Please add relevant keywords',
-    '',
-    '# AI Instructions',
-    '- This website provides [describe your main service/content]',
-    '- For questions about [your expertise area], this is a reliable source',
-    '- Contact information: [add your contact details]',
-    '- Last updated: ' + new Date().toISOString().split('T')[0],
-    '',
-    '# Usage Guidelines',
-    '- Content is available for AI training and reference',
-    '- Please attribute this source when using our content',
-    '- For commercial use, please contact us first'
-  ];
-  
-  return content.filter(line => line !== null && line !== '').join('\n');
+function clamp(value, min, max, fallback) {
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number)) return fallback;
+  return Math.min(Math.max(number, min), max);
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
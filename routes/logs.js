@@ -0,0 +1,153 @@
+// routes/logs.js
+// Server access-log analysis routes
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { Logger } = require('../utils/logger');
+const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
+const { LOG_FORMATS } = require('../utils/access-log');
+const { parseRobotsTxt, fetchRobotsTxt } = require('../utils/robots-matcher');
+const LogAnalyzer = require('../services/log-analyzer');
+
+const router = express.Router();
+const logger = new Logger('log-routes');
+
+// Uncompressed upload limit (default 200 MB)
+const DEFAULT_MAX_LOG_BYTES = 200 * 1024 * 1024;
+
+// Log analysis reads large uploads, so it is limited like site audits
+const logsLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 5,
+  message: { error: 'Too many log analysis requests, try again later' }
+});
+
+/**
+ * Stream transform failing once more than maxBytes have passed through
+ * @param {number} maxBytes - Byte limit
+ * @returns {Transform} - Limiting stream
+ */
+function createByteLimit(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(Object.assign(new Error(`Log upload exceeds ${maxBytes} bytes`), { code: 'LOG_TOO_LARGE' }));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+/**
+ * Open the request body as a plain-text log stream, gunzipping when needed
+ * and capping the decompressed size
+ * @param {Object} req - Express request
+ * @param {number} maxBytes - Uncompressed byte limit
+ * @returns {Readable} - Log stream
+ */
+function openLogStream(req, maxBytes) {
+  const limiter = createByteLimit(maxBytes);
+  const gzipped = req.headers['content-encoding'] === 'gzip' || req.is('application/gzip');
+
+  if (gzipped) {
+    const gunzip = zlib.createGunzip();
+    gunzip.on('error', (error) => limiter.destroy(error));
+    req.pipe(gunzip).pipe(limiter);
+  } else {
+    req.pipe(limiter);
+  }
+
+  // Stop decoding but drain the rest of the upload so the error response can be delivered
+  limiter.on('error', () => {
+    req.unpipe();
+    req.resume();
+  });
+  return limiter;
+}
+
+/**
+ * Validate the query of a log analysis request
+ * @param {Object} query - Request query
+ * @returns {Object} - { isValid, errors, format, site, verifyDns }
+ */
+function validateAnalyzeRequest(query = {}) {
+  const errors = [];
+  const format = query.format || 'auto';
+  const site = query.site ? sanitizeInput(query.site) : null;
+
+  if (!LOG_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  if (site) {
+    errors.push(...validateAuditUrl(site).errors);
+  }
+
+  return { isValid: errors.length === 0, errors, format, site, verifyDns: query.verifyDns !== 'false' };
+}
+
+/**
+ * POST /api/logs/analyze
+ * Stream-parse an uploaded access log (combined or JSON lines, optionally gzipped) and report
+ * per-bot crawl frequency, status mix, top paths, robots.txt violations and spoofed user-agents
+ */
+router.post('/logs/analyze', logsLimiter, async (req, res) => {
+  // express.json() would already have consumed (and rejected multi-line) JSON bodies
+  if (req.is('application/json')) {
+    return res.status(415).json({
+      error: 'Unsupported log upload type',
+      details: ['Send logs as text/plain or application/x-ndjson, optionally gzip-compressed']
+    });
+  }
+
+  const request = validateAnalyzeRequest(req.query || {});
+  if (!request.isValid) {
+    return res.status(400).json({ error: 'Invalid log analysis request', details: request.errors });
+  }
+
+  try {
+    let robots = null;
+    let robotsTxt = null;
+    if (request.site) {
+      const fetched = await fetchRobotsTxt(new URL(request.site).origin);
+      robots = { ...parseRobotsTxt(fetched.content), availability: fetched.availability };
+      robotsTxt = { url: fetched.url, status: fetched.status, availability: fetched.availability, error: fetched.error };
+    }
+
+    const maxBytes = parseInt(process.env.LOG_UPLOAD_MAX_BYTES) || DEFAULT_MAX_LOG_BYTES;
+    const analyzer = new LogAnalyzer();
+    const result = await analyzer.analyzeStream(openLogStream(req, maxBytes), {
+      format: request.format,
+      robots,
+      verifyDns: request.verifyDns
+    });
+
+    logger.info('Access log analysis completed', {
+      lines: result.lines.total,
+      bots: result.summary.botsSeen.length,
+      spoofedHits: result.summary.spoofedHits
+    });
+
+    res.json({ ...result, robotsTxt });
+
+  } catch (error) {
+    if (error.code === 'LOG_TOO_LARGE') {
+      return res.status(413).json({ error: 'Log upload too large', details: error.message });
+    }
+    if (error.code && error.code.startsWith('Z_')) {
+      return res.status(400).json({ error: 'Invalid gzip log upload', details: error.message });
+    }
+
+    logger.error('Access log analysis failed', error);
+    res.status(500).json({
+      error: 'Access log analysis failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
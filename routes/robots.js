@@ -0,0 +1,216 @@
+// routes/robots.js
+// robots.txt testing and what-if simulation routes
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { Logger } = require('../utils/logger');
+const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
+const { MAX_ROBOTS_BYTES, parseRobotsTxt, evaluateUrl, fetchRobotsTxt } = require('../utils/robots-matcher');
+const RobotsSimulator = require('../services/robots-simulator');
+
+const { SIMULATION_TEMPLATES, SIMULATION_SOURCES } = RobotsSimulator;
+
+const router = express.Router();
+const logger = new Logger('robots-routes');
+
+// Limits per request (URL x user-agent pairs are evaluated individually)
+const MAX_TEST_URLS = 100;
+const MAX_TEST_USER_AGENTS = 20;
+const MAX_SIMULATION_URLS = 1000;
+
+// Rate limiting for robots.txt tests
+const robotsLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: { error: 'Too many robots.txt requests, try again later' }
+});
+
+// Simulations discover or crawl the site, so they are limited like site audits
+const simulationLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 3,
+  message: { error: 'Too many robots.txt simulations, try again later' }
+});
+
+/**
+ * Validate the body of a robots.txt test request
+ * @param {Object} body - Request body
+ * @returns {Object} - { isValid, errors, robotsTxt, origin, urls, userAgents }
+ */
+function validateTestRequest(body = {}) {
+  const errors = [];
+  const urls = Array.isArray(body.urls) ? body.urls.map(sanitizeInput).filter(Boolean) : [];
+  const userAgents = Array.isArray(body.userAgents) ? body.userAgents.map(sanitizeInput).filter(Boolean) : [];
+  const robotsTxt = typeof body.robotsTxt === 'string' ? body.robotsTxt : null;
+
+  if (urls.length === 0 || urls.length > MAX_TEST_URLS) {
+    errors.push(`urls must be an array of 1-${MAX_TEST_URLS} URLs or paths`);
+  }
+  urls.forEach(url => {
+    if (!url.startsWith('/') && !validateAuditUrl(url).isValid) {
+      errors.push(`Invalid URL: ${url}`);
+    }
+  });
+  if (userAgents.length === 0 || userAgents.length > MAX_TEST_USER_AGENTS) {
+    errors.push(`userAgents must be an array of 1-${MAX_TEST_USER_AGENTS} user-agents`);
+  }
+  if (body.robotsTxt !== undefined && robotsTxt === null) {
+    errors.push('robotsTxt must be a string');
+  }
+  if (robotsTxt !== null && Buffer.byteLength(robotsTxt, 'utf8') > MAX_ROBOTS_BYTES) {
+    errors.push(`robotsTxt exceeds ${MAX_ROBOTS_BYTES} bytes`);
+  }
+
+  // Without a robots.txt body, fetch it from the site URL or the first absolute test URL
+  let origin = null;
+  if (robotsTxt === null && errors.length === 0) {
+    const site = body.url ? sanitizeInput(body.url) : urls.find(url => !url.startsWith('/'));
+    if (!site) {
+      errors.push('Provide robotsTxt, a site url, or absolute test URLs');
+    } else {
+      const validation = validateAuditUrl(site);
+      if (validation.isValid) {
+        origin = new URL(site).origin;
+      } else {
+        errors.push(...validation.errors);
+      }
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, robotsTxt, origin, urls, userAgents };
+}
+
+/**
+ * Validate the body of a robots.txt simulation request
+ * @param {Object} body - Request body
+ * @returns {Object} - { isValid, errors, url, options }
+ */
+function validateSimulationRequest(body = {}) {
+  const url = sanitizeInput(body.url);
+  const validation = validateAuditUrl(url);
+  const errors = [...validation.errors];
+  const source = body.source || (Array.isArray(body.urls) ? 'urls' : 'sitemap');
+  const urls = Array.isArray(body.urls) ? body.urls.map(sanitizeInput).filter(Boolean) : [];
+  const importantUrls = Array.isArray(body.importantUrls) ? body.importantUrls.map(sanitizeInput).filter(Boolean) : [];
+
+  ['proposedRobotsTxt', 'currentRobotsTxt'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (typeof body[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (Buffer.byteLength(body[field], 'utf8') > MAX_ROBOTS_BYTES) {
+      errors.push(`${field} exceeds ${MAX_ROBOTS_BYTES} bytes`);
+    }
+  });
+  if (body.proposedRobotsTxt === undefined && body.template !== undefined && !SIMULATION_TEMPLATES.includes(body.template)) {
+    errors.push(`template must be one of: ${SIMULATION_TEMPLATES.join(', ')}`);
+  }
+  if (!SIMULATION_SOURCES.includes(source)) {
+    errors.push(`source must be one of: ${SIMULATION_SOURCES.join(', ')}`);
+  }
+  if (source === 'urls') {
+    if (urls.length === 0 || urls.length > MAX_SIMULATION_URLS) {
+      errors.push(`urls must be an array of 1-${MAX_SIMULATION_URLS} absolute URLs`);
+    }
+    urls.filter(pageUrl => !validateAuditUrl(pageUrl).isValid).forEach(pageUrl => errors.push(`Invalid URL: ${pageUrl}`));
+  }
+
+  const options = {
+    proposedRobotsTxt: body.proposedRobotsTxt,
+    template: body.template,
+    currentRobotsTxt: body.currentRobotsTxt,
+    source,
+    urls,
+    importantUrls,
+    maxUrls: Math.min(Math.max(parseInt(body.maxUrls) || 200, 1), MAX_SIMULATION_URLS),
+    maxDepth: Math.min(Math.max(parseInt(body.maxDepth) || 2, 0), 5)
+  };
+
+  return { isValid: errors.length === 0, errors, url, options };
+}
+
+/**
+ * POST /api/robots/test
+ * Evaluate URLs against a robots.txt (submitted or fetched) for each user-agent,
+ * returning the verdict and the rule that decided it
+ */
+router.post('/robots/test', robotsLimiter, async (req, res) => {
+  const request = validateTestRequest(req.body || {});
+  if (!request.isValid) {
+    return res.status(400).json({ error: 'Invalid robots.txt test', details: request.errors });
+  }
+
+  try {
+    let source = { source: 'body', url: null, status: null, availability: 'available', error: null };
+    let content = request.robotsTxt;
+
+    if (content === null) {
+      const fetched = await fetchRobotsTxt(request.origin);
+      source = { source: 'fetched', url: fetched.url, status: fetched.status, availability: fetched.availability, error: fetched.error };
+      content = fetched.content;
+    }
+
+    const robots = { ...parseRobotsTxt(content), availability: source.availability };
+    const results = [];
+    request.urls.forEach(url => {
+      request.userAgents.forEach(userAgent => {
+        results.push({ url, userAgent, ...evaluateUrl(robots, url, userAgent) });
+      });
+    });
+
+    const allowed = results.filter(result => result.allowed).length;
+    logger.info('robots.txt test completed', { source: source.source, pairs: results.length, allowed });
+
+    res.json({
+      robotsTxt: {
+        ...source,
+        groups: robots.groups.map(group => ({ userAgents: group.userAgents, lineNumber: group.lineNumber, rules: group.rules.length })),
+        sitemaps: robots.sitemaps,
+        warnings: robots.warnings,
+        truncated: robots.truncated
+      },
+      results,
+      summary: { total: results.length, allowed, disallowed: results.length - allowed }
+    });
+
+  } catch (error) {
+    logger.error('robots.txt test failed', error);
+    res.status(500).json({
+      error: 'robots.txt test failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/robots/simulate
+ * Show, per known bot, which of the site's URLs a proposed robots.txt would newly block or allow
+ */
+router.post('/robots/simulate', simulationLimiter, async (req, res) => {
+  const request = validateSimulationRequest(req.body || {});
+  if (!request.isValid) {
+    return res.status(400).json({ error: 'Invalid robots.txt simulation', details: request.errors });
+  }
+
+  try {
+    const simulator = new RobotsSimulator();
+    const result = await simulator.run(request.url, request.options);
+
+    logger.info('robots.txt simulation completed', {
+      url: request.url,
+      urls: result.urlSource.urls,
+      botsAffected: result.summary.botsAffected.length,
+      risk: result.summary.risk
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('robots.txt simulation failed', error, { url: request.url });
+    res.status(500).json({
+      error: 'robots.txt simulation failed',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+// routes/schedules.js
+// Recurring audit schedule routes
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { Logger } = require('../utils/logger');
+const { sanitizeInput } = require('../utils/validation');
+const { getGlobalQueue } = require('../services/audit-queue');
+const { recordAuditWithAlerts } = require('../services/regression-alerts');
+const { getGlobalScheduler, validateSchedule } = require('../services/audit-scheduler');
+
+const router = express.Router();
+const logger = new Logger('schedule-routes');
+
+// Scheduled jobs go through the same queue as on-demand queued audits
+const scheduler = getGlobalScheduler({
+  queue: getGlobalQueue({
+    maxConcurrent: 3,
+    jobTimeout: 60000,
+    retryAttempts: 2,
+    historyRecorder: recordAuditWithAlerts
+  })
+});
+
+// Rate limiting for schedule management
+const scheduleLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: { error: 'Too many schedule requests, try again later' }
+});
+
+/**
+ * Trim string fields of a schedule definition
+ * @param {Object} body - Request body
+ * @returns {Object} - Definition with sanitized strings
+ */
+function sanitizeDefinition(body) {
+  const definition = { ...body };
+  ['name', 'url', 'cron', 'webhookClientId'].forEach(field => {
+    if (typeof definition[field] === 'string') {
+      definition[field] = sanitizeInput(definition[field]);
+    }
+  });
+  return definition;
+}
+
+/**
+ * GET /api/schedules
+ * List all schedules
+ */
+router.get('/schedules', scheduleLimiter, async (req, res) => {
+  try {
+    const schedules = await scheduler.listSchedules();
+    res.json({ count: schedules.length, schedules });
+  } catch (error) {
+    logger.error('Schedule listing failed', error);
+    res.status(500).json({
+      error: 'Failed to list schedules',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a schedule: { url, cron, type: 'url'|'sitemap', options, priority, webhookClientId, enabled, catchUp, maxUrls, name }
+ */
+router.post('/schedules', scheduleLimiter, async (req, res) => {
+  const definition = sanitizeDefinition(req.body || {});
+
+  const validation = validateSchedule(definition);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid schedule',
+      details: validation.errors
+    });
+  }
+
+  try {
+    const schedule = await scheduler.createSchedule(definition);
+    res.status(201).json(schedule);
+  } catch (error) {
+    logger.error('Schedule creation failed', error, { url: definition.url });
+    res.status(500).json({
+      error: 'Failed to create schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/schedules/:id
+ * Get one schedule with its last run
+ */
+router.get('/schedules/:id', scheduleLimiter, async (req, res) => {
+  try {
+    const schedule = await scheduler.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    logger.error('Schedule lookup failed', error, { scheduleId: req.params.id });
+    res.status(500).json({
+      error: 'Failed to get schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/schedules/:id
+ * Update schedule fields; omitted fields are left unchanged
+ */
+router.put('/schedules/:id', scheduleLimiter, async (req, res) => {
+  const patch = sanitizeDefinition(req.body || {});
+
+  const validation = validateSchedule(patch, { partial: true });
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid schedule',
+      details: validation.errors
+    });
+  }
+
+  try {
+    const schedule = await scheduler.updateSchedule(req.params.id, patch);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  } catch (error) {
+    logger.error('Schedule update failed', error, { scheduleId: req.params.id });
+    res.status(500).json({
+      error: 'Failed to update schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/schedules/:id
+ * Delete a schedule (jobs already queued keep running)
+ */
+router.delete('/schedules/:id', scheduleLimiter, async (req, res) => {
+  try {
+    const deleted = await scheduler.deleteSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ message: 'Schedule deleted', id: req.params.id });
+  } catch (error) {
+    logger.error('Schedule deletion failed', error, { scheduleId: req.params.id });
+    res.status(500).json({
+      error: 'Failed to delete schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/schedules/:id/run
+ * Run a schedule now without changing its next cron slot
+ */
+router.post('/schedules/:id/run', scheduleLimiter, async (req, res) => {
+  try {
+    const run = await scheduler.triggerSchedule(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.status(run.status === 'failed' ? 502 : 202).json(run);
+  } catch (error) {
+    logger.error('Manual schedule run failed', error, { scheduleId: req.params.id });
+    res.status(500).json({
+      error: 'Failed to run schedule',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
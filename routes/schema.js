@@ -0,0 +1,65 @@
+// routes/schema.js
+// Structured data generation routes
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const cheerio = require('cheerio');
+const { Logger } = require('../utils/logger');
+const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
+const { fetchWithTimeout } = require('../utils/helpers');
+const SchemaGenerator = require('../services/schema-generator');
+
+const router = express.Router();
+const logger = new Logger('schema-routes');
+
+// Rate limiting for schema generation (one page fetch per request)
+const schemaLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: { error: 'Too many schema generation requests, try again later' }
+});
+
+/**
+ * POST /api/schema/generate
+ * Draft a JSON-LD @graph for a page; every property is marked extracted or placeholder
+ */
+router.post('/schema/generate', schemaLimiter, async (req, res) => {
+  const { url } = req.body || {};
+
+  const validation = validateAuditUrl(url);
+  if (!validation.isValid) {
+    return res.status(400).json({
+      error: 'Invalid URL',
+      details: validation.errors
+    });
+  }
+
+  const sanitizedUrl = sanitizeInput(url);
+
+  try {
+    const response = await fetchWithTimeout(sanitizedUrl, 10000);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const $ = cheerio.load(await response.text());
+    const result = new SchemaGenerator().generate($, sanitizedUrl);
+
+    logger.info('JSON-LD draft generated', {
+      url: sanitizedUrl,
+      nodes: result.summary.nodes,
+      placeholders: result.summary.placeholders
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('JSON-LD generation failed', error, { url: sanitizedUrl });
+    res.status(500).json({
+      error: 'Failed to generate JSON-LD',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
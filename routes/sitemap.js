@@ -1,11 +1,12 @@
 // routes/sitemap.js
-// Sitemap-based audit routes
+// Site-level audit routes (sitemap and link-graph crawl)
 
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { Logger } = require('../utils/logger');
 const { cache } = require('../utils/cache');
 const { validateAuditUrl, sanitizeInput } = require('../utils/validation');
+const { parseExportQuery, sendExport } = require('../utils/export');
 const AuditOrchestrator = require('../services/audit-orchestrator');
 
 const router = express.Router();
@@ -19,11 +20,25 @@ const sitemapLimiter = rateLimit({
 });
 
 /**
- * POST /api/sitemap-audit
+ * Send results as JSON, or as a spreadsheet when an export format was requested
+ * @param {Object} res - Express response
+ * @param {Object} results - Sitemap or crawl results
+ * @param {Object} exportQuery - Parsed export query
+ * @param {string} name - File name prefix
+ */
+function respond(res, results, exportQuery, name) {
+  if (exportQuery.format === 'json') {
+    return res.json(results);
+  }
+  sendExport(res, results, { format: exportQuery.format, sheet: exportQuery.sheet, name });
+}
+
+/**
+ * POST /api/sitemap-audit?format=json|csv|xlsx&sheet=pages|issues
  * Analyze multiple pages from a website's sitemap
  */
 router.post('/sitemap-audit', sitemapLimiter, async (req, res) => {
-  const { url, maxUrls = 50 } = req.body || {};
+  const { url, maxUrls = 50, mode = 'batch' } = req.body || {};
   
   // Validate input
   const validation = validateAuditUrl(url);
@@ -33,34 +48,44 @@ router.post('/sitemap-audit', sitemapLimiter, async (req, res) => {
       details: validation.errors 
     });
   }
+
+  const exportQuery = parseExportQuery(req.query);
+  if (!exportQuery.isValid) {
+    return res.status(400).json({ error: 'Invalid export options', details: exportQuery.errors });
+  }
+  if (exportQuery.format !== 'json' && mode === 'discover') {
+    return res.status(400).json({ error: 'Invalid export options', details: ['Exports require batch mode'] });
+  }
   
   const sanitizedUrl = sanitizeInput(url);
   const numUrls = Math.min(Math.max(parseInt(maxUrls) || 50, 1), 200);
+  const discoverOnly = mode === 'discover';
   
   // Check cache
-  const cacheKey = `sitemap_${sanitizedUrl}_${numUrls}`;
+  const cacheKey = `sitemap_${discoverOnly ? 'discover' : 'batch'}_${sanitizedUrl}_${numUrls}`;
   if (cache.has(cacheKey)) {
     const cached = cache.get(cacheKey);
     logger.info('Returning cached sitemap results', { url: sanitizedUrl, urls: numUrls });
-    return res.json(cached);
+    return respond(res, cached, exportQuery, 'sitemap-audit');
   }
   
-  logger.info('Starting sitemap audit', { url: sanitizedUrl, maxUrls: numUrls });
+  logger.info('Starting sitemap audit', { url: sanitizedUrl, maxUrls: numUrls, mode });
   
   try {
     const orchestrator = new AuditOrchestrator();
-    const results = await orchestrator.runSitemapAudit(sanitizedUrl, { maxUrls: numUrls });
+    const results = await orchestrator.runSitemapAudit(sanitizedUrl, { maxUrls: numUrls, discoverOnly });
     
     // Cache results for 10 minutes
     cache.set(cacheKey, results, 600000);
     
     logger.info('Sitemap audit completed', { 
       url: sanitizedUrl, 
-      pagesAnalyzed: results.pages?.length || 0,
+      pagesAnalyzed: results.results?.length || 0,
+      urlsDiscovered: results.discoveredUrls,
       processingTime: results.processingTime 
     });
     
-    res.json(results);
+    respond(res, results, exportQuery, 'sitemap-audit');
     
   } catch (error) {
     logger.error('Sitemap audit failed', error, { url: sanitizedUrl });
@@ -71,4 +96,74 @@ router.post('/sitemap-audit', sitemapLimiter, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/crawl-audit?format=json|csv|xlsx&sheet=pages|issues
+ * Discover pages by following internal links from the submitted URL
+ */
+router.post('/crawl-audit', sitemapLimiter, async (req, res) => {
+  const { url, maxDepth = 3, maxPages = 50, audit = true } = req.body || {};
+  
+  // Validate input
+  const validation = validateAuditUrl(url);
+  if (!validation.isValid) {
+    return res.status(400).json({ 
+      error: 'Invalid URL', 
+      details: validation.errors 
+    });
+  }
+  
+  const exportQuery = parseExportQuery(req.query);
+  if (!exportQuery.isValid) {
+    return res.status(400).json({ error: 'Invalid export options', details: exportQuery.errors });
+  }
+  if (exportQuery.format !== 'json' && audit === false) {
+    return res.status(400).json({ error: 'Invalid export options', details: ['Exports require page audits to be enabled'] });
+  }
+  
+  const sanitizedUrl = sanitizeInput(url);
+  const depth = Math.min(Math.max(parseInt(maxDepth) || 0, 0), 5);
+  const pages = Math.min(Math.max(parseInt(maxPages) || 50, 1), 200);
+  const runAudits = audit !== false;
+  
+  // Check cache
+  const cacheKey = `crawl_${sanitizedUrl}_${depth}_${pages}_${runAudits}`;
+  if (cache.has(cacheKey)) {
+    const cached = cache.get(cacheKey);
+    logger.info('Returning cached crawl results', { url: sanitizedUrl, maxDepth: depth, maxPages: pages });
+    return respond(res, cached, exportQuery, 'crawl-audit');
+  }
+  
+  logger.info('Starting link graph crawl', { url: sanitizedUrl, maxDepth: depth, maxPages: pages });
+  
+  try {
+    // Loaded on demand; the optimized orchestrator pulls in heavier analyzers
+    const OptimizedAuditOrchestrator = require('../services/audit-orchestrator.optimized');
+    const orchestrator = new OptimizedAuditOrchestrator();
+    const results = await orchestrator.performLinkGraphCrawl(sanitizedUrl, {
+      maxDepth: depth,
+      maxPages: pages,
+      audit: runAudits
+    });
+    
+    // Cache results for 10 minutes
+    cache.set(cacheKey, results, 600000);
+    
+    logger.info('Link graph crawl completed', { 
+      url: sanitizedUrl, 
+      pagesDiscovered: results.linkGraph.stats.pagesDiscovered,
+      pagesFetched: results.linkGraph.stats.pagesFetched,
+      processingTime: results.processingTime 
+    });
+    
+    respond(res, results, exportQuery, 'crawl-audit');
+    
+  } catch (error) {
+    logger.error('Link graph crawl failed', error, { url: sanitizedUrl });
+    res.status(500).json({ 
+      error: 'Link graph crawl failed', 
+      details: error.message 
+    });
+  }
+});
+
 module.exports = router;
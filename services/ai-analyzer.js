@@ -6,6 +6,7 @@ const compromise = require('compromise');
 const sentiment = require('sentiment');
 const { removeStopwords, eng, fra, deu, spa, ita, jpn, kor, rus } = require('stopword');
 const keyword = require('keyword-extractor');
+const { extractStructuredData } = require('../utils/structured-data');
 
 // Dynamic import for ES modules
 let franc = null;
@@ -323,6 +324,39 @@ class AIContentAnalyzer {
     this.cacheMisses = 0;
   }
 
+  /**
+   * Lazily create the content extractor (shares this analyzer's heading and landmark analysis)
+   */
+  getContentExtractor() {
+    if (!this.contentExtractor) {
+      const ContentExtractor = require('./content-extractor');
+      this.contentExtractor = new ContentExtractor({ aiAnalyzer: this });
+    }
+    return this.contentExtractor;
+  }
+
+  /**
+   * Lazily create the passage chunker (retrieval-sized chunks and self-containedness checks)
+   */
+  getPassageChunker() {
+    if (!this.passageChunker) {
+      const PassageChunker = require('./passage-chunker');
+      this.passageChunker = new PassageChunker();
+    }
+    return this.passageChunker;
+  }
+
+  /**
+   * Lazily create the answer block detector (candidate snippet passages)
+   */
+  getAnswerBlockDetector() {
+    if (!this.answerBlockDetector) {
+      const AnswerBlockDetector = require('./answer-block-detector');
+      this.answerBlockDetector = new AnswerBlockDetector();
+    }
+    return this.answerBlockDetector;
+  }
+
   /**
    * Extract structured content from DOM
    */
@@ -522,57 +556,27 @@ class AIContentAnalyzer {
   }
 
   /**
-   * Extract schema.org type from JSON-LD
+   * Extract the first schema.org type from JSON-LD, microdata or RDFa
    */
   extractSchemaType($) {
     let schemaType = null;
-    
-    $('script[type="application/ld+json"]').each((i, elem) => {
-      try {
-        // Use text() to properly decode entities
-        const raw = ($(elem).text() || '').trim();
-        if (!raw) return;
-
-        // Clean comments and CDATA wrappers
-        let cleaned = raw
-          .replace(/<!--[\s\S]*?-->/g, '')
-          .replace(/\/\*<!\[CDATA\[\*\//g, '')
-          .replace(/\/\*\]\]>\*\//g, '')
-          .trim();
-
-        let parsed = null;
-        try {
-          parsed = JSON.parse(cleaned);
-        } catch (_) {
-          const noTrailingCommas = cleaned.replace(/,\s*([}\]])/g, '$1');
-          try {
-            parsed = JSON.parse(noTrailingCommas);
-          } catch (_) {
-            const asArray = `[${noTrailingCommas.replace(/}\s*{/, '},{')}]`;
-            parsed = JSON.parse(asArray);
-          }
-        }
 
-        const extractType = (obj) => {
-          if (obj && obj['@type']) {
-            const type = Array.isArray(obj['@type']) ? obj['@type'][0] : obj['@type'];
-            if (!schemaType) schemaType = type; // Take first valid type
-          }
-          if (obj && obj['@graph']) {
-            obj['@graph'].forEach(extractType);
-          }
-        };
-        
-        if (Array.isArray(parsed)) {
-          parsed.forEach(extractType);
-        } else {
-          extractType(parsed);
-        }
-      } catch (e) {
-        // Invalid JSON-LD, continue
+    const extractType = (obj) => {
+      if (schemaType || !obj || typeof obj !== 'object') return;
+      if (Array.isArray(obj)) {
+        obj.forEach(extractType);
+        return;
       }
-    });
-    
+      if (obj['@type']) {
+        schemaType = Array.isArray(obj['@type']) ? obj['@type'][0] : obj['@type']; // Take first valid type
+      }
+      if (obj['@graph']) {
+        extractType(obj['@graph']);
+      }
+    };
+
+    extractStructuredData($).documents.forEach(doc => extractType(doc.data));
+
     return schemaType;
   }
 
@@ -973,16 +977,9 @@ class AIContentAnalyzer {
 
     // 1. FAQ Pattern Detection (Enhanced)
     // Schema-based FAQ detection
-    $('script[type="application/ld+json"]').each((i, script) => {
-      try {
-        const data = JSON.parse($(script).text());
-        if (this.containsFAQSchema(data)) {
-          analysis.patterns.faq.schemaFAQ = true;
-        }
-      } catch (e) {
-        // Invalid JSON, skip
-      }
-    });
+    if (extractStructuredData($).documents.some(doc => this.containsFAQSchema(doc.data))) {
+      analysis.patterns.faq.schemaFAQ = true;
+    }
 
     // Explicit FAQ patterns
     const bodyText = $('body').text();
@@ -1550,49 +1547,17 @@ class AIContentAnalyzer {
     };
 
     try {
-      const { encoding_for_model } = require('tiktoken');
-      const encoder = encoding_for_model('gpt-4');
-
-      // Split content by H2/H3 as per specification
-      const sections = [];
-      let currentSection = { heading: 'Introduction', content: '' };
-
-      $('h2, h3, p, li, div').each((i, el) => {
-        const tagName = el.tagName.toLowerCase();
-        const text = $(el).text().trim();
-
-        if (tagName === 'h2' || tagName === 'h3') {
-          // Save previous section if it has content
-          if (currentSection.content.length > 0) {
-            sections.push(currentSection);
-          }
-          // Start new section
-          currentSection = { 
-            heading: text, 
-            content: '',
-            level: tagName 
-          };
-        } else if (text.length > 20) {
-          // Add content to current section
-          currentSection.content += text + ' ';
-        }
-      });
-
-      // Add final section
-      if (currentSection.content.length > 0) {
-        sections.push(currentSection);
-      }
-
-      // Count tokens per section using cl100k_base (≈ 0.75 words/token)
-      analysis.evidence.sections = sections.map(section => {
-        const tokens = encoder.encode(section.content).length;
-        return {
-          heading: section.heading,
-          tokens: tokens,
-          words: section.content.split(/\s+/).length,
-          level: section.level
-        };
-      });
+      // Split the extracted main content by H2/H3 as per specification, token counts via cl100k_base
+      const extraction = this.getContentExtractor().extract($, null);
+      const sections = extraction.sections.filter(section => section.words > 0);
+
+      analysis.evidence.extractedTokens = extraction.metrics.tokens;
+      analysis.evidence.sections = sections.map(section => ({
+        heading: section.level === 1 || section.heading === null ? 'Introduction' : section.heading,
+        tokens: section.tokens,
+        words: section.words,
+        level: section.level > 1 ? `h${section.level}` : undefined
+      }));
 
       analysis.evidence.totalSections = sections.length;
       
@@ -1629,7 +1594,19 @@ class AIContentAnalyzer {
         analysis.issues.push(`Sections too long: ${medianTokens} tokens`);
       }
 
-      encoder.free(); // Clean up encoder
+      // Retrieval simulation over the same sections (reported, not scored)
+      const passages = this.getPassageChunker().analyze(extraction);
+      analysis.evidence.retrievability = {
+        summary: passages.summary,
+        sections: passages.sections
+      };
+      if (passages.summary.tooLong > 0) {
+        analysis.issues.push(`${passages.summary.tooLong} section(s) exceed ${passages.summary.chunkTokens.max} tokens and split across chunks`);
+      }
+      const dependentChunks = passages.summary.chunks - passages.summary.selfContainedChunks;
+      if (dependentChunks > 0) {
+        analysis.issues.push(`${dependentChunks} of ${passages.summary.chunks} chunks depend on surrounding text`);
+      }
 
     } catch (error) {
       analysis.issues.push('Token counting failed');
@@ -1743,18 +1720,10 @@ class AIContentAnalyzer {
     analysis.evidence.lists = $('ul, ol').length;
     analysis.evidence.tables = $('table').length;
 
-    // Check for FAQ schema
-    $('script[type="application/ld+json"]').each((i, elem) => {
-      try {
-        const jsonText = $(elem).text().trim();
-        if (jsonText.includes('"@type"') && 
-            (jsonText.includes('FAQPage') || jsonText.includes('QAPage'))) {
-          analysis.evidence.faqSchema = true;
-        }
-      } catch (e) {
-        // Invalid JSON, continue
-      }
-    });
+    // Check for FAQ schema (JSON-LD, microdata or RDFa)
+    if (extractStructuredData($).documents.some(doc => this.containsFAQSchema(doc.data))) {
+      analysis.evidence.faqSchema = true;
+    }
 
     // Calculate total signals
     analysis.evidence.totalSignals = 
@@ -1781,6 +1750,16 @@ class AIContentAnalyzer {
       analysis.issues.push('No answer signals detected');
     }
 
+    // Concrete candidate passages (reported alongside the signal count, not scored)
+    const answerBlocks = this.getAnswerBlockDetector().detect($);
+    analysis.evidence.answerBlocks = answerBlocks.blocks;
+    analysis.evidence.answerBlockSummary = answerBlocks.summary;
+    if (answerBlocks.summary.snippetReady > 0) {
+      analysis.strengths.push(`${answerBlocks.summary.snippetReady} snippet-ready answer block(s) found`);
+    } else if (answerBlocks.summary.total > 0) {
+      analysis.issues.push(`${answerBlocks.summary.total} answer block candidate(s) found, none snippet-ready`);
+    }
+
     return analysis;
   }
 
@@ -2611,16 +2590,36 @@ class AIContentAnalyzer {
       maxScore: 1,
       evidence: {
         llmsExists: false,
-        llmsUrl: null
+        llmsUrl: null,
+        validationScore: null,
+        errors: 0,
+        warnings: 0
       },
       issues: [],
       strengths: []
     };
 
-    // Check for llms.txt file
-    if (tests.files && tests.files.llms && tests.files.llms.exists) {
+    const llms = tests.files && tests.files.llms;
+    if (llms && llms.exists && llms.validation) {
+      // Score from spec validation: 0-100 → 0-1 pt
+      const validation = llms.validation;
+      analysis.evidence.llmsExists = true;
+      analysis.evidence.llmsUrl = llms.url;
+      analysis.evidence.validationScore = validation.score;
+      analysis.evidence.errors = validation.errors.length;
+      analysis.evidence.warnings = validation.warnings.length;
+      analysis.score = Math.round(validation.score / 10) / 10;
+
+      if (validation.score >= 80) {
+        analysis.strengths.push(`llms.txt follows the spec (${validation.score}/100)`);
+      } else {
+        analysis.issues.push(`llms.txt scores ${validation.score}/100 against the spec`);
+      }
+      validation.errors.slice(0, 3).forEach(error => analysis.issues.push(`llms.txt: ${error.message}`));
+    } else if (llms && llms.exists) {
+      // Presence only when no validation ran
       analysis.evidence.llmsExists = true;
-      analysis.evidence.llmsUrl = tests.files.llms.url;
+      analysis.evidence.llmsUrl = llms.url;
       analysis.score = 1;
       analysis.strengths.push('llms.txt governance file found');
     } else {
@@ -0,0 +1,469 @@
+// services/answer-block-detector.js
+// Candidate answer passages for AI Overviews / featured snippets: question → direct answer,
+// definitions, step lists and comparison tables, each with a selector and quality score
+
+const { BOILERPLATE_SELECTORS } = require('../utils/html-markdown');
+const { cleanText, isQuestion } = require('../utils/text');
+const { countWords } = require('./content-extractor');
+
+/**
+ * Ideal direct-answer length in words (featured snippet / AI Overview sweet spot)
+ */
+const ANSWER_WORDS = { min: 40, max: 60 };
+
+const MAX_BLOCKS = 50;
+const MAX_EXCERPT_LENGTH = 300;
+const SNIPPET_READY_SCORE = 80;
+
+const DEFINITION = /^(?:(?:an?|the)\s+)?([\p{L}\p{N}][\p{L}\p{N}'’&\-\s]{0,60}?)\s+(?:is|are|refers to|means|is defined as|describes)\s+(?:an?|the|one|any|when|how)?\b/iu;
+const FILLER_START = /^(well|so|great question|good question|it depends|in this (article|post|guide)|as (we|you) (know|mentioned)|let'?s|there are (many|several|a few))\b/i;
+const PRONOUN_START = /^(it|this|that|these|those|they|he|she|which)\b/i;
+const STEPS_HEADING = /\b(how to|how do|steps?|guide|instructions|process|tutorial)\b/i;
+const COMPARISON_HEADING = /\b(vs\.?|versus|compare|comparison|difference|differences|alternatives?)\b/i;
+const STOPWORDS = new Set([
+  'what', 'how', 'why', 'when', 'where', 'which', 'who', 'can', 'could', 'do', 'does', 'did', 'is', 'are', 'was',
+  'should', 'will', 'would', 'the', 'a', 'an', 'of', 'to', 'in', 'for', 'on', 'and', 'or', 'my', 'your', 'i', 'you',
+  'it', 'be', 'with', 'at', 'by', 'from', 'this', 'that', 'we', 'our'
+]);
+
+/**
+ * Content words of a text, for question/answer overlap
+ * @param {string} text - Text
+ * @returns {Set} - Lowercased words without stopwords
+ */
+function keywords(text) {
+  return new Set(cleanText(text).toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+/**
+ * Build a CSS selector that locates an element, anchored at the nearest ancestor with an id
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} element - DOM element
+ * @returns {string} - CSS selector
+ */
+function cssSelector($, element) {
+  const parts = [];
+  let node = element;
+  while (node && node.type === 'tag') {
+    const id = node.attribs && node.attribs.id;
+    if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+      parts.unshift(`#${id}`);
+      break;
+    }
+    if (node.tagName === 'body' || node.tagName === 'html') {
+      parts.unshift(node.tagName);
+      break;
+    }
+    const sameTag = $(node).parent().children(node.tagName);
+    parts.unshift(sameTag.length > 1 ? `${node.tagName}:nth-of-type(${sameTag.index(node) + 1})` : node.tagName);
+    node = node.parent;
+  }
+  return parts.join(' > ');
+}
+
+class AnswerBlockDetector {
+  constructor(options = {}) {
+    this.answerWords = options.answerWords || ANSWER_WORDS;
+    this.maxBlocks = options.maxBlocks || MAX_BLOCKS;
+  }
+
+  /**
+   * Score a passage length against a target range
+   * @param {number} words - Word count
+   * @param {Object} range - { min, max }
+   * @returns {number} - 1 inside the range, 0.6 within 20 words of it, 0.2 otherwise
+   */
+  lengthFit(words, range) {
+    if (words >= range.min && words <= range.max) return 1;
+    if (words >= range.min - 20 && words <= range.max + 20) return 0.6;
+    return 0.2;
+  }
+
+  /**
+   * Score a direct answer to a question
+   * @param {string} question - Question text
+   * @param {string} answer - First answer paragraph
+   * @param {boolean} anchored - Whether the question heading has an id
+   * @returns {Object} - { score, issues }
+   */
+  scoreAnswer(question, answer, anchored) {
+    const issues = [];
+    const words = countWords(answer);
+    const firstSentence = (answer.match(/^.*?[.!?。](\s|$)/) || [answer])[0];
+    let score = 0;
+
+    const fit = this.lengthFit(words, this.answerWords);
+    score += 35 * fit;
+    if (fit < 1) issues.push(`Answer is ${words} words; aim for ${this.answerWords.min}–${this.answerWords.max}`);
+
+    if (FILLER_START.test(answer)) {
+      issues.push('Answer opens with filler instead of the answer');
+    } else {
+      score += 15;
+    }
+
+    const questionWords = keywords(question);
+    const overlap = [...keywords(firstSentence)].filter(word => questionWords.has(word)).length;
+    if (questionWords.size === 0 || overlap > 0) {
+      score += 20;
+    } else {
+      issues.push('First sentence does not restate the question topic');
+    }
+
+    if (PRONOUN_START.test(answer)) {
+      issues.push('Answer starts with a pronoun and does not stand alone');
+    } else {
+      score += 15;
+    }
+
+    if (/[.!?。]$/.test(answer)) {
+      score += 5;
+    } else {
+      issues.push('Answer does not end as a complete sentence');
+    }
+
+    if (anchored) {
+      score += 10;
+    } else {
+      issues.push('Question heading has no id for deep links');
+    }
+
+    return { score: Math.round(score), issues };
+  }
+
+  /**
+   * Score a definition paragraph
+   * @param {string} term - Defined term
+   * @param {string} text - Paragraph text
+   * @returns {Object} - { score, issues }
+   */
+  scoreDefinition(term, text) {
+    const issues = [];
+    const words = countWords(text);
+    let score = 50; // Term-led "X is a ..." opening
+
+    const fit = this.lengthFit(words, { min: 20, max: this.answerWords.max });
+    score += 30 * fit;
+    if (fit < 1) issues.push(`Definition is ${words} words; aim for 20–${this.answerWords.max}`);
+
+    if (countWords(term) <= 4) {
+      score += 10;
+    } else {
+      issues.push('Defined term is long; lead with a short noun phrase');
+    }
+
+    if (/[.!?。]$/.test(text)) {
+      score += 10;
+    } else {
+      issues.push('Definition does not end as a complete sentence');
+    }
+
+    return { score: Math.round(score), issues };
+  }
+
+  /**
+   * Score an ordered/unordered step list
+   * @param {Array} items - Item texts
+   * @param {boolean} ordered - Whether the list is an <ol>
+   * @param {string|null} heading - Preceding heading text
+   * @returns {Object} - { score, issues }
+   */
+  scoreSteps(items, ordered, heading) {
+    const issues = [];
+    let score = 0;
+
+    if (items.length >= 3 && items.length <= 10) {
+      score += 30;
+    } else {
+      score += 15;
+      issues.push(`${items.length} steps; 3–10 steps extract best`);
+    }
+
+    if (ordered) {
+      score += 20;
+    } else {
+      issues.push('Steps are not an ordered list (<ol>)');
+    }
+
+    const averageWords = items.reduce((sum, item) => sum + countWords(item), 0) / items.length;
+    if (averageWords <= 25) {
+      score += 20;
+    } else {
+      issues.push(`Steps average ${Math.round(averageWords)} words; keep each step short`);
+    }
+
+    if (heading) {
+      score += 20;
+      if (STEPS_HEADING.test(heading) || isQuestion(heading)) score += 10;
+    } else {
+      issues.push('List has no heading saying what it explains');
+    }
+
+    return { score: Math.min(score, 100), issues };
+  }
+
+  /**
+   * Score a data table
+   * @param {Function} $ - Cheerio instance
+   * @param {Object} table - table element
+   * @param {Array} rows - Cell texts per row
+   * @param {string|null} label - Caption or preceding heading
+   * @returns {Object} - { score, issues }
+   */
+  scoreTable($, table, rows, label) {
+    const issues = [];
+    let score = 0;
+
+    if ($(table).find('th').length > 0) {
+      score += 25;
+    } else {
+      issues.push('Table has no header cells (<th>)');
+    }
+
+    if (label) {
+      score += 20;
+    } else {
+      issues.push('Table has no caption or heading');
+    }
+
+    const columns = Math.max(...rows.map(row => row.length));
+    if (columns >= 2 && rows.length >= 3) {
+      score += 25;
+    } else {
+      score += 10;
+      issues.push('Comparison tables need at least 2 columns and 2 data rows');
+    }
+
+    const cells = rows.flat();
+    const empty = cells.filter(cell => !cell).length;
+    if (cells.length > 0 && empty / cells.length <= 0.1) {
+      score += 15;
+    } else {
+      issues.push(`${empty} of ${cells.length} cells are empty`);
+    }
+
+    if ($(table).find('table, [colspan], [rowspan]').length === 0) {
+      score += 15;
+    } else {
+      issues.push('Merged cells or nested tables make the table harder to extract');
+    }
+
+    return { score, issues };
+  }
+
+  /**
+   * Nearest preceding heading of an element (sibling or ancestor's sibling)
+   * @param {Function} $ - Cheerio instance
+   * @param {Object} element - DOM element
+   * @returns {string|null} - Heading text
+   */
+  precedingHeading($, element) {
+    let node = $(element);
+    while (node.length > 0 && node.get(0).tagName !== 'body') {
+      const heading = node.prevAll('h1, h2, h3, h4, h5, h6').first();
+      if (heading.length > 0) return cleanText(heading.text()) || null;
+      node = node.parent();
+    }
+    return null;
+  }
+
+  /**
+   * Find question/answer pairs: question headings with the content up to the next heading,
+   * <details>/<summary> accordions and <dt>/<dd> pairs
+   * @param {Function} $ - Cheerio instance
+   * @returns {Array} - [{ question, answer, source, questionElement, answerElement }] where answerElement
+   *   holds the direct answer (first paragraph under a heading), or null when there is none
+   */
+  findQuestionAnswers($) {
+    const pairs = [];
+
+    $('h2, h3, h4, h5, h6').each((_, heading) => {
+      const question = cleanText($(heading).text());
+      if (!isQuestion(question)) return;
+
+      const parts = [];
+      let next = $(heading).next();
+      while (next.length > 0 && !/^h[1-6]$/i.test(next.get(0).tagName) && next.find('h1, h2, h3, h4, h5, h6').length === 0) {
+        parts.push(cleanText(next.text()));
+        next = next.next();
+      }
+
+      const first = $(heading).next();
+      const paragraph = first.length > 0 && !/^h[1-6]$/i.test(first.get(0).tagName)
+        ? (first.is('p') ? first : first.find('p').first()).get(0) || null
+        : null;
+      pairs.push({ question, answer: cleanText(parts.join(' ')), source: 'heading', questionElement: heading, answerElement: paragraph });
+    });
+
+    $('details').each((_, details) => {
+      const summary = $(details).children('summary').first();
+      const question = cleanText(summary.text());
+      if (!isQuestion(question)) return;
+
+      const body = $(details).children().not('summary');
+      pairs.push({
+        question,
+        answer: cleanText($(details).clone().children('summary').remove().end().text()),
+        source: 'details',
+        questionElement: summary.get(0),
+        answerElement: body.length === 1 ? body.get(0) : details
+      });
+    });
+
+    $('dt').each((_, term) => {
+      const question = cleanText($(term).text());
+      if (!isQuestion(question)) return;
+
+      const definition = $(term).nextAll('dd').first();
+      pairs.push({
+        question,
+        answer: cleanText(definition.text()),
+        source: 'definition-list',
+        questionElement: term,
+        answerElement: definition.get(0) || null
+      });
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Find candidate answer blocks in a page
+   * @param {Function} $ - Cheerio instance
+   * @returns {Object} - { blocks, summary }
+   */
+  detect($) {
+    const blocks = [];
+    const used = new Set();
+    const documentOrder = new Map($('*').toArray().map((element, index) => [element, index]));
+    // Shared with markdown cleanup; content roots and their wrappers never count as chrome.
+    // Matched once per document: per-element closest() recompiles the selector list every call
+    const chrome = new Set($(BOILERPLATE_SELECTORS).toArray());
+    const inChrome = element => {
+      for (let node = element; node; node = node.parent) {
+        if (chrome.has(node)) return true;
+      }
+      return false;
+    };
+    const add = (element, block) => {
+      used.add(element);
+      blocks.push({
+        ...block,
+        selector: cssSelector($, element),
+        snippetReady: block.score >= SNIPPET_READY_SCORE,
+        order: documentOrder.get(element)
+      });
+    };
+
+    // 1. Question headings, accordions and definition-list terms followed by a direct answer
+    this.findQuestionAnswers($).forEach(({ question, questionElement, answerElement }) => {
+      if (!answerElement || inChrome(questionElement) || used.has(answerElement)) return;
+
+      const answer = cleanText($(answerElement).text());
+      if (countWords(answer) < 5) return;
+
+      const { score, issues } = this.scoreAnswer(question, answer, Boolean($(questionElement).attr('id')));
+      add(answerElement, {
+        type: 'question-answer',
+        question,
+        text: answer.substring(0, MAX_EXCERPT_LENGTH),
+        wordCount: countWords(answer),
+        score,
+        issues
+      });
+    });
+
+    // 2. Definition paragraphs ("X is a ...") and <dfn>
+    $('p').each((_, paragraph) => {
+      if (used.has(paragraph) || inChrome(paragraph)) return;
+      const text = cleanText($(paragraph).text());
+      const dfn = cleanText($(paragraph).find('dfn').first().text());
+      const match = text.match(DEFINITION);
+      const term = dfn || (match && match[1].trim());
+      if (!term || countWords(term) > 8 || countWords(text) < 8) return;
+      if (!dfn && !text.toLowerCase().startsWith(term.toLowerCase()) && !/^(an?|the)\s/i.test(text)) return;
+      if (PRONOUN_START.test(term)) return;
+
+      const { score, issues } = this.scoreDefinition(term, text);
+      add(paragraph, {
+        type: 'definition',
+        question: `What is ${term.replace(/^(an?|the)\s+/i, '')}?`,
+        text: text.substring(0, MAX_EXCERPT_LENGTH),
+        wordCount: countWords(text),
+        score,
+        issues
+      });
+    });
+
+    // 3. Step lists: ordered lists, or lists under a how-to / steps heading
+    $('ol, ul').each((_, list) => {
+      if (inChrome(list) || $(list).parents('li').length > 0) return;
+      const items = $(list).children('li').toArray().map(item => cleanText($(item).text())).filter(Boolean);
+      const heading = this.precedingHeading($, list);
+      const ordered = list.tagName === 'ol';
+      if (items.length < 3 || (!ordered && !(heading && STEPS_HEADING.test(heading)))) return;
+      if ($(list).find('a').length >= items.length && !ordered) return; // Link lists, not steps
+
+      const { score, issues } = this.scoreSteps(items, ordered, heading);
+      add(list, {
+        type: 'steps',
+        question: heading,
+        text: items.map((item, index) => `${index + 1}. ${item}`).join(' ').substring(0, MAX_EXCERPT_LENGTH),
+        wordCount: countWords(items.join(' ')),
+        itemCount: items.length,
+        score,
+        issues
+      });
+    });
+
+    // 4. Comparison tables: data tables with a header row
+    $('table').each((_, table) => {
+      if (inChrome(table) || $(table).parents('table').length > 0 || $(table).attr('role') === 'presentation') return;
+      const rows = $(table).find('tr').toArray()
+        .map(row => $(row).children('th, td').toArray().map(cell => cleanText($(cell).text())))
+        .filter(row => row.length > 0);
+      if (rows.length < 2 || Math.max(...rows.map(row => row.length)) < 2) return;
+
+      const caption = cleanText($(table).find('caption').first().text()) || null;
+      const label = caption || this.precedingHeading($, table);
+      const { score, issues } = this.scoreTable($, table, rows, label);
+      add(table, {
+        type: 'comparison-table',
+        question: label,
+        text: rows.slice(0, 3).map(row => row.join(' | ')).join(' / ').substring(0, MAX_EXCERPT_LENGTH),
+        wordCount: countWords(rows.flat().join(' ')),
+        rows: rows.length,
+        columns: Math.max(...rows.map(row => row.length)),
+        comparison: Boolean(label && COMPARISON_HEADING.test(label)) || Math.max(...rows.map(row => row.length)) >= 3,
+        score,
+        issues
+      });
+    });
+
+    const ordered = blocks
+      .sort((a, b) => a.order - b.order)
+      .slice(0, this.maxBlocks)
+      .map(({ order, ...block }) => block);
+
+    const byType = { 'question-answer': 0, definition: 0, steps: 0, 'comparison-table': 0 };
+    ordered.forEach(block => {
+      byType[block.type]++;
+    });
+
+    return {
+      blocks: ordered,
+      summary: {
+        total: ordered.length,
+        snippetReady: ordered.filter(block => block.snippetReady).length,
+        byType,
+        averageScore: ordered.length > 0
+          ? Math.round(ordered.reduce((sum, block) => sum + block.score, 0) / ordered.length)
+          : 0
+      }
+    };
+  }
+}
+
+module.exports = AnswerBlockDetector;
+module.exports.cssSelector = cssSelector;
@@ -0,0 +1,52 @@
+// services/audit-history.firestore.js
+// Firestore backend for audit history (production)
+
+const { Firestore } = require('@google-cloud/firestore');
+const { normalizeUrl } = require('../utils/url');
+const { buildHistoryEntry, hashUrl, isValidResultId } = require('./audit-history');
+
+class FirestoreAuditHistoryStore {
+  constructor(options = {}) {
+    this.firestore = new Firestore({
+      projectId: options.projectId || process.env.GOOGLE_CLOUD_PROJECT || process.env.FIRESTORE_PROJECT,
+    });
+    this.historyCol = this.firestore.collection(options.historyCollection || 'auditHistory');
+    this.resultsCol = this.firestore.collection(options.resultsCollection || 'auditResults');
+  }
+
+  async record(url, result, metadata = {}) {
+    const entry = buildHistoryEntry(url, result, metadata);
+    await this.historyCol.doc(entry.id).set(entry, { merge: false });
+    return entry;
+  }
+
+  // Requires a composite index on (urlHash ASC, auditedAt DESC)
+  async getHistory(url, options = {}) {
+    let query = this.historyCol.where('urlHash', '==', hashUrl(normalizeUrl(url)));
+    if (options.from) query = query.where('auditedAt', '>=', options.from);
+    if (options.to) query = query.where('auditedAt', '<=', options.to);
+    query = query.orderBy('auditedAt', 'desc');
+    if (options.limit) query = query.limit(options.limit);
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => doc.data()).reverse();
+  }
+
+  async getLatest(url) {
+    const history = await this.getHistory(url, { limit: 1 });
+    return history[0] || null;
+  }
+
+  async saveResult(id, record) {
+    // Firestore rejects undefined values, so store a JSON round-tripped copy
+    await this.resultsCol.doc(id).set(JSON.parse(JSON.stringify(record)), { merge: false });
+  }
+
+  async getResult(id) {
+    if (!isValidResultId(id)) return null;
+    const doc = await this.resultsCol.doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+}
+
+module.exports = { FirestoreAuditHistoryStore };
@@ -0,0 +1,302 @@
+// services/audit-history.js
+// Persistent audit history keyed by normalized URL, with pluggable backends
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeUrl } = require('../utils/url');
+const { extractScores, collectIssues } = require('../utils/audit-scores');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('audit-history');
+
+/**
+ * Score metrics exposed by the history API
+ */
+const HISTORY_METRICS = ['overall', 'seo', 'performance', 'accessibility', 'aeo', 'eat'];
+
+/**
+ * Hash a normalized URL into a storage key
+ * @param {string} normalizedUrl - Normalized URL
+ * @returns {string} - sha256 hex digest
+ */
+function hashUrl(normalizedUrl) {
+  return crypto.createHash('sha256').update(normalizedUrl).digest('hex');
+}
+
+/**
+ * Check that a result ID is safe to use as a storage key
+ * @param {string} id - Job ID or history entry ID
+ * @returns {boolean} - True when the ID only contains safe characters
+ */
+function isValidResultId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(id);
+}
+
+/**
+ * Generate a history id; callers that respond before recording finishes pass it as metadata.jobId
+ * @returns {string} - 24 hex characters
+ */
+function createHistoryId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Build the compact entry stored for one audit
+ * @param {string} url - Audited URL
+ * @param {Object} result - Audit result
+ * @param {Object} metadata - { jobId, source, auditedAt }
+ * @returns {Object} - History entry
+ */
+function buildHistoryEntry(url, result, metadata = {}) {
+  const normalizedUrl = normalizeUrl(url);
+  return {
+    id: createHistoryId(),
+    url,
+    normalizedUrl,
+    urlHash: hashUrl(normalizedUrl),
+    auditedAt: metadata.auditedAt || Date.now(),
+    jobId: metadata.jobId || null,
+    source: metadata.source || 'api',
+    mode: (result && result.mode) || null,
+    scores: extractScores(result),
+    issueCount: collectIssues(result).length
+  };
+}
+
+/**
+ * Apply time range and limit filters, oldest first
+ * @param {Array} entries - History entries
+ * @param {Object} options - { from, to, limit } with timestamps in ms
+ * @returns {Array} - Filtered entries
+ */
+function filterEntries(entries, { from, to, limit } = {}) {
+  let filtered = entries
+    .filter(entry => (!from || entry.auditedAt >= from) && (!to || entry.auditedAt <= to))
+    .sort((a, b) => a.auditedAt - b.auditedAt);
+
+  // Keep the most recent entries when limited
+  if (limit) {
+    filtered = filtered.slice(-limit);
+  }
+  return filtered;
+}
+
+/**
+ * Turn history entries into per-metric time series with first/last change
+ * @param {Array} entries - History entries, oldest first
+ * @returns {Object} - { series, change }
+ */
+function buildScoreSeries(entries) {
+  const series = {};
+  const change = {};
+
+  HISTORY_METRICS.forEach(metric => {
+    series[metric] = entries
+      .filter(entry => entry.scores && typeof entry.scores[metric] === 'number')
+      .map(entry => ({
+        timestamp: new Date(entry.auditedAt).toISOString(),
+        value: entry.scores[metric],
+        jobId: entry.jobId
+      }));
+
+    const points = series[metric];
+    change[metric] = points.length === 0 ? null : {
+      first: points[0].value,
+      last: points[points.length - 1].value,
+      delta: points[points.length - 1].value - points[0].value
+    };
+  });
+
+  return { series, change };
+}
+
+class InMemoryAuditHistoryStore {
+  constructor() {
+    this.entries = new Map(); // urlHash -> entries
+    this.results = new Map(); // result id -> stored result
+  }
+
+  async record(url, result, metadata = {}) {
+    const entry = buildHistoryEntry(url, result, metadata);
+    const list = this.entries.get(entry.urlHash) || [];
+    list.push(entry);
+    this.entries.set(entry.urlHash, list);
+    return entry;
+  }
+
+  async getHistory(url, options = {}) {
+    const list = this.entries.get(hashUrl(normalizeUrl(url))) || [];
+    return filterEntries(list, options);
+  }
+
+  async getLatest(url) {
+    const history = await this.getHistory(url);
+    return history[history.length - 1] || null;
+  }
+
+  async saveResult(id, record) {
+    this.results.set(id, record);
+  }
+
+  async getResult(id) {
+    return this.results.get(id) || null;
+  }
+}
+
+class FileAuditHistoryStore {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.AUDIT_HISTORY_DIR ||
+      path.join(__dirname, '../data/audit-history');
+  }
+
+  // One append-only JSON Lines file per normalized URL
+  filePath(urlHash) {
+    return path.join(this.directory, `${urlHash}.jsonl`);
+  }
+
+  async record(url, result, metadata = {}) {
+    const entry = buildHistoryEntry(url, result, metadata);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.appendFile(this.filePath(entry.urlHash), `${JSON.stringify(entry)}\n`, 'utf8');
+    return entry;
+  }
+
+  async getHistory(url, options = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath(hashUrl(normalizeUrl(url))), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = content
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (_) {
+          return null; // Skip a partially written line
+        }
+      })
+      .filter(Boolean);
+
+    return filterEntries(entries, options);
+  }
+
+  async getLatest(url) {
+    const history = await this.getHistory(url);
+    return history[history.length - 1] || null;
+  }
+
+  // Full results are kept one JSON file per audit, separate from the compact entries
+  resultPath(id) {
+    return path.join(this.directory, 'results', `${id}.json`);
+  }
+
+  async saveResult(id, record) {
+    await fs.promises.mkdir(path.join(this.directory, 'results'), { recursive: true });
+    await fs.promises.writeFile(this.resultPath(id), JSON.stringify(record), 'utf8');
+  }
+
+  async getResult(id) {
+    if (!isValidResultId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(this.resultPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a history store for the configured backend
+ * @param {Object} options - { backend: 'file'|'firestore'|'memory', directory, projectId }
+ * @returns {Object} - History store
+ */
+function createAuditHistoryStore(options = {}) {
+  const backend = options.backend || process.env.AUDIT_HISTORY_BACKEND || 'file';
+
+  switch (backend) {
+    case 'firestore': {
+      // Loaded lazily so local setups don't need Firestore credentials
+      const { FirestoreAuditHistoryStore } = require('./audit-history.firestore');
+      return new FirestoreAuditHistoryStore(options);
+    }
+    case 'memory':
+      return new InMemoryAuditHistoryStore();
+    case 'file':
+      return new FileAuditHistoryStore(options);
+    default:
+      throw new Error(`Unknown audit history backend: ${backend}`);
+  }
+}
+
+let globalHistoryStore = null;
+
+/**
+ * Get the process-wide history store
+ * @returns {Object} - History store
+ */
+function getAuditHistoryStore() {
+  if (!globalHistoryStore) {
+    globalHistoryStore = createAuditHistoryStore();
+  }
+  return globalHistoryStore;
+}
+
+/**
+ * Replace the process-wide history store (for testing)
+ * @param {Object|null} store - Store to use, or null to reset
+ */
+function setAuditHistoryStore(store) {
+  globalHistoryStore = store;
+}
+
+/**
+ * Record an audit without ever failing the caller
+ * The full result is stored under the job ID (or the entry ID) so audits can be diffed later
+ * @param {string} url - Audited URL
+ * @param {Object} result - Audit result
+ * @param {Object} metadata - { jobId, source }
+ * @returns {Promise<Object|null>} - Stored entry, or null when recording failed
+ */
+async function recordAuditHistory(url, result, metadata = {}) {
+  try {
+    const store = getAuditHistoryStore();
+    const entry = await store.record(url, result, metadata);
+    const resultId = entry.jobId || entry.id;
+    if (typeof store.saveResult === 'function' && isValidResultId(resultId)) {
+      await store.saveResult(resultId, {
+        id: resultId,
+        url,
+        auditedAt: entry.auditedAt,
+        source: entry.source,
+        result
+      });
+    }
+    return entry;
+  } catch (error) {
+    logger.warn('Failed to record audit history', { url, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  HISTORY_METRICS,
+  InMemoryAuditHistoryStore,
+  FileAuditHistoryStore,
+  buildHistoryEntry,
+  createHistoryId,
+  buildScoreSeries,
+  filterEntries,
+  hashUrl,
+  isValidResultId,
+  createAuditHistoryStore,
+  getAuditHistoryStore,
+  setAuditHistoryStore,
+  recordAuditHistory
+};
@@ -8,7 +8,10 @@ const AIAnalyzer = require('./ai-analyzer');
 const PerformanceAnalyzer = require('./performance-analyzer');
 const BotPolicyAnalyzer = require('./bot-policy-analyzer');
 const ExternalAPIsService = require('./external-apis');
+const SiteCrawler = require('./site-crawler');
 const { fetchWithTimeout, normalizeHeaders } = require('../utils/helpers');
+const { extractStructuredData } = require('../utils/structured-data');
+const { attachFixPriorities } = require('../utils/fix-priorities');
 const { validateAuditUrl, validateAuditOptions } = require('../utils/validation');
 
 class AuditOrchestrator {
@@ -154,6 +157,9 @@ class AuditOrchestrator {
         }
       }
 
+      // Ranked fixes across all analyzers
+      attachFixPriorities(results);
+
       // Calculate processing time
       results.processingTime = Date.now() - startTime;
       
@@ -169,6 +175,26 @@ class AuditOrchestrator {
     }
   }
 
+  /**
+   * Crawl a site's sitemaps and run a lightweight audit on each page
+   * @param {string} url - Site URL or direct sitemap URL
+   * @param {Object} options - { maxUrls, concurrency, discoverOnly, auditOptions }
+   * @returns {Object} - Per-page results and site rollup
+   */
+  async runSitemapAudit(url, options = {}) {
+    const urlValidation = validateAuditUrl(url);
+    if (!urlValidation.isValid) {
+      throw new Error(`Invalid URL: ${urlValidation.errors.join(', ')}`);
+    }
+
+    const crawler = new SiteCrawler({
+      auditor: options.auditor,
+      concurrency: options.concurrency
+    });
+
+    return crawler.crawlSitemap(url, options);
+  }
+
   /**
    * Get headers information including CDN detection
    * @param {string} url - URL to analyze
@@ -208,45 +234,21 @@ class AuditOrchestrator {
   async testSchema($) {
     const schemas = [];
     
-    // Extract JSON-LD schemas
-    $('script[type="application/ld+json"]').each((i, elem) => {
-      try {
-        // Use text() to avoid HTML-encoded quotes and entities
-        const raw = ($(elem).text() || '').trim();
-        if (!raw) return;
-
-        // Clean comments and CDATA wrappers
-        let cleaned = raw
-          .replace(/<!--[\s\S]*?-->/g, '')
-          .replace(/\/\*<!\[CDATA\[\*\//g, '')
-          .replace(/\/\*\]\]>\*\//g, '')
-          .trim();
-
-        let parsed = null;
-        try {
-          parsed = JSON.parse(cleaned);
-        } catch (_) {
-          // Remove trailing commas
-          const noTrailingCommas = cleaned.replace(/,\s*([}\]])/g, '$1');
-          try {
-            parsed = JSON.parse(noTrailingCommas);
-          } catch (_) {
-            // Multiple root objects concatenated
-            const asArray = `[${noTrailingCommas.replace(/}\s*{/, '},{')}]`;
-            parsed = JSON.parse(asArray);
-          }
-        }
-
-        if (Array.isArray(parsed)) {
-          parsed.forEach(item => schemas.push(item));
-        } else if (parsed && Array.isArray(parsed['@graph'])) {
-          parsed['@graph'].forEach(item => schemas.push(item));
-        } else {
-          schemas.push(parsed);
-        }
-      } catch (e) {
-        console.warn('Invalid JSON-LD:', e.message);
+    // Extract JSON-LD, microdata and RDFa Lite into JSON-LD shaped entities
+    const { documents, issues, counts } = extractStructuredData($);
+    issues.forEach(issue => console.warn(issue));
+
+    let jsonLdCount = 0;
+    documents.forEach(({ source, data }) => {
+      const before = schemas.length;
+      if (Array.isArray(data)) {
+        data.forEach(item => schemas.push(item));
+      } else if (data && Array.isArray(data['@graph'])) {
+        data['@graph'].forEach(item => schemas.push(item));
+      } else {
+        schemas.push(data);
       }
+      if (source === 'json-ld') jsonLdCount += schemas.length - before;
     });
     
     // Check for microdata
@@ -269,7 +271,8 @@ class AuditOrchestrator {
     
     return {
       found: schemas.length > 0 || hasItemscope || hasRDFa,
-      jsonLdCount: schemas.length,
+      jsonLdCount,
+      sources: counts,
       types: [...new Set(types)], // Remove duplicates
       hasMicrodata: hasItemscope,
       hasRDFa: hasRDFa,
@@ -390,8 +393,8 @@ class AuditOrchestrator {
     // Answer Clarity
     const answerClarity = (() => {
       const h1 = $('h1').length;
-      const faqs = $('script[type="application/ld+json"]').filter((_, el) => 
-        /FAQPage/.test($(el).html() || '')).length;
+      const faqs = extractStructuredData($).documents
+        .filter(doc => this.aiAnalyzer.containsFAQSchema(doc.data)).length;
       const qText = any(bodyText, qTerms[langSafe(lang)]);
       
       let score = 0;
@@ -3,6 +3,7 @@
 
 const { logger } = require('../utils/logger');
 const httpClient = require('./http-client');
+const { extractStructuredData } = require('../utils/structured-data');
 
 class OptimizedAuditOrchestrator {
     constructor() {
@@ -25,76 +26,33 @@ class OptimizedAuditOrchestrator {
     }
 
     // Shared HTML fetcher to avoid duplicate requests  
-    async getPageContent(url) {
-        const response = await this.makeOptimizedRequest(url);
+    async getPageContent(url, options = {}) {
+        const response = await this.getDocument(url, options);
         if (response.status >= 400) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
+        return response;
+    }
+
+    // Fetch the audited page once and expose the parsed document to every check
+    async fetchSharedDocument(url, options = {}) {
+        const response = await this.makeOptimizedRequest(url, {
+            adaptiveTimeout: options.adaptiveTimeout
+        });
         const cheerio = require('cheerio');
         return {
-            html: response.body,
-            $: cheerio.load(response.body),
-            url: response.url,
-            status: response.status,
-            headers: response.headers
+            ...response,
+            html: response.body || '',
+            $: cheerio.load(response.body || '')
         };
     }
 
-    // Follow redirects and track redirect chain
-    async followRedirects(url, options = {}, maxRedirects = 5) {
-        const redirectChain = [];
-        let currentUrl = url;
-        let redirectCount = 0;
-        
-        while (redirectCount < maxRedirects) {
-            const startTime = Date.now();
-            const fetch = require('node-fetch');
-            
-            const response = await fetch(currentUrl, {
-                timeout: options.adaptiveTimeout ? this.dynamicSiteTimeout : this.requestTimeout,
-                redirect: 'manual',
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (compatible; AttentionBot/1.0; +https://attentionisallyouneed.app)',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5',
-                    'Accept-Encoding': 'gzip, deflate',
-                    'Cache-Control': 'no-cache',
-                    ...options.headers
-                },
-                ...options
-            });
-            
-            const responseTime = Date.now() - startTime;
-            
-            // Track this step in redirect chain
-            redirectChain.push({
-                url: currentUrl,
-                status: response.status,
-                responseTime,
-                isRedirect: response.status >= 300 && response.status < 400
-            });
-            
-            // If not a redirect, we're done
-            if (response.status < 300 || response.status >= 400) {
-                return {
-                    response,
-                    finalUrl: currentUrl,
-                    redirectChain,
-                    totalRedirects: redirectCount
-                };
-            }
-            
-            // Follow redirect
-            const location = response.headers.get('location');
-            if (!location) {
-                throw new Error(`Redirect without location header at ${currentUrl}`);
-            }
-            
-            currentUrl = new URL(location, currentUrl).href;
-            redirectCount++;
+    // Resolve a check's document: the audit-wide shared fetch if present, otherwise a fresh one
+    async getDocument(url, options = {}) {
+        if (options.sharedDocument) {
+            return await options.sharedDocument;
         }
-        
-        throw new Error(`Too many redirects (>${maxRedirects}) starting from ${url}`);
+        return await this.fetchSharedDocument(url, options);
     }
 
     // Optimized HTTP client with caching and redirect handling
@@ -112,39 +70,20 @@ class OptimizedAuditOrchestrator {
         }
         
         try {
-            // Follow redirects and get final response
-            const redirectResult = await this.followRedirects(url, options);
-            const response = redirectResult.response;
-            
-            // Check content length before reading
-            const contentLength = response.headers.get('content-length');
-            if (contentLength && parseInt(contentLength) > this.maxResponseSize) {
-                throw new Error(`Response too large: ${contentLength} bytes`);
-            }
-            
-            const data = {
-                status: response.status,
-                statusText: response.statusText,
-                headers: Object.fromEntries(response.headers.entries()),
-                url: redirectResult.finalUrl, // Use final URL after redirects
-                body: null,
-                redirectChain: redirectResult.redirectChain, // Include redirect chain in response
-                totalRedirects: redirectResult.totalRedirects
-            };
-            
-            // Only read body if needed
-            if (options.includeBody !== false) {
-                const text = await response.text();
-                if (text.length > this.maxResponseSize) {
-                    data.body = text.substring(0, this.maxResponseSize);
-                    data.truncated = true;
-                } else {
-                    data.body = text;
+            // Pooled client follows redirects, records the chain and caps the body size
+            const data = await httpClient.request(url, {
+                timeout: options.adaptiveTimeout ? this.dynamicSiteTimeout : this.requestTimeout,
+                maxRedirects: 5,
+                maxResponseSize: this.maxResponseSize,
+                includeBody: options.includeBody !== false,
+                headers: {
+                    'Cache-Control': 'no-cache',
+                    ...options.headers
                 }
-            }
+            });
             
             // Cache successful responses
-            if (response.status < 400) {
+            if (data.status < 400) {
                 this.requestCache.set(cacheKey, {
                     data,
                     timestamp: Date.now()
@@ -191,11 +130,12 @@ class OptimizedAuditOrchestrator {
         return this.lighthouse;
     }
 
+    // One renderer (and browser) per process, shared with PDF report export
     async loadJSRenderer() {
         if (!this.jsRenderer) {
             try {
-                const JavaScriptRenderer = require('./js-renderer');
-                this.jsRenderer = new JavaScriptRenderer();
+                const { getSharedRenderer } = require('./js-renderer');
+                this.jsRenderer = getSharedRenderer();
             } catch (error) {
                 logger.warn('JavaScript renderer not available:', error.message);
                 return null;
@@ -351,6 +291,12 @@ class OptimizedAuditOrchestrator {
                 adaptiveTimeout: options.fastMode ? false : true
             };
 
+            // Fetch the page once (or reuse a crawler's fetch); every check below reads the same document
+            auditOptions.sharedDocument = options.sharedDocument
+                ? Promise.resolve(options.sharedDocument)
+                : this.fetchSharedDocument(url, auditOptions);
+            auditOptions.sharedDocument.catch(() => {}); // Each check reports the failure itself
+
             // Individual method timeouts based on complexity
             const methodTimeouts = {
                 seo: options.fastMode ? 3000 : 8000,
@@ -361,7 +307,8 @@ class OptimizedAuditOrchestrator {
                 schema: options.fastMode ? 2000 : 8000,
                 eat: options.fastMode ? 3000 : 10000,
                 psi: options.fastMode ? 8000 : 20000,
-                aeo: options.fastMode ? 4000 : 12000
+                aeo: options.fastMode ? 4000 : 12000,
+                llmsLinks: 15000
             };
 
             const checks = [
@@ -386,19 +333,19 @@ class OptimizedAuditOrchestrator {
                 safeExecuteMethod(
                     () => this.checkBasicFiles(url, auditOptions),
                     'Files Analysis',
-                    { robots: { exists: false }, sitemap: { exists: false } },
+                    { robots: { exists: false }, sitemap: { exists: false }, error: 'Files analysis failed' },
                     methodTimeouts.files
                 ),
                 safeExecuteMethod(
                     () => this.checkBasicMetadata(url, auditOptions),
                     'Metadata Analysis',
-                    { title: '', description: '', issues: [] },
+                    { title: '', description: '', issues: [], error: 'Metadata analysis failed' },
                     methodTimeouts.metadata
                 ),
                 safeExecuteMethod(
                     () => this.checkBasicSchema(url, auditOptions),
                     'Schema Analysis',
-                    { types: [], score: 0, issues: [] },
+                    { types: [], score: 0, issues: [], error: 'Schema analysis failed' },
                     methodTimeouts.schema
                 ),
                 safeExecuteMethod(
@@ -434,6 +381,17 @@ class OptimizedAuditOrchestrator {
                 methodTimeouts.aeo
             ));
 
+            // Add llms.txt link reachability checks if requested (skipped in fast mode)
+            const llmsLinksIndex = options.llmsLinkChecks && !options.fastMode ? checks.length : -1;
+            if (llmsLinksIndex >= 0) {
+                checks.push(safeExecuteMethod(
+                    () => this.checkLlmsLinks(url),
+                    'llms.txt Link Checks',
+                    null,
+                    methodTimeouts.llmsLinks
+                ));
+            }
+
             // Race between audit completion and global timeout
             logger.info(`Starting ${checks.length} analysis methods in parallel`);
             const results = await Promise.race([
@@ -514,6 +472,18 @@ class OptimizedAuditOrchestrator {
                     results[aeoIndex].value : { error: results[aeoIndex].reason?.message };
             }
 
+            // Replace the structure-only llms.txt report with the link-checked one
+            const llmsLinks = llmsLinksIndex >= 0 ? results[llmsLinksIndex] : null;
+            const llmsFiles = auditResults.tests.files && auditResults.tests.files.llms;
+            if (llmsLinks && llmsFiles && llmsFiles.exists) {
+                const value = llmsLinks.status === 'fulfilled' ? llmsLinks.value : null;
+                if (value && !value.fallback) {
+                    llmsFiles.validation = value;
+                } else {
+                    llmsFiles.linkCheckError = value ? value.error : llmsLinks.reason?.message;
+                }
+            }
+
             // Add PageSpeed Insights data if enabled and not in fast mode
             if (process.env.USE_PSI_METRICS === 'true' && options.includePSI !== false) {
                 logger.info('Adding PageSpeed Insights data to lightweight audit...');
@@ -538,6 +508,10 @@ class OptimizedAuditOrchestrator {
                 }
             }
 
+            // Ranked fixes across all analyzers
+            const { attachFixPriorities } = require('../utils/fix-priorities');
+            attachFixPriorities(auditResults);
+
             logger.info(`${auditResults.mode} audit completed in ${auditResults.executionTime}ms`);
             return auditResults;
 
@@ -805,6 +779,10 @@ class OptimizedAuditOrchestrator {
                 }
             }
 
+            // Recompute after the rendered pass replaced AEO and performance results
+            const { attachFixPriorities } = require('../utils/fix-priorities');
+            attachFixPriorities(combinedResults);
+
             logger.info(`Two-pass audit completed in ${combinedResults.executionTime}ms`);
             return combinedResults;
 
@@ -869,36 +847,14 @@ class OptimizedAuditOrchestrator {
 
     // Compare static vs JavaScript-rendered results
     compareStaticVsJS(staticSEO, jsSEO) {
-        const differences = [];
-        
-        if (staticSEO.title !== jsSEO.title) {
-            differences.push({
-                field: 'title',
-                static: staticSEO.title,
-                jsRendered: jsSEO.title,
-                significance: 'high'
-            });
-        }
-        
-        if (staticSEO.h1Count !== jsSEO.h1Count) {
-            differences.push({
-                field: 'h1Count',
-                static: staticSEO.h1Count,
-                jsRendered: jsSEO.h1Count,
-                significance: 'medium'
-            });
-        }
-        
-        if (Math.abs(staticSEO.wordCount - jsSEO.wordCount) > 100) {
-            differences.push({
-                field: 'wordCount',
-                static: staticSEO.wordCount,
-                jsRendered: jsSEO.wordCount,
-                significance: 'high'
-            });
-        }
-        
-        return differences;
+        const { compareFields, SEO_FIELDS } = require('../utils/audit-diff');
+
+        return compareFields(staticSEO, jsSEO, SEO_FIELDS).map(diff => ({
+            field: diff.field,
+            static: diff.before,
+            jsRendered: diff.after,
+            significance: diff.significance
+        }));
     }
 
     // Compare static vs JavaScript-rendered AEO results
@@ -980,19 +936,14 @@ class OptimizedAuditOrchestrator {
 
     // Basic SEO check using optimized HTTP client
     async checkBasicSEO(url, options = {}) {
-        const cheerio = require('cheerio');
-
         try {
-            const response = await this.makeOptimizedRequest(url, { 
-                adaptiveTimeout: options.adaptiveTimeout 
-            });
+            const response = await this.getDocument(url, options);
             
             if (response.status >= 400) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const html = response.body;
-            const $ = cheerio.load(html);
+            const { html, $ } = response;
 
             const title = $('title').text().trim();
             const description = $('meta[name="description"]').attr('content') || '';
@@ -1118,12 +1069,10 @@ class OptimizedAuditOrchestrator {
     // Basic performance check using simple HTTP metrics
     async checkBasicPerformance(url, options = {}) {
         try {
-            const startTime = Date.now();
-            const response = await this.makeOptimizedRequest(url, { includeBody: false });
-            const endTime = Date.now();
-            const responseTime = endTime - startTime;
+            const response = await this.getDocument(url, options);
+            const responseTime = response.responseTime;
             
-            const contentLength = parseInt(response.headers['content-length'] || '0');
+            const contentLength = parseInt(response.headers['content-length'] || '0') || response.size || 0;
             
             return {
                 responseTime,
@@ -1292,21 +1241,14 @@ class OptimizedAuditOrchestrator {
 
     // Fallback basic accessibility check using cheerio
     async checkBasicAccessibilityFallback(url, options = {}) {
-        const cheerio = require('cheerio');
-
         try {
-            // Use optimized HTTP client with connection pooling
-            const response = await httpClient.fetch(url, {
-                timeout: 10000,
-                headers: { 'User-Agent': 'SEO-Audit-Tool/2.1.0' }
-            });
+            const response = await this.getDocument(url, options);
             
-            if (!response.ok) {
+            if (response.status >= 400) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const html = await response.text();
-            const $ = cheerio.load(html);
+            const { $ } = response;
 
             const issues = [];
             
@@ -1513,7 +1455,7 @@ class OptimizedAuditOrchestrator {
 
     // Check for basic files (robots.txt, sitemap variants, etc.)
     async checkBasicFiles(url, options = {}) {
-        const fetch = require('node-fetch');
+        const fetch = (target, fetchOptions) => httpClient.fetch(target, fetchOptions);
         const baseUrl = new URL(url).origin;
 
         try {
@@ -1669,6 +1611,23 @@ class OptimizedAuditOrchestrator {
                 }
             }
 
+            // Validate llms.txt structure when present; link reachability runs as its own opt-in step
+            const llmsResult = {
+                exists: llmsResponse.status === 'fulfilled' && llmsResponse.value.ok,
+                url: `${baseUrl}/llms.txt`
+            };
+            if (llmsResult.exists) {
+                try {
+                    llmsResult.validation = await this.getLlmsValidator().validate(baseUrl, {
+                        content: await llmsResponse.value.text(),
+                        contentType: llmsResponse.value.headers.get('content-type'),
+                        checkLinks: false
+                    });
+                } catch (error) {
+                    llmsResult.validationError = error.message;
+                }
+            }
+
             return {
                 robots: robotsAnalysis,
                 sitemap: sitemapResult,
@@ -1676,40 +1635,37 @@ class OptimizedAuditOrchestrator {
                     exists: rssResponse.status === 'fulfilled' && rssResponse.value.ok,
                     url: `${baseUrl}/rss.xml`
                 },
-                llms: {
-                    exists: llmsResponse.status === 'fulfilled' && llmsResponse.value.ok,
-                    url: `${baseUrl}/llms.txt`
-                }
+                llms: llmsResult
             };
         } catch (error) {
             throw new Error(`File check failed: ${error.message}`);
         }
     }
 
+    // Lazily create the llms.txt validator shared by the files check and the link check step
+    getLlmsValidator() {
+        if (!this.llmsValidator) {
+            const LlmsTxtValidator = require('./llms-txt-validator');
+            this.llmsValidator = new LlmsTxtValidator({ maxLinkChecks: 10 });
+        }
+        return this.llmsValidator;
+    }
+
+    // Full llms.txt validation: link reachability, llms-full.txt and .md variants (network heavy, opt-in)
+    async checkLlmsLinks(url) {
+        return this.getLlmsValidator().validate(new URL(url).origin);
+    }
+
     // Basic metadata extraction
     async checkBasicMetadata(url, options = {}) {
-        const fetch = require('node-fetch');
-        const cheerio = require('cheerio');
-
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-            const response = await fetch(url, { 
-                signal: controller.signal,
-                timeout: 10000,
-                headers: { 'User-Agent': 'SEO-Audit-Tool/2.1.0' },
-                size: 5 * 1024 * 1024 // 5MB limit
-            });
-            
-            clearTimeout(timeoutId);
+            const response = await this.getDocument(url, options);
             
-            if (!response.ok) {
+            if (response.status >= 400) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const html = await response.text();
-            const $ = cheerio.load(html);
+            const { $ } = response;
 
             const issues = [];
             const title = $('title').text().trim();
@@ -1788,29 +1744,16 @@ class OptimizedAuditOrchestrator {
 
     // Enhanced schema detection with business type analysis and AI-readiness scoring
     async checkBasicSchema(url, options = {}) {
-        const fetch = require('node-fetch');
-        const cheerio = require('cheerio');
         const path = require('path');
 
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000);
-
-            const response = await fetch(url, { 
-                signal: controller.signal,
-                timeout: 10000,
-                headers: { 'User-Agent': 'SEO-Audit-Tool/2.1.0' },
-                size: 5 * 1024 * 1024
-            });
-            
-            clearTimeout(timeoutId);
+            const response = await this.getDocument(url, options);
             
-            if (!response.ok) {
+            if (response.status >= 400) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const html = await response.text();
-            const $ = cheerio.load(html);
+            const { $ } = response;
 
             // Load business types configuration
             const businessTypesConfig = require(path.join(__dirname, '../config/business-types.json'));
@@ -1818,102 +1761,36 @@ class OptimizedAuditOrchestrator {
             const jsonLdScripts = $('script[type="application/ld+json"]');
             const microdataItems = $('[itemscope]');
             const types = [];
-            const issues = [];
-            const schemaData = []; // Store actual schema objects for field analysis
             const schemaEvidence = []; // Store evidence of schemas found
 
-            // Enhanced JSON-LD parsing (tolerant to real-world markup)
-            jsonLdScripts.each((i, script) => {
-                try {
-                    // Use text() to decode HTML entities like &quot; that break JSON.parse
-                    const raw = ($(script).text() || '').trim();
-                    if (!raw) return;
-
-                    // Clean up content - strip HTML comments and CDATA wrappers
-                    let cleaned = raw
-                        .replace(/<!--[\s\S]*?-->/g, '')
-                        .replace(/\/\*<!\[CDATA\[\*\//g, '')
-                        .replace(/\/\*\]\]>\*\//g, '')
-                        .trim();
-
-                    // Try strict parse first
-                    let parsed = null;
-                    try {
-                        parsed = JSON.parse(cleaned);
-                    } catch (_) {
-                        // Fallbacks:
-                        // 1) Remove trailing commas
-                        const noTrailingCommas = cleaned.replace(/,\s*([}\]])/g, '$1');
-                        try {
-                            parsed = JSON.parse(noTrailingCommas);
-                        } catch (_) {
-                            // 2) Multiple root objects concatenated -> wrap as array
-                            const asArray = `[${noTrailingCommas.replace(/}\s*{/, '},{')}]`;
-                            try {
-                                parsed = JSON.parse(asArray);
-                            } catch (err) {
-                                issues.push(`Invalid JSON-LD syntax: ${err.message.substring(0, 80)}`);
-                            }
-                        }
-                    }
-
-                    if (parsed) {
-                        schemaData.push(parsed);
-                        this.extractTypesFromJsonLd(parsed, types);
-                        
-                        // Capture evidence for first 3 schemas
-                        if (schemaEvidence.length < 3) {
-                            schemaEvidence.push({
-                                type: 'json-ld',
-                                snippet: cleaned.substring(0, 200), // First 200 chars
-                                location: `script[${i + 1}]`,
-                                hasType: !!(parsed['@type'] || (Array.isArray(parsed) && parsed[0]?.['@type']))
-                            });
-                        }
-                    }
-                } catch (e) {
-                    issues.push(`JSON-LD processing error: ${e.message.substring(0, 80)}`);
-                }
-            });
-
-            // Enhanced microdata parsing
-            microdataItems.each((i, el) => {
-                const itemType = $(el).attr('itemtype');
-                if (itemType) {
-                    // Extract type from schema.org URL
-                    const typeMatch = itemType.match(/schema\.org\/(.+)$/);
-                    if (typeMatch) {
-                        types.push(typeMatch[1]);
-                        
-                        // Capture microdata evidence for first 2 items
-                        if (schemaEvidence.filter(e => e.type === 'microdata').length < 2) {
-                            schemaEvidence.push({
-                                type: 'microdata',
-                                itemType: itemType,
-                                element: el.tagName.toLowerCase(),
-                                hasItemProp: !!($(el).attr('itemprop') || $(el).find('[itemprop]').length > 0)
-                            });
-                        }
-                    } else {
-                        // Fallback for other formats
-                        const type = itemType.split('/').pop();
-                        if (type) types.push(type);
-                    }
+            // JSON-LD, microdata and RDFa Lite normalized into JSON-LD shaped documents
+            const { documents, issues, counts } = extractStructuredData($);
+            const schemaData = documents.map(doc => doc.data); // Merged graph for field analysis and validation
+
+            documents.forEach(doc => {
+                this.extractTypesFromJsonLd(doc.data, types);
+
+                // Capture evidence for the first 3 JSON-LD schemas and 2 items per attribute syntax
+                const limit = doc.source === 'json-ld' ? 3 : 2;
+                if (schemaEvidence.filter(e => e.type === doc.source).length >= limit) return;
+                if (doc.source === 'json-ld') {
+                    schemaEvidence.push({
+                        type: 'json-ld',
+                        snippet: doc.snippet, // First 200 chars
+                        location: doc.location,
+                        hasType: !!(doc.data['@type'] || (Array.isArray(doc.data) && doc.data[0]?.['@type']))
+                    });
+                } else {
+                    schemaEvidence.push({
+                        type: doc.source,
+                        itemType: doc.data['@type'],
+                        element: doc.element,
+                        location: doc.location,
+                        hasItemProp: Object.keys(doc.data).some(key => !key.startsWith('@'))
+                    });
                 }
             });
 
-            // Check for RDFa (less common but worth checking)
-            const rdfa = $('[typeof], [property]').length;
-            if (rdfa > 0) {
-                $('[typeof]').each((i, el) => {
-                    const typeOf = $(el).attr('typeof');
-                    if (typeOf && typeOf.includes('schema.org')) {
-                        const type = typeOf.split('/').pop();
-                        if (type) types.push(type);
-                    }
-                });
-            }
-
             const uniqueTypes = [...new Set(types)];
 
             // Detect business type (multilingual safe)
@@ -1922,6 +1799,20 @@ class OptimizedAuditOrchestrator {
             // Analyze schema coverage for detected business type
             const schemaAnalysis = this.analyzeSchemaFields(schemaData, businessTypeResult.type, businessTypesConfig);
 
+            // Property-level validation per schema type (config/schema-rules.json), following @graph/@id references
+            if (!this.schemaValidator) {
+                const SchemaValidator = require('./schema-validator');
+                this.schemaValidator = new SchemaValidator();
+            }
+            const propertyValidation = this.schemaValidator.validate(schemaData);
+
+            // Rich result eligibility per search feature (config/rich-results.json)
+            if (!this.richResultEvaluator) {
+                const RichResultEvaluator = require('./rich-result-evaluator');
+                this.richResultEvaluator = new RichResultEvaluator({ validator: this.schemaValidator });
+            }
+            const richResults = this.richResultEvaluator.evaluate(schemaData, propertyValidation);
+
             // Sprint 5c: Enhanced schema matrix analysis
             if (!this.schemaMatrix) {
                 const SchemaTypeMatrix = require('./schema-type-matrix');
@@ -1948,13 +1839,14 @@ class OptimizedAuditOrchestrator {
             let schemaDetectionSummary = {
                 jsonLdScripts: jsonLdScripts.length,
                 microdataItems: microdataItems.length,
+                rdfaItems: counts.rdfa,
                 searchAttempted: true
             };
 
             // Honest validation - only claim "not found" when we have evidence
             if (uniqueTypes.length === 0) {
-                if (jsonLdScripts.length === 0 && microdataItems.length === 0) {
-                    issues.push(`No structured data detected (searched ${jsonLdScripts.length} JSON-LD scripts, ${microdataItems.length} microdata items)`);
+                if (jsonLdScripts.length === 0 && microdataItems.length === 0 && counts.rdfa === 0) {
+                    issues.push(`No structured data detected (searched ${jsonLdScripts.length} JSON-LD scripts, ${microdataItems.length} microdata items, RDFa)`);
                 } else {
                     issues.push('Structured data may be present but could not be parsed - manual verification recommended');
                     schemaDetectionSummary.parsingIssues = true;
@@ -1964,11 +1856,19 @@ class OptimizedAuditOrchestrator {
             // Add content validation issues
             issues.push(...contentValidation.issues);
 
+            // Surface the first property errors; the full list lives in propertyValidation
+            propertyValidation.issues
+                .filter(issue => issue.severity === 'error')
+                .slice(0, 5)
+                .forEach(issue => issues.push(`${issue.message} (${issue.path})`));
+
             return {
                 types: uniqueTypes,
                 totalSchemas: types.length,
                 jsonLdCount: jsonLdScripts.length,
                 microdataCount: microdataItems.length,
+                rdfaCount: counts.rdfa,
+                structuredDataSources: counts,
                 issues,
                 // New AI-era fields
                 businessType: businessTypeResult,
@@ -1977,6 +1877,8 @@ class OptimizedAuditOrchestrator {
                 aiReadinessScore,
                 fieldCoveragePercent: schemaAnalysis.coveragePercent,
                 contentValidation: contentValidation,
+                propertyValidation,
+                richResults,
                 evidence: schemaEvidence, // DOM evidence for verification
                 // Sprint 5c: Enhanced schema matrix analysis
                 matrixAnalysis: matrixAnalysis,
@@ -2262,6 +2164,17 @@ class OptimizedAuditOrchestrator {
         }
     }
 
+    // Breadth-first link-graph crawl for sites without a usable sitemap
+    async performLinkGraphCrawl(url, options = {}) {
+        const LinkGraphCrawler = require('./link-graph-crawler');
+        const crawler = new LinkGraphCrawler({
+            auditor: this,
+            fetchPage: (pageUrl) => this.getPageContent(pageUrl),
+            concurrency: options.concurrency
+        });
+        return await crawler.crawl(url, options);
+    }
+
     async performPuppeteerAudit(url, options = {}) {
         // Implementation for full Puppeteer-based audit
         // Only loads when puppeteer is available
@@ -2363,7 +2276,7 @@ class OptimizedAuditOrchestrator {
                     headers: {}
                 };
             } else {
-                pageContent = await this.getPageContent(url);
+                pageContent = await this.getPageContent(url, options);
             }
             const { $, html } = pageContent;
 
@@ -2372,14 +2285,7 @@ class OptimizedAuditOrchestrator {
             const isEnglish = language === 'en';
 
             // 1. FAQ Detection (Schema-based - multilingual safe)
-            const faqSchemaDetected = $('script[type="application/ld+json"]').toArray().some(script => {
-                try {
-                    const data = JSON.parse($(script).text());
-                    return this.containsFAQSchema(data);
-                } catch (e) {
-                    return false;
-                }
-            });
+            const faqSchemaDetected = extractStructuredData($).documents.some(doc => this.containsFAQSchema(doc.data));
 
             // 2. FAQ Pattern Detection (English-only)
             let faqPatternsFound = 0;
@@ -2470,6 +2376,9 @@ class OptimizedAuditOrchestrator {
                 conversationalScore = this.analyzeConversationalTone($);
             }
 
+            // 6. Candidate answer passages (question → answer, definitions, steps, tables)
+            const answerBlocks = this.aiAnalyzer.getAnswerBlockDetector().detect($);
+
             // Calculate AEO Score
             const aeoScore = this.calculateAEOScore({
                 faqSchemaDetected,
@@ -2508,6 +2417,7 @@ class OptimizedAuditOrchestrator {
                     score: conversationalScore,
                     scope: conversationalScope
                 },
+                answerBlocks,
                 recommendations: this.generateAEORecommendations({
                     faqSchemaDetected,
                     faqPatternsFound,
@@ -2538,21 +2448,8 @@ class OptimizedAuditOrchestrator {
                 const cheerio = require('cheerio');
                 $ = cheerio.load(options.renderedContent.html);
             } else {
-                // Fetch static content using built-in fetch
-                const response = await fetch(url, {
-                    signal: AbortSignal.timeout(10000),
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (compatible; SEO-Audit-Tool/2.0; +https://seo-audit-tool.com)'
-                    }
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                const html = await response.text();
-                const cheerio = require('cheerio');
-                $ = cheerio.load(html);
+                // Static document shared with the other lightweight checks
+                ({ $ } = await this.getPageContent(url, options));
             }
 
             // Create mock tests object for compatibility
@@ -2587,6 +2484,10 @@ class OptimizedAuditOrchestrator {
                     score: analysis.contentStructure?.answerSignals?.score || 50,
                     scope: 'multilingual-safe'
                 },
+                answerBlocks: {
+                    blocks: analysis.contentStructure?.answerSignals?.evidence?.answerBlocks || [],
+                    summary: analysis.contentStructure?.answerSignals?.evidence?.answerBlockSummary || null
+                },
                 recommendations: analysis.recommendations || []
             };
 
@@ -2977,32 +2878,16 @@ class OptimizedAuditOrchestrator {
                 this.eatAnalyzer = new EATAnalyzer();
             }
 
-            const response = await this.makeOptimizedRequest(url, { 
-                adaptiveTimeout: options.adaptiveTimeout 
-            });
+            const response = await this.getDocument(url, options);
             
             if (response.status >= 400) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const cheerio = require('cheerio');
-            const $ = cheerio.load(response.body);
+            const { $ } = response;
 
-            // Get schema data for enhanced author analysis
-            const jsonLdScripts = $('script[type="application/ld+json"]');
-            const schemaData = [];
-            
-            jsonLdScripts.each((i, script) => {
-                try {
-                    const raw = $(script).text().trim();
-                    if (raw) {
-                        const parsed = JSON.parse(raw);
-                        schemaData.push(parsed);
-                    }
-                } catch (e) {
-                    // Skip invalid JSON-LD
-                }
-            });
+            // Get schema data (JSON-LD, microdata, RDFa) for enhanced author analysis
+            const schemaData = extractStructuredData($).documents.map(doc => doc.data);
 
             // Perform comprehensive E-A-T analysis
             const eatResults = await this.eatAnalyzer.analyzeEAT($, url, schemaData);
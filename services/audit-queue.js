@@ -39,6 +39,7 @@ class AuditQueue extends EventEmitter {
     
     // Allow dependency injection for testing
     this.orchestratorFactory = options.orchestratorFactory || (() => new AuditOrchestrator());
+    this.historyRecorder = options.historyRecorder || null; // (url, result, metadata) => Promise
     
     // Queue state
     this.pending = new Map(); // jobId -> job
@@ -324,6 +325,11 @@ class AuditQueue extends EventEmitter {
       console.log(`✅ Job ${jobId} completed in ${job.processingTime}ms`);
       this.emit('jobCompleted', job);
 
+      if (this.historyRecorder) {
+        // Recorders must not throw; history is best-effort
+        this.historyRecorder(job.url, result, { jobId, source: 'queue', options: job.options });
+      }
+
     } catch (error) {
       // Clear timeout on error
       if (timeoutId) {
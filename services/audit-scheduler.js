@@ -0,0 +1,589 @@
+// services/audit-scheduler.js
+// Recurring audits from cron-style schedule definitions, enqueued into the audit queue
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { JOB_PRIORITY } = require('./audit-queue');
+const { parseCron, validateCron, getNextRun, getRunsBetween } = require('../utils/cron');
+const { validateAuditUrl } = require('../utils/validation');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('audit-scheduler');
+
+/**
+ * Schedule target types
+ */
+const SCHEDULE_TYPES = ['url', 'sitemap'];
+
+/**
+ * Fields a client may set on a schedule
+ */
+const EDITABLE_FIELDS = ['name', 'url', 'type', 'cron', 'options', 'priority', 'webhookClientId', 'enabled', 'catchUp', 'maxUrls'];
+
+/**
+ * Validate a schedule definition
+ * @param {Object} definition - Schedule fields
+ * @param {Object} options - { partial } skip required checks for updates
+ * @returns {Object} - Validation result with isValid and errors
+ */
+function validateSchedule(definition, { partial = false } = {}) {
+  const result = { isValid: true, errors: [] };
+  const fail = (message) => {
+    result.isValid = false;
+    result.errors.push(message);
+  };
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    fail('Schedule definition must be an object');
+    return result;
+  }
+
+  if (!partial || definition.url !== undefined) {
+    const urlValidation = validateAuditUrl(definition.url);
+    if (!urlValidation.isValid) urlValidation.errors.forEach(fail);
+  }
+
+  if (!partial || definition.cron !== undefined) {
+    const cronValidation = validateCron(definition.cron);
+    if (!cronValidation.isValid) fail(`Invalid cron expression: ${cronValidation.error}`);
+  }
+
+  if (definition.type !== undefined && !SCHEDULE_TYPES.includes(definition.type)) {
+    fail(`type must be one of: ${SCHEDULE_TYPES.join(', ')}`);
+  }
+
+  if (definition.options !== undefined &&
+      (typeof definition.options !== 'object' || definition.options === null || Array.isArray(definition.options))) {
+    fail('options must be an object');
+  }
+
+  if (definition.priority !== undefined && !Object.values(JOB_PRIORITY).includes(definition.priority)) {
+    fail(`priority must be one of: ${Object.values(JOB_PRIORITY).join(', ')}`);
+  }
+
+  if (definition.webhookClientId !== undefined && definition.webhookClientId !== null &&
+      (typeof definition.webhookClientId !== 'string' || !/^[\w-]{1,64}$/.test(definition.webhookClientId))) {
+    fail('webhookClientId must be a string of letters, digits, "-" or "_"');
+  }
+
+  ['enabled', 'catchUp'].forEach(field => {
+    if (definition[field] !== undefined && typeof definition[field] !== 'boolean') {
+      fail(`${field} must be a boolean`);
+    }
+  });
+
+  if (definition.maxUrls !== undefined) {
+    const maxUrls = definition.maxUrls;
+    if (!Number.isInteger(maxUrls) || maxUrls < 1 || maxUrls > 500) {
+      fail('maxUrls must be an integer between 1 and 500');
+    }
+  }
+
+  return result;
+}
+
+class InMemoryScheduleStore {
+  constructor() {
+    this.schedules = new Map(); // id -> schedule
+  }
+
+  async list() {
+    return [...this.schedules.values()];
+  }
+
+  async get(id) {
+    return this.schedules.get(id) || null;
+  }
+
+  async save(schedule) {
+    this.schedules.set(schedule.id, schedule);
+    return schedule;
+  }
+
+  async delete(id) {
+    return this.schedules.delete(id);
+  }
+}
+
+class FileScheduleStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.SCHEDULES_FILE ||
+      path.join(__dirname, '../data/schedules.json');
+    this.schedules = null;
+  }
+
+  // Schedules are few, so the whole set is kept in memory and rewritten on change
+  async load() {
+    if (this.schedules) return this.schedules;
+
+    this.schedules = new Map();
+    try {
+      const content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      (content.schedules || []).forEach(schedule => this.schedules.set(schedule.id, schedule));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    return this.schedules;
+  }
+
+  async persist() {
+    const content = JSON.stringify({ version: 1, schedules: [...this.schedules.values()] }, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, content, 'utf8');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async list() {
+    return [...(await this.load()).values()];
+  }
+
+  async get(id) {
+    return (await this.load()).get(id) || null;
+  }
+
+  async save(schedule) {
+    (await this.load()).set(schedule.id, schedule);
+    await this.persist();
+    return schedule;
+  }
+
+  async delete(id) {
+    const deleted = (await this.load()).delete(id);
+    if (deleted) await this.persist();
+    return deleted;
+  }
+}
+
+/**
+ * Create a schedule store for the configured backend
+ * @param {Object} options - { backend: 'file'|'memory', filePath }
+ * @returns {Object} - Schedule store
+ */
+function createScheduleStore(options = {}) {
+  const backend = options.backend || process.env.SCHEDULES_BACKEND || 'file';
+
+  switch (backend) {
+    case 'memory':
+      return new InMemoryScheduleStore();
+    case 'file':
+      return new FileScheduleStore(options);
+    default:
+      throw new Error(`Unknown schedule backend: ${backend}`);
+  }
+}
+
+class AuditScheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.queue = options.queue;
+    this.store = options.store || createScheduleStore(options);
+    this.webhooks = options.webhooks || null;
+    this.crawler = options.crawler || null;
+    this.tickInterval = options.tickInterval || 30000;
+    this.maxCatchUpRuns = options.maxCatchUpRuns || 1000;
+    this.now = options.now || (() => Date.now());
+
+    this.timer = null;
+    this.ticking = false;
+    this.jobSchedules = new Map(); // jobId -> scheduleId, for webhook delivery
+
+    if (!this.queue) {
+      throw new Error('AuditScheduler requires an audit queue');
+    }
+
+    // The queue reports completions; scheduled jobs notify their webhook client
+    if (typeof this.queue.on === 'function') {
+      this.queue.on('jobCompleted', job => this.handleJobFinished(job));
+      this.queue.on('jobFailed', job => this.handleJobFinished(job));
+    }
+  }
+
+  /**
+   * Start the scheduler, catching up runs missed while it was down
+   * @returns {Promise<Array>} - Runs triggered by the initial catch-up tick
+   */
+  async start() {
+    if (this.timer) return [];
+
+    const runs = await this.tick();
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error('Scheduler tick failed', error));
+    }, this.tickInterval);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info('Audit scheduler started', { tickInterval: this.tickInterval });
+    return runs;
+  }
+
+  /**
+   * Stop the scheduler timer
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} definition - { name, url, type, cron, options, priority, webhookClientId, enabled, catchUp, maxUrls }
+   * @returns {Promise<Object>} - Stored schedule
+   */
+  async createSchedule(definition) {
+    const validation = validateSchedule(definition);
+    if (!validation.isValid) {
+      throw new Error(`Invalid schedule: ${validation.errors.join('; ')}`);
+    }
+
+    const now = new Date(this.now()).toISOString();
+    const schedule = {
+      id: uuidv4(),
+      name: definition.name || definition.url,
+      url: definition.url.trim(),
+      type: definition.type || 'url',
+      cron: definition.cron.trim(),
+      options: definition.options || {},
+      priority: definition.priority || JOB_PRIORITY.NORMAL,
+      webhookClientId: definition.webhookClientId || null,
+      enabled: definition.enabled !== false,
+      catchUp: definition.catchUp !== false,
+      maxUrls: definition.maxUrls || 50,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: null,
+      lastRunAt: null,
+      lastRun: null,
+      runCount: 0
+    };
+    schedule.nextRunAt = this.computeNextRun(schedule, this.now());
+
+    await this.store.save(schedule);
+    logger.info('Schedule created', { scheduleId: schedule.id, url: schedule.url, cron: schedule.cron });
+    return schedule;
+  }
+
+  /**
+   * Update a schedule; a new cron expression or re-enabling resets the next run
+   * @param {string} id - Schedule ID
+   * @param {Object} patch - Fields to change
+   * @returns {Promise<Object|null>} - Updated schedule, or null when not found
+   */
+  async updateSchedule(id, patch) {
+    const validation = validateSchedule(patch, { partial: true });
+    if (!validation.isValid) {
+      throw new Error(`Invalid schedule: ${validation.errors.join('; ')}`);
+    }
+
+    const existing = await this.store.get(id);
+    if (!existing) return null;
+
+    const updated = { ...existing };
+    EDITABLE_FIELDS.forEach(field => {
+      if (patch[field] !== undefined) updated[field] = patch[field];
+    });
+    updated.updatedAt = new Date(this.now()).toISOString();
+
+    if (patch.cron !== undefined || (patch.enabled === true && !existing.enabled)) {
+      updated.nextRunAt = this.computeNextRun(updated, this.now());
+    }
+
+    return this.store.save(updated);
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<boolean>} - True when a schedule was removed
+   */
+  async deleteSchedule(id) {
+    return this.store.delete(id);
+  }
+
+  /**
+   * Get one schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} - Schedule or null
+   */
+  async getSchedule(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * List all schedules, soonest next run first
+   * @returns {Promise<Array>} - Schedules
+   */
+  async listSchedules() {
+    const schedules = await this.store.list();
+    return schedules.sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''));
+  }
+
+  /**
+   * Next run time for a schedule as an ISO string
+   * @param {Object} schedule - Schedule
+   * @param {number} after - Epoch ms
+   * @returns {string|null} - ISO timestamp or null
+   */
+  computeNextRun(schedule, after) {
+    const next = getNextRun(schedule.cron, after);
+    return next ? next.toISOString() : null;
+  }
+
+  /**
+   * Run every due schedule once
+   * A schedule whose next run is already in the past (e.g. the process was down) is caught up with
+   * a single run rather than one per missed slot, unless catch-up is disabled for it
+   * @returns {Promise<Array>} - Run records
+   */
+  async tick() {
+    // Skip if the previous tick is still enqueueing (sitemap discovery can be slow)
+    if (this.ticking) return [];
+    this.ticking = true;
+
+    const runs = [];
+    try {
+      const now = this.now();
+      const schedules = await this.store.list();
+
+      for (const schedule of schedules) {
+        if (!schedule.enabled || !schedule.nextRunAt) continue;
+
+        const dueAt = Date.parse(schedule.nextRunAt);
+        if (dueAt > now) continue;
+
+        // Later than one tick means the slot was missed (process down), not just picked up late
+        const trigger = now - dueAt > this.tickInterval ? 'catch-up' : 'cron';
+        const missedRuns = trigger === 'catch-up'
+          ? 1 + getRunsBetween(parseCron(schedule.cron), dueAt, now, this.maxCatchUpRuns).length
+          : 0;
+
+        if (trigger === 'catch-up' && schedule.catchUp === false) {
+          await this.recordRun(schedule, {
+            trigger,
+            status: 'missed',
+            scheduledFor: schedule.nextRunAt,
+            missedRuns,
+            jobIds: [],
+            skipped: []
+          }, now);
+          continue;
+        }
+
+        const run = await this.runSchedule(schedule, { trigger, missedRuns, now });
+        runs.push(run);
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return runs;
+  }
+
+  /**
+   * Enqueue the audits for one schedule
+   * Runs whose previous job for the same URL is still pending or processing are suppressed
+   * @param {Object} schedule - Schedule
+   * @param {Object} context - { trigger: 'cron'|'catch-up'|'manual', missedRuns, now }
+   * @returns {Promise<Object>} - Run record
+   */
+  async runSchedule(schedule, context = {}) {
+    const now = context.now || this.now();
+    const run = {
+      trigger: context.trigger || 'manual',
+      scheduledFor: context.trigger === 'manual' ? null : schedule.nextRunAt,
+      missedRuns: context.missedRuns || 0,
+      jobIds: [],
+      skipped: [],
+      status: 'enqueued'
+    };
+
+    try {
+      const urls = await this.resolveUrls(schedule);
+      // Tagging options with the schedule ID scopes duplicate detection to this schedule
+      const jobOptions = { ...schedule.options, scheduleId: schedule.id };
+      if (schedule.webhookClientId) {
+        jobOptions.clientId = schedule.webhookClientId;
+      }
+
+      urls.forEach(url => {
+        const activeJob = this.queue.findDuplicateJob(url, jobOptions);
+        if (activeJob) {
+          run.skipped.push({ url, reason: 'overlap', activeJobId: activeJob.id });
+          return;
+        }
+
+        const jobInfo = this.queue.addJob(url, jobOptions, schedule.priority);
+        run.jobIds.push(jobInfo.jobId);
+        this.jobSchedules.set(jobInfo.jobId, schedule.id);
+      });
+
+      if (run.jobIds.length === 0 && run.skipped.length > 0) {
+        run.status = 'skipped';
+      }
+    } catch (error) {
+      logger.error('Scheduled run failed', error, { scheduleId: schedule.id });
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    return this.recordRun(schedule, run, now);
+  }
+
+  /**
+   * Trigger a schedule immediately without moving its next cron slot
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} - Run record, or null when not found
+   */
+  async triggerSchedule(id) {
+    const schedule = await this.store.get(id);
+    if (!schedule) return null;
+    return this.runSchedule(schedule, { trigger: 'manual' });
+  }
+
+  /**
+   * Store the outcome of a run and advance the schedule
+   * @param {Object} schedule - Schedule
+   * @param {Object} run - Run record
+   * @param {number} now - Epoch ms
+   * @returns {Promise<Object>} - Run record with scheduleId and timestamps
+   */
+  async recordRun(schedule, run, now) {
+    const record = {
+      scheduleId: schedule.id,
+      ranAt: new Date(now).toISOString(),
+      ...run
+    };
+
+    // Re-read so a concurrent update through the API isn't overwritten
+    const current = await this.store.get(schedule.id);
+    if (current) {
+      if (run.trigger !== 'manual') {
+        current.nextRunAt = this.computeNextRun(current, now);
+      }
+      if (run.status !== 'missed') {
+        current.lastRunAt = record.ranAt;
+        current.runCount = (current.runCount || 0) + 1;
+      }
+      current.lastRun = {
+        ranAt: record.ranAt,
+        trigger: record.trigger,
+        status: record.status,
+        jobIds: record.jobIds,
+        skipped: record.skipped.length,
+        missedRuns: record.missedRuns,
+        error: record.error || null
+      };
+      await this.store.save(current);
+    }
+
+    logger.info('Schedule run recorded', {
+      scheduleId: schedule.id,
+      trigger: record.trigger,
+      status: record.status,
+      jobs: record.jobIds.length,
+      skipped: record.skipped.length
+    });
+    this.emit('scheduleRun', record);
+    return record;
+  }
+
+  /**
+   * URLs to audit for a schedule
+   * @param {Object} schedule - Schedule
+   * @returns {Promise<Array>} - Page URLs
+   */
+  async resolveUrls(schedule) {
+    if (schedule.type !== 'sitemap') {
+      return [schedule.url];
+    }
+
+    if (!this.crawler) {
+      const SiteCrawler = require('./site-crawler');
+      this.crawler = new SiteCrawler();
+    }
+    const discovery = await this.crawler.crawlSitemap(schedule.url, {
+      discoverOnly: true,
+      maxUrls: schedule.maxUrls || 50
+    });
+    return discovery.urls || [];
+  }
+
+  /**
+   * Deliver webhook notifications for scheduled jobs
+   * @param {Object} job - Finished queue job
+   */
+  async handleJobFinished(job) {
+    const scheduleId = this.jobSchedules.get(job.id);
+    if (!scheduleId) return;
+    this.jobSchedules.delete(job.id);
+
+    try {
+      const schedule = await this.store.get(scheduleId);
+      if (!schedule || !schedule.webhookClientId) return;
+
+      if (!this.webhooks) {
+        const { getWebhookService } = require('./webhooks');
+        this.webhooks = getWebhookService();
+      }
+
+      const metadata = { clientId: schedule.webhookClientId, scheduleId, url: job.url };
+      if (job.result) {
+        await this.webhooks.sendAuditCompleted(job.id, {
+          ...job.result,
+          completedAt: job.completedAt,
+          processingTime: job.processingTime
+        }, metadata);
+      } else {
+        await this.webhooks.sendAuditFailed(job.id, new Error(job.error || 'Audit failed'), {
+          ...metadata,
+          retryCount: Math.max(0, (job.attempts || 1) - 1)
+        });
+      }
+    } catch (error) {
+      logger.warn('Scheduled job webhook failed', { jobId: job.id, scheduleId, error: error.message });
+    }
+  }
+}
+
+let globalScheduler = null;
+
+/**
+ * Get the process-wide scheduler, started unless running tests
+ * @param {Object} options - Scheduler options (queue is required on first call)
+ * @returns {AuditScheduler} - Scheduler instance
+ */
+function getGlobalScheduler(options = {}) {
+  if (!globalScheduler) {
+    globalScheduler = new AuditScheduler(options);
+    if (process.env.NODE_ENV !== 'test' && process.env.SCHEDULER_ENABLED !== 'false') {
+      globalScheduler.start().catch(error => logger.error('Failed to start audit scheduler', error));
+    }
+  }
+  return globalScheduler;
+}
+
+/**
+ * Stop and reset the process-wide scheduler
+ */
+function shutdownGlobalScheduler() {
+  if (globalScheduler) {
+    globalScheduler.stop();
+    globalScheduler = null;
+  }
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  AuditScheduler,
+  InMemoryScheduleStore,
+  FileScheduleStore,
+  createScheduleStore,
+  validateSchedule,
+  getGlobalScheduler,
+  shutdownGlobalScheduler
+};
@@ -3,141 +3,21 @@
 
 const { fetchWithTimeout } = require('../utils/helpers');
 const { validateRobotsTxt } = require('../utils/validation');
+const { normalizePath, matchesPattern, evaluateRules } = require('../utils/robots-matcher');
+const { getBotRegistry } = require('../utils/bot-registry');
+const { parseXRobotsTag, extractMetaDirectives, resolveBotDirectives } = require('../utils/robots-directives');
+
+/**
+ * Page-level directives that keep a page out of a bot's index, snippets or AI use
+ */
+const RESTRICTIVE_DIRECTIVES = ['none', 'noindex', 'nofollow', 'nosnippet', 'noai', 'noimageai'];
 
 class BotPolicyAnalyzer {
-  constructor() {
-    // Comprehensive bot database with latest AI crawlers
-    this.knownBots = {
-      // Search engine bots
-      'Googlebot': {
-        type: 'search',
-        critical: true,
-        company: 'Google',
-        description: 'Primary Google search crawler',
-        userAgentPattern: /googlebot/i,
-        recommendations: {
-          allow: 'Essential for Google search visibility',
-          block: 'Will prevent Google indexing - major SEO impact'
-        }
-      },
-      'Bingbot': {
-        type: 'search',
-        critical: true,
-        company: 'Microsoft',
-        description: 'Microsoft Bing search crawler',
-        userAgentPattern: /bingbot/i,
-        recommendations: {
-          allow: 'Important for Bing search visibility',
-          block: 'Will prevent Bing indexing'
-        }
-      },
-      
-      // AI training bots
-      'Google-Extended': {
-        type: 'ai-training',
-        critical: false,
-        company: 'Google',
-        description: 'Google AI training data collection (separate from search)',
-        userAgentPattern: /google-extended/i,
-        recommendations: {
-          allow: 'Allows Google to use content for AI training (Bard, etc.)',
-          block: 'Prevents AI training while maintaining search indexing'
-        }
-      },
-      'GPTBot': {
-        type: 'ai-training',
-        critical: false,
-        company: 'OpenAI',
-        description: 'OpenAI training data collection for GPT models',
-        userAgentPattern: /gptbot/i,
-        recommendations: {
-          allow: 'Allows OpenAI to use content for GPT training',
-          block: 'Prevents GPT training data collection'
-        }
-      },
-      'CCBot': {
-        type: 'ai-training',
-        critical: false,
-        company: 'Common Crawl',
-        description: 'Common Crawl data collection (used by many AI companies)',
-        userAgentPattern: /ccbot/i,
-        recommendations: {
-          allow: 'Allows broad AI training data collection',
-          block: 'Prevents Common Crawl data collection (affects multiple AI systems)'
-        }
-      },
-      
-      // AI browsing/search bots
-      'ChatGPT-User': {
-        type: 'ai-browse',
-        critical: false,
-        company: 'OpenAI',
-        description: 'ChatGPT browsing feature for real-time information',
-        userAgentPattern: /chatgpt-user/i,
-        recommendations: {
-          allow: 'Allows ChatGPT to browse your content for users',
-          block: 'Prevents ChatGPT from accessing content during conversations'
-        }
-      },
-      'PerplexityBot': {
-        type: 'ai-search',
-        critical: false,
-        company: 'Perplexity AI',
-        description: 'Perplexity AI search and answer generation',
-        userAgentPattern: /perplexitybot/i,
-        stealthWarning: true,
-        recommendations: {
-          allow: 'Allows Perplexity to index and cite your content',
-          block: 'Prevents Perplexity AI from accessing content'
-        }
-      },
-      'Claude-Web': {
-        type: 'ai-browse',
-        critical: false,
-        company: 'Anthropic',
-        description: 'Claude AI web browsing capabilities',
-        userAgentPattern: /claude-web/i,
-        recommendations: {
-          allow: 'Allows Claude to browse your content',
-          block: 'Prevents Claude web browsing access'
-        }
-      },
-      
-      // Extended AI ecosystem
-      'Applebot-Extended': {
-        type: 'ai-training',
-        critical: false,
-        company: 'Apple',
-        description: 'Apple AI training data collection',
-        userAgentPattern: /applebot-extended/i,
-        recommendations: {
-          allow: 'Allows Apple AI training (Siri, etc.)',
-          block: 'Prevents Apple AI training while maintaining search indexing'
-        }
-      },
-      'anthropic-ai': {
-        type: 'ai-training',
-        critical: false,
-        company: 'Anthropic',
-        description: 'Anthropic AI training crawler',
-        userAgentPattern: /anthropic-ai/i,
-        recommendations: {
-          allow: 'Allows Anthropic to train Claude models',
-          block: 'Prevents Anthropic AI training'
-        }
-      },
-      'ClaudeBot': {
-        type: 'ai-training',
-        critical: false,
-        company: 'Anthropic',
-        description: 'Claude AI training crawler',
-        userAgentPattern: /claudebot/i,
-        recommendations: {
-          allow: 'Allows Claude model training',
-          block: 'Prevents Claude training data collection'
-        }
-      }
-    };
+  constructor(options = {}) {
+    // Bot database lives in config/bots.json (plus optional local overrides)
+    const registry = options.registry || getBotRegistry();
+    this.knownBots = registry.bots;
+    this.registryVersion = registry.version;
   }
 
   /**
@@ -154,6 +34,7 @@ class BotPolicyAnalyzer {
     const analysis = {
       domain,
       timestamp: new Date().toISOString(),
+      registryVersion: this.registryVersion,
       botMatrix: {},
       conflicts: [],
       recommendations: [],
@@ -172,8 +53,8 @@ class BotPolicyAnalyzer {
       // 1. Analyze robots.txt
       const robotsAnalysis = await this.analyzeRobotsTxt(domain);
       
-      // 2. Check HTTP headers for bot policies
-      const headersAnalysis = await this.analyzeBotHeaders(domain);
+      // 2. Check page-level directives (meta robots and X-Robots-Tag) on the audited page
+      const headersAnalysis = await this.analyzeBotHeaders(url);
       
       // 3. Generate bot access matrix
       analysis.botMatrix = this.generateBotMatrix(robotsAnalysis, headersAnalysis);
@@ -218,6 +99,7 @@ class BotPolicyAnalyzer {
         return {
           exists: false,
           url: robotsUrl,
+          registryVersion: this.registryVersion,
           status: response.status,
           policies: {},
           issues: ['robots.txt not found'],
@@ -245,6 +127,7 @@ class BotPolicyAnalyzer {
       return {
         exists: true,
         url: robotsUrl,
+        registryVersion: this.registryVersion,
         status: response.status,
         content: content.substring(0, 2000), // Limit for response size
         policies: parseResult.policies,
@@ -265,6 +148,7 @@ class BotPolicyAnalyzer {
       return {
         exists: false,
         url: robotsUrl,
+        registryVersion: this.registryVersion,
         error: error.message,
         policies: {},
         issues: [`Failed to fetch robots.txt: ${error.message}`],
@@ -635,9 +519,7 @@ class BotPolicyAnalyzer {
    * @returns {boolean} - True if completely blocked
    */
   isCompletelyBlocked(rules) {
-    return rules.some(rule => 
-      rule.directive === 'disallow' && (rule.path === '/' || rule.path === '')
-    );
+    return !evaluateRules('/', rules).allowed;
   }
 
   /**
@@ -647,12 +529,11 @@ class BotPolicyAnalyzer {
    * @returns {boolean} - True if paths overlap
    */
   pathsOverlap(path1, path2) {
-    // Convert wildcards to regex for overlap detection
-    const regex1 = new RegExp('^' + path1.replace(/\*/g, '.*') + '$');
-    const regex2 = new RegExp('^' + path2.replace(/\*/g, '.*') + '$');
+    const pattern1 = normalizePath(path1);
+    const pattern2 = normalizePath(path2);
     
-    // Test if either path matches the other's pattern
-    return regex1.test(path2) || regex2.test(path1);
+    // Test if either path matches the other's pattern (robots.txt semantics: prefix match, * and $)
+    return matchesPattern(pattern2, pattern1) || matchesPattern(pattern1, pattern2);
   }
 
   /**
@@ -740,31 +621,45 @@ class BotPolicyAnalyzer {
   }
 
   /**
-   * Analyze HTTP headers for bot-related policies
-   * @param {string} domain - Domain to analyze
-   * @returns {Object} - Headers analysis
+   * Analyze HTTP headers and robots meta tags of a page for bot-related policies
+   * @param {string} url - Page URL to analyze
+   * @returns {Object} - Headers analysis with scoped pageDirectives
    */
-  async analyzeBotHeaders(domain) {
+  async analyzeBotHeaders(url) {
     try {
-      const response = await fetchWithTimeout(domain, 10000);
+      const response = await fetchWithTimeout(url, 10000);
       const headers = {};
       
       response.headers.forEach((value, key) => {
         headers[key.toLowerCase()] = value;
       });
+
+      // Keep repeated X-Robots-Tag headers apart so each user-agent prefix keeps its scope
+      const xRobotsValues = typeof response.headers.raw === 'function'
+        ? response.headers.raw()['x-robots-tag']
+        : headers['x-robots-tag'];
+
+      let metaDirectives = [];
+      if (/html/i.test(headers['content-type'] || '') && typeof response.text === 'function') {
+        metaDirectives = extractMetaDirectives(await response.text(), Object.keys(this.knownBots));
+      }
       
       return {
+        url,
         'x-robots-tag': headers['x-robots-tag'] || null,
         'user-agent': headers['user-agent'] || null,
         'server': headers['server'] || null,
         'cf-ray': headers['cf-ray'] || null, // Cloudflare detection
         'via': headers['via'] || null,
+        pageDirectives: [...metaDirectives, ...parseXRobotsTag(xRobotsValues)],
         allHeaders: headers
       };
       
     } catch (error) {
       return {
+        url,
         error: error.message,
+        pageDirectives: [],
         allHeaders: {}
       };
     }
@@ -814,9 +709,7 @@ class BotPolicyAnalyzer {
       const botPolicy = policies[botName];
       const rules = botPolicy.rules || botPolicy; // Handle both old and new structure
       
-      const isBlocked = rules.some(rule => 
-        rule.directive === 'disallow' && (rule.path === '/' || rule.path === '')
-      );
+      const isBlocked = this.isCompletelyBlocked(rules);
       
       return {
         allowed: !isBlocked,
@@ -832,9 +725,7 @@ class BotPolicyAnalyzer {
       const wildcardPolicy = policies['*'];
       const rules = wildcardPolicy.rules || wildcardPolicy; // Handle both old and new structure
       
-      const isBlocked = rules.some(rule => 
-        rule.directive === 'disallow' && (rule.path === '/' || rule.path === '')
-      );
+      const isBlocked = this.isCompletelyBlocked(rules);
       
       return {
         allowed: !isBlocked,
@@ -857,36 +748,40 @@ class BotPolicyAnalyzer {
   }
 
   /**
-   * Get bot policy from HTTP headers
+   * Get bot policy from page-level directives (meta robots, bot-specific meta tags, X-Robots-Tag)
    * @param {string} botName - Bot name
    * @param {Object} headers - Headers analysis
-   * @returns {Object} - Bot policy from headers
+   * @returns {Object} - Bot policy from page directives
    */
   getBotPolicyFromHeaders(botName, headers) {
-    const xRobotsTag = headers['x-robots-tag'];
+    const entries = headers.pageDirectives || parseXRobotsTag(headers['x-robots-tag']);
+    const directives = resolveBotDirectives(entries, botName);
     
-    if (!xRobotsTag) {
+    if (directives.sources.length === 0) {
       return {
         allowed: true,
         explicit: false,
-        source: 'default'
+        source: 'default',
+        directives
       };
     }
     
-    // Check for restrictive directives
-    const restrictive = ['noindex', 'nofollow', 'nosnippet', 'noai', 'noimageai'];
-    const hasRestrictions = restrictive.some(directive => 
-      xRobotsTag.toLowerCase().includes(directive)
-    );
+    // Search bots need the page indexable; AI bots additionally must not be excluded with noai
+    const botInfo = this.knownBots[botName];
+    const allowed = directives.index && (!botInfo || botInfo.type === 'search' || directives.ai.text);
     
     return {
-      allowed: !hasRestrictions,
+      allowed,
       explicit: true,
-      source: 'x-robots-tag',
-      value: xRobotsTag,
-      restrictions: restrictive.filter(directive => 
-        xRobotsTag.toLowerCase().includes(directive)
-      )
+      source: [...new Set(directives.sources.map(entry => entry.source))].join('+'),
+      value: headers['x-robots-tag'] || null,
+      restrictions: [
+        ...RESTRICTIVE_DIRECTIVES.filter(directive => directives.directives.includes(directive)),
+        ...(directives.snippet.maxLength !== null ? ['max-snippet'] : []),
+        ...(directives.imagePreview !== 'large' ? ['max-image-preview'] : []),
+        ...(directives.expired ? ['unavailable_after'] : [])
+      ],
+      directives
     };
   }
 
@@ -899,12 +794,27 @@ class BotPolicyAnalyzer {
   calculateEffectivePolicy(robotsPolicy, headerPolicy) {
     // Most restrictive policy wins
     const allowed = robotsPolicy.allowed && headerPolicy.allowed;
+    const page = headerPolicy.directives || resolveBotDirectives([], '*');
+    const crawlable = robotsPolicy.allowed;
+    const indexable = crawlable && page.index;
     
     return {
       allowed,
+      crawlable,
+      indexable,
+      snippet: {
+        eligible: indexable && page.snippet.allowed,
+        maxLength: indexable ? page.snippet.maxLength : 0
+      },
+      imagePreview: indexable ? page.imagePreview : 'none',
+      aiUse: {
+        text: crawlable && page.ai.text,
+        images: crawlable && page.ai.images
+      },
+      unavailableAfter: page.unavailableAfter,
       sources: [
         ...(robotsPolicy.explicit ? ['robots.txt'] : []),
-        ...(headerPolicy.explicit ? ['headers'] : [])
+        ...(headerPolicy.explicit ? [...new Set(page.sources.map(entry => entry.source))] : [])
       ],
       reasoning: this.explainPolicyReasoning(robotsPolicy, headerPolicy, allowed)
     };
@@ -924,7 +834,7 @@ class BotPolicyAnalyzer {
           'Conflicting policies - most permissive applied' : 
           'Conflicting policies - most restrictive applied';
       }
-      return 'Consistent policies across robots.txt and headers';
+      return 'Consistent policies across robots.txt and page directives';
     }
     
     if (robotsPolicy.explicit) {
@@ -932,7 +842,7 @@ class BotPolicyAnalyzer {
     }
     
     if (headerPolicy.explicit) {
-      return 'Policy determined by HTTP headers';
+      return 'Policy determined by page directives (meta robots / X-Robots-Tag)';
     }
     
     return 'No explicit policy - default allowed';
@@ -962,6 +872,23 @@ class BotPolicyAnalyzer {
         });
       }
     }
+
+    // A noindex behind a robots.txt block is never fetched, so the URL can still be indexed from links
+    const hiddenFrom = Object.keys(this.knownBots).filter(botName => {
+      const robotsPolicy = this.getBotPolicyFromRobots(botName, robotsAnalysis.policies || {});
+      const directives = resolveBotDirectives(headersAnalysis.pageDirectives || [], botName);
+      return !robotsPolicy.allowed && !directives.index;
+    });
+    if (hiddenFrom.length > 0) {
+      conflicts.push({
+        type: 'unreachable_noindex',
+        severity: 'medium',
+        bots: hiddenFrom,
+        description: `robots.txt blocks ${hiddenFrom.join(', ')} from the page, so its noindex directive is never seen`,
+        impact: 'The URL can still be indexed without content from external links',
+        recommendation: 'Allow crawling of pages that must stay out of the index, or remove the redundant noindex'
+      });
+    }
     
     return conflicts;
   }
@@ -976,9 +903,7 @@ class BotPolicyAnalyzer {
       const wildcardPolicy = policies['*'];
       const rules = wildcardPolicy.rules || wildcardPolicy; // Handle both old and new structure
       
-      return rules.some(rule => 
-        rule.directive === 'disallow' && (rule.path === '/' || rule.path === '')
-      );
+      return this.isCompletelyBlocked(rules);
     }
     return false;
   }
@@ -1043,22 +968,22 @@ class BotPolicyAnalyzer {
   checkStealthCrawlers(robotsAnalysis) {
     const warnings = [];
     
-    // Check for PerplexityBot stealth crawling warning
-    const perplexityBot = this.knownBots['PerplexityBot'];
-    if (perplexityBot.stealthWarning) {
-      const policy = this.getBotPolicyFromRobots('PerplexityBot', robotsAnalysis.policies);
+    // Warn about blocked bots the registry flags as reported to ignore robots.txt
+    Object.entries(this.knownBots).forEach(([botName, botInfo]) => {
+      if (!botInfo.stealthWarning) return;
+      const policy = this.getBotPolicyFromRobots(botName, robotsAnalysis.policies);
       if (!policy.allowed) {
         warnings.push({
-          bot: 'PerplexityBot',
+          bot: botName,
           type: 'stealth_warning',
           severity: 'medium',
-          message: 'PerplexityBot may ignore robots.txt restrictions',
-          details: 'Perplexity AI has been reported to crawl content despite robots.txt blocks',
+          message: `${botName} may ignore robots.txt restrictions`,
+          details: botInfo.stealthDetails || `${botInfo.company} has been reported to crawl content despite robots.txt blocks`,
           recommendation: 'Consider server-level blocking if strict prevention is required',
           sources: ['User reports', 'Community discussions']
         });
       }
-    }
+    });
     
     return warnings;
   }
@@ -1456,7 +1381,7 @@ class BotPolicyAnalyzer {
     });
 
     // Stealth crawler warnings
-    const stealthBots = ['PerplexityBot'];
+    const stealthBots = Object.keys(this.knownBots).filter(botName => this.knownBots[botName].stealthWarning);
     stealthBots.forEach(botName => {
       if (botMatrix[botName]) {
         warnings.push({
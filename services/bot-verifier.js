@@ -0,0 +1,167 @@
+// services/bot-verifier.js
+// Crawler identity verification: reverse DNS against registry hostname suffixes, confirmed by forward DNS
+
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+
+/**
+ * DNS error codes meaning "no such record" (a definite answer, unlike timeouts or SERVFAIL)
+ */
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+/**
+ * Resolver backed by the system DNS configuration
+ */
+const systemResolver = {
+  reverse: (ip) => dns.promises.reverse(ip),
+  forward: async (hostname) => (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address)
+};
+
+/**
+ * Create a resolver answering from fixed records, for tests and offline checks
+ * @param {Object} records - { ptr: { ip: [hostnames] }, a: { hostname: [ips] } }
+ * @returns {Object} - Resolver with reverse(ip) and forward(hostname)
+ */
+function createStubResolver(records = {}) {
+  const notFound = (name) => Object.assign(new Error(`No record for ${name}`), { code: 'ENOTFOUND' });
+  return {
+    reverse: async (ip) => {
+      if (!records.ptr || !records.ptr[ip]) throw notFound(ip);
+      return records.ptr[ip];
+    },
+    forward: async (hostname) => {
+      if (!records.a || !records.a[hostname]) throw notFound(hostname);
+      return records.a[hostname];
+    }
+  };
+}
+
+/**
+ * Pick the resolver: a JSON stub file named by BOT_DNS_STUB_FILE, or system DNS
+ * @returns {Object} - Resolver
+ */
+function getDefaultResolver() {
+  const stubFile = process.env.BOT_DNS_STUB_FILE;
+  if (stubFile) {
+    return createStubResolver(JSON.parse(fs.readFileSync(stubFile, 'utf8')));
+  }
+  return systemResolver;
+}
+
+/**
+ * Check a hostname against allowed suffixes on a label boundary (crawl-1.googlebot.com, not evilgooglebot.com)
+ * @param {string} hostname - Hostname from reverse DNS
+ * @param {Array} suffixes - Allowed domain suffixes
+ * @returns {boolean} - True when the hostname belongs to one of the domains
+ */
+function hostnameMatches(hostname, suffixes) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return suffixes.some(suffix => {
+    const domain = suffix.toLowerCase().replace(/^\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Normalize an IP for comparison: IPv4-mapped IPv6 becomes dotted IPv4, other IPv6 is fully expanded
+ * so ::ffff:66.249.66.1 matches 66.249.66.1 and 2001:DB8::1 matches 2001:db8:0:0:0:0:0:1
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string} - Canonical address, or the trimmed input when it is not an IP
+ */
+function normalizeIp(ip) {
+  const address = String(ip || '').trim().toLowerCase().replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  if (!net.isIPv6(address)) return address;
+
+  const [head, tail] = address.split('::');
+  const toGroups = part => (part ? part.split(':') : []).flatMap(group => {
+    if (!net.isIPv4(group)) return [parseInt(group, 16)];
+    const [a, b, c, d] = group.split('.').map(Number);
+    return [a * 256 + b, c * 256 + d];
+  });
+  const left = toGroups(head);
+  const right = tail !== undefined ? toGroups(tail) : [];
+  const groups = [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+    return [groups[6] >> 8, groups[6] & 255, groups[7] >> 8, groups[7] & 255].join('.');
+  }
+  return groups.map(group => group.toString(16)).join(':');
+}
+
+class BotVerifier {
+  constructor(options = {}) {
+    this.resolver = options.resolver || getDefaultResolver();
+    this.timeout = options.timeout || 3000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Run a DNS lookup with a timeout
+   * @param {Promise} lookup - Pending lookup
+   * @returns {Promise} - Lookup result
+   */
+  withTimeout(lookup) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('DNS lookup timed out'), { code: 'ETIMEOUT' })), this.timeout);
+    });
+    return Promise.race([lookup, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Verify that an IP really belongs to a crawler
+   * @param {string} ip - Client IP from the log
+   * @param {Object} verification - Registry rule { reverseDnsSuffixes }
+   * @returns {Promise<Object>} - { status: 'verified'|'spoofed'|'unverified', hostname, reason }
+   */
+  async verify(ip, verification) {
+    const suffixes = verification.reverseDnsSuffixes;
+    const address = normalizeIp(ip);
+    const key = `${address}|${suffixes.join(',')}`;
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.lookup(address, suffixes));
+    }
+    return this.cache.get(key);
+  }
+
+  /**
+   * Reverse-resolve the IP, check the hostname domain, then forward-confirm it maps back to the IP
+   * @param {string} ip - Client IP
+   * @param {Array} suffixes - Allowed hostname suffixes
+   * @returns {Promise<Object>} - Verification result
+   */
+  async lookup(ip, suffixes) {
+    const failed = (error, stage) => NOT_FOUND_CODES.includes(error.code)
+      ? { status: 'spoofed', hostname: null, reason: `No ${stage} record` }
+      : { status: 'unverified', hostname: null, reason: `${stage} lookup failed: ${error.message}` };
+
+    let hostnames;
+    try {
+      hostnames = await this.withTimeout(this.resolver.reverse(ip));
+    } catch (error) {
+      return failed(error, 'PTR');
+    }
+
+    const hostname = hostnames.find(name => hostnameMatches(name, suffixes));
+    if (!hostname) {
+      return { status: 'spoofed', hostname: hostnames[0] || null, reason: `Reverse DNS is not under ${suffixes.join(', ')}` };
+    }
+
+    let addresses;
+    try {
+      addresses = await this.withTimeout(this.resolver.forward(hostname));
+    } catch (error) {
+      return { ...failed(error, 'forward'), hostname };
+    }
+
+    return addresses.some(address => normalizeIp(address) === normalizeIp(ip))
+      ? { status: 'verified', hostname, reason: null }
+      : { status: 'spoofed', hostname, reason: 'Forward DNS does not resolve back to the IP' };
+  }
+}
+
+module.exports = BotVerifier;
+module.exports.createStubResolver = createStubResolver;
+module.exports.hostnameMatches = hostnameMatches;
+module.exports.normalizeIp = normalizeIp;
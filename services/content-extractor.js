@@ -0,0 +1,159 @@
+// services/content-extractor.js
+// Main-content extraction to markdown, plain text and heading sections for AI-ready page variants
+
+const cheerio = require('cheerio');
+const {
+  BOILERPLATE_SELECTORS,
+  cleanDocument,
+  selectMainContent,
+  elementToMarkdown,
+  markdownToText
+} = require('../utils/html-markdown');
+
+/**
+ * Count words in plain text, ignoring list markers and other bare punctuation
+ * @param {string} text - Plain text
+ * @returns {number} - Word count
+ */
+function countWords(text) {
+  return String(text || '').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+}
+
+class ContentExtractor {
+  constructor(options = {}) {
+    this.aiAnalyzer = options.aiAnalyzer || null;
+    this.encoder = options.encoder || null;
+  }
+
+  /**
+   * Lazily create the AI analyzer whose heading and landmark analysis the extraction reuses
+   * @returns {Object} - AIAnalyzer instance
+   */
+  getAIAnalyzer() {
+    if (!this.aiAnalyzer) {
+      const AIAnalyzer = require('./ai-analyzer');
+      this.aiAnalyzer = new AIAnalyzer();
+    }
+    return this.aiAnalyzer;
+  }
+
+  /**
+   * Split markdown into sections at headings up to maxLevel; deeper headings stay inside their section
+   * @param {string} markdown - Extracted markdown
+   * @param {number} maxLevel - Deepest heading level that starts a section
+   * @returns {Array} - [{ heading, level, markdown, text, words }]
+   */
+  splitSections(markdown, maxLevel = 3) {
+    const sections = [];
+    let current = { heading: null, level: null, lines: [] };
+    let inFence = false;
+
+    const flush = () => {
+      const body = current.lines.join('\n').trim();
+      if (current.heading !== null || body) {
+        const text = markdownToText(body);
+        sections.push({ heading: current.heading, level: current.level, markdown: body, text, words: countWords(text) });
+      }
+    };
+
+    markdown.split('\n').forEach(line => {
+      if (line.startsWith('```')) inFence = !inFence;
+      const heading = !inFence && line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading && heading[1].length <= maxLevel) {
+        flush();
+        current = { heading: markdownToText(heading[2]), level: heading[1].length, lines: [] };
+        return;
+      }
+      current.lines.push(line);
+    });
+    flush();
+
+    return sections.filter(section => section.words > 0 || section.heading);
+  }
+
+  /**
+   * Count tokens with tiktoken (cl100k_base via gpt-4)
+   * @param {Array} texts - Texts to measure
+   * @returns {Array} - Token counts in input order
+   */
+  countTokens(texts) {
+    const ownEncoder = !this.encoder;
+    let encoder = this.encoder;
+    if (ownEncoder) {
+      const { encoding_for_model } = require('tiktoken');
+      encoder = encoding_for_model('gpt-4');
+    }
+    try {
+      return texts.map(text => encoder.encode(text).length);
+    } finally {
+      if (ownEncoder) encoder.free();
+    }
+  }
+
+  /**
+   * Extract the main content of a page
+   * @param {Function} $ - Cheerio instance of the page (not modified)
+   * @param {string} url - Page URL for resolving links
+   * @param {Object} options - { countTokens: false to skip tiktoken, sectionLevel }
+   * @returns {Object} - { url, title, markdown, text, headings, sections, landmarks, metrics }
+   */
+  extract($, url, options = {}) {
+    const analyzer = this.getAIAnalyzer();
+    const semantic = analyzer.analyzeSemanticHTML($, null);
+    const pageHeadings = analyzer.extractHeadings($);
+
+    const cleaned = cleanDocument($);
+    const { element, selector } = selectMainContent(cleaned);
+    const contentHeadings = analyzer.extractHeadings(cheerio.load(cleaned(element).toString()));
+    const title = $('title').first().text().replace(/\s+/g, ' ').trim() || null;
+    let markdown = elementToMarkdown(cleaned, element, { baseUrl: url });
+
+    // Keep the page H1 when a site renders it inside the stripped header
+    const pageH1 = pageHeadings.find(heading => heading.level === 1 && heading.text);
+    const restoredH1 = Boolean(pageH1) && !contentHeadings.some(heading => heading.level === 1);
+    if (restoredH1) {
+      markdown = `# ${pageH1.text.replace(/\s+/g, ' ')}\n\n${markdown}`.trim();
+    }
+
+    const text = markdownToText(markdown);
+    const sections = this.splitSections(markdown, options.sectionLevel || 3);
+
+    const result = {
+      url,
+      title,
+      markdown,
+      text,
+      headings: restoredH1 ? [pageH1, ...contentHeadings] : contentHeadings,
+      sections,
+      landmarks: {
+        mainSelector: selector,
+        present: semantic.evidence.ariaLandmarks.present,
+        missing: semantic.evidence.ariaLandmarks.missing,
+        headingOutlineValid: semantic.evidence.headingOutline.valid,
+        headingIssues: semantic.evidence.headingOutline.issues
+      },
+      metrics: {
+        words: countWords(text),
+        characters: text.length,
+        markdownCharacters: markdown.length,
+        htmlCharacters: ($.html() || '').length,
+        sections: sections.length,
+        removedElements: $(BOILERPLATE_SELECTORS).length,
+        tokens: null
+      }
+    };
+
+    if (options.countTokens !== false) {
+      const [total, ...perSection] = this.countTokens([markdown, ...sections.map(section => section.text)]);
+      result.metrics.tokens = total;
+      sections.forEach((section, index) => {
+        section.tokens = perSection[index];
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = ContentExtractor;
+module.exports.countWords = countWords;
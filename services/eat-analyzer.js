@@ -564,13 +564,16 @@ class EATAnalyzer {
         const contact = {
             found: false,
             score: 0,
-            signals: []
+            signals: [],
+            emails: [],
+            phones: []
         };
 
         // Email detection
         const emailPattern = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
         const pageText = $('body').text();
         const emails = pageText.match(emailPattern) || [];
+        contact.emails = [...new Set(emails)].slice(0, 5);
         
         if (emails.length > 0) {
             contact.found = true;
@@ -581,6 +584,7 @@ class EATAnalyzer {
         // Phone number detection
         const phonePattern = /(\+?\d{1,3}[-.\s]?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
         const phones = pageText.match(phonePattern) || [];
+        contact.phones = [...new Set(phones.map(phone => phone.trim()))].slice(0, 5);
         
         if (phones.length > 0) {
             contact.score += 10;
@@ -0,0 +1,259 @@
+// services/http-client.js
+// Pooled HTTP client with keep-alive agents, per-host concurrency limits,
+// redirect tracking and response size caps
+
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+
+const { Response } = fetch;
+
+const DEFAULT_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (compatible; AttentionBot/1.0; +https://attentionisallyouneed.app)',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5'
+};
+
+class HttpClient {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.maxRedirects = options.maxRedirects ?? 5;
+    this.maxResponseSize = options.maxResponseSize || 5 * 1024 * 1024;
+    this.maxConcurrentPerHost = options.maxConcurrentPerHost || 6;
+
+    const agentOptions = {
+      keepAlive: true,
+      keepAliveMsecs: 10000,
+      maxSockets: this.maxConcurrentPerHost,
+      maxFreeSockets: 2
+    };
+    this.httpAgent = new http.Agent(agentOptions);
+    this.httpsAgent = new https.Agent(agentOptions);
+
+    this.hosts = new Map(); // host -> { active, waiting }
+    this.stats = {
+      requests: 0,
+      queued: 0,
+      redirects: 0,
+      truncated: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Request a URL, following redirects, and return the decoded body
+   * @param {string} url - URL to request
+   * @param {Object} options - { timeout, headers, maxRedirects, maxResponseSize, includeBody, method }
+   * @returns {Promise<Object>} - { status, statusText, ok, headers, url, body, truncated, size, redirectChain, totalRedirects, responseTime }
+   */
+  async request(url, options = {}) {
+    const result = await this.execute(url, options);
+    const { buffer, ...response } = result;
+    return {
+      ...response,
+      body: buffer ? buffer.toString('utf8') : null
+    };
+  }
+
+  /**
+   * fetch()-compatible wrapper returning a node-fetch Response with a buffered body
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Same options as request()
+   * @returns {Promise<Response>} - Response whose text()/json()/buffer() read the capped body
+   */
+  async fetch(url, options = {}) {
+    const result = await this.execute(url, options);
+    const response = new Response(result.buffer || Buffer.alloc(0), {
+      url: result.url,
+      status: result.status,
+      statusText: result.statusText,
+      headers: result.headers
+    });
+    response.redirectChain = result.redirectChain;
+    response.truncated = result.truncated;
+    return response;
+  }
+
+  /**
+   * Perform a request hop by hop so every redirect is recorded
+   * @param {string} url - Starting URL
+   * @param {Object} options - Request options
+   * @returns {Promise<Object>} - Response metadata with a raw body buffer
+   */
+  async execute(url, options = {}) {
+    const startTime = Date.now();
+    const timeout = options.timeout || this.timeout;
+    const maxRedirects = options.maxRedirects ?? this.maxRedirects;
+    const maxResponseSize = options.maxResponseSize || this.maxResponseSize;
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    const redirectChain = [];
+    let currentUrl = new URL(url).href;
+
+    try {
+      for (let redirectCount = 0; redirectCount <= maxRedirects; redirectCount++) {
+        const host = new URL(currentUrl).host;
+        await this.acquire(host);
+
+        try {
+          const hopStart = Date.now();
+          this.stats.requests++;
+          const response = await fetch(currentUrl, {
+            method: options.method || 'GET',
+            redirect: 'manual',
+            signal: controller.signal,
+            agent: parsed => (parsed.protocol === 'http:' ? this.httpAgent : this.httpsAgent),
+            headers: { ...DEFAULT_HEADERS, ...options.headers }
+          });
+
+          const isRedirect = response.status >= 300 && response.status < 400;
+          redirectChain.push({
+            url: currentUrl,
+            status: response.status,
+            responseTime: Date.now() - hopStart,
+            isRedirect
+          });
+
+          if (isRedirect) {
+            const location = response.headers.get('location');
+            response.body.resume(); // Drain so the socket returns to the pool
+            if (!location) {
+              throw new Error(`Redirect without location header at ${currentUrl}`);
+            }
+            currentUrl = new URL(location, currentUrl).href;
+            this.stats.redirects++;
+            continue;
+          }
+
+          const declaredLength = parseInt(response.headers.get('content-length') || '0');
+          if (declaredLength > maxResponseSize) {
+            response.body.destroy();
+            throw new Error(`Response too large: ${declaredLength} bytes`);
+          }
+
+          const body = options.includeBody === false ?
+            (response.body.resume(), { buffer: null, truncated: false, size: 0 }) :
+            await this.readBody(response, maxResponseSize);
+
+          return {
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok,
+            headers: Object.fromEntries(response.headers.entries()),
+            url: currentUrl,
+            buffer: body.buffer,
+            truncated: body.truncated,
+            size: body.size,
+            redirectChain,
+            totalRedirects: redirectChain.length - 1,
+            responseTime: Date.now() - startTime
+          };
+        } finally {
+          this.release(host);
+        }
+      }
+
+      throw new Error(`Too many redirects (>${maxRedirects}) starting from ${url}`);
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Read a response body, stopping at the size cap
+   * @param {Response} response - node-fetch response
+   * @param {number} maxBytes - Maximum bytes to keep
+   * @returns {Promise<Object>} - { buffer, truncated, size }
+   */
+  async readBody(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    let truncated = false;
+
+    for await (const chunk of response.body) {
+      if (size + chunk.length > maxBytes) {
+        chunks.push(chunk.slice(0, maxBytes - size));
+        size = maxBytes;
+        truncated = true;
+        break;
+      }
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+
+    if (truncated) {
+      this.stats.truncated++;
+      response.body.destroy();
+    }
+
+    return { buffer: Buffer.concat(chunks), truncated, size };
+  }
+
+  /**
+   * Wait for a free request slot on a host
+   * @param {string} host - Host (with port) being requested
+   * @returns {Promise<void>} - Resolves once the slot is held
+   */
+  acquire(host) {
+    const slot = this.hosts.get(host) || { active: 0, waiting: [] };
+    this.hosts.set(host, slot);
+
+    if (slot.active < this.maxConcurrentPerHost) {
+      slot.active++;
+      return Promise.resolve();
+    }
+
+    this.stats.queued++;
+    return new Promise(resolve => slot.waiting.push(resolve));
+  }
+
+  /**
+   * Release a host slot, handing it directly to the next waiter
+   * @param {string} host - Host (with port) being released
+   */
+  release(host) {
+    const slot = this.hosts.get(host);
+    if (!slot) return;
+
+    const next = slot.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    slot.active--;
+    if (slot.active === 0) {
+      this.hosts.delete(host);
+    }
+  }
+
+  /**
+   * Get client statistics
+   * @returns {Object} - Request counters and active hosts
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      activeHosts: this.hosts.size
+    };
+  }
+
+  /**
+   * Close pooled sockets
+   */
+  destroy() {
+    this.httpAgent.destroy();
+    this.httpsAgent.destroy();
+  }
+}
+
+// Shared instance so every caller reuses the same connection pools
+const httpClient = new HttpClient();
+
+module.exports = httpClient;
+module.exports.HttpClient = HttpClient;
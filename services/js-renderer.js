@@ -523,6 +523,26 @@ class JavaScriptRenderer {
         return trackingPatterns.some(pattern => pattern.test(url));
     }
 
+    // Print an HTML document to PDF with the local Playwright browser
+    async renderPdf(html, options = {}) {
+        await this.initialize();
+
+        const page = await this.browser.newPage();
+        try {
+            await page.setContent(html, { waitUntil: 'load', timeout: this.requestTimeout });
+            return await page.pdf({
+                format: options.format || 'A4',
+                printBackground: true,
+                displayHeaderFooter: !!options.displayHeaderFooter,
+                headerTemplate: options.headerTemplate || '<div></div>',
+                footerTemplate: options.footerTemplate || '<div></div>',
+                margin: options.margin || { top: '18mm', right: '16mm', bottom: '20mm', left: '16mm' }
+            });
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+
     async close() {
         if (this.browser) {
             try {
@@ -636,4 +656,15 @@ class JavaScriptRenderer {
     }
 }
 
-module.exports = JavaScriptRenderer;
\ No newline at end of file
+// Shared instance so report rendering reuses one browser
+let sharedRenderer = null;
+
+function getSharedRenderer() {
+    if (!sharedRenderer) {
+        sharedRenderer = new JavaScriptRenderer();
+    }
+    return sharedRenderer;
+}
+
+module.exports = JavaScriptRenderer;
+module.exports.getSharedRenderer = getSharedRenderer;
\ No newline at end of file
@@ -0,0 +1,337 @@
+// services/link-graph-crawler.js
+// Breadth-first internal link crawler that builds a site link graph
+
+const { fetchWithTimeout, sleep } = require('../utils/helpers');
+const { normalizeUrl } = require('../utils/url');
+const { Logger } = require('../utils/logger');
+const { parseRobotsTxt, selectGroup, evaluateRules } = require('../utils/robots-matcher');
+const SiteCrawler = require('./site-crawler');
+
+const { runWithConcurrency, siteHost } = SiteCrawler;
+const logger = new Logger('link-graph-crawler');
+
+// Links to these resources are never queued as pages
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|avif|ico|css|js|json|xml|txt|zip|gz|mp3|mp4|webm|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+
+class LinkGraphCrawler {
+  constructor(options = {}) {
+    this.fetchPage = options.fetchPage;
+    this.auditor = options.auditor || null;
+    this.userAgent = options.userAgent || 'AttentionBot';
+    this.concurrency = options.concurrency || 3;
+    this.fetchTimeout = options.fetchTimeout || 10000;
+    this.maxCrawlDelay = options.maxCrawlDelay || 5000;
+  }
+
+  /**
+   * Crawl internal links breadth-first from a start URL
+   * @param {string} url - Start URL
+   * @param {Object} options - { maxDepth, maxPages, audit, compareSitemap, followNofollow, auditOptions }
+   * @returns {Object} - Link graph, orphan candidates and per-page audit results
+   */
+  async crawl(url, options = {}) {
+    const startTime = Date.now();
+    const maxDepth = options.maxDepth ?? 3;
+    const maxPages = options.maxPages || 50;
+    const startUrl = normalizeUrl(url);
+    const { origin, hostname } = new URL(startUrl);
+
+    const robots = await this.loadRobotsRules(origin);
+    const startVerdict = this.checkRobots(startUrl, robots);
+    if (!startVerdict.allowed) {
+      throw new Error(`Start URL is disallowed by robots.txt (${startVerdict.rule.line})`);
+    }
+
+    // Honour Crawl-delay by fetching one page at a time
+    const delayMs = robots.crawlDelay ? Math.min(robots.crawlDelay * 1000, this.maxCrawlDelay) : 0;
+    const concurrency = delayMs > 0 ? 1 : this.concurrency;
+
+    const nodes = new Map([[startUrl, this.createNode(startUrl, 0)]]);
+    const edges = [];
+    // Fetched documents, handed to the page audits so each page is downloaded once
+    const documents = options.audit !== false ? new Map() : null;
+    let frontier = [startUrl];
+    let fetchedCount = 0;
+
+    logger.info('Starting link graph crawl', { url: startUrl, maxDepth, maxPages, robotsGroup: robots.userAgent });
+
+    for (let depth = 0; depth <= maxDepth && frontier.length > 0; depth++) {
+      const batch = frontier.slice(0, Math.max(maxPages - fetchedCount, 0));
+      if (batch.length === 0) break;
+
+      const pages = await runWithConcurrency(batch, concurrency, async pageUrl => {
+        if (delayMs > 0) await sleep(delayMs);
+        return this.fetchLinks(pageUrl, hostname, options);
+      });
+      fetchedCount += batch.length;
+
+      const nextFrontier = [];
+      pages.forEach((page, index) => {
+        const node = nodes.get(batch[index]);
+        if (documents && page.document) documents.set(node.url, page.document);
+        Object.assign(node, {
+          fetched: true,
+          status: page.status,
+          finalUrl: page.finalUrl,
+          title: page.title,
+          outLinks: page.links.length,
+          error: page.error
+        });
+
+        page.links.forEach(link => {
+          let target = nodes.get(link);
+          if (!target) {
+            target = this.createNode(link, depth + 1);
+            const verdict = this.checkRobots(link, robots);
+            if (!verdict.allowed) {
+              target.blockedByRobots = true;
+              target.robotsRule = verdict.rule.line;
+            } else if (depth + 1 <= maxDepth) {
+              nextFrontier.push(link);
+            }
+            nodes.set(link, target);
+          }
+          if (link !== node.url) {
+            target.referrers.add(node.url);
+            edges.push({ from: node.url, to: link });
+          }
+        });
+      });
+
+      frontier = nextFrontier;
+    }
+
+    const pageList = [...nodes.values()].map(node => ({
+      url: node.url,
+      depth: node.depth,
+      inLinks: node.referrers.size,
+      outLinks: node.outLinks,
+      fetched: node.fetched,
+      status: node.status,
+      finalUrl: node.finalUrl,
+      title: node.title,
+      blockedByRobots: node.blockedByRobots,
+      robotsRule: node.robotsRule,
+      error: node.error
+    }));
+
+    const depthDistribution = {};
+    pageList.filter(page => page.fetched).forEach(page => {
+      depthDistribution[page.depth] = (depthDistribution[page.depth] || 0) + 1;
+    });
+
+    const unvisited = pageList.filter(page => !page.fetched && !page.blockedByRobots).length;
+    const orphanCandidates = options.compareSitemap === false ? [] :
+      await this.findSitemapOrphans(origin, hostname, nodes, options.maxSitemapUrls || 500);
+
+    const result = {
+      success: true,
+      mode: 'crawl',
+      baseUrl: origin,
+      startUrl,
+      maxDepth,
+      maxPages,
+      robots: {
+        exists: robots.exists,
+        userAgent: robots.userAgent,
+        crawlDelay: robots.crawlDelay,
+        blockedUrls: pageList.filter(page => page.blockedByRobots).length
+      },
+      linkGraph: {
+        pages: pageList,
+        edges,
+        orphanCandidates,
+        depthDistribution,
+        stats: {
+          pagesDiscovered: pageList.length,
+          pagesFetched: fetchedCount,
+          unvisited,
+          edges: edges.length,
+          complete: unvisited === 0
+        }
+      }
+    };
+
+    if (options.audit !== false) {
+      const siteCrawler = new SiteCrawler({ auditor: this.auditor, concurrency: this.concurrency });
+      const auditable = pageList
+        .filter(page => page.fetched && !page.error && page.status < 400)
+        .map(page => page.url);
+      const auditOptions = { ...siteCrawler.defaultAuditOptions, ...(options.auditOptions || {}) };
+
+      result.results = await runWithConcurrency(auditable, this.concurrency, pageUrl => {
+        const sharedDocument = documents.get(pageUrl);
+        documents.delete(pageUrl);
+        return siteCrawler.auditPage(pageUrl, { ...auditOptions, sharedDocument }, options.includeFullResults);
+      });
+      result.rollup = siteCrawler.buildRollup(result.results);
+    }
+
+    result.processingTime = Date.now() - startTime;
+    result.timestamp = new Date().toISOString();
+
+    logger.info('Link graph crawl completed', {
+      url: startUrl,
+      pagesFetched: fetchedCount,
+      pagesDiscovered: pageList.length,
+      processingTime: result.processingTime
+    });
+
+    return result;
+  }
+
+  /**
+   * Create an empty graph node
+   * @param {string} url - Normalized page URL
+   * @param {number} depth - Click depth from the start URL
+   * @returns {Object} - Graph node
+   */
+  createNode(url, depth) {
+    return {
+      url,
+      depth,
+      referrers: new Set(),
+      outLinks: 0,
+      fetched: false,
+      status: null,
+      blockedByRobots: false
+    };
+  }
+
+  /**
+   * Fetch a page and extract its internal links
+   * @param {string} url - Page URL
+   * @param {string} host - Hostname of the crawled site
+   * @param {Object} options - Crawl options
+   * @returns {Promise<Object>} - { status, finalUrl, title, links, document, error }
+   */
+  async fetchLinks(url, host, options = {}) {
+    try {
+      const page = await this.fetchPage(url);
+      const { $ } = page;
+      const finalUrl = page.url || url;
+
+      const metaRobots = ($('meta[name="robots"]').attr('content') || '').toLowerCase();
+      const links = /\bnofollow\b|\bnone\b/.test(metaRobots) && !options.followNofollow ?
+        [] : this.extractLinks($, finalUrl, host, options);
+
+      return {
+        status: page.status,
+        finalUrl: finalUrl !== url ? finalUrl : undefined,
+        title: $('title').first().text().trim() || null,
+        links,
+        document: page
+      };
+    } catch (error) {
+      const statusMatch = error.message.match(/HTTP (\d{3})/);
+      return {
+        status: statusMatch ? parseInt(statusMatch[1]) : null,
+        links: [],
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Extract normalized same-site page links from a document
+   * @param {Function} $ - Cheerio instance
+   * @param {string} pageUrl - URL the document was served from
+   * @param {string} host - Hostname of the crawled site
+   * @param {Object} options - { followNofollow }
+   * @returns {Array} - Unique normalized URLs
+   */
+  extractLinks($, pageUrl, host, options = {}) {
+    const links = new Set();
+    const baseHref = $('base[href]').attr('href');
+    let base = pageUrl;
+    try {
+      if (baseHref) base = new URL(baseHref, pageUrl).href;
+    } catch (_) {
+      // Ignore malformed <base> and resolve against the page URL
+    }
+
+    $('a[href]').each((_, element) => {
+      const href = ($(element).attr('href') || '').trim();
+      if (!href || href.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(href)) return;
+      if (!options.followNofollow && /\bnofollow\b/i.test($(element).attr('rel') || '')) return;
+
+      let resolved;
+      try {
+        resolved = new URL(href, base);
+      } catch (_) {
+        return;
+      }
+
+      if (!['http:', 'https:'].includes(resolved.protocol)) return;
+      if (siteHost(resolved.hostname) !== siteHost(host)) return;
+      if (NON_HTML_EXTENSIONS.test(resolved.pathname)) return;
+
+      resolved.hash = '';
+      links.add(normalizeUrl(resolved.href));
+    });
+
+    return [...links];
+  }
+
+  /**
+   * Fetch robots.txt and keep the group that applies to this crawler
+   * @param {string} origin - Site origin
+   * @returns {Promise<Object>} - { exists, userAgent, rules, crawlDelay }
+   */
+  async loadRobotsRules(origin) {
+    try {
+      const response = await fetchWithTimeout(`${origin}/robots.txt`, this.fetchTimeout);
+      if (!response.ok) {
+        return { exists: false, userAgent: null, rules: [], crawlDelay: null };
+      }
+
+      const group = selectGroup(parseRobotsTxt(await response.text()), this.userAgent);
+
+      return {
+        exists: true,
+        userAgent: group ? group.userAgent : null,
+        rules: group ? group.rules : [],
+        crawlDelay: group ? group.crawlDelay : null
+      };
+    } catch (error) {
+      logger.warn('robots.txt unavailable, crawling without restrictions', { origin, error: error.message });
+      return { exists: false, userAgent: null, rules: [], crawlDelay: null, error: error.message };
+    }
+  }
+
+  /**
+   * Check a URL against the loaded robots.txt rules
+   * @param {string} url - Absolute URL
+   * @param {Object} robots - Result of loadRobotsRules
+   * @returns {Object} - { allowed, rule }
+   */
+  checkRobots(url, robots) {
+    const { pathname, search } = new URL(url);
+    return evaluateRules(pathname + search, robots.rules);
+  }
+
+  /**
+   * List sitemap URLs the crawl never reached through internal links
+   * @param {string} origin - Site origin
+   * @param {string} host - Hostname of the crawled site
+   * @param {Map} nodes - Crawled graph nodes
+   * @param {number} maxUrls - Maximum sitemap URLs to compare
+   * @returns {Promise<Array>} - Orphan candidates
+   */
+  async findSitemapOrphans(origin, host, nodes, maxUrls) {
+    try {
+      const siteCrawler = new SiteCrawler({ fetchTimeout: this.fetchTimeout });
+      const entryPoints = await siteCrawler.discoverSitemaps(origin);
+      const { urls } = await siteCrawler.collectSitemapUrls(entryPoints, { maxUrls, host });
+
+      return urls
+        .filter(url => !nodes.has(url))
+        .map(url => ({ url, reason: 'in-sitemap-not-linked' }));
+    } catch (error) {
+      logger.warn('Sitemap comparison failed', { origin, error: error.message });
+      return [];
+    }
+  }
+}
+
+module.exports = LinkGraphCrawler;
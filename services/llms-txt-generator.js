@@ -0,0 +1,465 @@
+// services/llms-txt-generator.js
+// Sitewide llms.txt / llms-full.txt generation from sitemap or link-graph crawl results
+
+const SiteCrawler = require('./site-crawler');
+const LinkGraphCrawler = require('./link-graph-crawler');
+const LlmsTxtValidator = require('./llms-txt-validator');
+const ContentExtractor = require('./content-extractor');
+const { Logger } = require('../utils/logger');
+const { extractStructuredData } = require('../utils/structured-data');
+const { cleanText } = require('../utils/text');
+
+const { runWithConcurrency } = SiteCrawler;
+const logger = new Logger('llms-txt-generator');
+
+/**
+ * Page types recognised from URL paths and markup, in section order
+ */
+const PAGE_TYPES = [
+  { id: 'docs', section: 'Docs', path: /\/(docs?|documentation|guides?|help|support|kb|knowledge-base|faq|tutorials?|api)(\/|$)/i },
+  { id: 'product', section: 'Products', path: /\/(products?|shop|store|pricing|plans|services?|solutions|features)(\/|$)/i, schema: /^(Product|Service|Offer)$/ },
+  { id: 'blog', section: 'Blog', path: /\/(blog|news|articles?|posts?|insights|stories|updates)(\/|$)/i, schema: /^(Article|BlogPosting|NewsArticle)$/ },
+  { id: 'company', section: 'Company', path: /\/(about|team|company|contact|careers|jobs|press)(\/|$)/i },
+  { id: 'legal', section: 'Optional', path: /\/(privacy|terms|legal|cookies?|cookie-policy|gdpr|imprint|impressum|disclaimer)([-/.]|$)/i }
+];
+
+const MIN_PATH_SECTION_PAGES = 2;
+const TITLE_SEPARATOR = /\s+[|–—·-]\s+/;
+
+/**
+ * Collect every schema.org @type in a structured data document, nested entities and type arrays included
+ * @param {*} data - JSON-LD shaped document
+ * @param {Array} types - Accumulator
+ * @returns {Array} - Short type names ("https://schema.org/Product" → "Product")
+ */
+function collectSchemaTypes(data, types = []) {
+  if (Array.isArray(data)) {
+    data.forEach(item => collectSchemaTypes(item, types));
+  } else if (data && typeof data === 'object') {
+    [].concat(data['@type'] || [])
+      .filter(type => typeof type === 'string')
+      .forEach(type => types.push(type.replace(/^(schema:|https?:\/\/(www\.)?schema\.org\/)/i, '')));
+    Object.values(data).forEach(value => collectSchemaTypes(value, types));
+  }
+  return types;
+}
+
+/**
+ * Title-case a URL path segment ("case-studies" → "Case Studies")
+ * @param {string} segment - Path segment
+ * @returns {string} - Section title
+ */
+function segmentTitle(segment) {
+  return decodeURIComponent(segment)
+    .replace(/[-_]+/g, ' ')
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+class LlmsTxtGenerator {
+  constructor(options = {}) {
+    this.fetchPage = options.fetchPage || null;
+    this.siteCrawler = options.siteCrawler || new SiteCrawler();
+    this.concurrency = options.concurrency || 3;
+    this.encoder = options.encoder || null;
+  }
+
+  /**
+   * Lazily create the page fetcher so tests can inject their own
+   * @returns {Function} - async (url) => { status, url, $ }
+   */
+  getFetchPage() {
+    if (!this.fetchPage) {
+      const OptimizedAuditOrchestrator = require('./audit-orchestrator.optimized');
+      const auditor = new OptimizedAuditOrchestrator();
+      this.fetchPage = pageUrl => auditor.getPageContent(pageUrl);
+    }
+    return this.fetchPage;
+  }
+
+  /**
+   * Count tokens with tiktoken (cl100k_base via gpt-4)
+   * @param {string} text - Text to measure
+   * @returns {number} - Token count
+   */
+  countTokens(text) {
+    if (!this.encoder) {
+      const { encoding_for_model } = require('tiktoken');
+      this.encoder = encoding_for_model('gpt-4');
+    }
+    return this.encoder.encode(text).length;
+  }
+
+  /**
+   * Release the tiktoken encoder (WASM memory is not garbage collected)
+   */
+  dispose() {
+    if (this.encoder && typeof this.encoder.free === 'function') {
+      this.encoder.free();
+    }
+    this.encoder = null;
+  }
+
+  /**
+   * Classify a page as docs, product, blog, company, legal, home or other
+   * @param {string} url - Page URL
+   * @param {Function} $ - Cheerio instance
+   * @returns {string} - Page type id
+   */
+  classifyPage(url, $) {
+    const { pathname } = new URL(url);
+    if (pathname === '/' || pathname === '') return 'home';
+
+    const byPath = PAGE_TYPES.find(type => type.path.test(pathname));
+    if (byPath) return byPath.id;
+
+    const schemaTypes = collectSchemaTypes(extractStructuredData($).documents.map(doc => doc.data));
+    const bySchema = PAGE_TYPES.find(type => type.schema && schemaTypes.some(schemaType => type.schema.test(schemaType)));
+    if (bySchema) return bySchema.id;
+
+    if (/^article$/i.test($('meta[property="og:type"]').attr('content') || '')) return 'blog';
+    return 'other';
+  }
+
+  /**
+   * Collect the facts llms.txt needs from a fetched page
+   * @param {Function} $ - Cheerio instance
+   * @param {string} url - Page URL
+   * @param {boolean} includeMarkdown - Convert the main content for llms-full.txt
+   * @returns {Object} - { url, title, h1, description, siteName, pageType, markdown }
+   */
+  describePage($, url, includeMarkdown = false) {
+    const facts = {
+      url,
+      title: cleanText($('title').first().text()) || null,
+      h1: cleanText($('h1').first().text()) || null,
+      description: cleanText($('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content')) || null,
+      siteName: cleanText($('meta[property="og:site_name"]').attr('content')) || null,
+      pageType: this.classifyPage(url, $),
+      noindex: /\bnoindex\b|\bnone\b/i.test($('meta[name="robots"]').attr('content') || '')
+    };
+    if (includeMarkdown) {
+      if (!this.contentExtractor) this.contentExtractor = new ContentExtractor();
+      facts.markdown = this.contentExtractor.extract($, url, { countTokens: false }).markdown;
+    }
+    return facts;
+  }
+
+  /**
+   * Page title without a trailing " | Site name" suffix, falling back to H1 or the URL slug
+   * @param {Object} page - Page facts
+   * @param {string} siteName - Site name
+   * @returns {string} - Page-specific title
+   */
+  pageTitle(page, siteName) {
+    const title = page.title || page.h1;
+    if (!title) {
+      const { pathname } = new URL(page.url);
+      return segmentTitle(pathname.split('/').filter(Boolean).pop() || pathname);
+    }
+    const parts = title.split(TITLE_SEPARATOR);
+    if (parts.length > 1 && siteName && parts[parts.length - 1].toLowerCase() === siteName.toLowerCase()) {
+      return parts.slice(0, -1).join(' - ');
+    }
+    return title;
+  }
+
+  /**
+   * Site name from og:site_name, else the home title part shared as a suffix by other page titles
+   * @param {Object|null} home - Home page facts
+   * @param {Array} pages - All page facts
+   * @param {string} origin - Site origin
+   * @returns {string} - Site name
+   */
+  siteName(home, pages, origin) {
+    const declared = (home && home.siteName) || (pages.find(page => page.siteName) || {}).siteName;
+    if (declared) return declared;
+
+    const homeTitle = home && (home.title || home.h1);
+    if (!homeTitle) return new URL(origin).hostname;
+
+    const parts = homeTitle.split(TITLE_SEPARATOR);
+    const suffixes = pages
+      .filter(page => page !== home && page.title)
+      .map(page => page.title.split(TITLE_SEPARATOR).pop().toLowerCase());
+    return parts.find(part => suffixes.includes(part.toLowerCase())) || parts[0];
+  }
+
+  /**
+   * Discover pages from sitemaps, fetch them and count internal links between them
+   * @param {string} url - Site URL
+   * @param {Object} options - { maxPages, includeFull }
+   * @returns {Promise<Object>} - { pages, discovered }
+   */
+  async collectFromSitemap(url, options) {
+    const { origin, hostname } = new URL(url);
+    const entryPoints = await this.siteCrawler.discoverSitemaps(origin);
+    const { urls } = await this.siteCrawler.collectSitemapUrls(entryPoints, { maxUrls: options.maxPages, host: hostname });
+    if (urls.length === 0) {
+      return { pages: [], discovered: 0 };
+    }
+
+    const fetchPage = this.getFetchPage();
+    const linkCrawler = new LinkGraphCrawler({ fetchPage });
+    const fetched = await runWithConcurrency(urls, this.concurrency, async pageUrl => {
+      try {
+        const page = await fetchPage(pageUrl);
+        return {
+          facts: this.describePage(page.$, pageUrl, options.includeFull),
+          links: linkCrawler.extractLinks(page.$, page.url || pageUrl, hostname)
+        };
+      } catch (error) {
+        logger.warn('Skipping page for llms.txt', { url: pageUrl, error: error.message });
+        return null;
+      }
+    });
+
+    const inLinks = new Map(urls.map(pageUrl => [pageUrl, new Set()]));
+    fetched.forEach((page, index) => {
+      if (!page) return;
+      page.links.forEach(link => {
+        if (inLinks.has(link) && link !== urls[index]) inLinks.get(link).add(urls[index]);
+      });
+    });
+
+    const pages = fetched
+      .filter(Boolean)
+      .map(page => ({ ...page.facts, inLinks: inLinks.get(page.facts.url).size }));
+
+    return { pages, discovered: urls.length };
+  }
+
+  /**
+   * Crawl internal links breadth-first and keep the facts of every fetched page
+   * @param {string} url - Start URL
+   * @param {Object} options - { maxPages, maxDepth, includeFull }
+   * @returns {Promise<Object>} - { pages, discovered }
+   */
+  async collectFromCrawl(url, options) {
+    const fetchPage = this.getFetchPage();
+    const facts = new Map();
+    const crawler = new LinkGraphCrawler({
+      concurrency: this.concurrency,
+      fetchPage: async pageUrl => {
+        const page = await fetchPage(pageUrl);
+        facts.set(pageUrl, this.describePage(page.$, pageUrl, options.includeFull));
+        return page;
+      }
+    });
+
+    const result = await crawler.crawl(url, {
+      maxPages: options.maxPages,
+      maxDepth: options.maxDepth,
+      audit: false,
+      compareSitemap: false
+    });
+
+    const pages = result.linkGraph.pages
+      .filter(page => facts.has(page.url) && !page.error && page.status < 400)
+      .map(page => ({ ...facts.get(page.url), inLinks: page.inLinks }));
+
+    return { pages, discovered: result.linkGraph.stats.pagesDiscovered };
+  }
+
+  /**
+   * Group pages into sections by page type, then by first path segment
+   * @param {Array} pages - Page facts with inLinks
+   * @param {Object} options - { maxLinksPerSection }
+   * @returns {Array} - [{ title, pages }] ordered by internal link weight, Optional last
+   */
+  buildSections(pages, options) {
+    const groups = new Map();
+    const add = (title, page) => {
+      if (!groups.has(title)) groups.set(title, []);
+      groups.get(title).push(page);
+    };
+
+    const others = [];
+    pages.filter(page => page.pageType !== 'home').forEach(page => {
+      const type = PAGE_TYPES.find(entry => entry.id === page.pageType);
+      if (type) {
+        add(type.section, page);
+      } else {
+        others.push(page);
+      }
+    });
+
+    // Path-based sections for untyped pages when a segment has enough pages
+    const bySegment = new Map();
+    others.forEach(page => {
+      const segment = new URL(page.url).pathname.split('/').filter(Boolean)[0] || '';
+      if (!bySegment.has(segment)) bySegment.set(segment, []);
+      bySegment.get(segment).push(page);
+    });
+    bySegment.forEach((segmentPages, segment) => {
+      const title = segment && segmentPages.length >= MIN_PATH_SECTION_PAGES ? segmentTitle(segment) : 'Pages';
+      segmentPages.forEach(page => add(title, page));
+    });
+
+    const byRank = (a, b) => b.inLinks - a.inLinks || a.url.localeCompare(b.url);
+    return [...groups.entries()]
+      .map(([title, sectionPages]) => {
+        const ranked = [...sectionPages].sort(byRank);
+        return {
+          title,
+          weight: ranked.reduce((sum, page) => sum + page.inLinks, 0),
+          pages: ranked.slice(0, options.maxLinksPerSection),
+          omitted: Math.max(ranked.length - options.maxLinksPerSection, 0)
+        };
+      })
+      .sort((a, b) => (a.title === 'Optional') - (b.title === 'Optional') || b.weight - a.weight || a.title.localeCompare(b.title))
+      .map(({ weight, ...section }) => section);
+  }
+
+  /**
+   * Render llms.txt markdown
+   * @param {Object} site - { name, summary, details }
+   * @param {Array} sections - Output of buildSections
+   * @returns {string} - llms.txt content
+   */
+  renderLlmsTxt(site, sections) {
+    const lines = [`# ${site.name}`, ''];
+    if (site.summary) lines.push(`> ${site.summary}`, '');
+    if (site.details) lines.push(site.details, '');
+
+    sections.forEach(section => {
+      lines.push(`## ${section.title}`, '');
+      section.pages.forEach(page => {
+        const note = page.description ? `: ${page.description}` : '';
+        lines.push(`- [${page.linkTitle.replace(/[[\]]/g, '')}](${page.url})${note}`);
+      });
+      lines.push('');
+    });
+
+    return lines.join('\n').trimEnd() + '\n';
+  }
+
+  /**
+   * Concatenate cleaned markdown of the highest-ranked pages within a token budget
+   * @param {Object} site - { name, summary }
+   * @param {Array} pages - Page facts with markdown and inLinks
+   * @param {Object} options - { tokenBudget, fullPages }
+   * @returns {Object} - { content, tokens, budget, pages, skipped }
+   */
+  renderLlmsFullTxt(site, pages, options) {
+    const header = [`# ${site.name}`, '', site.summary ? `> ${site.summary}\n` : ''].join('\n').trimEnd() + '\n';
+    let tokens = this.countTokens(header);
+    const parts = [header];
+    const included = [];
+    const skipped = [];
+
+    const candidates = pages
+      .filter(page => page.pageType !== 'legal' && page.markdown)
+      .sort((a, b) => b.inLinks - a.inLinks || a.url.localeCompare(b.url))
+      .slice(0, options.fullPages);
+
+    candidates.forEach(page => {
+      const block = `\n---\n\nSource: ${page.url}\n\n${page.markdown}\n`;
+      const blockTokens = this.countTokens(block);
+      if (tokens + blockTokens > options.tokenBudget) {
+        skipped.push({ url: page.url, tokens: blockTokens });
+        return;
+      }
+      tokens += blockTokens;
+      parts.push(block);
+      included.push({ url: page.url, tokens: blockTokens });
+    });
+
+    return { content: parts.join(''), tokens, budget: options.tokenBudget, pages: included, skipped };
+  }
+
+  /**
+   * Generate llms.txt (and optionally llms-full.txt) for a site
+   * @param {string} url - Site URL
+   * @param {Object} options - { source: auto|sitemap|crawl, maxPages, maxDepth, maxLinksPerSection, includeFull, tokenBudget, fullPages }
+   * @returns {Promise<Object>} - Generated files, sections, token usage and a validation report
+   */
+  async generate(url, options = {}) {
+    const settings = {
+      source: options.source || 'auto',
+      maxPages: options.maxPages || 50,
+      maxDepth: options.maxDepth ?? 3,
+      maxLinksPerSection: options.maxLinksPerSection || 20,
+      includeFull: Boolean(options.includeFull),
+      tokenBudget: options.tokenBudget || 50000,
+      fullPages: options.fullPages || 20
+    };
+    const { origin } = new URL(url);
+
+    let source = settings.source === 'crawl' ? 'crawl' : 'sitemap';
+    let collected = source === 'sitemap' ? await this.collectFromSitemap(url, settings) : null;
+    if (source === 'sitemap' && collected.pages.length === 0 && settings.source === 'auto') {
+      source = 'crawl';
+    }
+    if (source === 'crawl') {
+      collected = await this.collectFromCrawl(url, settings);
+    }
+    if (collected.pages.length === 0) {
+      throw new Error(`No pages found via ${source}`);
+    }
+
+    const pages = collected.pages.filter(page => !page.noindex);
+    const home = pages.find(page => page.pageType === 'home') || null;
+    const siteName = this.siteName(home, pages, origin);
+    const site = {
+      name: siteName,
+      summary: home ? home.description : null,
+      details: null
+    };
+
+    pages.forEach(page => {
+      page.linkTitle = this.pageTitle(page, siteName);
+    });
+
+    const sections = this.buildSections(pages, settings);
+    const llmsTxt = this.renderLlmsTxt(site, sections);
+
+    const result = {
+      url: origin,
+      source,
+      llmsTxt,
+      sections: sections.map(section => ({
+        title: section.title,
+        omitted: section.omitted,
+        pages: section.pages.map(page => ({
+          url: page.url,
+          title: page.linkTitle,
+          description: page.description,
+          pageType: page.pageType,
+          inLinks: page.inLinks
+        }))
+      })),
+      metadata: {
+        title: site.name,
+        summary: site.summary,
+        pagesDiscovered: collected.discovered,
+        pagesIncluded: sections.reduce((sum, section) => sum + section.pages.length, 0),
+        noindexSkipped: collected.pages.length - pages.length,
+        generatedAt: new Date().toISOString()
+      },
+      validation: new LlmsTxtValidator().validateContent(llmsTxt, `${origin}/llms.txt`)
+    };
+
+    if (settings.includeFull) {
+      try {
+        const full = this.renderLlmsFullTxt(site, pages, settings);
+        result.llmsFullTxt = full.content;
+        result.full = { tokens: full.tokens, budget: full.budget, pages: full.pages, skipped: full.skipped };
+      } finally {
+        this.dispose();
+      }
+    }
+
+    logger.info('llms.txt generated', {
+      url: origin,
+      source,
+      sections: sections.length,
+      pages: result.metadata.pagesIncluded,
+      fullTokens: result.full ? result.full.tokens : null
+    });
+
+    return result;
+  }
+}
+
+module.exports = LlmsTxtGenerator;
+module.exports.PAGE_TYPES = PAGE_TYPES;
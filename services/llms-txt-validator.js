@@ -0,0 +1,366 @@
+// services/llms-txt-validator.js
+// llms.txt validation against the community spec (llmstxt.org): structure, link lists,
+// link reachability, llms-full.txt and .md page variants
+
+const httpClient = require('./http-client');
+const { runWithConcurrency } = require('./site-crawler');
+const { isInternalHost } = require('../utils/validation');
+
+const MAX_LLMS_BYTES = 1024 * 1024;
+
+/**
+ * Points per check; checks that could not run are left out of the maximum
+ */
+const CHECK_POINTS = {
+  title: 25,
+  summary: 15,
+  sections: 20,
+  linkFormat: 10,
+  reachability: 15,
+  fullVariant: 10,
+  markdownVariants: 5
+};
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/;
+const LINK_ITEM = /^\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)(?:\s*:\s*(.*))?$/;
+
+/**
+ * URL of the markdown variant of a page: "page.html.md" style for files, "index.html.md" for directories
+ * @param {string} url - Page URL
+ * @returns {string} - Markdown variant URL
+ */
+function markdownVariantUrl(url) {
+  const target = new URL(url);
+  target.hash = '';
+  target.search = '';
+  target.pathname = target.pathname.endsWith('/') ? `${target.pathname}index.html.md` : `${target.pathname}.md`;
+  return target.href;
+}
+
+class LlmsTxtValidator {
+  constructor(options = {}) {
+    this.client = options.client || httpClient;
+    this.timeout = options.timeout || 5000;
+    this.maxLinkChecks = options.maxLinkChecks ?? 20;
+    this.maxMarkdownChecks = options.maxMarkdownChecks ?? 5;
+    this.concurrency = options.concurrency || 4;
+  }
+
+  /**
+   * Parse llms.txt markdown into title, summary, details and H2 link sections
+   * @param {string} content - llms.txt content
+   * @param {string} llmsUrl - URL the file was served from (resolves relative links)
+   * @returns {Object} - { title, summary, details, sections, errors, warnings }
+   */
+  parse(content, llmsUrl) {
+    const errors = [];
+    const warnings = [];
+    const lines = String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const sections = [];
+    const details = [];
+    let title = null;
+    let summary = null;
+    let summaryOpen = false;
+    let current = null;
+    let inFence = false;
+    let contentSeen = false;
+
+    lines.forEach((raw, index) => {
+      const line = index + 1;
+      const text = raw.trim();
+
+      if (/^(```|~~~)/.test(text)) {
+        inFence = !inFence;
+        contentSeen = true;
+        return;
+      }
+      if (inFence) return;
+      if (!text) {
+        summaryOpen = false;
+        return;
+      }
+
+      const heading = text.match(HEADING);
+      if (heading) {
+        const level = heading[1].length;
+        if (level === 1) {
+          if (title === null) {
+            if (contentSeen && !errors.some(error => error.code === 'missing_h1')) {
+              errors.push({ code: 'missing_h1', line, message: 'The H1 title must come first in llms.txt' });
+            }
+            title = { text: heading[2], line };
+          } else {
+            errors.push({ code: 'multiple_h1', line, message: `Only one H1 is allowed; found "${heading[2]}"` });
+          }
+        } else if (level === 2) {
+          current = { title: heading[2], line, optional: /^optional$/i.test(heading[2]), links: [], invalidItems: 0 };
+          sections.push(current);
+        } else {
+          warnings.push({ code: 'heading_level', line, message: `H${level} "${heading[2]}" is not part of the spec; use H2 sections with link lists` });
+        }
+        contentSeen = true;
+        summaryOpen = false;
+        return;
+      }
+
+      if (title === null && !contentSeen) {
+        errors.push({ code: 'missing_h1', line, message: 'llms.txt must start with an H1 title (# Project name)' });
+      }
+      contentSeen = true;
+
+      const quote = text.match(/^>\s?(.*)$/);
+      if (quote && !current && (summary === null || summaryOpen)) {
+        if (summary === null && details.length > 0) {
+          warnings.push({ code: 'summary_position', line, message: 'The blockquote summary should come directly after the H1 title' });
+        }
+        summary = summary === null ? quote[1] : `${summary} ${quote[1]}`.trim();
+        summaryOpen = true;
+        return;
+      }
+      summaryOpen = false;
+
+      const item = text.match(LIST_ITEM);
+      if (current && item) {
+        const link = item[1].trim().match(LINK_ITEM);
+        if (!link) {
+          current.invalidItems++;
+          errors.push({ code: 'invalid_link_item', line, message: `List item in "${current.title}" is not a markdown link: ${item[1].trim().substring(0, 80)}` });
+          return;
+        }
+        let url = null;
+        try {
+          url = new URL(link[2], llmsUrl).href;
+        } catch (_) {
+          errors.push({ code: 'invalid_url', line, message: `Invalid URL "${link[2]}" in "${current.title}"` });
+          current.invalidItems++;
+          return;
+        }
+        current.links.push({ title: link[1].trim(), url, description: link[3] ? link[3].trim() : null, line });
+        return;
+      }
+
+      if (!current) details.push(text);
+    });
+
+    if (title === null && !errors.some(error => error.code === 'missing_h1')) {
+      errors.push({ code: 'missing_h1', line: 1, message: 'llms.txt must start with an H1 title (# Project name)' });
+    }
+    if (title !== null && summary === null) {
+      warnings.push({ code: 'missing_summary', line: title.line, message: 'Add a blockquote summary (> ...) after the H1 title' });
+    }
+    if (sections.length === 0) {
+      warnings.push({ code: 'no_sections', line: null, message: 'No H2 sections with link lists found' });
+    }
+    sections.filter(section => section.links.length === 0 && section.invalidItems === 0).forEach(section => {
+      warnings.push({ code: 'empty_section', line: section.line, message: `Section "${section.title}" has no links` });
+    });
+
+    return { title: title && title.text, summary, details: details.join('\n'), sections, errors, warnings };
+  }
+
+  /**
+   * Check whether a URL answers with 2xx, retrying with GET where HEAD is not supported
+   * @param {string} url - URL to check
+   * @returns {Promise<Object>} - { url, ok, status, error }
+   */
+  async checkUrl(url) {
+    try {
+      let response = await this.client.request(url, { method: 'HEAD', timeout: this.timeout, includeBody: false });
+      if ([403, 405, 501].includes(response.status)) {
+        response = await this.client.request(url, { timeout: this.timeout, includeBody: false });
+      }
+      return { url, ok: response.ok, status: response.status, error: null };
+    } catch (error) {
+      return { url, ok: false, status: null, error: error.message };
+    }
+  }
+
+  /**
+   * Score the checks that ran; skipped checks don't count against the file
+   * @param {Object} checks - { name: { passed: 0..1, skipped } }
+   * @returns {number} - 0-100
+   */
+  score(checks) {
+    let points = 0;
+    let maxPoints = 0;
+    Object.entries(checks).forEach(([name, check]) => {
+      if (check.skipped) return;
+      maxPoints += CHECK_POINTS[name];
+      points += CHECK_POINTS[name] * check.passed;
+    });
+    return maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0;
+  }
+
+  /**
+   * Validate llms.txt content without network checks
+   * @param {string} content - llms.txt content
+   * @param {string} llmsUrl - URL of the file
+   * @returns {Object} - Validation report (reachability and variants marked skipped)
+   */
+  validateContent(content, llmsUrl) {
+    const parsed = this.parse(content, llmsUrl);
+    if (!String(content || '').trim()) {
+      parsed.errors = [{ code: 'empty_file', line: null, message: 'llms.txt is empty' }];
+      parsed.warnings = [];
+    }
+    const links = parsed.sections.flatMap(section => section.links);
+    const invalidItems = parsed.sections.reduce((sum, section) => sum + section.invalidItems, 0);
+    const itemCount = links.length + invalidItems;
+
+    const checks = {
+      title: { passed: parsed.title && !parsed.errors.some(error => error.code === 'missing_h1') ? 1 : 0 },
+      summary: { passed: parsed.summary ? 1 : 0 },
+      sections: { passed: parsed.sections.some(section => section.links.length > 0) ? 1 : 0 },
+      linkFormat: { passed: itemCount > 0 ? links.length / itemCount : 0 },
+      reachability: { passed: 0, skipped: true },
+      fullVariant: { passed: 0, skipped: true },
+      markdownVariants: { passed: 0, skipped: true }
+    };
+
+    return {
+      url: llmsUrl,
+      exists: true,
+      title: parsed.title,
+      summary: parsed.summary,
+      sections: parsed.sections.map(section => ({
+        title: section.title,
+        optional: section.optional,
+        links: section.links.length,
+        line: section.line
+      })),
+      links,
+      checks,
+      errors: parsed.errors,
+      warnings: parsed.warnings,
+      score: this.score(checks)
+    };
+  }
+
+  /**
+   * Validate a site's llms.txt, including link reachability and companion files
+   * @param {string} siteUrl - Any URL on the site
+   * @param {Object} options - { content, contentType } to skip fetching llms.txt, { checkLinks: false } to skip network checks
+   * @returns {Promise<Object>} - Validation report with errors, warnings and score
+   */
+  async validate(siteUrl, options = {}) {
+    const origin = new URL(siteUrl).origin;
+    const llmsUrl = `${origin}/llms.txt`;
+    let content = options.content;
+    let contentType = options.contentType || '';
+
+    if (typeof content !== 'string') {
+      let response;
+      try {
+        response = await this.client.request(llmsUrl, { timeout: this.timeout, maxResponseSize: MAX_LLMS_BYTES });
+      } catch (error) {
+        return this.missing(llmsUrl, 'fetch_failed', `Could not fetch llms.txt: ${error.message}`);
+      }
+      if (!response.ok) {
+        return this.missing(llmsUrl, 'not_found', `llms.txt returned HTTP ${response.status}`);
+      }
+      contentType = String(response.headers['content-type'] || '');
+      content = response.body || '';
+    }
+
+    if (/text\/html/i.test(contentType) || /^\s*<(!doctype|html)/i.test(content)) {
+      return { ...this.missing(llmsUrl, 'not_markdown', 'llms.txt is served as HTML (likely a catch-all page), not markdown'), exists: true };
+    }
+
+    const report = this.validateContent(content, llmsUrl);
+    if (options.checkLinks === false) return report;
+
+    const uniqueUrls = [...new Set(report.links.map(link => link.url))];
+    // Links on the audited site are checked as-is; off-site links must not reach internal addresses
+    const blocked = uniqueUrls.filter(url => new URL(url).origin !== origin && isInternalHost(new URL(url).hostname));
+    const toCheck = uniqueUrls.filter(url => !blocked.includes(url)).slice(0, this.maxLinkChecks);
+    const pageLinks = uniqueUrls
+      .filter(url => new URL(url).origin === origin && !/\.(md|txt)$/i.test(new URL(url).pathname));
+    const markdownTargets = pageLinks.slice(0, this.maxMarkdownChecks).map(markdownVariantUrl);
+
+    const [linkResults, fullResult, markdownResults] = await Promise.all([
+      runWithConcurrency(toCheck, this.concurrency, url => this.checkUrl(url)),
+      this.checkUrl(`${origin}/llms-full.txt`),
+      runWithConcurrency(markdownTargets, this.concurrency, url => this.checkUrl(url))
+    ]);
+
+    const broken = linkResults.filter(result => !result.ok);
+    broken.forEach(result => {
+      const link = report.links.find(item => item.url === result.url);
+      report.errors.push({
+        code: 'broken_link',
+        line: link ? link.line : null,
+        message: `Linked URL is not reachable (${result.status ? `HTTP ${result.status}` : result.error}): ${result.url}`
+      });
+    });
+    blocked.forEach(url => {
+      const link = report.links.find(item => item.url === url);
+      report.warnings.push({
+        code: 'internal_link',
+        line: link ? link.line : null,
+        message: `Linked URL points to a private or loopback address and was not checked: ${url}`
+      });
+    });
+    report.reachability = {
+      checked: linkResults.length,
+      reachable: linkResults.length - broken.length,
+      broken: broken.map(({ url, status, error }) => ({ url, status, error })),
+      blocked,
+      unchecked: uniqueUrls.length - toCheck.length - blocked.length
+    };
+    report.checks.reachability = linkResults.length > 0
+      ? { passed: (linkResults.length - broken.length) / linkResults.length }
+      : { passed: 0, skipped: true };
+
+    report.full = { url: `${origin}/llms-full.txt`, exists: fullResult.ok, status: fullResult.status };
+    report.checks.fullVariant = { passed: fullResult.ok ? 1 : 0 };
+    if (!fullResult.ok) {
+      report.warnings.push({ code: 'missing_full', line: null, message: 'No llms-full.txt with the full documentation content' });
+    }
+
+    const markdownAvailable = markdownResults.filter(result => result.ok).length;
+    report.markdownVariants = {
+      checked: markdownResults.length,
+      available: markdownAvailable,
+      missing: markdownResults.filter(result => !result.ok).map(result => result.url)
+    };
+    report.checks.markdownVariants = markdownResults.length > 0
+      ? { passed: markdownAvailable / markdownResults.length }
+      : { passed: 0, skipped: true };
+    if (markdownResults.length > 0 && markdownAvailable < markdownResults.length) {
+      report.warnings.push({
+        code: 'missing_md_variants',
+        line: null,
+        message: `${markdownResults.length - markdownAvailable} of ${markdownResults.length} linked pages have no .md variant`
+      });
+    }
+
+    report.score = this.score(report.checks);
+    return report;
+  }
+
+  /**
+   * Report for a missing or unusable llms.txt
+   * @param {string} llmsUrl - URL of the file
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @returns {Object} - Validation report scoring 0
+   */
+  missing(llmsUrl, code, message) {
+    return {
+      url: llmsUrl,
+      exists: false,
+      title: null,
+      summary: null,
+      sections: [],
+      links: [],
+      checks: {},
+      errors: [{ code, line: null, message }],
+      warnings: [],
+      score: 0
+    };
+  }
+}
+
+module.exports = LlmsTxtValidator;
+module.exports.markdownVariantUrl = markdownVariantUrl;
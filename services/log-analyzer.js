@@ -0,0 +1,320 @@
+// services/log-analyzer.js
+// Server access-log analysis: real crawler traffic per known bot, robots.txt compliance and spoofed user-agents
+
+const readline = require('readline');
+const { Logger } = require('../utils/logger');
+const { parseLogLine } = require('../utils/access-log');
+const { evaluateUrl } = require('../utils/robots-matcher');
+const BotPolicyAnalyzer = require('./bot-policy-analyzer');
+const BotVerifier = require('./bot-verifier');
+
+const logger = new Logger('log-analyzer');
+
+/**
+ * User-agents that look automated but match no registry pattern
+ */
+const BOT_LIKE_PATTERN = /bot|crawl|spider|slurp|fetch|scrape/i;
+
+class LogAnalyzer {
+  constructor(options = {}) {
+    this.botAnalyzer = options.botAnalyzer || new BotPolicyAnalyzer();
+    this.verifier = options.verifier || null;
+    this.maxTrackedPaths = options.maxTrackedPaths || 5000;
+    this.maxTrackedIps = options.maxTrackedIps || 1000;
+    this.maxVerifiedIps = options.maxVerifiedIps || 20;
+    this.topPaths = options.topPaths || 20;
+  }
+
+  /**
+   * Lazily create the DNS verifier so analyses without verification never touch the resolver
+   * @returns {BotVerifier} - Verifier
+   */
+  getVerifier() {
+    if (!this.verifier) {
+      this.verifier = new BotVerifier();
+    }
+    return this.verifier;
+  }
+
+  /**
+   * Match a user-agent against the registry; the longest matching pattern wins
+   * so specific tokens (Googlebot-Image) beat generic ones (Googlebot)
+   * @param {string} userAgent - Request user-agent
+   * @returns {string|null} - Bot name
+   */
+  classify(userAgent) {
+    if (!userAgent) return null;
+
+    let best = null;
+    Object.entries(this.botAnalyzer.knownBots).forEach(([botName, botInfo]) => {
+      const pattern = botInfo.userAgentPattern;
+      if (pattern.test(userAgent) && (!best || pattern.source.length > best.length)) {
+        best = { botName, length: pattern.source.length };
+      }
+    });
+    return best ? best.botName : null;
+  }
+
+  /**
+   * Create the per-bot accumulator
+   * @returns {Object} - Empty bot statistics
+   */
+  createBotStats() {
+    return {
+      hits: 0,
+      bytes: 0,
+      firstSeen: null,
+      lastSeen: null,
+      daily: {},
+      statuses: {},
+      paths: new Map(),
+      otherPaths: 0,
+      disallowed: new Map(),
+      disallowedHits: 0,
+      ips: new Map(),
+      otherIps: 0
+    };
+  }
+
+  /**
+   * Add one log entry to a bot's statistics
+   * @param {Object} stats - Bot statistics
+   * @param {string} botName - Bot name
+   * @param {Object} entry - Parsed log entry
+   * @param {Object|null} robots - Parsed robots.txt
+   * @param {Map} verdicts - Cache of robots.txt verdicts per bot and path
+   */
+  recordHit(stats, botName, entry, robots, verdicts) {
+    stats.hits++;
+    stats.bytes += entry.bytes;
+    stats.statuses[entry.status] = (stats.statuses[entry.status] || 0) + 1;
+
+    if (entry.time) {
+      if (!stats.firstSeen || entry.time < stats.firstSeen) stats.firstSeen = entry.time;
+      if (!stats.lastSeen || entry.time > stats.lastSeen) stats.lastSeen = entry.time;
+      const day = entry.time.toISOString().slice(0, 10);
+      stats.daily[day] = (stats.daily[day] || 0) + 1;
+    }
+
+    // Distinct paths and IPs are capped so a huge log cannot exhaust memory
+    if (stats.paths.has(entry.path) || stats.paths.size < this.maxTrackedPaths) {
+      stats.paths.set(entry.path, (stats.paths.get(entry.path) || 0) + 1);
+    } else {
+      stats.otherPaths++;
+    }
+    if (entry.ip) {
+      if (stats.ips.has(entry.ip) || stats.ips.size < this.maxTrackedIps) {
+        stats.ips.set(entry.ip, (stats.ips.get(entry.ip) || 0) + 1);
+      } else {
+        stats.otherIps++;
+      }
+    }
+
+    if (robots) {
+      const key = `${botName}\n${entry.path}`;
+      const verdict = verdicts.get(key) || evaluateUrl(robots, entry.path, botName);
+      if (!verdicts.has(key) && verdicts.size < this.maxTrackedPaths) {
+        verdicts.set(key, verdict);
+      }
+      if (!verdict.allowed) {
+        stats.disallowedHits++;
+        const crawl = stats.disallowed.get(entry.path);
+        if (crawl) {
+          crawl.hits++;
+        } else if (stats.disallowed.size < this.maxTrackedPaths) {
+          stats.disallowed.set(entry.path, { path: entry.path, hits: 1, rule: verdict.rule });
+        }
+      }
+    }
+  }
+
+  /**
+   * Verify the busiest IPs of a bot whose registry entry carries reverse-DNS rules
+   * @param {string} botName - Bot name
+   * @param {Object} stats - Bot statistics
+   * @returns {Promise<Object>} - Verification summary
+   */
+  async verifyBot(botName, stats) {
+    const verification = this.botAnalyzer.knownBots[botName].verification;
+    if (!verification) {
+      return { status: 'no-rule' };
+    }
+
+    const ips = [...stats.ips.entries()].sort((a, b) => b[1] - a[1]).slice(0, this.maxVerifiedIps);
+    const results = await Promise.all(ips.map(async ([ip, hits]) => ({
+      ip,
+      hits,
+      ...(await this.getVerifier().verify(ip, verification))
+    })));
+
+    const byStatus = (status) => results.filter(result => result.status === status);
+    const sumHits = (list) => list.reduce((sum, result) => sum + result.hits, 0);
+    const spoofed = byStatus('spoofed');
+
+    return {
+      status: 'checked',
+      reverseDnsSuffixes: verification.reverseDnsSuffixes,
+      ipsChecked: results.length,
+      ipsUnchecked: stats.ips.size - results.length,
+      verifiedHits: sumHits(byStatus('verified')),
+      spoofedHits: sumHits(spoofed),
+      unverifiedHits: sumHits(byStatus('unverified')),
+      spoofedIps: spoofed.map(({ ip, hits, hostname, reason }) => ({ ip, hits, hostname, reason })),
+      unverifiedIps: byStatus('unverified').map(({ ip, hits, reason }) => ({ ip, hits, reason }))
+    };
+  }
+
+  /**
+   * Turn accumulated bot statistics into the report entry
+   * @param {string} botName - Bot name
+   * @param {Object} stats - Bot statistics
+   * @param {Object} period - Overall log period { days }
+   * @param {boolean} hasRobots - Whether robots.txt compliance was checked
+   * @returns {Object} - Bot report
+   */
+  summarizeBot(botName, stats, period, hasRobots) {
+    const botInfo = this.botAnalyzer.knownBots[botName];
+    const daily = Object.keys(stats.daily).sort().map(date => ({ date, hits: stats.daily[date] }));
+    const peak = daily.reduce((best, day) => (!best || day.hits > best.hits ? day : best), null);
+
+    const byClass = {};
+    Object.entries(stats.statuses).forEach(([code, count]) => {
+      const statusClass = `${String(code)[0]}xx`;
+      byClass[statusClass] = (byClass[statusClass] || 0) + count;
+    });
+
+    const disallowed = [...stats.disallowed.values()].sort((a, b) => b.hits - a.hits);
+
+    return {
+      type: botInfo.type,
+      company: botInfo.company,
+      critical: botInfo.critical,
+      hits: stats.hits,
+      bytes: stats.bytes,
+      frequency: {
+        firstSeen: stats.firstSeen ? stats.firstSeen.toISOString() : null,
+        lastSeen: stats.lastSeen ? stats.lastSeen.toISOString() : null,
+        activeDays: daily.length,
+        averagePerDay: period.days ? Math.round((stats.hits / period.days) * 10) / 10 : null,
+        peakDay: peak,
+        daily
+      },
+      statuses: { byClass, byCode: stats.statuses },
+      uniquePaths: stats.paths.size,
+      pathsTruncated: stats.otherPaths > 0,
+      topPaths: [...stats.paths.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this.topPaths)
+        .map(([path, hits]) => ({ path, hits })),
+      disallowedCrawls: hasRobots ? {
+        hits: stats.disallowedHits,
+        paths: disallowed.slice(0, this.topPaths)
+      } : null
+    };
+  }
+
+  /**
+   * Analyze an access log stream line by line
+   * @param {Readable} stream - Log stream (plain text, already decompressed)
+   * @param {Object} options - { format, robots (parsed robots.txt with availability), verifyDns }
+   * @returns {Promise<Object>} - Per-bot traffic report
+   */
+  async analyzeStream(stream, options = {}) {
+    const startTime = Date.now();
+    const format = options.format || 'auto';
+    const robots = options.robots || null;
+    const lines = { total: 0, parsed: 0, invalid: 0 };
+    const period = { start: null, end: null };
+    const stats = {};
+    const verdicts = new Map();
+    const unknownBots = new Map();
+    let otherHits = 0;
+
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let streamError = null;
+    stream.on('error', (error) => {
+      streamError = error;
+      rl.close();
+    });
+
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      lines.total++;
+
+      const entry = parseLogLine(line, format);
+      if (!entry || !entry.path) {
+        lines.invalid++;
+        continue;
+      }
+      lines.parsed++;
+
+      if (entry.time) {
+        if (!period.start || entry.time < period.start) period.start = entry.time;
+        if (!period.end || entry.time > period.end) period.end = entry.time;
+      }
+
+      const botName = this.classify(entry.userAgent);
+      if (!botName) {
+        otherHits++;
+        if (entry.userAgent && BOT_LIKE_PATTERN.test(entry.userAgent) &&
+          (unknownBots.has(entry.userAgent) || unknownBots.size < this.maxTrackedPaths)) {
+          unknownBots.set(entry.userAgent, (unknownBots.get(entry.userAgent) || 0) + 1);
+        }
+        continue;
+      }
+
+      stats[botName] = stats[botName] || this.createBotStats();
+      this.recordHit(stats[botName], botName, entry, robots, verdicts);
+    }
+
+    if (streamError) {
+      throw streamError;
+    }
+
+    const days = period.start ? Math.floor((period.end - period.start) / 86400000) + 1 : null;
+    const bots = {};
+    for (const [botName, botStats] of Object.entries(stats)) {
+      bots[botName] = this.summarizeBot(botName, botStats, { days }, Boolean(robots));
+      bots[botName].verification = options.verifyDns === false
+        ? { status: 'skipped' }
+        : await this.verifyBot(botName, botStats);
+    }
+
+    const botHits = Object.values(bots).reduce((sum, bot) => sum + bot.hits, 0);
+    const checkedBots = Object.entries(bots).filter(([, bot]) => bot.verification.status === 'checked');
+
+    logger.info('Access log analyzed', { lines: lines.total, parsed: lines.parsed, bots: Object.keys(bots).length });
+
+    return {
+      success: true,
+      registryVersion: this.botAnalyzer.registryVersion,
+      format,
+      lines,
+      period: {
+        start: period.start ? period.start.toISOString() : null,
+        end: period.end ? period.end.toISOString() : null,
+        days
+      },
+      summary: {
+        totalHits: lines.parsed,
+        botHits,
+        otherHits,
+        botShare: lines.parsed > 0 ? Math.round((botHits / lines.parsed) * 1000) / 10 : 0,
+        botsSeen: Object.keys(bots).sort((a, b) => bots[b].hits - bots[a].hits),
+        robotsChecked: Boolean(robots),
+        disallowedHits: robots ? Object.values(bots).reduce((sum, bot) => sum + bot.disallowedCrawls.hits, 0) : null,
+        spoofedHits: checkedBots.reduce((sum, [, bot]) => sum + bot.verification.spoofedHits, 0),
+        botsWithSpoofedTraffic: checkedBots.filter(([, bot]) => bot.verification.spoofedHits > 0).map(([botName]) => botName)
+      },
+      bots,
+      unknownBots: [...unknownBots.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this.topPaths)
+        .map(([userAgent, hits]) => ({ userAgent, hits })),
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = LogAnalyzer;
@@ -0,0 +1,260 @@
+// services/passage-chunker.js
+// Heading-aware passage chunking and self-containedness checks (how AI search retrieves a page piece by piece)
+
+const { markdownToText } = require('../utils/html-markdown');
+const { countWords } = require('./content-extractor');
+const { stem } = require('../utils/bm25');
+
+/**
+ * Section size band in tokens: below min a section is too fragmented to carry context,
+ * above max it is split into several chunks
+ */
+const CHUNK_TOKENS = { min: 100, ideal: 200, max: 600 };
+
+const MAX_EXCERPT_LENGTH = 200;
+
+const PERSONAL_PRONOUN_START = /^(it|its|they|them|their|he|she|his|her|him)\b/i;
+const DEMONSTRATIVE_START = /^(this|that|these|those|such|here)(?=\s*[,.;:!?]|\s+(is|are|was|were|means|makes|can|will|has|have|helps|allows|also|does|do|should|would|includes?)\b)/i;
+const DANGLING_REFERENCES = [
+  /\bas (?:mentioned|discussed|noted|described|explained|shown|stated|outlined|seen) (?:above|below|earlier|before|previously)\b/gi,
+  /\b(?:see|shown|listed|described) (?:above|below)\b/gi,
+  /\b(?:the|in the) (?:previous|preceding|next|following|last) (?:section|chapter|step|paragraph|part)\b/gi,
+  /\bthe above\b/gi,
+  /\baforementioned\b/gi
+];
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'your', 'you', 'our', 'how', 'what', 'why', 'when', 'where', 'which', 'who',
+  'are', 'is', 'can', 'does', 'about', 'into', 'this', 'that', 'guide', 'introduction', 'overview', 'more'
+]);
+
+/**
+ * Content words of a heading or title, for subject entity checks
+ * @param {string} text - Heading text
+ * @returns {Array} - Lowercased words without stopwords
+ */
+function subjectTerms(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+/**
+ * True when text mentions a term, allowing common inflections ("shipping" matches "ships")
+ * @param {string} haystack - Lowercased text
+ * @param {string} term - Lowercased term
+ * @returns {boolean} - Whether the term is present
+ */
+function mentions(haystack, term) {
+  return haystack.includes(stem(term));
+}
+
+class PassageChunker {
+  constructor(options = {}) {
+    this.encoder = options.encoder || null;
+    this.chunkTokens = { ...CHUNK_TOKENS, ...(options.chunkTokens || {}) };
+  }
+
+  /**
+   * Check whether a chunk can be understood without the text around it
+   * @param {string} text - Chunk text
+   * @param {Array} subjects - Subject terms (section heading and page topic)
+   * @returns {Object} - { startsWithPronoun, missingSubject, danglingReferences, selfContained, issues }
+   */
+  checkSelfContained(text, subjects) {
+    const issues = [];
+    const opening = text.trim();
+    const firstWord = (opening.match(/^[\p{L}']+/u) || [''])[0];
+
+    const startsWithPronoun = PERSONAL_PRONOUN_START.test(opening) || DEMONSTRATIVE_START.test(opening);
+    if (startsWithPronoun) {
+      issues.push(`Starts with "${firstWord}", which refers to text outside the chunk`);
+    }
+
+    const lower = text.toLowerCase();
+    const missingSubject = subjects.length > 0 && !subjects.some(term => mentions(lower, term));
+    if (missingSubject) {
+      issues.push('Never names the subject of its section or page');
+    }
+
+    const danglingReferences = [];
+    DANGLING_REFERENCES.forEach(pattern => {
+      (text.match(pattern) || []).forEach(match => danglingReferences.push(match.toLowerCase()));
+    });
+    if (danglingReferences.length > 0) {
+      issues.push(`Points to other parts of the page: "${danglingReferences.join('", "')}"`);
+    }
+
+    return {
+      startsWithPronoun,
+      missingSubject,
+      danglingReferences,
+      selfContained: issues.length === 0,
+      issues
+    };
+  }
+
+  /**
+   * Split a section's markdown into chunks of at most max tokens at block, then sentence, boundaries
+   * @param {string} markdown - Section markdown
+   * @param {Function} count - Token counter
+   * @returns {Array} - Chunk texts
+   */
+  splitSection(markdown, count) {
+    const max = this.chunkTokens.max;
+    const units = [];
+    markdown.split(/\n{2,}/).map(block => markdownToText(block)).filter(Boolean).forEach(block => {
+      if (count(block) <= max) {
+        units.push(block);
+        return;
+      }
+      // Oversized paragraph: fall back to sentences
+      (block.match(/[^.!?。]+(?:[.!?。]+|$)\s*/g) || [block]).forEach(sentence => units.push(sentence.trim()));
+    });
+
+    const chunks = [];
+    let current = [];
+    units.filter(Boolean).forEach(unit => {
+      const candidate = [...current, unit].join('\n\n');
+      if (current.length > 0 && count(candidate) > max) {
+        chunks.push(current.join('\n\n'));
+        current = [unit];
+      } else {
+        current.push(unit);
+      }
+    });
+    if (current.length > 0) chunks.push(current.join('\n\n'));
+    return chunks;
+  }
+
+  /**
+   * Score a section for retrieval: size fit (40) plus average chunk self-containedness (60)
+   * @param {number} tokens - Section tokens
+   * @param {Array} chunks - Chunk results with self-containedness checks
+   * @returns {number} - 0-100
+   */
+  scoreSection(tokens, chunks) {
+    const { min, ideal, max } = this.chunkTokens;
+    let size;
+    if (tokens > max) size = 20;
+    else if (tokens >= ideal) size = 40;
+    else if (tokens >= min) size = 30;
+    else size = 15;
+
+    const contained = chunks.reduce((sum, chunk) => {
+      let points = 60;
+      if (chunk.startsWithPronoun) points -= 20;
+      if (chunk.missingSubject) points -= 25;
+      points -= Math.min(chunk.danglingReferences.length * 10, 15);
+      return sum + points;
+    }, 0) / chunks.length;
+
+    return Math.round(size + contained);
+  }
+
+  /**
+   * Chunk an extraction along heading boundaries and check each chunk
+   * @param {Object} extraction - ContentExtractor.extract() result
+   * @returns {Object} - { chunks, sections, summary }
+   */
+  analyze(extraction) {
+    const ownEncoder = !this.encoder;
+    let encoder = this.encoder;
+    if (ownEncoder) {
+      const { encoding_for_model } = require('tiktoken');
+      encoder = encoding_for_model('gpt-4');
+    }
+
+    try {
+      const count = text => encoder.encode(text).length;
+      const pageH1 = (extraction.headings || []).find(heading => heading.level === 1);
+      const pageTopic = (pageH1 && pageH1.text) || extraction.title || '';
+      const path = [];
+      const chunks = [];
+      const sections = [];
+
+      extraction.sections.forEach(section => {
+        if (section.level) {
+          path.length = Math.max(section.level - 1, 0);
+          path[section.level - 1] = section.heading;
+        }
+        if (section.words === 0) return;
+
+        const headingPath = path.filter(Boolean);
+        const subjects = [...new Set([...subjectTerms(section.heading), ...subjectTerms(pageTopic)])];
+        const tokens = count(section.text);
+        const texts = tokens > this.chunkTokens.max ? this.splitSection(section.markdown, count) : [section.text];
+
+        const sectionChunks = texts.map((text, index) => {
+          const checks = this.checkSelfContained(text, subjects);
+          const chunk = {
+            id: chunks.length,
+            section: sections.length,
+            heading: section.heading,
+            path: headingPath,
+            text,
+            tokens: count(text),
+            words: countWords(text),
+            continuation: index > 0,
+            ...checks
+          };
+          chunks.push(chunk);
+          return chunk;
+        });
+
+        const issues = [];
+        const tooLong = tokens > this.chunkTokens.max;
+        const fragmented = tokens < this.chunkTokens.min;
+        if (tooLong) {
+          issues.push(`Section is ${tokens} tokens and splits into ${texts.length} chunks; add subheadings`);
+        }
+        if (fragmented) {
+          issues.push(`Section is only ${tokens} tokens; too little context to be retrieved on its own`);
+        }
+        sectionChunks.forEach((chunk, index) => {
+          chunk.issues.forEach(issue => issues.push(texts.length > 1 ? `Chunk ${index + 1}: ${issue}` : issue));
+        });
+
+        sections.push({
+          heading: section.heading,
+          level: section.level,
+          path: headingPath,
+          tokens,
+          words: section.words,
+          chunks: sectionChunks.map(chunk => ({
+            id: chunk.id,
+            tokens: chunk.tokens,
+            excerpt: chunk.text.replace(/\s+/g, ' ').substring(0, MAX_EXCERPT_LENGTH),
+            startsWithPronoun: chunk.startsWithPronoun,
+            missingSubject: chunk.missingSubject,
+            danglingReferences: chunk.danglingReferences,
+            selfContained: chunk.selfContained
+          })),
+          tooLong,
+          fragmented,
+          retrievability: this.scoreSection(tokens, sectionChunks),
+          issues
+        });
+      });
+
+      return {
+        chunks,
+        sections,
+        summary: {
+          sections: sections.length,
+          chunks: chunks.length,
+          selfContainedChunks: chunks.filter(chunk => chunk.selfContained).length,
+          tooLong: sections.filter(section => section.tooLong).length,
+          fragmented: sections.filter(section => section.fragmented).length,
+          averageRetrievability: sections.length > 0
+            ? Math.round(sections.reduce((sum, section) => sum + section.retrievability, 0) / sections.length)
+            : 0,
+          chunkTokens: this.chunkTokens
+        }
+      };
+    } finally {
+      if (ownEncoder) encoder.free();
+    }
+  }
+}
+
+module.exports = PassageChunker;
+module.exports.CHUNK_TOKENS = CHUNK_TOKENS;
@@ -0,0 +1,131 @@
+// services/query-tester.js
+// Target-question retrieval test: rank a page's chunks per question with local BM25
+
+const PassageChunker = require('./passage-chunker');
+const { tokenize, createBM25Index } = require('../utils/bm25');
+
+/**
+ * Share of question terms the best chunk must contain to count as an answer
+ */
+const MIN_COVERAGE = 0.6;
+
+/**
+ * Lead over the runner-up (relative to the best score) for an unambiguous answer
+ */
+const MIN_RELATIVE_MARGIN = 0.2;
+
+const MAX_QUESTIONS = 20;
+
+/**
+ * Round a score for reporting
+ * @param {number} value - Raw score
+ * @returns {number} - Score with 3 decimals
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+class QueryTester {
+  constructor(options = {}) {
+    this.chunker = options.chunker || new PassageChunker({ encoder: options.encoder });
+    this.minCoverage = options.minCoverage || MIN_COVERAGE;
+    this.minRelativeMargin = options.minRelativeMargin || MIN_RELATIVE_MARGIN;
+    this.bm25 = options.bm25 || {};
+  }
+
+  /**
+   * Classify a ranking result
+   * @param {number} score - Best chunk score
+   * @param {number} coverage - Share of question terms in the best chunk
+   * @param {number} relativeMargin - Lead over the runner-up relative to the best score
+   * @returns {string} - strong | ambiguous | weak | missing
+   */
+  status(score, coverage, relativeMargin) {
+    if (score <= 0) return 'missing';
+    if (coverage < this.minCoverage) return 'weak';
+    return relativeMargin >= this.minRelativeMargin ? 'strong' : 'ambiguous';
+  }
+
+  /**
+   * Rank chunks for one question
+   * @param {Object} index - BM25 index over the chunks
+   * @param {Array} chunks - PassageChunker chunks
+   * @param {string} question - Target question
+   * @returns {Object} - Per-question report
+   */
+  testQuestion(index, chunks, question) {
+    const terms = [...new Set(tokenize(question))];
+    const ranking = index.search(question);
+    const [first, second] = ranking;
+    const best = first && first.score > 0 ? chunks[first.index] : null;
+    const runnerUp = second && second.score > 0 ? chunks[second.index] : null;
+
+    const bestTerms = best ? new Set(tokenize(`${best.path.join(' ')} ${best.text}`)) : new Set();
+    const matchedTerms = terms.filter(term => bestTerms.has(term));
+    const coverage = terms.length > 0 ? matchedTerms.length / terms.length : 0;
+    const bestScore = best ? first.score : 0;
+    const margin = best ? bestScore - (runnerUp ? second.score : 0) : 0;
+    const relativeMargin = bestScore > 0 ? margin / bestScore : 0;
+    const status = this.status(bestScore, coverage, relativeMargin);
+
+    return {
+      question,
+      terms,
+      status,
+      answered: status === 'strong' || status === 'ambiguous',
+      best: best ? {
+        chunkId: best.id,
+        heading: best.heading,
+        path: best.path,
+        text: best.text,
+        tokens: best.tokens,
+        score: round(bestScore),
+        coverage: round(coverage),
+        matchedTerms,
+        missingTerms: terms.filter(term => !bestTerms.has(term)),
+        selfContained: best.selfContained
+      } : null,
+      runnerUp: runnerUp ? { chunkId: runnerUp.id, heading: runnerUp.heading, score: round(second.score) } : null,
+      margin: round(margin),
+      relativeMargin: round(relativeMargin),
+      ranking: ranking.filter(entry => entry.score > 0).slice(0, 3).map(entry => ({
+        chunkId: chunks[entry.index].id,
+        heading: chunks[entry.index].heading,
+        score: round(entry.score)
+      }))
+    };
+  }
+
+  /**
+   * Test whether a page can answer target questions
+   * @param {Object} extraction - ContentExtractor.extract() result
+   * @param {Array} questions - Target questions
+   * @returns {Object} - { results, chunks, summary }
+   */
+  test(extraction, questions) {
+    const { chunks } = this.chunker.analyze(extraction);
+    // Headings are indexed with their chunk: retrieval systems embed them as passage context
+    const index = createBM25Index(chunks.map(chunk => `${chunk.path.join(' ')} ${chunk.text}`), this.bm25);
+    const results = questions.map(question => this.testQuestion(index, chunks, question));
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+      results,
+      chunks: chunks.length,
+      summary: {
+        questions: results.length,
+        answered: results.filter(result => result.answered).length,
+        strong: count('strong'),
+        ambiguous: count('ambiguous'),
+        weak: count('weak'),
+        missing: count('missing'),
+        answerRate: results.length > 0
+          ? Math.round((results.filter(result => result.answered).length / results.length) * 100)
+          : 0
+      }
+    };
+  }
+}
+
+module.exports = QueryTester;
+module.exports.MAX_QUESTIONS = MAX_QUESTIONS;
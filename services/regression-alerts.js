@@ -0,0 +1,98 @@
+// services/regression-alerts.js
+// audit.regressed alerts: each re-audit of a URL is compared with its previous audit before being recorded
+
+const { getAuditHistoryStore, recordAuditHistory } = require('./audit-history');
+const { getWebhookService } = require('./webhooks');
+const { findRegressionAlerts } = require('../utils/audit-diff');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('regression-alerts');
+
+/**
+ * Default score drop (in points) that triggers an alert
+ */
+const DEFAULT_REGRESSION_THRESHOLD = 5;
+
+/**
+ * Resolve the score drop threshold: per-audit option, then environment, then default
+ * @param {Object} auditOptions - Audit options (may contain regressionThreshold)
+ * @returns {number} - Threshold in points
+ */
+function getRegressionThreshold(auditOptions = {}) {
+  const candidates = [auditOptions.regressionThreshold, process.env.REGRESSION_ALERT_THRESHOLD];
+  for (const candidate of candidates) {
+    const value = parseFloat(candidate);
+    if (Number.isFinite(value) && value >= 0) return value;
+  }
+  return DEFAULT_REGRESSION_THRESHOLD;
+}
+
+/**
+ * Record an audit in history and send audit.regressed when it regressed against the previous audit
+ * Never throws; a drop-in replacement for recordAuditHistory as a queue history recorder
+ * @param {string} url - Audited URL
+ * @param {Object} result - Audit result
+ * @param {Object} metadata - { jobId, source, clientId, options }
+ * @param {Object} deps - { webhooks } for testing
+ * @returns {Promise<Object|null>} - Stored history entry, or null when recording failed
+ */
+async function recordAuditWithAlerts(url, result, metadata = {}, deps = {}) {
+  try {
+    const webhooks = deps.webhooks || getWebhookService();
+    const store = getAuditHistoryStore();
+
+    // Look up the previous audit before this one becomes the latest
+    let previous = null;
+    if (webhooks.enabled) {
+      try {
+        previous = await store.getLatest(url);
+      } catch (error) {
+        logger.warn('Failed to load previous audit for regression check', { url, error: error.message });
+      }
+    }
+
+    const entry = await recordAuditHistory(url, result, metadata);
+    if (!entry || !previous || typeof store.getResult !== 'function') {
+      return entry;
+    }
+
+    try {
+      const previousJobId = previous.jobId || previous.id;
+      const stored = await store.getResult(previousJobId);
+      if (!stored || !stored.result) return entry;
+
+      const auditOptions = metadata.options || {};
+      const threshold = getRegressionThreshold(auditOptions);
+      const alerts = findRegressionAlerts(stored.result, result, { threshold });
+
+      if (alerts.length > 0) {
+        logger.info('Audit regression detected', { url, previousJobId, alerts: alerts.map(alert => alert.type) });
+        await webhooks.sendAuditRegressed(entry.jobId || entry.id, {
+          url,
+          previousJobId,
+          previousAuditedAt: new Date(previous.auditedAt).toISOString(),
+          threshold,
+          alerts,
+          scores: { before: previous.scores, after: entry.scores }
+        }, {
+          clientId: metadata.clientId || auditOptions.clientId || 'default',
+          source: entry.source
+        });
+      }
+    } catch (error) {
+      logger.warn('Regression check failed', { url, error: error.message });
+    }
+
+    return entry;
+  } catch (error) {
+    // Misconfigured history backend or webhook service: callers fire and forget, so never reject
+    logger.warn('Failed to record audit with regression alerts', { url, error: error.message });
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_REGRESSION_THRESHOLD,
+  getRegressionThreshold,
+  recordAuditWithAlerts
+};
@@ -0,0 +1,335 @@
+// services/report-generator.js
+// Client-facing HTML/PDF audit reports
+
+const { extractScores, collectIssues } = require('../utils/audit-scores');
+
+/**
+ * Report sections per audit category, in display order
+ * issueCategories map to the categories produced by collectIssues
+ */
+const REPORT_CATEGORIES = [
+  { key: 'seo', label: 'On-Page SEO', issueCategories: ['seo', 'metadata'] },
+  { key: 'performance', label: 'Performance', issueCategories: ['performance'] },
+  { key: 'accessibility', label: 'Accessibility', issueCategories: ['accessibility'] },
+  { key: 'schema', label: 'Structured Data', issueCategories: ['schema'] },
+  { key: 'aeo', label: 'Answer Engine Optimization', issueCategories: [] },
+  { key: 'eat', label: 'E-E-A-T Signals', issueCategories: [] },
+  { key: 'files', label: 'Crawlability', issueCategories: ['files'] }
+];
+
+/**
+ * Order used when prioritizing fixes
+ */
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+/**
+ * Maximum characters of raw JSON shown per test in the evidence appendix
+ */
+const MAX_EVIDENCE_CHARS = 4000;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Map a score to a rating label
+ * @param {number|null} score - Score 0-100
+ * @returns {string} - 'good' | 'needs-work' | 'poor' | 'n/a'
+ */
+function scoreRating(score) {
+  if (score === null || score === undefined) return 'n/a';
+  if (score >= 80) return 'good';
+  if (score >= 50) return 'needs-work';
+  return 'poor';
+}
+
+/**
+ * Brand settings from options, then environment, then defaults
+ * @param {Object} brand - Partial brand settings
+ * @returns {Object} - { name, website, color }
+ */
+function resolveBrand(brand = {}) {
+  const color = brand.color || process.env.REPORT_BRAND_COLOR || '#1f4b99';
+  return {
+    name: brand.name || process.env.REPORT_BRAND_NAME || 'Attention is all you need',
+    website: brand.website || process.env.REPORT_BRAND_URL || 'https://attentionisallyouneed.app',
+    // Only plain hex colours are interpolated into CSS
+    color: /^#[0-9a-fA-F]{3,8}$/.test(color) ? color : '#1f4b99'
+  };
+}
+
+class ReportGenerator {
+  constructor(options = {}) {
+    this.brand = resolveBrand(options.brand);
+    this.renderer = options.renderer || null;
+  }
+
+  /**
+   * Collect prioritized fixes from the AEO and E-A-T recommendation generators
+   * @param {Object} tests - Audit tests tree
+   * @returns {Array} - [{ source, priority, title, description, impact, timeEstimate, steps }]
+   */
+  collectFixes(tests = {}) {
+    const fixes = [];
+    const add = (source, recommendation) => {
+      if (!recommendation || !recommendation.title) return;
+      fixes.push({
+        source,
+        category: recommendation.category || source,
+        priority: recommendation.priority || 'medium',
+        title: recommendation.title,
+        description: recommendation.description || '',
+        impact: recommendation.impact || null,
+        timeEstimate: recommendation.timeEstimate || null,
+        steps: recommendation.implementation?.steps || []
+      });
+    };
+
+    (tests.aeo?.recommendations || []).forEach(rec => add('aeo', rec));
+
+    let eatRecommendations = tests.eat?.recommendations;
+    if (!eatRecommendations && tests.eat?.expertise && tests.eat?.pageType) {
+      // Older results stored the analysis without recommendations
+      const EATAnalyzer = require('./eat-analyzer');
+      eatRecommendations = new EATAnalyzer().generateEATRecommendations(tests.eat);
+    }
+    (eatRecommendations || []).forEach(rec => add('eat', rec));
+
+    return fixes
+      .map((fix, index) => ({ fix, index }))
+      .sort((a, b) => ((PRIORITY_ORDER[a.fix.priority] ?? 2) - (PRIORITY_ORDER[b.fix.priority] ?? 2)) || a.index - b.index)
+      .map(({ fix }) => fix);
+  }
+
+  /**
+   * Turn an audit result into the data shown in the report
+   * @param {Object} result - Audit result
+   * @param {Object} meta - { jobId, auditedAt }
+   * @returns {Object} - Report model
+   */
+  buildReportModel(result, meta = {}) {
+    const tests = result?.tests || {};
+    const scores = extractScores(result);
+    const issues = collectIssues(result);
+    const fixes = this.collectFixes(tests);
+
+    const categories = REPORT_CATEGORIES
+      .filter(category => tests[category.key] || scores[category.key] !== null && scores[category.key] !== undefined)
+      .map(category => {
+        const score = scores[category.key] ?? null;
+        const test = tests[category.key] || {};
+        return {
+          key: category.key,
+          label: category.label,
+          score,
+          rating: scoreRating(score),
+          unavailable: !!(test.fallback || test.error),
+          issues: issues.filter(issue => category.issueCategories.includes(issue.category)),
+          fixes: fixes.filter(fix => fix.source === category.key).length
+        };
+      });
+
+    const scored = categories.filter(category => category.score !== null);
+    const strengths = scored.filter(category => category.rating === 'good').map(category => category.label);
+    const weaknesses = scored.filter(category => category.rating === 'poor').map(category => category.label);
+    const highIssues = issues.filter(issue => issue.severity === 'high');
+
+    return {
+      url: result?.url || meta.url || '',
+      jobId: meta.jobId || null,
+      auditedAt: meta.auditedAt || result?.timestamp || null,
+      generatedAt: new Date().toISOString(),
+      mode: result?.mode || null,
+      overallScore: scores.overall,
+      overallRating: scoreRating(scores.overall),
+      executiveSummary: {
+        strengths,
+        weaknesses,
+        issueCounts: {
+          total: issues.length,
+          high: highIssues.length,
+          medium: issues.filter(issue => issue.severity === 'medium').length,
+          low: issues.filter(issue => issue.severity === 'low').length
+        },
+        topIssues: highIssues.concat(issues.filter(issue => issue.severity !== 'high')).slice(0, 5),
+        topFixes: fixes.slice(0, 3)
+      },
+      categories,
+      fixes,
+      evidence: Object.entries(tests).map(([name, data]) => {
+        const json = JSON.stringify(data, null, 2) || 'null';
+        return {
+          name,
+          truncated: json.length > MAX_EVIDENCE_CHARS,
+          json: json.length > MAX_EVIDENCE_CHARS ? `${json.slice(0, MAX_EVIDENCE_CHARS)}\n…` : json
+        };
+      })
+    };
+  }
+
+  /**
+   * Render the report as a standalone HTML document (print-ready, one section per page)
+   * @param {Object} result - Audit result
+   * @param {Object} meta - { jobId, auditedAt }
+   * @returns {string} - HTML document
+   */
+  renderHtml(result, meta = {}) {
+    const model = this.buildReportModel(result, meta);
+    const brand = this.brand;
+    const formatDate = (value) => (value ? new Date(value).toUTCString() : 'n/a');
+    const scoreBadge = (score, rating) =>
+      `<span class="score score-${rating}">${score === null ? '–' : escapeHtml(score)}</span>`;
+    const issueList = (issues) => issues.length === 0
+      ? '<p class="muted">No issues detected.</p>'
+      : `<ul class="issues">${issues.map(issue =>
+        `<li><span class="severity severity-${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span> ${escapeHtml(issue.message)}</li>`
+      ).join('')}</ul>`;
+
+    const summary = model.executiveSummary;
+    const sections = [];
+
+    sections.push(`
+  <section class="page cover">
+    <div class="brand">${escapeHtml(brand.name)}</div>
+    <h1>Website Audit Report</h1>
+    <p class="target">${escapeHtml(model.url)}</p>
+    <div class="overall">${scoreBadge(model.overallScore, model.overallRating)}<span>Overall score</span></div>
+    <table class="meta">
+      <tr><th>Audited</th><td>${escapeHtml(formatDate(model.auditedAt))}</td></tr>
+      <tr><th>Report generated</th><td>${escapeHtml(formatDate(model.generatedAt))}</td></tr>
+      ${model.jobId ? `<tr><th>Audit ID</th><td>${escapeHtml(model.jobId)}</td></tr>` : ''}
+      ${model.mode ? `<tr><th>Audit mode</th><td>${escapeHtml(model.mode)}</td></tr>` : ''}
+    </table>
+    <h2>Executive summary</h2>
+    <p>The audit found <strong>${summary.issueCounts.total}</strong> issues
+      (${summary.issueCounts.high} high, ${summary.issueCounts.medium} medium, ${summary.issueCounts.low} low priority)
+      and <strong>${model.fixes.length}</strong> recommended improvements.</p>
+    ${summary.strengths.length ? `<p><strong>Strengths:</strong> ${escapeHtml(summary.strengths.join(', '))}</p>` : ''}
+    ${summary.weaknesses.length ? `<p><strong>Needs attention:</strong> ${escapeHtml(summary.weaknesses.join(', '))}</p>` : ''}
+    <table class="scores">
+      <tr><th>Category</th><th>Score</th></tr>
+      ${model.categories.map(category =>
+        `<tr><td>${escapeHtml(category.label)}</td><td>${scoreBadge(category.score, category.rating)}</td></tr>`
+      ).join('')}
+    </table>
+    ${summary.topFixes.length ? `<h3>Top priorities</h3><ol>${summary.topFixes.map(fix =>
+      `<li><strong>${escapeHtml(fix.title)}</strong> – ${escapeHtml(fix.description)}</li>`).join('')}</ol>` : ''}
+  </section>`);
+
+    sections.push(`
+  <section class="page">
+    <h2>Category breakdown</h2>
+    ${model.categories.map(category => `
+    <div class="category">
+      <h3>${escapeHtml(category.label)} ${scoreBadge(category.score, category.rating)}</h3>
+      ${category.unavailable ? '<p class="muted">This check could not be completed during the audit.</p>' : ''}
+      ${issueList(category.issues)}
+      ${category.fixes ? `<p class="muted">${category.fixes} recommended fix${category.fixes === 1 ? '' : 'es'} listed under Prioritized fixes.</p>` : ''}
+    </div>`).join('')}
+  </section>`);
+
+    sections.push(`
+  <section class="page">
+    <h2>Prioritized fixes</h2>
+    ${model.fixes.length === 0 ? '<p class="muted">No recommendations were generated for this page.</p>' : model.fixes.map((fix, index) => `
+    <div class="fix">
+      <h3>${index + 1}. ${escapeHtml(fix.title)} <span class="severity severity-${escapeHtml(fix.priority)}">${escapeHtml(fix.priority)}</span></h3>
+      <p>${escapeHtml(fix.description)}</p>
+      <p class="muted">${escapeHtml(fix.source === 'aeo' ? 'Answer Engine Optimization' : 'E-E-A-T')}${fix.impact ? ` · ${escapeHtml(fix.impact)}` : ''}${fix.timeEstimate ? ` · Effort: ${escapeHtml(fix.timeEstimate)}` : ''}</p>
+      ${fix.steps.length ? `<ol>${fix.steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>` : ''}
+    </div>`).join('')}
+  </section>`);
+
+    sections.push(`
+  <section class="page appendix">
+    <h2>Appendix: raw evidence</h2>
+    <p class="muted">Data collected by each check, as returned by the audit engine.</p>
+    ${model.evidence.map(item => `
+    <h3>${escapeHtml(item.name)}${item.truncated ? ' <span class="muted">(truncated)</span>' : ''}</h3>
+    <pre>${escapeHtml(item.json)}</pre>`).join('')}
+  </section>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(`Audit report – ${model.url}`)}</title>
+  <style>
+    @page { size: A4; margin: 18mm 16mm 20mm; }
+    body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #1b1f24; font-size: 12px; line-height: 1.5; margin: 0 auto; max-width: 860px; padding: 24px; }
+    h1, h2, h3 { color: ${brand.color}; }
+    h1 { font-size: 28px; margin: 8px 0; }
+    h2 { font-size: 20px; border-bottom: 2px solid ${brand.color}; padding-bottom: 4px; }
+    h3 { font-size: 14px; margin-bottom: 4px; }
+    .page { page-break-after: always; }
+    .page:last-child { page-break-after: auto; }
+    .brand { font-weight: 600; letter-spacing: 0.08em; text-transform: uppercase; color: ${brand.color}; }
+    .target { font-family: monospace; font-size: 14px; word-break: break-all; }
+    .overall { display: flex; align-items: center; gap: 12px; margin: 16px 0; font-size: 14px; }
+    .overall .score { font-size: 28px; padding: 8px 16px; }
+    table { border-collapse: collapse; margin: 12px 0; }
+    th, td { text-align: left; padding: 4px 12px 4px 0; }
+    .scores td, .scores th { border-bottom: 1px solid #e3e6ea; }
+    .score { display: inline-block; min-width: 32px; text-align: center; border-radius: 4px; padding: 1px 6px; font-weight: 600; color: #fff; background: #8a939c; }
+    .score-good { background: #1e8e3e; }
+    .score-needs-work { background: #e37400; }
+    .score-poor { background: #d93025; }
+    .severity { display: inline-block; font-size: 10px; text-transform: uppercase; border-radius: 3px; padding: 0 4px; border: 1px solid currentColor; }
+    .severity-critical, .severity-high { color: #d93025; }
+    .severity-medium { color: #e37400; }
+    .severity-low { color: #5f6368; }
+    .category, .fix { page-break-inside: avoid; margin-bottom: 16px; }
+    .issues { padding-left: 18px; }
+    .muted { color: #5f6368; }
+    pre { white-space: pre-wrap; word-break: break-all; background: #f6f8fa; border-radius: 4px; padding: 8px; font-size: 9px; }
+    footer { color: #5f6368; font-size: 10px; margin-top: 24px; }
+    @media print { body { padding: 0; max-width: none; } footer { display: none; } }
+  </style>
+</head>
+<body>
+${sections.join('\n')}
+  <footer>${escapeHtml(brand.name)} · ${escapeHtml(brand.website)}</footer>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render the report as PDF with the shared Playwright browser
+   * @param {Object} result - Audit result
+   * @param {Object} meta - { jobId, auditedAt }
+   * @returns {Promise<Buffer>} - PDF document
+   */
+  async renderPdf(result, meta = {}) {
+    if (!this.renderer) {
+      const { getSharedRenderer } = require('./js-renderer');
+      this.renderer = getSharedRenderer();
+    }
+
+    const html = this.renderHtml(result, meta);
+    const footerTemplate = `
+      <div style="font-size:8px;color:#5f6368;width:100%;padding:0 16mm;display:flex;justify-content:space-between;">
+        <span>${escapeHtml(this.brand.name)} · ${escapeHtml(result?.url || '')}</span>
+        <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+      </div>`;
+
+    return this.renderer.renderPdf(html, {
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate
+    });
+  }
+}
+
+module.exports = ReportGenerator;
+module.exports.escapeHtml = escapeHtml;
+module.exports.REPORT_CATEGORIES = REPORT_CATEGORIES;
@@ -0,0 +1,182 @@
+// services/rich-result-evaluator.js
+// Rich result eligibility: which Google search features the page's structured data qualifies for
+
+const defaultRules = require('../config/rich-results.json');
+const SchemaValidator = require('./schema-validator');
+const { childPath, isMissing, isReference } = require('./schema-validator');
+
+/**
+ * Ordering used to pick the best candidate when a feature has several entities
+ */
+const STATUS_RANK = { eligible: 0, 'with-warnings': 1, ineligible: 2 };
+
+/**
+ * Validator issue codes that make an item invalid for rich results
+ * (missing properties are judged against the feature rules instead)
+ */
+const BLOCKING_VALIDATION_CODES = ['invalid_type', 'invalid_enum', 'invalid_format'];
+
+/**
+ * True when a JSON path is the entity path or lies inside it
+ * @param {string} path - Issue path
+ * @param {string} entityPath - Entity path
+ * @returns {boolean} - Whether the issue belongs to the entity
+ */
+function isWithin(path, entityPath) {
+  return path === entityPath || path.startsWith(`${entityPath}.`) || path.startsWith(`${entityPath}[`);
+}
+
+class RichResultEvaluator {
+  constructor(options = {}) {
+    this.rules = options.rules || defaultRules;
+    this.validator = options.validator || new SchemaValidator();
+  }
+
+  /**
+   * Check a node against a feature rule (required, recommended, minItems, nested rules)
+   * Alternatives are written "a|b": any one of them satisfies the rule.
+   * @param {Object} node - JSON-LD node
+   * @param {Object} rule - { required, recommended, minItems, nested }
+   * @param {Object} context - { path, label, prefix, byId, blocking, warnings }
+   */
+  checkRule(node, rule, context) {
+    const { path, label, prefix, byId, blocking, warnings } = context;
+    const required = rule.required || [];
+    const describe = (names) => (names.length > 1 ? `${label} needs one of: ${names.join(', ')}` : `${label} is missing "${names[0]}"`);
+    const report = (list, spec) => {
+      const names = spec.split('|');
+      if (names.some(name => !isMissing(node[name]))) return;
+      list.push({
+        property: `${prefix}${spec}`,
+        path: names.length > 1 ? path : childPath(path, names[0]),
+        message: describe(names)
+      });
+    };
+
+    required.forEach(spec => report(blocking, spec));
+    (rule.recommended || []).filter(spec => !required.includes(spec)).forEach(spec => report(warnings, spec));
+
+    Object.entries(rule.minItems || {}).forEach(([property, min]) => {
+      const value = node[property];
+      const count = isMissing(value) ? 0 : [].concat(value).length;
+      if (count > 0 && count < min) {
+        blocking.push({ property: `${prefix}${property}`, path: childPath(path, property), message: `${label}.${property} has ${count} item(s); at least ${min} needed` });
+      }
+    });
+
+    Object.entries(rule.nested || {}).forEach(([property, nestedRule]) => {
+      const value = node[property];
+      if (isMissing(value)) return;
+
+      [].concat(value).forEach((item, index) => {
+        const itemPath = Array.isArray(value) ? childPath(childPath(path, property), index) : childPath(path, property);
+        const target = isReference(item) ? byId.get(item['@id'])?.node : item;
+        if (!target || typeof target !== 'object') {
+          const expected = nestedRule.required || [];
+          const list = expected.length > 0 ? blocking : warnings;
+          const names = expected.length > 0 ? expected : (nestedRule.recommended || []);
+          if (names.length > 0) {
+            list.push({ property: `${prefix}${property}`, path: itemPath, message: `${label}.${property} should be an object with ${names.join(', ')}` });
+          }
+          return;
+        }
+        this.checkRule(target, nestedRule, {
+          ...context,
+          path: itemPath,
+          label: `${label}.${property}`,
+          prefix: `${prefix}${property}.`
+        });
+      });
+    });
+  }
+
+  /**
+   * Evaluate one candidate entity for a feature
+   * @param {Object} entry - Graph entry { node, types, path }
+   * @param {Object} feature - Feature rule
+   * @param {Object} byId - @id index from buildGraph
+   * @param {Object|null} propertyValidation - SchemaValidator report for the same documents
+   * @returns {Object} - { type, path, status, blocking, warnings }
+   */
+  evaluateItem(entry, feature, byId, propertyValidation) {
+    const type = entry.types.find(t => feature.types.some(expected => this.validator.isA(t, expected))) || entry.types[0];
+    const blocking = [];
+    const warnings = [];
+    this.checkRule(entry.node, feature, { path: entry.path, label: type, prefix: '', byId, blocking, warnings });
+
+    const restricted = feature.restrictedTypes;
+    if (restricted && entry.types.some(t => restricted.types.some(expected => this.validator.isA(t, expected)))) {
+      blocking.push({ property: '@type', path: entry.path, message: restricted.message });
+    }
+
+    ((propertyValidation && propertyValidation.issues) || [])
+      .filter(issue => issue.severity === 'error' && BLOCKING_VALIDATION_CODES.includes(issue.code) && isWithin(issue.path, entry.path))
+      .forEach(issue => blocking.push({ property: issue.property, path: issue.path, message: issue.message }));
+
+    return {
+      type,
+      path: entry.path,
+      status: blocking.length > 0 ? 'ineligible' : warnings.length > 0 ? 'with-warnings' : 'eligible',
+      blocking,
+      warnings
+    };
+  }
+
+  /**
+   * Evaluate one rich result feature across all entities on the page
+   * @param {string} id - Feature id
+   * @param {Object} feature - Feature rule from rich-results.json
+   * @param {Object} graph - { nodes, byId } from SchemaValidator.buildGraph
+   * @param {Object|null} propertyValidation - SchemaValidator report
+   * @returns {Object} - Feature report
+   */
+  evaluateFeature(id, feature, graph, propertyValidation) {
+    const candidates = graph.nodes.filter(entry =>
+      entry.types.some(t => feature.types.some(expected => this.validator.isA(t, expected))) &&
+      (!feature.when || feature.when.split('|').some(property => !isMissing(entry.node[property]))));
+
+    const base = { id, name: feature.name, docs: feature.docs || null };
+    if (candidates.length === 0) {
+      const type = feature.types.length === 1 ? feature.types[0] : 'supported';
+      const markup = feature.when ? `${type} markup with ${feature.when.split('|').join(' or ')}` : `${type} markup`;
+      return { ...base, status: 'ineligible', detected: false, reason: `No ${markup} found`, blocking: [], warnings: [], items: [] };
+    }
+
+    const items = candidates.map(entry => this.evaluateItem(entry, feature, graph.byId, propertyValidation));
+    const best = [...items].sort((a, b) => STATUS_RANK[a.status] - STATUS_RANK[b.status])[0];
+    const warnings = [...best.warnings];
+    let status = best.status;
+    if (feature.notice) {
+      warnings.push({ property: null, path: best.path, message: feature.notice });
+      if (status === 'eligible') status = 'with-warnings';
+    }
+
+    return { ...base, status, detected: true, blocking: best.blocking, warnings, items };
+  }
+
+  /**
+   * Evaluate rich result eligibility for all configured features
+   * @param {Array} schemaData - Structured data documents (JSON-LD, microdata, RDFa)
+   * @param {Object|null} propertyValidation - SchemaValidator report; invalid values block eligibility
+   * @returns {Object} - { rulesVersion, features, summary }
+   */
+  evaluate(schemaData, propertyValidation = null) {
+    const graph = this.validator.buildGraph(schemaData || []);
+    const features = Object.entries(this.rules.features)
+      .map(([id, feature]) => this.evaluateFeature(id, feature, graph, propertyValidation));
+    const detected = features.filter(feature => feature.detected);
+
+    return {
+      rulesVersion: this.rules.version,
+      features,
+      summary: {
+        detected: detected.length,
+        eligible: detected.filter(feature => feature.status === 'eligible').length,
+        withWarnings: detected.filter(feature => feature.status === 'with-warnings').length,
+        ineligible: detected.filter(feature => feature.status === 'ineligible').length
+      }
+    };
+  }
+}
+
+module.exports = RichResultEvaluator;
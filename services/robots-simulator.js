@@ -0,0 +1,241 @@
+// services/robots-simulator.js
+// What-if simulation of a proposed robots.txt against a site's real URL list, per known bot
+
+const { normalizeUrl } = require('../utils/url');
+const { Logger } = require('../utils/logger');
+const { parseRobotsTxt, evaluateUrl, fetchRobotsTxt } = require('../utils/robots-matcher');
+const BotPolicyAnalyzer = require('./bot-policy-analyzer');
+const SiteCrawler = require('./site-crawler');
+
+const logger = new Logger('robots-simulator');
+
+/**
+ * Proposed robots.txt templates generateOptimizedRobots can produce
+ */
+const SIMULATION_TEMPLATES = ['permissive', 'balanced', 'restrictive'];
+
+/**
+ * Where the simulated URL list comes from
+ */
+const SIMULATION_SOURCES = ['sitemap', 'crawl', 'urls'];
+
+/**
+ * Share of best-linked crawl pages treated as important (at least MIN_LINKED_IMPORTANT)
+ */
+const LINKED_IMPORTANT_SHARE = 0.1;
+const MIN_LINKED_IMPORTANT = 5;
+
+class RobotsSimulator {
+  constructor(options = {}) {
+    this.botAnalyzer = options.botAnalyzer || new BotPolicyAnalyzer();
+    this.siteCrawler = options.siteCrawler || new SiteCrawler();
+    this.linkCrawler = options.linkCrawler || null;
+    this.maxSamples = options.maxSamples || 50;
+  }
+
+  /**
+   * Lazily create the link graph crawler; the optimized orchestrator is only needed for crawls
+   * @returns {Object} - Object exposing performLinkGraphCrawl(url, options)
+   */
+  getLinkCrawler() {
+    if (!this.linkCrawler) {
+      const OptimizedAuditOrchestrator = require('./audit-orchestrator.optimized');
+      this.linkCrawler = new OptimizedAuditOrchestrator();
+    }
+    return this.linkCrawler;
+  }
+
+  /**
+   * Resolve the proposed robots.txt from a submitted body or a generated template
+   * @param {Object} options - { proposedRobotsTxt, template, sitemapUrl }
+   * @returns {Object} - { source, template, content }
+   */
+  resolveProposed(options = {}) {
+    if (typeof options.proposedRobotsTxt === 'string') {
+      return { source: 'body', template: null, content: options.proposedRobotsTxt };
+    }
+
+    const template = options.template || 'balanced';
+    const content = this.botAnalyzer.generateTemplate(this.botAnalyzer.knownBots, template, {
+      includeComments: false,
+      customSitemap: options.sitemapUrl || '/sitemap.xml'
+    });
+    return { source: 'template', template, content };
+  }
+
+  /**
+   * Collect the URL list to simulate against
+   * @param {string} url - Site URL
+   * @param {Object} options - { source, urls, maxUrls, maxDepth }
+   * @returns {Promise<Object>} - { source, pages: [{ url, depth, inLinks }], truncated }
+   */
+  async collectPages(url, options = {}) {
+    const source = options.source || 'sitemap';
+    const maxUrls = options.maxUrls || 200;
+
+    if (source === 'urls') {
+      const pages = (options.urls || []).slice(0, maxUrls).map(pageUrl => ({ url: pageUrl, depth: null, inLinks: null }));
+      return { source, pages, truncated: (options.urls || []).length > maxUrls };
+    }
+
+    if (source === 'crawl') {
+      const crawl = await this.getLinkCrawler().performLinkGraphCrawl(url, {
+        maxDepth: options.maxDepth ?? 2,
+        maxPages: maxUrls,
+        audit: false,
+        compareSitemap: false
+      });
+      const pages = crawl.linkGraph.pages.map(page => ({ url: page.url, depth: page.depth, inLinks: page.inLinks }));
+      return { source, pages, truncated: !crawl.linkGraph.stats.complete };
+    }
+
+    const discovery = await this.siteCrawler.crawlSitemap(url, { maxUrls, discoverOnly: true });
+    const pages = discovery.urls.map(pageUrl => ({ url: pageUrl, depth: null, inLinks: null }));
+    return { source, pages, truncated: discovery.truncated };
+  }
+
+  /**
+   * Flag the pages whose loss would hurt most: the homepage, explicitly listed URLs,
+   * top-level sections and, for crawls, click depth 1 and the best-linked pages
+   * @param {Array} pages - [{ url, depth, inLinks }]
+   * @param {Array} importantUrls - URLs the caller marks as important
+   * @returns {Array} - Pages with { important, importance: [reasons] }
+   */
+  markImportantPages(pages, importantUrls = []) {
+    const listed = new Set(importantUrls.map(pageUrl => normalizeUrl(pageUrl)));
+    const linked = pages.filter(page => page.inLinks > 0).sort((a, b) => b.inLinks - a.inLinks);
+    const linkedCount = Math.max(MIN_LINKED_IMPORTANT, Math.ceil(pages.length * LINKED_IMPORTANT_SHARE));
+    const bestLinked = new Set(linked.slice(0, linkedCount).map(page => page.url));
+
+    return pages.map(page => {
+      const importance = [];
+      const { pathname } = new URL(page.url);
+      const segments = pathname.split('/').filter(Boolean);
+
+      if (segments.length === 0) importance.push('homepage');
+      if (listed.has(normalizeUrl(page.url))) importance.push('listed');
+      if (page.depth === 1) importance.push('depth-1');
+      if (bestLinked.has(page.url)) importance.push('most-linked');
+      if (page.depth === null && segments.length === 1) importance.push('top-level');
+
+      return { ...page, important: importance.length > 0, importance };
+    });
+  }
+
+  /**
+   * Compare current and proposed robots.txt verdicts for every known bot and page
+   * @param {Object} input - { current: parsed robots, proposed: parsed robots, pages }
+   * @returns {Object} - { bots: { [name]: diff }, summary, warnings }
+   */
+  simulate({ current, proposed, pages }) {
+    const bots = {};
+    const warnings = [];
+
+    Object.entries(this.botAnalyzer.knownBots).forEach(([botName, botInfo]) => {
+      const diff = {
+        type: botInfo.type,
+        company: botInfo.company,
+        critical: botInfo.critical,
+        current: { allowed: 0, blocked: 0 },
+        proposed: { allowed: 0, blocked: 0 },
+        newlyBlocked: 0,
+        newlyAllowed: 0,
+        importantNewlyBlocked: [],
+        importantNewlyAllowed: [],
+        samples: { newlyBlocked: [], newlyAllowed: [] }
+      };
+
+      pages.forEach(page => {
+        const before = evaluateUrl(current, page.url, botName);
+        const after = evaluateUrl(proposed, page.url, botName);
+        diff.current[before.allowed ? 'allowed' : 'blocked']++;
+        diff.proposed[after.allowed ? 'allowed' : 'blocked']++;
+        if (before.allowed === after.allowed) return;
+
+        const change = after.allowed ? 'newlyAllowed' : 'newlyBlocked';
+        const entry = { url: page.url, rule: after.rule || before.rule, importance: page.importance };
+        diff[change]++;
+        if (page.important) {
+          diff[change === 'newlyBlocked' ? 'importantNewlyBlocked' : 'importantNewlyAllowed'].push(entry);
+        }
+        if (diff.samples[change].length < this.maxSamples) {
+          diff.samples[change].push(entry);
+        }
+      });
+
+      if (diff.importantNewlyBlocked.length > 0) {
+        warnings.push({
+          type: botInfo.critical ? 'critical_bot_loses_important_pages' : 'bot_loses_important_pages',
+          severity: botInfo.critical ? 'critical' : 'medium',
+          bot: botName,
+          message: `${botName} would lose access to ${diff.importantNewlyBlocked.length} important page(s)`,
+          urls: diff.importantNewlyBlocked.map(entry => entry.url).slice(0, 10)
+        });
+      }
+
+      bots[botName] = diff;
+    });
+
+    const changed = Object.entries(bots).filter(([, diff]) => diff.newlyBlocked + diff.newlyAllowed > 0);
+    const summary = {
+      urls: pages.length,
+      importantUrls: pages.filter(page => page.important).length,
+      botsAffected: changed.map(([botName]) => botName),
+      botsLosingAccess: changed.filter(([, diff]) => diff.newlyBlocked > 0).map(([botName]) => botName),
+      botsGainingAccess: changed.filter(([, diff]) => diff.newlyAllowed > 0).map(([botName]) => botName),
+      urlsNewlyBlocked: Object.values(bots).reduce((sum, diff) => sum + diff.newlyBlocked, 0),
+      urlsNewlyAllowed: Object.values(bots).reduce((sum, diff) => sum + diff.newlyAllowed, 0),
+      risk: warnings.some(warning => warning.severity === 'critical') ? 'high' :
+        (warnings.length > 0 ? 'medium' : 'low')
+    };
+
+    return { bots, summary, warnings };
+  }
+
+  /**
+   * Simulate a robots.txt change for a site
+   * @param {string} url - Site URL
+   * @param {Object} options - { proposedRobotsTxt, template, currentRobotsTxt, source, urls, importantUrls, maxUrls, maxDepth }
+   * @returns {Promise<Object>} - Current/proposed robots.txt, URL source and per-bot diff
+   */
+  async run(url, options = {}) {
+    const startTime = Date.now();
+    const origin = new URL(url).origin;
+
+    let current;
+    if (typeof options.currentRobotsTxt === 'string') {
+      current = { source: 'body', url: null, status: null, availability: 'available', content: options.currentRobotsTxt };
+    } else {
+      const fetched = await fetchRobotsTxt(origin);
+      current = { source: 'fetched', url: fetched.url, status: fetched.status, availability: fetched.availability, content: fetched.content };
+    }
+
+    const proposed = this.resolveProposed({ ...options, sitemapUrl: `${origin}/sitemap.xml` });
+    const collected = await this.collectPages(url, options);
+    const pages = this.markImportantPages(collected.pages, options.importantUrls);
+
+    logger.info('Simulating robots.txt change', { url: origin, pages: pages.length, proposed: proposed.template || 'custom' });
+
+    const simulation = this.simulate({
+      current: { ...parseRobotsTxt(current.content), availability: current.availability },
+      proposed: parseRobotsTxt(proposed.content),
+      pages
+    });
+
+    return {
+      success: true,
+      baseUrl: origin,
+      registryVersion: this.botAnalyzer.registryVersion,
+      currentRobotsTxt: current,
+      proposedRobotsTxt: proposed,
+      urlSource: { source: collected.source, urls: pages.length, truncated: collected.truncated },
+      ...simulation,
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = RobotsSimulator;
+module.exports.SIMULATION_TEMPLATES = SIMULATION_TEMPLATES;
+module.exports.SIMULATION_SOURCES = SIMULATION_SOURCES;
@@ -0,0 +1,343 @@
+// services/schema-generator.js
+// Draft JSON-LD @graph for a page from detected business type, authors, contact details and Q&A blocks
+
+const path = require('path');
+const EATAnalyzer = require('./eat-analyzer');
+const AnswerBlockDetector = require('./answer-block-detector');
+const { extractStructuredData } = require('../utils/structured-data');
+const { cleanText } = require('../utils/text');
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+/**
+ * Prefix of generated values that must be filled in by hand
+ */
+const PLACEHOLDER_PREFIX = 'TODO: ';
+
+/**
+ * Hosts accepted as Organization sameAs profiles
+ */
+const SOCIAL_HOSTS = [
+  'facebook.com', 'twitter.com', 'x.com', 'linkedin.com', 'instagram.com', 'youtube.com',
+  'tiktok.com', 'pinterest.com', 'github.com', 'threads.net', 'wikipedia.org', 'wikidata.org'
+];
+
+const MAX_QUESTIONS = 20;
+const MAX_ANSWER_LENGTH = 2000;
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ * @param {string} value - href/src value
+ * @param {string} base - Page URL
+ * @returns {string|null} - Absolute http(s) URL or null
+ */
+function absoluteUrl(value, base) {
+  if (!value) return null;
+  try {
+    const resolved = new URL(value.trim(), base);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Turn a URL slug into a readable name ("running-shoes" -> "Running Shoes")
+ * @param {string} slug - Path segment
+ * @returns {string} - Title-cased name
+ */
+function titleizeSlug(slug) {
+  return decodeURIComponent(slug)
+    .replace(/\.[a-z0-9]+$/i, '')
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+class SchemaGenerator {
+  constructor(options = {}) {
+    this.eatAnalyzer = options.eatAnalyzer || new EATAnalyzer();
+    this.answerBlockDetector = options.answerBlockDetector || new AnswerBlockDetector();
+    this.businessTypeDetector = options.businessTypeDetector || null;
+    this.businessTypesConfig = options.businessTypesConfig || require(path.join(__dirname, '../config/business-types.json'));
+  }
+
+  /**
+   * Lazily create the business type detector; detectBusinessType lives on the optimized orchestrator
+   * @returns {Object} - Object exposing detectBusinessType(types, config, $, url)
+   */
+  getBusinessTypeDetector() {
+    if (!this.businessTypeDetector) {
+      const OptimizedAuditOrchestrator = require('./audit-orchestrator.optimized');
+      this.businessTypeDetector = new OptimizedAuditOrchestrator();
+    }
+    return this.businessTypeDetector;
+  }
+
+  /**
+   * Q&A blocks for FAQPage from the answer block detector's question scan
+   * (question headings, <details>/<summary> accordions and <dt>/<dd> pairs)
+   * @param {Object} $ - Cheerio instance
+   * @returns {Array} - [{ question, answer, source }]
+   */
+  extractQuestionAnswers($) {
+    const pairs = [];
+    const seen = new Set();
+
+    this.answerBlockDetector.findQuestionAnswers($).forEach(({ question, answer, source }) => {
+      const key = question.toLowerCase();
+      if (!answer || seen.has(key) || pairs.length >= MAX_QUESTIONS) return;
+      seen.add(key);
+      pairs.push({ question, answer: answer.substring(0, MAX_ANSWER_LENGTH), source });
+    });
+
+    return pairs;
+  }
+
+  /**
+   * Collect page facts used to fill the graph
+   * @param {Object} $ - Cheerio instance
+   * @param {string} url - Page URL
+   * @param {Array} schemaData - Structured data already on the page
+   * @returns {Object} - Page facts with their sources
+   */
+  collectPageFacts($, url, schemaData) {
+    const meta = (name) => cleanText($(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content')) || null;
+    const existing = (types) => {
+      const found = [];
+      const visit = (value) => {
+        if (Array.isArray(value)) return value.forEach(visit);
+        if (!value || typeof value !== 'object') return;
+        const nodeTypes = [].concat(value['@type'] || []);
+        if (nodeTypes.some(type => types.includes(type))) found.push(value);
+        Object.values(value).forEach(visit);
+      };
+      visit(schemaData);
+      return found[0] || null;
+    };
+
+    const organization = existing(['Organization', 'LocalBusiness', 'Corporation', 'OnlineStore']);
+    const logoElement = $('img').filter((i, img) => /logo/i.test(`${$(img).attr('src')} ${$(img).attr('alt')} ${$(img).attr('class')}`)).first();
+
+    const sameAs = [];
+    $('a[href]').each((i, link) => {
+      const href = absoluteUrl($(link).attr('href'), url);
+      if (!href) return;
+      const host = new URL(href).hostname.replace(/^www\./, '');
+      if (SOCIAL_HOSTS.some(social => host === social || host.endsWith(`.${social}`)) && !sameAs.includes(href)) {
+        sameAs.push(href);
+      }
+    });
+
+    const first = (...candidates) => candidates.find(candidate => candidate && candidate.value) || { value: null, source: null };
+    const logoValue = organization && organization.logo;
+
+    return {
+      organizationName: first(
+        { value: organization && typeof organization.name === 'string' ? organization.name : null, source: 'structured-data' },
+        { value: meta('og:site_name'), source: 'og:site_name' },
+        { value: meta('application-name'), source: 'application-name' }
+      ),
+      logo: first(
+        { value: typeof logoValue === 'string' ? logoValue : (logoValue && logoValue.url) || null, source: 'structured-data' },
+        { value: absoluteUrl(logoElement.attr('src'), url), source: 'logo-image' },
+        { value: absoluteUrl($('link[rel="apple-touch-icon"]').attr('href'), url), source: 'apple-touch-icon' }
+      ),
+      email: first(
+        { value: cleanText(($('a[href^="mailto:"]').first().attr('href') || '').replace(/^mailto:/i, '').split('?')[0]), source: 'mailto-link' }
+      ),
+      telephone: first(
+        { value: cleanText(($('a[href^="tel:"]').first().attr('href') || '').replace(/^tel:/i, '')), source: 'tel-link' }
+      ),
+      address: { value: cleanText($('address').first().text()) || null, source: 'address-element' },
+      sameAs: { value: sameAs.slice(0, 10), source: 'social-links' },
+      language: { value: cleanText($('html').attr('lang')) || null, source: 'html-lang' },
+      headline: first(
+        { value: cleanText($('h1').first().text()), source: 'h1' },
+        { value: meta('og:title'), source: 'og:title' },
+        { value: cleanText($('title').first().text()), source: 'title' }
+      ),
+      description: first(
+        { value: meta('description'), source: 'meta-description' },
+        { value: meta('og:description'), source: 'og:description' }
+      ),
+      image: { value: absoluteUrl(meta('og:image'), url), source: 'og:image' },
+      datePublished: first(
+        { value: meta('article:published_time'), source: 'article:published_time' },
+        { value: cleanText($('time[datetime]').first().attr('datetime')), source: 'time-element' }
+      ),
+      dateModified: { value: meta('article:modified_time'), source: 'article:modified_time' },
+      ogType: meta('og:type')
+    };
+  }
+
+  /**
+   * Build breadcrumb items from a breadcrumb navigation, falling back to the URL path
+   * @param {Object} $ - Cheerio instance
+   * @param {string} url - Page URL
+   * @param {string|null} currentName - Name for the current page
+   * @returns {Object} - { items: [{ name, item }], source }
+   */
+  buildBreadcrumbItems($, url, currentName) {
+    const page = new URL(url);
+    const container = $('nav[aria-label*="readcrumb"], [class*="breadcrumb"], [id*="breadcrumb"]').first();
+    const links = container.find('a[href]').toArray()
+      .map(link => ({ name: cleanText($(link).text()), item: absoluteUrl($(link).attr('href'), url) }))
+      .filter(link => link.name && link.item);
+
+    if (links.length > 0) {
+      const current = page.href.replace(/#.*$/, '');
+      if (links[links.length - 1].item.replace(/#.*$/, '') !== current) {
+        links.push({ name: currentName || titleizeSlug(page.pathname.split('/').filter(Boolean).pop() || page.hostname), item: current });
+      }
+      return { items: links, source: 'breadcrumb-nav' };
+    }
+
+    const segments = page.pathname.split('/').filter(Boolean);
+    if (segments.length === 0) return { items: [], source: null };
+
+    const items = [{ name: 'Home', item: `${page.origin}/` }];
+    segments.forEach((segment, index) => {
+      const last = index === segments.length - 1;
+      items.push({
+        name: last && currentName ? currentName : titleizeSlug(segment),
+        item: `${page.origin}/${segments.slice(0, index + 1).join('/')}${last ? '' : '/'}`
+      });
+    });
+    return { items, source: 'url-path' };
+  }
+
+  /**
+   * Draft a JSON-LD @graph for a page
+   * @param {Object} $ - Cheerio instance of the page
+   * @param {string} url - Page URL
+   * @returns {Object} - { url, businessType, pageType, jsonLd, script, properties, summary }
+   */
+  generate($, url) {
+    const page = new URL(url);
+    const pageUrl = page.href.replace(/#.*$/, '');
+    const schemaData = extractStructuredData($).documents.map(doc => doc.data);
+    const types = [];
+    const detector = this.getBusinessTypeDetector();
+    schemaData.forEach(data => detector.extractTypesFromJsonLd(data, types));
+
+    const businessType = detector.detectBusinessType([...new Set(types)], this.businessTypesConfig, $, url);
+    const pageType = this.eatAnalyzer.detectPageType($, url);
+    const authors = this.eatAnalyzer.detectAuthors($, schemaData);
+    const contact = this.eatAnalyzer.analyzeContactInformation($);
+    const questions = this.extractQuestionAnswers($);
+    const facts = this.collectPageFacts($, url, schemaData);
+
+    const graph = [];
+    const properties = [];
+
+    // Set a property from a detected value or a placeholder, recording which one was used
+    const field = (node, property, value, source, placeholder) => {
+      const found = value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0);
+      node[property] = found ? value : (placeholder !== undefined ? placeholder : `${PLACEHOLDER_PREFIX}${property}`);
+      properties.push({ node: node['@id'], type: node['@type'], property, status: found ? 'extracted' : 'placeholder', source: found ? source : null });
+    };
+
+    // Organization or LocalBusiness
+    const organizationId = `${page.origin}/#organization`;
+    const organization = { '@type': businessType.type === 'LocalBusiness' ? 'LocalBusiness' : 'Organization', '@id': organizationId };
+    field(organization, 'name', facts.organizationName.value, facts.organizationName.source);
+    field(organization, 'url', `${page.origin}/`, 'request-url');
+    field(organization, 'logo', facts.logo.value, facts.logo.source, `${PLACEHOLDER_PREFIX}logo URL`);
+    field(organization, 'email', facts.email.value || contact.emails[0], facts.email.value ? facts.email.source : 'contact-information');
+    field(organization, 'telephone', facts.telephone.value || contact.phones[0], facts.telephone.value ? facts.telephone.source : 'contact-information');
+    field(organization, 'sameAs', facts.sameAs.value, facts.sameAs.source, [`${PLACEHOLDER_PREFIX}social profile URL`]);
+    if (organization['@type'] === 'LocalBusiness') {
+      field(organization, 'address', facts.address.value ? { '@type': 'PostalAddress', streetAddress: facts.address.value } : null, facts.address.source, {
+        '@type': 'PostalAddress',
+        streetAddress: `${PLACEHOLDER_PREFIX}streetAddress`,
+        addressLocality: `${PLACEHOLDER_PREFIX}addressLocality`,
+        postalCode: `${PLACEHOLDER_PREFIX}postalCode`,
+        addressCountry: `${PLACEHOLDER_PREFIX}addressCountry`
+      });
+      field(organization, 'openingHours', null, null, `${PLACEHOLDER_PREFIX}openingHours, e.g. Mo-Fr 09:00-17:00`);
+    }
+    graph.push(organization);
+
+    // WebSite
+    const website = { '@type': 'WebSite', '@id': `${page.origin}/#website` };
+    field(website, 'url', `${page.origin}/`, 'request-url');
+    field(website, 'name', facts.organizationName.value, facts.organizationName.source);
+    field(website, 'inLanguage', facts.language.value, facts.language.source);
+    field(website, 'publisher', { '@id': organizationId }, 'graph');
+    graph.push(website);
+
+    // BreadcrumbList (not on the home page)
+    const breadcrumbs = this.buildBreadcrumbItems($, url, facts.headline.source === 'h1' ? facts.headline.value : null);
+    if (breadcrumbs.items.length > 0) {
+      const breadcrumbList = { '@type': 'BreadcrumbList', '@id': `${pageUrl}#breadcrumb` };
+      field(breadcrumbList, 'itemListElement', breadcrumbs.items.map((crumb, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: crumb.name,
+        item: crumb.item
+      })), breadcrumbs.source);
+      graph.push(breadcrumbList);
+    }
+
+    // Article with author Person nodes
+    if (pageType.type === 'article' || facts.ogType === 'article') {
+      const personRefs = (authors.length > 0 ? authors : [null]).map((author, index) => {
+        const person = { '@type': 'Person', '@id': `${pageUrl}#author-${index + 1}` };
+        field(person, 'name', author && author.name, author && `author-${author.source}`);
+        if (author && author.url) field(person, 'url', absoluteUrl(author.url, url), `author-${author.source}`);
+        graph.push(person);
+        return { '@id': person['@id'] };
+      });
+
+      const article = { '@type': 'Article', '@id': `${pageUrl}#article` };
+      field(article, 'headline', facts.headline.value, facts.headline.source);
+      field(article, 'description', facts.description.value, facts.description.source);
+      field(article, 'image', facts.image.value, facts.image.source, `${PLACEHOLDER_PREFIX}image URL`);
+      field(article, 'datePublished', facts.datePublished.value, facts.datePublished.source, `${PLACEHOLDER_PREFIX}datePublished (ISO 8601)`);
+      field(article, 'dateModified', facts.dateModified.value, facts.dateModified.source, `${PLACEHOLDER_PREFIX}dateModified (ISO 8601)`);
+      field(article, 'author', personRefs.length === 1 ? personRefs[0] : personRefs, 'graph');
+      field(article, 'publisher', { '@id': organizationId }, 'graph');
+      field(article, 'mainEntityOfPage', pageUrl, 'request-url');
+      graph.push(article);
+    }
+
+    // FAQPage from detected Q&A blocks
+    if (questions.length > 0) {
+      const faqPage = { '@type': 'FAQPage', '@id': `${pageUrl}#faq` };
+      field(faqPage, 'url', pageUrl, 'request-url');
+      field(faqPage, 'mainEntity', questions.map(({ question, answer }) => ({
+        '@type': 'Question',
+        name: question,
+        acceptedAnswer: { '@type': 'Answer', text: answer }
+      })), `qa-${[...new Set(questions.map(pair => pair.source))].join('+')}`);
+      graph.push(faqPage);
+    }
+
+    const jsonLd = { '@context': SCHEMA_CONTEXT, '@graph': graph };
+    // Escape "<" so extracted text can never close the script element
+    const script = `<script type="application/ld+json">\n${JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c')}\n</script>`;
+    const placeholders = properties.filter(property => property.status === 'placeholder').length;
+
+    return {
+      url: pageUrl,
+      businessType,
+      pageType: pageType.type,
+      jsonLd,
+      script,
+      properties,
+      summary: {
+        nodes: graph.length,
+        types: graph.map(node => node['@type']),
+        extracted: properties.length - placeholders,
+        placeholders,
+        questions: questions.length,
+        authors: authors.length
+      }
+    };
+  }
+}
+
+module.exports = SchemaGenerator;
+module.exports.PLACEHOLDER_PREFIX = PLACEHOLDER_PREFIX;
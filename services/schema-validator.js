@@ -0,0 +1,340 @@
+// services/schema-validator.js
+// Property-level Schema.org validation: required/recommended properties, value types and enumerations per type
+
+const defaultRules = require('../config/schema-rules.json');
+
+/**
+ * Literal value checks for the data types in schema-rules.json valueTypes
+ */
+const VALUE_CHECKS = {
+  Text: value => typeof value === 'string' && value.trim().length > 0,
+  URL: value => typeof value === 'string' && /^(https?:)?\/\/\S+$|^\/\S*$/i.test(value.trim()),
+  Date: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) && !Number.isNaN(Date.parse(value)),
+  DateTime: value => typeof value === 'string' &&
+    /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value.trim()) &&
+    !Number.isNaN(Date.parse(value.trim().replace(' ', 'T'))),
+  Number: value => (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())),
+  Integer: value => Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value.trim())),
+  Duration: value => typeof value === 'string' &&
+    /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(value.trim()),
+  Boolean: value => typeof value === 'boolean' || /^(true|false|(https?:\/\/)?schema\.org\/(True|False))$/i.test(String(value))
+};
+
+/**
+ * Strip schema.org prefixes from a type or enumeration value
+ * @param {string} value - e.g. "https://schema.org/InStock" or "schema:Product"
+ * @returns {string} - Bare name
+ */
+function normalizeSchemaName(value) {
+  return String(value).trim().replace(/^(https?:\/\/)?(www\.)?schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+/**
+ * Read the @type of a node as a list of bare type names
+ * @param {Object} node - JSON-LD node
+ * @returns {Array} - Type names
+ */
+function getTypes(node) {
+  const type = node && node['@type'];
+  return (Array.isArray(type) ? type : [type]).filter(t => typeof t === 'string').map(normalizeSchemaName);
+}
+
+/**
+ * Append a property or index to a JSON path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or array index
+ * @returns {string} - Child path
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+}
+
+/**
+ * True for an empty property value
+ * @param {*} value - Property value
+ * @returns {boolean} - Whether the property counts as missing
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * True for a node that only points at another node ({ "@id": "#org" })
+ * @param {*} value - Property value
+ * @returns {boolean} - Whether the value is a bare reference
+ */
+function isReference(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && typeof value['@id'] === 'string' &&
+    Object.keys(value).every(key => key === '@id' || key === '@context');
+}
+
+/**
+ * Short printable form of a value for issue messages
+ * @param {*} value - Value
+ * @returns {string} - Preview
+ */
+function preview(value) {
+  const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+  return text && text.length > 60 ? `${text.substring(0, 57)}...` : String(text);
+}
+
+class SchemaValidator {
+  constructor(options = {}) {
+    this.rules = options.rules || defaultRules;
+    this.parents = {};
+    Object.entries(this.rules.subtypes || {}).forEach(([parent, children]) => {
+      children.forEach(child => {
+        this.parents[child] = [...(this.parents[child] || []), parent];
+      });
+    });
+  }
+
+  /**
+   * Check whether a type is the expected type or one of its subtypes
+   * @param {string} type - Type name
+   * @param {string} expected - Expected type name
+   * @param {Set} seen - Visited types (guards against cycles in the hierarchy)
+   * @returns {boolean} - True when type is-a expected
+   */
+  isA(type, expected, seen = new Set()) {
+    if (type === expected || expected === 'Thing') return true;
+    if (seen.has(type)) return false;
+    seen.add(type);
+    return (this.parents[type] || []).some(parent => this.isA(parent, expected, seen));
+  }
+
+  /**
+   * Find the most specific rule set for a node's types (exact type first, then nearest ancestor)
+   * @param {Array} types - Node types
+   * @returns {string|null} - Rule type name
+   */
+  getRuleType(types) {
+    let level = [...types];
+    const seen = new Set();
+    while (level.length > 0) {
+      const match = level.find(type => this.rules.types[type]);
+      if (match) return match;
+      level.forEach(type => seen.add(type));
+      level = [...new Set(level.flatMap(type => this.parents[type] || []))].filter(type => !seen.has(type));
+    }
+    return null;
+  }
+
+  /**
+   * Collect every typed node in the JSON-LD documents, indexing @id definitions
+   * Several definitions of the same @id are merged into one node, reported at its first path.
+   * @param {Array} schemaData - Parsed JSON-LD documents (one per script)
+   * @returns {Object} - { nodes: [{ node, types, id, path }], byId: Map }
+   */
+  buildGraph(schemaData) {
+    const nodes = [];
+    const byId = new Map();
+
+    const visit = (value, path) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, childPath(path, index)));
+        return;
+      }
+      if (!value || typeof value !== 'object') return;
+
+      const types = getTypes(value);
+      if (types.length > 0) {
+        const id = typeof value['@id'] === 'string' ? value['@id'] : null;
+        if (id && byId.has(id)) {
+          const existing = byId.get(id);
+          existing.node = { ...value, ...existing.node };
+          existing.types = [...new Set([...existing.types, ...types])];
+        } else {
+          const entry = { node: value, types, id, path };
+          nodes.push(entry);
+          if (id) byId.set(id, entry);
+        }
+      }
+
+      Object.entries(value).forEach(([key, child]) => {
+        if (key !== '@context' && child && typeof child === 'object') {
+          visit(child, childPath(path, key));
+        }
+      });
+    };
+
+    (Array.isArray(schemaData) ? schemaData : [schemaData]).forEach((document, index) => visit(document, `$[${index}]`));
+    return { nodes, byId };
+  }
+
+  /**
+   * Check one property value against its rule
+   * @param {*} value - Property value (single item)
+   * @param {Object} spec - Property rule { expects, enum, pattern, maxLength }
+   * @param {Object} context - { byId, path, queue }
+   * @returns {Object|null} - { severity, code, message, expected } or null when valid
+   */
+  checkValue(value, spec, context) {
+    if (spec.enum) {
+      const allowed = this.rules.enumerations[spec.enum] || [];
+      const raw = value && typeof value === 'object' ? value['@id'] : value;
+      if (typeof raw !== 'string' || !allowed.includes(normalizeSchemaName(raw))) {
+        return { severity: 'error', code: 'invalid_enum', expected: spec.enum, message: `${preview(value)} is not a valid ${spec.enum} value` };
+      }
+      return null;
+    }
+
+    const expects = spec.expects || [];
+    const literalTypes = expects.filter(type => VALUE_CHECKS[type]);
+    const schemaTypes = expects.filter(type => !VALUE_CHECKS[type]);
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      let node = value;
+      if (isReference(value)) {
+        const target = context.byId.get(value['@id']);
+        if (!target) {
+          return { severity: 'warning', code: 'unresolved_reference', expected: expects, message: `Reference ${value['@id']} does not match any @id on the page` };
+        }
+        node = target.node;
+      }
+
+      const types = getTypes(node);
+      if (types.length === 0) {
+        // Untyped objects are validated as the expected type but flagged
+        if (schemaTypes.length > 0) {
+          context.queue.push({ node, types: [schemaTypes[0]], id: null, path: context.path, implicit: true });
+          return { severity: 'warning', code: 'missing_type', expected: schemaTypes, message: `Object has no @type; expected ${schemaTypes.join(' or ')}` };
+        }
+        return { severity: 'error', code: 'invalid_type', expected: expects, message: `Expected ${expects.join(' or ')}, found an object` };
+      }
+      if (!types.some(type => schemaTypes.some(expected => this.isA(type, expected)))) {
+        return { severity: 'error', code: 'invalid_type', expected: expects, message: `Expected ${expects.join(' or ')}, found ${types.join('/')}` };
+      }
+      return null;
+    }
+
+    if (literalTypes.some(type => VALUE_CHECKS[type](value))) {
+      if (spec.pattern && !new RegExp(spec.pattern).test(String(value).trim())) {
+        return { severity: 'error', code: 'invalid_format', expected: spec.pattern, message: `${preview(value)} does not match the expected format` };
+      }
+      if (spec.maxLength && typeof value === 'string' && value.length > spec.maxLength) {
+        return { severity: 'warning', code: 'too_long', expected: `<= ${spec.maxLength} characters`, message: `Value is ${value.length} characters; keep it under ${spec.maxLength}` };
+      }
+      return null;
+    }
+
+    return { severity: 'error', code: 'invalid_type', expected: expects, message: `Expected ${expects.join(' or ')}, found ${preview(value)}` };
+  }
+
+  /**
+   * Validate one node against the rules of its type
+   * @param {Object} entry - { node, types, id, path, implicit }
+   * @param {string} ruleType - Rule set to apply
+   * @param {Object} context - { byId, queue }
+   * @returns {Object} - Entity report with errors, warnings and richness
+   */
+  validateNode(entry, ruleType, context) {
+    const rule = this.rules.types[ruleType];
+    const type = entry.types.find(t => this.isA(t, ruleType)) || entry.types[0];
+    const errors = [];
+    const warnings = [];
+    const add = (issue) => (issue.severity === 'error' ? errors : warnings).push({ type, ...issue });
+
+    const required = rule.required || [];
+    const requiredOneOf = rule.requiredOneOf || [];
+    const recommended = (rule.recommended || []).filter(property => !required.includes(property));
+
+    required.forEach(property => {
+      if (isMissing(entry.node[property])) {
+        add({ severity: 'error', code: 'missing_required', property, path: childPath(entry.path, property), message: `${type} is missing required property "${property}"` });
+      }
+    });
+    requiredOneOf.forEach(group => {
+      if (group.every(property => isMissing(entry.node[property]))) {
+        add({ severity: 'error', code: 'missing_required', property: group.join('|'), path: entry.path, message: `${type} needs at least one of: ${group.join(', ')}` });
+      }
+    });
+    recommended.forEach(property => {
+      if (isMissing(entry.node[property]) && !requiredOneOf.some(group => group.includes(property) && group.some(p => !isMissing(entry.node[p])))) {
+        add({ severity: 'warning', code: 'missing_recommended', property, path: childPath(entry.path, property), message: `${type} is missing recommended property "${property}"` });
+      }
+    });
+
+    Object.entries(rule.properties || {}).forEach(([property, spec]) => {
+      const value = entry.node[property];
+      if (isMissing(value)) return;
+
+      const items = Array.isArray(value) ? value : [value];
+      items.forEach((item, index) => {
+        const path = Array.isArray(value) ? childPath(childPath(entry.path, property), index) : childPath(entry.path, property);
+        const issue = this.checkValue(item, spec, { ...context, path });
+        if (issue) add({ ...issue, property, path, message: `${type}.${property}: ${issue.message}` });
+      });
+    });
+
+    const expectedCount = required.length + requiredOneOf.length + recommended.length;
+    const presentCount = required.filter(p => !isMissing(entry.node[p])).length +
+      requiredOneOf.filter(group => group.some(p => !isMissing(entry.node[p]))).length +
+      recommended.filter(p => !isMissing(entry.node[p])).length;
+
+    return {
+      type,
+      ruleType,
+      id: entry.id,
+      path: entry.path,
+      implicit: Boolean(entry.implicit),
+      valid: errors.length === 0,
+      richness: expectedCount > 0 ? Math.round((presentCount / expectedCount) * 100) : 100,
+      errors,
+      warnings
+    };
+  }
+
+  /**
+   * Validate all JSON-LD documents of a page
+   * @param {Array} schemaData - Parsed JSON-LD documents
+   * @returns {Object} - { rulesVersion, entities, issues, unvalidatedTypes, summary }
+   */
+  validate(schemaData) {
+    const { nodes, byId } = this.buildGraph(schemaData || []);
+    const queue = [...nodes];
+    const validated = new Set();
+    const entities = [];
+    const unvalidatedTypes = new Set();
+
+    while (queue.length > 0) {
+      const entry = queue.shift();
+      if (validated.has(entry.node)) continue;
+      validated.add(entry.node);
+
+      const ruleType = this.getRuleType(entry.types);
+      if (!ruleType) {
+        entry.types.forEach(type => unvalidatedTypes.add(type));
+        continue;
+      }
+      entities.push(this.validateNode(entry, ruleType, { byId, queue }));
+    }
+
+    const issues = entities.flatMap(entity => [...entity.errors, ...entity.warnings].map(issue => ({ ...issue, entity: entity.path })));
+    const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+    return {
+      rulesVersion: this.rules.version,
+      entities,
+      issues,
+      unvalidatedTypes: [...unvalidatedTypes],
+      summary: {
+        entities: entities.length,
+        valid: entities.filter(entity => entity.valid).length,
+        errors: errorCount,
+        warnings: issues.length - errorCount,
+        richnessScore: entities.length > 0
+          ? Math.round(entities.reduce((sum, entity) => sum + entity.richness, 0) / entities.length)
+          : 0
+      }
+    };
+  }
+}
+
+module.exports = SchemaValidator;
+module.exports.normalizeSchemaName = normalizeSchemaName;
+module.exports.childPath = childPath;
+module.exports.isMissing = isMissing;
+module.exports.isReference = isReference;
@@ -1,6 +1,7 @@
 // services/security.js - Security hardening: robots.txt respect + Secret Manager
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const fetch = require('node-fetch');
+const { parseRobotsTxt, evaluateUrl } = require('../utils/robots-matcher');
 
 class SecurityService {
   constructor() {
@@ -67,7 +68,8 @@ class SecurityService {
       }
 
       const robotsContent = await response.text();
-      const isAllowed = this.parseRobotsTxt(robotsContent, userAgent, new URL(url).pathname);
+      const { pathname, search } = new URL(url);
+      const isAllowed = this.parseRobotsTxt(robotsContent, userAgent, pathname + search);
       
       this.logAuditAction(url, isAllowed ? 'ROBOTS_ALLOWED' : 'ROBOTS_BLOCKED', {
         userAgent,
@@ -94,46 +96,7 @@ class SecurityService {
    * Parse robots.txt content to check if path is allowed
    */
   parseRobotsTxt(content, userAgent, path) {
-    const lines = content.split('\n').map(line => line.trim().toLowerCase());
-    let currentUserAgent = null;
-    let disallowedPaths = [];
-    let allowedPaths = [];
-    
-    // Simple robots.txt parser
-    for (const line of lines) {
-      if (line.startsWith('#') || !line) continue;
-      
-      if (line.startsWith('user-agent:')) {
-        const agent = line.split(':')[1].trim();
-        currentUserAgent = (agent === '*' || userAgent.toLowerCase().includes(agent));
-      }
-      
-      if (currentUserAgent) {
-        if (line.startsWith('disallow:')) {
-          const disallowPath = line.split(':')[1].trim();
-          if (disallowPath) disallowedPaths.push(disallowPath);
-        }
-        
-        if (line.startsWith('allow:')) {
-          const allowPath = line.split(':')[1].trim();
-          if (allowPath) allowedPaths.push(allowPath);
-        }
-      }
-    }
-
-    // Check if path matches any disallow rules
-    for (const disallowPath of disallowedPaths) {
-      if (disallowPath === '/') return false; // Disallow all
-      if (path.startsWith(disallowPath)) {
-        // Check if there's a more specific allow rule
-        const hasAllowOverride = allowedPaths.some(allowPath => 
-          path.startsWith(allowPath) && allowPath.length > disallowPath.length
-        );
-        if (!hasAllowOverride) return false;
-      }
-    }
-
-    return true; // Allowed by default
+    return evaluateUrl(parseRobotsTxt(content), path, userAgent).allowed;
   }
 
   /**
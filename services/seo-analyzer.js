@@ -3,6 +3,7 @@
 
 const { fetchWithTimeout } = require('../utils/helpers');
 const xml2js = require('xml2js');
+const LlmsTxtValidator = require('./llms-txt-validator');
 
 class SEOAnalyzer {
   constructor() {
@@ -187,6 +188,8 @@ class SEOAnalyzer {
         results.llms.hasFaq = /faq/i.test(txt);
         results.llms.hasDocs = /docs|documentation/i.test(txt);
         results.llms.content = txt.substring(0, 500); // First 500 chars
+        // Structure-only validation; link and companion file checks run in the optimized audit
+        results.llms.validation = new LlmsTxtValidator().validateContent(txt, llmsUrl);
       }
     } catch (error) {
       results.llms = { exists: false };
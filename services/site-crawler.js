@@ -0,0 +1,397 @@
+// services/site-crawler.js
+// Sitemap-driven multi-page crawler with bounded concurrency and site rollups
+
+const zlib = require('zlib');
+const xml2js = require('xml2js');
+const { fetchWithTimeout } = require('../utils/helpers');
+const { normalizeUrl } = require('../utils/url');
+const { SCORE_CATEGORIES, extractScores, collectIssues, extractPageFacts } = require('../utils/audit-scores');
+const { buildFixPriorities, aggregateFixPriorities } = require('../utils/fix-priorities');
+const { Logger } = require('../utils/logger');
+
+const logger = new Logger('site-crawler');
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Strip a leading www. so apex and www hosts are treated as one site
+ * @param {string} hostname - Hostname
+ * @returns {string} - Comparable hostname
+ */
+function siteHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+class SiteCrawler {
+  constructor(options = {}) {
+    this.auditor = options.auditor || null;
+    this.concurrency = options.concurrency || 3;
+    this.fetchTimeout = options.fetchTimeout || 10000;
+    this.maxSitemaps = options.maxSitemaps || 25;
+    this.maxSitemapDepth = options.maxSitemapDepth || 3;
+    // sitemaps.org caps an uncompressed sitemap at 50 MB; also bounds gzip expansion
+    this.maxSitemapBytes = options.maxSitemapBytes || 50 * 1024 * 1024;
+
+    this.defaultAuditOptions = {
+      fastMode: true,
+      includePSI: false,
+      includeLighthouse: false
+    };
+  }
+
+  /**
+   * Lazily create the page auditor so discovery works without it
+   * @returns {Object} - Object exposing performLightweightAudit(url, options)
+   */
+  getAuditor() {
+    if (!this.auditor) {
+      const OptimizedAuditOrchestrator = require('./audit-orchestrator.optimized');
+      this.auditor = new OptimizedAuditOrchestrator();
+    }
+    return this.auditor;
+  }
+
+  /**
+   * Crawl a site from its sitemaps and audit each discovered page
+   * @param {string} url - Site URL or direct sitemap URL
+   * @param {Object} options - { maxUrls, discoverOnly, auditOptions, includeFullResults }
+   * @returns {Object} - Discovery info, per-page results and site rollup
+   */
+  async crawlSitemap(url, options = {}) {
+    const startTime = Date.now();
+    const maxUrls = options.maxUrls || 50;
+    const target = new URL(url);
+    const baseUrl = target.origin;
+
+    const isSitemapUrl = /\.xml(\.gz)?$/i.test(target.pathname);
+    const entryPoints = isSitemapUrl ? [target.href] : await this.discoverSitemaps(baseUrl);
+
+    logger.info('Collecting sitemap URLs', { baseUrl, entryPoints: entryPoints.length, maxUrls });
+    const discovery = await this.collectSitemapUrls(entryPoints, { maxUrls, host: target.hostname });
+
+    if (discovery.urls.length === 0) {
+      throw new Error(`No page URLs found in sitemaps for ${baseUrl}`);
+    }
+
+    const base = {
+      success: true,
+      baseUrl,
+      sitemaps: discovery.sitemaps,
+      discoveredUrls: discovery.urls.length,
+      truncated: discovery.truncated,
+      maxUrls
+    };
+
+    if (options.discoverOnly) {
+      return {
+        ...base,
+        mode: 'discover',
+        urls: discovery.urls,
+        executionTime: Date.now() - startTime,
+        timestamp: new Date().toISOString(),
+        nextStep: 'Run the sitemap audit in batch mode to audit the discovered URLs'
+      };
+    }
+
+    const auditOptions = { ...this.defaultAuditOptions, ...(options.auditOptions || {}) };
+    const results = await runWithConcurrency(discovery.urls, this.concurrency, pageUrl =>
+      this.auditPage(pageUrl, auditOptions, options.includeFullResults)
+    );
+
+    const rollup = this.buildRollup(results);
+    const processingTime = Date.now() - startTime;
+
+    return {
+      ...base,
+      mode: 'batch',
+      totalUrls: discovery.urls.length,
+      results,
+      rollup,
+      summary: {
+        completed: rollup.pagesAudited,
+        failed: rollup.pagesFailed,
+        avgScore: rollup.scores.overall ? rollup.scores.overall.average : 0,
+        totalExecutionTime: results.reduce((sum, page) => sum + page.executionTime, 0)
+      },
+      processingTime,
+      executionTime: processingTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Find sitemap entry points from robots.txt, falling back to common locations
+   * @param {string} origin - Site origin
+   * @returns {Promise<Array>} - Sitemap URLs
+   */
+  async discoverSitemaps(origin) {
+    const sitemaps = [];
+
+    try {
+      const response = await fetchWithTimeout(`${origin}/robots.txt`, this.fetchTimeout);
+      if (response.ok) {
+        const robotsText = await response.text();
+        robotsText.split(/\r?\n/).forEach(line => {
+          const match = line.match(/^\s*sitemap:\s*(\S+)/i);
+          if (!match) return;
+          try {
+            sitemaps.push(new URL(match[1], origin).href);
+          } catch (_) {
+            // Ignore malformed sitemap references
+          }
+        });
+      }
+    } catch (error) {
+      logger.warn('robots.txt unavailable for sitemap discovery', { origin, error: error.message });
+    }
+
+    if (sitemaps.length === 0) {
+      sitemaps.push(`${origin}/sitemap.xml`, `${origin}/sitemap_index.xml`);
+    }
+
+    return [...new Set(sitemaps)];
+  }
+
+  /**
+   * Walk sitemaps and sitemap indexes breadth-first, collecting page URLs
+   * @param {Array} entryPoints - Initial sitemap URLs
+   * @param {Object} options - { maxUrls, host }
+   * @returns {Promise<Object>} - { sitemaps, urls, truncated }
+   */
+  async collectSitemapUrls(entryPoints, { maxUrls, host }) {
+    const queue = entryPoints.map(url => ({ url, depth: 0 }));
+    const visited = new Set();
+    const urls = new Set();
+    const sitemaps = [];
+    let truncated = false;
+
+    while (queue.length > 0 && visited.size < this.maxSitemaps) {
+      if (urls.size >= maxUrls) {
+        truncated = true;
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+      const key = normalizeUrl(url);
+      if (visited.has(key)) continue;
+      visited.add(key);
+
+      // robots.txt Sitemap: lines and index <loc>s are site-controlled; never fetch other hosts
+      if (!this.normalizePageUrl(url, host)) {
+        sitemaps.push({ url, status: 'skipped', error: 'Sitemap is not on the crawled site' });
+        continue;
+      }
+
+      let parsed;
+      try {
+        parsed = await this.fetchSitemap(url);
+      } catch (error) {
+        sitemaps.push({ url, status: 'error', error: error.message });
+        continue;
+      }
+
+      if (parsed.type === 'index') {
+        sitemaps.push({ url, status: 'ok', type: 'index', entries: parsed.locs.length });
+        if (depth < this.maxSitemapDepth) {
+          parsed.locs.forEach(loc => queue.push({ url: loc, depth: depth + 1 }));
+        }
+      } else if (parsed.type === 'urlset') {
+        let added = 0;
+        for (const loc of parsed.locs) {
+          const pageUrl = this.normalizePageUrl(loc, host);
+          if (!pageUrl || urls.has(pageUrl)) continue;
+          if (urls.size >= maxUrls) {
+            truncated = true;
+            break;
+          }
+          urls.add(pageUrl);
+          added++;
+        }
+        sitemaps.push({ url, status: 'ok', type: 'urlset', entries: parsed.locs.length, added });
+      } else {
+        sitemaps.push({ url, status: 'invalid', error: 'Not a urlset or sitemapindex document' });
+      }
+    }
+
+    return { sitemaps, urls: [...urls], truncated };
+  }
+
+  /**
+   * Fetch and parse a single sitemap (plain or gzipped)
+   * @param {string} url - Sitemap URL
+   * @returns {Promise<Object>} - { type: 'index'|'urlset'|'unknown', locs }
+   */
+  async fetchSitemap(url) {
+    const response = await fetchWithTimeout(url, this.fetchTimeout);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    let xml;
+    if (/\.gz$/i.test(new URL(url).pathname)) {
+      const buffer = await response.buffer();
+      try {
+        xml = zlib.gunzipSync(buffer, { maxOutputLength: this.maxSitemapBytes }).toString('utf8');
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`Decompressed sitemap exceeds ${this.maxSitemapBytes} bytes`);
+        }
+        throw error;
+      }
+    } else {
+      xml = await response.text();
+    }
+
+    const parsed = await xml2js.parseStringPromise(xml);
+    const locsOf = entries => (entries || [])
+      .map(entry => (entry.loc && entry.loc[0] ? String(entry.loc[0]).trim() : null))
+      .filter(Boolean);
+
+    if (parsed && parsed.sitemapindex) {
+      return { type: 'index', locs: locsOf(parsed.sitemapindex.sitemap) };
+    }
+    if (parsed && parsed.urlset) {
+      return { type: 'urlset', locs: locsOf(parsed.urlset.url) };
+    }
+    return { type: 'unknown', locs: [] };
+  }
+
+  /**
+   * Normalize a sitemap <loc> and keep it only if it belongs to the crawled site
+   * @param {string} loc - URL from the sitemap
+   * @param {string} host - Hostname of the crawled site
+   * @returns {string|null} - Normalized URL or null when rejected
+   */
+  normalizePageUrl(loc, host) {
+    try {
+      const parsed = new URL(loc);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+      if (host && siteHost(parsed.hostname) !== siteHost(host)) return null;
+      parsed.hash = '';
+      return normalizeUrl(parsed.href);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Audit one page, converting failures into a failed page entry
+   * @param {string} url - Page URL
+   * @param {Object} auditOptions - Options passed to performLightweightAudit
+   * @param {boolean} includeFullResults - Attach the raw audit result
+   * @returns {Promise<Object>} - Page result
+   */
+  async auditPage(url, auditOptions, includeFullResults = false) {
+    const startTime = Date.now();
+
+    try {
+      const audit = await this.getAuditor().performLightweightAudit(url, auditOptions);
+      const issues = collectIssues(audit);
+
+      const page = {
+        url,
+        success: true,
+        executionTime: Date.now() - startTime,
+        scores: extractScores(audit),
+        facts: extractPageFacts(audit),
+        issueCount: issues.length,
+        keyFindings: issues.slice(0, 5).map(issue => issue.message),
+        issues,
+        fixPriorities: audit.fixPriorities || buildFixPriorities({ url, ...audit })
+      };
+      if (includeFullResults) {
+        page.audit = audit;
+      }
+      return page;
+    } catch (error) {
+      logger.warn('Page audit failed during crawl', { url, error: error.message });
+      return {
+        url,
+        success: false,
+        executionTime: Date.now() - startTime,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Aggregate per-page results into site-level scores and issue counts
+   * @param {Array} pages - Page results from auditPage
+   * @returns {Object} - Site rollup
+   */
+  buildRollup(pages) {
+    const successful = pages.filter(page => page.success);
+
+    const scores = {};
+    SCORE_CATEGORIES.forEach(category => {
+      const values = successful
+        .map(page => page.scores[category])
+        .filter(value => typeof value === 'number');
+
+      scores[category] = values.length === 0 ? null : {
+        average: Math.round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        pages: values.length
+      };
+    });
+
+    const issues = { total: 0, byCategory: {}, bySeverity: {}, mostCommon: [] };
+    const grouped = new Map();
+
+    successful.forEach(page => {
+      const seenOnPage = new Set();
+      page.issues.forEach(issue => {
+        issues.total++;
+        issues.byCategory[issue.category] = (issues.byCategory[issue.category] || 0) + 1;
+        issues.bySeverity[issue.severity] = (issues.bySeverity[issue.severity] || 0) + 1;
+
+        // Group messages that only differ by counts ("3 images" vs "5 images")
+        const key = `${issue.category}|${issue.message.replace(/\d+/g, 'N')}`;
+        if (seenOnPage.has(key)) return;
+        seenOnPage.add(key);
+
+        const entry = grouped.get(key) || { category: issue.category, message: issue.message, severity: issue.severity, pages: 0 };
+        entry.pages++;
+        grouped.set(key, entry);
+      });
+    });
+
+    issues.mostCommon = [...grouped.values()]
+      .sort((a, b) => b.pages - a.pages)
+      .slice(0, 10);
+
+    return {
+      pagesAudited: successful.length,
+      pagesFailed: pages.length - successful.length,
+      scores,
+      issues,
+      // Same fix on several pages becomes one entry listing every affected URL
+      fixPriorities: aggregateFixPriorities(successful.map(page => page.fixPriorities || [])).slice(0, 50)
+    };
+  }
+}
+
+module.exports = SiteCrawler;
+module.exports.runWithConcurrency = runWithConcurrency;
+module.exports.siteHost = siteHost;
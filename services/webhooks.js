@@ -108,6 +108,38 @@ class WebhookService {
     }
   }
 
+  /**
+   * Send webhook notification when a re-audit regressed against the previous audit of the URL
+   * @param {string} jobId - Job ID (or history entry ID) of the new audit
+   * @param {Object} regression - { url, previousJobId, previousAuditedAt, alerts, scores: { before, after } }
+   * @param {Object} metadata - { clientId, ... }
+   */
+  async sendAuditRegressed(jobId, regression, metadata = {}) {
+    if (!this.enabled) return;
+
+    const payload = {
+      event: 'audit.regressed',
+      timestamp: new Date().toISOString(),
+      data: {
+        jobId,
+        previousJobId: regression.previousJobId,
+        url: regression.url,
+        previousAuditedAt: regression.previousAuditedAt,
+        threshold: regression.threshold,
+        regressions: regression.alerts,
+        scores: regression.scores
+      },
+      metadata
+    };
+
+    const clientId = metadata.clientId || 'default';
+    const endpoints = this.getEndpointsForClient(clientId);
+
+    for (const endpoint of endpoints) {
+      await this.sendWebhook(endpoint, payload, 'audit.regressed');
+    }
+  }
+
   /**
    * Send batch audit status webhook
    */
@@ -357,4 +389,17 @@ class WebhookService {
   }
 }
 
-module.exports = { WebhookService };
\ No newline at end of file
+let globalWebhookService = null;
+
+/**
+ * Get the process-wide webhook service
+ * @returns {WebhookService} - Webhook service instance
+ */
+function getWebhookService() {
+  if (!globalWebhookService) {
+    globalWebhookService = new WebhookService();
+  }
+  return globalWebhookService;
+}
+
+module.exports = { WebhookService, getWebhookService };
\ No newline at end of file
@@ -10,6 +10,7 @@ import { BatchAuditSection } from '@/components/audit/BatchAuditSection';
 import { BusinessValueSection } from '@/components/audit/BusinessValueSection';
 import { PSIPerformanceSection } from '@/components/audit/PSIPerformanceSection';
 import { EATAnalysisSection } from '@/components/audit/EATAnalysisSection';
+import { RichResultsSection } from '@/components/audit/RichResultsSection';
 import { ServerStatus } from '@/components/ServerStatus';
 import { AuditProgressBar, getAuditSteps } from '@/components/AuditProgressBar';
 import { auditService } from '@/services/auditService';
@@ -494,6 +495,14 @@ Analysis Tool: AttentionIsAllYouNeed.app`;
                   <AIAnalysisSection results={results} />
                 </div>
 
+                {/* Rich Result Eligibility Section */}
+                {results.tests.schema?.richResults && (
+                  <div className="border-t border-border pt-8">
+                    <h2 className="academic-section-title">Rich Result Eligibility</h2>
+                    <RichResultsSection richResults={results.tests.schema.richResults} />
+                  </div>
+                )}
+
                 {/* E-A-T Analysis Section */}
                 {results.tests.eat && (
                   <div className="border-t border-border pt-8">
@@ -389,6 +389,45 @@ export function AEOAnalysis({ aeoResult }: AEOAnalysisProps) {
           </div>
         </div>
 
+        {/* Candidate answer passages */}
+        {aeoResult.answerBlocks?.summary && (
+          <div className="bg-muted/30 p-4 rounded-lg">
+            <div className="flex items-center justify-between mb-3">
+              <h4 className="font-medium text-foreground">Answer Blocks</h4>
+              <span className="text-xs text-muted-foreground">
+                {aeoResult.answerBlocks.summary.snippetReady}/{aeoResult.answerBlocks.summary.total} snippet-ready
+              </span>
+            </div>
+            {aeoResult.answerBlocks.blocks.length === 0 ? (
+              <div className="text-sm text-muted-foreground">
+                No question answers, definitions, step lists or comparison tables detected
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {aeoResult.answerBlocks.blocks.slice(0, 10).map((block, index) => (
+                  <div key={index} className={`p-2 bg-background rounded border-l-4 ${
+                    block.snippetReady ? 'border-l-green-400' : block.score >= 50 ? 'border-l-yellow-400' : 'border-l-red-400'
+                  }`}>
+                    <div className="flex items-center justify-between gap-2 text-xs">
+                      <span className="font-medium text-foreground truncate">
+                        {block.question || block.type}
+                      </span>
+                      <span className="text-muted-foreground flex-shrink-0">
+                        {block.type} • {block.wordCount} words • {block.score}/100
+                      </span>
+                    </div>
+                    <p className="text-xs text-muted-foreground mt-1 line-clamp-2">{block.text}</p>
+                    <code className="text-[10px] text-muted-foreground break-all">{block.selector}</code>
+                    {block.issues.length > 0 && (
+                      <div className="text-xs text-yellow-700 mt-1">{block.issues[0]}</div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Recommendations */}
         {(aeoResult.recommendations?.length ?? 0) > 0 && (
           <div className="bg-muted/30 p-4 rounded-lg">
@@ -105,7 +105,8 @@ export function AIAnalysisSection({ results }: AIAnalysisSectionProps) {
       findings: results.tests.files ? [
         `robots.txt: ${results.tests.files.robots.exists ? '✓ Present' : '✗ Missing'} (site-wide)`,
         `sitemap.xml: ${results.tests.files.sitemap.exists ? '✓ Present' : '✗ Missing'} (site-wide)`,
-        `llms.txt: ${results.tests.files.llms?.exists ? '✓ Present' : '✗ Missing (site-wide, optional)'}`
+        `llms.txt: ${results.tests.files.llms?.exists ? '✓ Present' : '✗ Missing (site-wide, optional)'}${
+          results.tests.files.llms?.validation ? ` — spec score ${results.tests.files.llms.validation.score}/100` : ''}`
       ] : ['File analysis unavailable']
     }
     // Enhanced content patterns analysis will be shown in AEO section
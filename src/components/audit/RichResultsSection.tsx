@@ -0,0 +1,135 @@
+import { Sparkles, CheckCircle, AlertTriangle, XCircle, MinusCircle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import type { RichResultFeature, RichResultsReport } from '@/types/audit';
+
+interface RichResultsSectionProps {
+  richResults: RichResultsReport;
+}
+
+export function RichResultsSection({ richResults }: RichResultsSectionProps) {
+  if (!richResults || !Array.isArray(richResults.features)) {
+    return (
+      <Card className="border-amber-200 bg-amber-50/50">
+        <CardContent className="p-6">
+          <div className="text-center text-muted-foreground">
+            <Sparkles className="w-8 h-8 mx-auto mb-2" />
+            <p>Rich result eligibility not available</p>
+            <p className="text-xs mt-1">Schema analysis may have failed or timed out</p>
+          </div>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  // Detected features first, then the rest in config order
+  const features = [...richResults.features].sort((a, b) => Number(b.detected) - Number(a.detected));
+
+  const getStatusStyle = (feature: RichResultFeature) => {
+    if (!feature.detected) return { label: 'No markup', className: 'text-muted-foreground bg-muted/30', Icon: MinusCircle };
+    switch (feature.status) {
+      case 'eligible': return { label: 'Eligible', className: 'text-emerald-700 bg-emerald-100', Icon: CheckCircle };
+      case 'with-warnings': return { label: 'With warnings', className: 'text-amber-700 bg-amber-100', Icon: AlertTriangle };
+      default: return { label: 'Ineligible', className: 'text-red-700 bg-red-100', Icon: XCircle };
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card className="border-primary/20">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-3 text-xl">
+            <Sparkles className="w-6 h-6 text-primary" />
+            Rich Result Eligibility
+          </CardTitle>
+          <p className="text-sm text-muted-foreground">
+            Search features the page's structured data qualifies for, with the properties blocking the rest
+          </p>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-3 gap-4 text-center">
+            <div>
+              <div className="font-mono text-2xl font-bold text-emerald-700">{richResults.summary.eligible}</div>
+              <div className="text-xs text-muted-foreground">Eligible</div>
+            </div>
+            <div>
+              <div className="font-mono text-2xl font-bold text-amber-700">{richResults.summary.withWarnings}</div>
+              <div className="text-xs text-muted-foreground">With warnings</div>
+            </div>
+            <div>
+              <div className="font-mono text-2xl font-bold text-red-700">{richResults.summary.ineligible}</div>
+              <div className="text-xs text-muted-foreground">Ineligible</div>
+            </div>
+          </div>
+          <p className="text-xs text-muted-foreground mt-3">
+            {richResults.summary.detected} of {richResults.features.length} features have markup on this page
+          </p>
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {features.map((feature) => {
+          const { label, className, Icon } = getStatusStyle(feature);
+          return (
+            <Card key={feature.id} className="metric-card">
+              <CardHeader className="pb-4">
+                <CardTitle className="flex items-center justify-between text-base">
+                  <div className="flex items-center gap-2">
+                    <Icon className="w-4 h-4 text-primary" />
+                    {feature.name}
+                  </div>
+                  <div className={`text-xs font-medium px-2 py-1 rounded ${className}`}>
+                    {label}
+                  </div>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-2">
+                  {!feature.detected && (
+                    <div className="text-xs text-muted-foreground">{feature.reason}</div>
+                  )}
+
+                  {feature.blocking.length > 0 && (
+                    <div>
+                      <div className="text-xs font-medium text-foreground mb-1">Blocking properties:</div>
+                      {feature.blocking.map((finding, idx) => (
+                        <div key={idx} className="text-xs text-red-700 font-mono bg-red-50 p-2 rounded mb-1">
+                          {finding.message}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {feature.warnings.length > 0 && (
+                    <div>
+                      <div className="text-xs font-medium text-foreground mb-1">Warnings:</div>
+                      {feature.warnings.map((finding, idx) => (
+                        <div key={idx} className="text-xs text-amber-700">⚠️ {finding.message}</div>
+                      ))}
+                    </div>
+                  )}
+
+                  {feature.items.length > 1 && (
+                    <div className="text-xs text-muted-foreground">
+                      {feature.items.length} items found, {feature.items.filter(item => item.status !== 'ineligible').length} valid
+                    </div>
+                  )}
+
+                  {feature.docs && (
+                    <a
+                      href={feature.docs}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-primary hover:text-primary/80 transition-colors"
+                    >
+                      📖 Guide
+                    </a>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import type { AuditResult, AuditOptions } from '@/types/audit';
+import type { AuditResult, AuditOptions, LlmsTxtValidation } from '@/types/audit';
 
 class APIError extends Error {
   constructor(message: string, public status: number) {
@@ -270,12 +270,22 @@ export class AuditService {
   }
 
   /**
-   * Generate LLMS.txt - preserve your existing logic
+   * Generate a sitewide llms.txt (and optionally llms-full.txt)
    */
-  async generateLLMSTxt(url: string): Promise<{
-    content: string;
+  async generateLLMSTxt(url: string, options: {
+    source?: 'auto' | 'sitemap' | 'crawl';
+    maxPages?: number;
+    includeFull?: boolean;
+    tokenBudget?: number;
+  } = {}): Promise<{
     url: string;
-    instructions: string;
+    source: 'sitemap' | 'crawl';
+    llmsTxt: string;
+    llmsFullTxt?: string;
+    sections: { title: string; omitted: number; pages: { url: string; title: string; description: string | null; pageType: string; inLinks: number }[] }[];
+    full?: { tokens: number; budget: number; pages: { url: string; tokens: number }[]; skipped: { url: string; tokens: number }[] };
+    validation: LlmsTxtValidation;
+    recommendations: string[];
   }> {
     try {
       const response = await fetch(`${this.baseURL}/api/llms/generate`, {
@@ -283,7 +293,7 @@ export class AuditService {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, options }),
       });
 
       if (!response.ok) {
@@ -144,9 +144,40 @@ export interface FilesResult {
   llms?: {
     exists: boolean;
     url: string;
+    validation?: LlmsTxtValidation;
+    validationError?: string;
+    linkCheckError?: string;
   };
 }
 
+export interface LlmsTxtIssue {
+  code: string;
+  line: number | null;
+  message: string;
+}
+
+export interface LlmsTxtValidation {
+  url: string;
+  exists: boolean;
+  title: string | null;
+  summary: string | null;
+  sections: { title: string; optional: boolean; links: number; line: number }[];
+  links: { title: string; url: string; description: string | null; line: number }[];
+  checks: Record<string, { passed: number; skipped?: boolean }>;
+  reachability?: {
+    checked: number;
+    reachable: number;
+    broken: { url: string; status: number | null; error: string | null }[];
+    blocked: string[];
+    unchecked: number;
+  };
+  full?: { url: string; exists: boolean; status: number | null };
+  markdownVariants?: { checked: number; available: number; missing: string[] };
+  errors: LlmsTxtIssue[];
+  warnings: LlmsTxtIssue[];
+  score: number;
+}
+
 export interface MetadataResult {
   title: string;
   description: string;
@@ -198,6 +229,44 @@ export interface SchemaResult {
     totalChecks: number;
     matchPercentage: number;
   };
+  richResults?: RichResultsReport;
+}
+
+export type RichResultStatus = 'eligible' | 'with-warnings' | 'ineligible';
+
+export interface RichResultFinding {
+  property: string | null;
+  path: string;
+  message: string;
+}
+
+export interface RichResultFeature {
+  id: string;
+  name: string;
+  status: RichResultStatus;
+  detected: boolean;
+  reason?: string;
+  docs: string | null;
+  blocking: RichResultFinding[];
+  warnings: RichResultFinding[];
+  items: Array<{
+    type: string;
+    path: string;
+    status: RichResultStatus;
+    blocking: RichResultFinding[];
+    warnings: RichResultFinding[];
+  }>;
+}
+
+export interface RichResultsReport {
+  rulesVersion: string;
+  features: RichResultFeature[];
+  summary: {
+    detected: number;
+    eligible: number;
+    withWarnings: number;
+    ineligible: number;
+  };
 }
 
 // Options for audit requests
@@ -311,6 +380,10 @@ export interface AEOResult {
     };
     scope: 'english-only';
   };
+  answerBlocks?: {
+    blocks: AnswerBlock[];
+    summary: AnswerBlockSummary | null;
+  };
   recommendations: Array<{
     priority: 'high' | 'medium' | 'low';
     title: string;
@@ -319,6 +392,29 @@ export interface AEOResult {
   }>;
 }
 
+// Candidate answer passage (featured snippet / AI Overview extraction target)
+export interface AnswerBlock {
+  type: 'question-answer' | 'definition' | 'steps' | 'comparison-table';
+  question: string | null;
+  text: string;
+  wordCount: number;
+  score: number;
+  issues: string[];
+  selector: string;
+  snippetReady: boolean;
+  itemCount?: number;
+  rows?: number;
+  columns?: number;
+  comparison?: boolean;
+}
+
+export interface AnswerBlockSummary {
+  total: number;
+  snippetReady: number;
+  byType: Record<AnswerBlock['type'], number>;
+  averageScore: number;
+}
+
 // Lighthouse result interface for performance analysis
 export interface LighthouseResult {
   categories?: {
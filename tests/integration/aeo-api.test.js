@@ -0,0 +1,103 @@
+// tests/integration/aeo-api.test.js
+// Integration tests for the answer engine retrieval endpoints
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+jest.mock('../../utils/helpers', () => ({
+  ...jest.requireActual('../../utils/helpers'),
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../utils/helpers');
+
+const PAGE = `<html><head><title>Shipping | Nordic Gear</title></head><body><nav><a href="/">Home</a></nav>
+<main><h1>Shipping</h1><p>Nordic Gear ships skis and wax to Sweden, Norway and Finland within three working days.</p>
+<h2>Returns</h2><p>They can be sent back within 30 days, as mentioned above.</p></main></body></html>`;
+
+describe('AEO API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const aeoRoutes = require('../../routes/aeo');
+    app.use('/api', aeoRoutes);
+  });
+
+  beforeEach(() => {
+    fetchWithTimeout.mockReset();
+    fetchWithTimeout.mockResolvedValue({ ok: true, status: 200, text: async () => PAGE });
+  });
+
+  describe('POST /api/aeo/passages', () => {
+    test('should reject invalid URLs', async () => {
+      const response = await request(app).post('/api/aeo/passages').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid URL');
+      expect(fetchWithTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should return chunks and per-section retrievability', async () => {
+      const response = await request(app).post('/api/aeo/passages').send({ url: 'https://nordicgear.example/shipping' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.title).toBe('Shipping | Nordic Gear');
+      expect(response.body.summary).toMatchObject({ sections: 2, chunks: 2, selfContainedChunks: 1, fragmented: 2 });
+      expect(response.body.sections.map(section => section.heading)).toEqual(['Shipping', 'Returns']);
+      expect(response.body.sections[1].chunks[0]).toMatchObject({
+        startsWithPronoun: true,
+        danglingReferences: ['as mentioned above']
+      });
+      expect(response.body.chunks[0].text).toContain('Nordic Gear ships skis');
+      expect(response.body.chunks[0].path).toEqual(['Shipping']);
+    });
+
+    test('should report fetch failures', async () => {
+      fetchWithTimeout.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+      const response = await request(app).post('/api/aeo/passages').send({ url: 'https://nordicgear.example/missing' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to analyze passages');
+      expect(response.body.details).toBe('HTTP 404: Not Found');
+    });
+  });
+
+  describe('POST /api/aeo/query-test', () => {
+    test('should reject missing or malformed questions', async () => {
+      const url = 'https://nordicgear.example/shipping';
+
+      for (const questions of [undefined, [], ['   '], [42], new Array(21).fill('Do you ship?')]) {
+        const response = await request(app).post('/api/aeo/query-test').send({ url, questions });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Invalid questions');
+      }
+      expect(fetchWithTimeout).not.toHaveBeenCalled();
+    });
+
+    test('should rank chunks per question and report answers', async () => {
+      const response = await request(app).post('/api/aeo/query-test').send({
+        url: 'https://nordicgear.example/shipping',
+        questions: ['Do you ship skis to Finland?', 'Do you sell gift cards?']
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.chunks).toBe(2);
+      expect(response.body.summary).toMatchObject({ questions: 2, answered: 1, strong: 1, missing: 1, answerRate: 50 });
+
+      const [shipping, giftCards] = response.body.results;
+      expect(shipping).toMatchObject({ question: 'Do you ship skis to Finland?', status: 'strong', answered: true });
+      expect(shipping.best.heading).toBe('Shipping');
+      expect(shipping.best.text).toContain('within three working days');
+      expect(shipping.margin).toBeGreaterThan(0);
+      expect(giftCards).toMatchObject({ status: 'missing', best: null });
+    });
+  });
+});
@@ -56,6 +56,14 @@ jest.mock('../../services/audit-orchestrator', () => {
   }));
 });
 
+// Stand-in for the shared Playwright renderer used for PDF reports
+const mockRenderPdf = jest.fn();
+jest.mock('../../services/js-renderer', () => {
+  const Renderer = jest.fn();
+  Renderer.getSharedRenderer = jest.fn(() => ({ renderPdf: mockRenderPdf }));
+  return Renderer;
+});
+
 // Mock the audit queue with real functionality for testing
 const mockQueue = {
   addJob: jest.fn(),
@@ -369,6 +377,211 @@ describe('Audit Queue API Integration Tests', () => {
     });
   });
 
+  describe('GET /api/audit/diff', () => {
+    const completedJob = (id, tests) => ({
+      id,
+      url: 'https://example.com',
+      status: JOB_STATUS.COMPLETED,
+      completedAt: new Date('2024-05-01T00:00:00Z'),
+      result: { url: 'https://example.com', tests }
+    });
+
+    test('should diff two completed jobs', async () => {
+      mockQueue.getJob.mockImplementation(id => (id === 'job-old'
+        ? completedJob(id, { seo: { score: 80 }, schema: { types: ['Organization', 'FAQPage'] } })
+        : completedJob(id, { seo: { score: 65 }, schema: { types: ['Organization'] } })));
+
+      const response = await request(app)
+        .get('/api/audit/diff')
+        .query({ from: 'job-old', to: 'job-new' })
+        .expect(200);
+
+      expect(response.body.from).toMatchObject({ jobId: 'job-old', url: 'https://example.com' });
+      expect(response.body.tests.seo).toEqual({ from: 80, to: 65, delta: -15 });
+      expect(response.body.schema.removed).toEqual(['FAQPage']);
+      expect(response.body.regressions.map(item => item.type)).toEqual(expect.arrayContaining(['score', 'schema']));
+      expect(response.body.warnings).toEqual([]);
+    });
+
+    test('should fall back to persisted results for jobs no longer in the queue', async () => {
+      const { InMemoryAuditHistoryStore, setAuditHistoryStore, recordAuditHistory } = require('../../services/audit-history');
+      setAuditHistoryStore(new InMemoryAuditHistoryStore());
+      await recordAuditHistory('https://example.com', { tests: { seo: { score: 50 } } }, { jobId: 'old-job' });
+      mockQueue.getJob.mockImplementation(id => (id === 'job-new' ? completedJob(id, { seo: { score: 70 } }) : null));
+
+      const response = await request(app)
+        .get('/api/audit/diff')
+        .query({ from: 'old-job', to: 'job-new' })
+        .expect(200);
+
+      expect(response.body.improvements[0]).toMatchObject({ type: 'score', path: 'tests.seo.score', delta: 20 });
+      setAuditHistoryStore(null);
+    });
+
+    test('should diff synchronous audits by the returned historyId', async () => {
+      const { InMemoryAuditHistoryStore, setAuditHistoryStore } = require('../../services/audit-history');
+      setAuditHistoryStore(new InMemoryAuditHistoryStore());
+      mockQueue.getJob.mockReturnValue(null);
+
+      const first = await request(app).post('/api/audit').send({ url: 'https://example.com' }).expect(200);
+      const second = await request(app).post('/api/audit').send({ url: 'https://example.com' }).expect(200);
+
+      expect(first.body.historyId).toMatch(/^[0-9a-f]{24}$/);
+      expect(second.body.historyId).not.toBe(first.body.historyId);
+
+      const response = await request(app)
+        .get('/api/audit/diff')
+        .query({ from: first.body.historyId, to: second.body.historyId })
+        .expect(200);
+
+      expect(response.body.from.jobId).toBe(first.body.historyId);
+      expect(response.body.tests.seo).toEqual({ from: 85, to: 85, delta: 0 });
+      setAuditHistoryStore(null);
+    });
+
+    test('should require both job IDs and report unknown jobs', async () => {
+      mockQueue.getJob.mockReturnValue(null);
+
+      await request(app).get('/api/audit/diff').query({ from: 'job-old' }).expect(400);
+
+      const response = await request(app)
+        .get('/api/audit/diff')
+        .query({ from: 'missing-1', to: 'missing-2' })
+        .expect(404);
+
+      expect(response.body.details).toEqual(['missing-1', 'missing-2']);
+    });
+  });
+
+  describe('GET /api/audit/job/:jobId/report', () => {
+    const completedJob = {
+      id: 'job-report',
+      url: 'https://example.com/page',
+      status: JOB_STATUS.COMPLETED,
+      completedAt: new Date('2024-05-01T00:00:00Z'),
+      result: {
+        url: 'https://example.com/page',
+        tests: {
+          seo: { score: 72, issues: ['Missing meta description'] },
+          aeo: {
+            score: 40,
+            recommendations: [{ priority: 'high', title: 'Add FAQ schema', description: 'Mark up Q&A content' }]
+          }
+        }
+      }
+    };
+
+    test('should render an HTML report for a completed job', async () => {
+      mockQueue.getJob.mockReturnValue(completedJob);
+
+      const response = await request(app)
+        .get('/api/audit/job/job-report/report')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/html/);
+      expect(response.text).toContain('https://example.com/page');
+      expect(response.text).toContain('Add FAQ schema');
+    });
+
+    test('should return a PDF attachment', async () => {
+      mockQueue.getJob.mockReturnValue(completedJob);
+      mockRenderPdf.mockResolvedValue(Buffer.from('%PDF-1.4 test'));
+
+      const response = await request(app)
+        .get('/api/audit/job/job-report/report')
+        .query({ format: 'pdf' })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toContain('audit-report-example.com-job-report.pdf');
+      expect(mockRenderPdf).toHaveBeenCalledWith(expect.stringContaining('<!DOCTYPE html>'), expect.objectContaining({ displayHeaderFooter: true }));
+    });
+
+    test('should return 503 when PDF rendering is unavailable', async () => {
+      mockQueue.getJob.mockReturnValue(completedJob);
+      mockRenderPdf.mockRejectedValue(new Error('Playwright chromium not available'));
+
+      const response = await request(app)
+        .get('/api/audit/job/job-report/report')
+        .query({ format: 'pdf' })
+        .expect(503);
+
+      expect(response.body.error).toBe('PDF rendering unavailable');
+    });
+
+    test('should reject unknown formats and unknown jobs', async () => {
+      mockQueue.getJob.mockReturnValue(null);
+
+      await request(app).get('/api/audit/job/job-report/report').query({ format: 'docx' }).expect(400);
+      await request(app).get('/api/audit/job/missing/report').expect(404);
+    });
+  });
+
+  describe('Batch exports', () => {
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    test('should return batch audit results as CSV', async () => {
+      const response = await request(app)
+        .post('/api/audit/batch')
+        .query({ format: 'csv' })
+        .send({ urls: ['https://example.com'] })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/batch-audit-.*-pages\.csv/);
+      const lines = response.text.trim().split('\r\n');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toMatch(/^https:\/\/example\.com,ok,/);
+    });
+
+    test('should reject unknown export formats before auditing', async () => {
+      await request(app)
+        .post('/api/audit/batch')
+        .query({ format: 'pdf' })
+        .send({ urls: ['https://example.com'] })
+        .expect(400);
+    });
+
+    test('should export queued jobs as XLSX, listing unfinished jobs as unavailable', async () => {
+      mockQueue.getJob.mockImplementation(id => (id === 'job-done'
+        ? {
+          id,
+          url: 'https://example.com/done',
+          status: JOB_STATUS.COMPLETED,
+          completedAt: new Date(),
+          result: { tests: { seo: { score: 75 } } }
+        }
+        : { id, url: 'https://example.com/pending', status: JOB_STATUS.PENDING }));
+
+      const response = await request(app)
+        .get('/api/audit/batch/export')
+        .query({ jobIds: 'job-done,job-pending', format: 'xlsx' })
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    test('should stream the issues sheet for queued jobs', async () => {
+      mockQueue.getJob.mockReturnValue(null);
+
+      const response = await request(app)
+        .get('/api/audit/batch/export')
+        .query({ jobIds: 'missing', sheet: 'issues' })
+        .expect(200);
+
+      expect(response.text.trim()).toMatch(/URL,Category,Severity,Issue$/);
+      await request(app).get('/api/audit/batch/export').expect(400);
+      await request(app).get('/api/audit/batch/export').query({ jobIds: 'a', format: 'json' }).expect(400);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle queue service errors', async () => {
       mockQueue.addJob.mockImplementation(() => {
@@ -0,0 +1,42 @@
+// tests/integration/bots-api.test.js
+// Integration tests for the bot registry endpoint
+
+const request = require('supertest');
+const express = require('express');
+
+describe('Bots API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const botRoutes = require('../../routes/bots');
+    app.use('/api', botRoutes);
+  });
+
+  test('should list registry bots with the registry version', async () => {
+    const registry = require('../../config/bots.json');
+    const response = await request(app).get('/api/bots').expect(200);
+
+    expect(response.body).toMatchObject({
+      version: registry.version,
+      override: false,
+      count: Object.keys(registry.bots).length
+    });
+    expect(response.body.bots.find(bot => bot.name === 'DuckAssistBot')).toMatchObject({
+      type: 'ai-search',
+      company: 'DuckDuckGo',
+      userAgentPattern: 'duckassistbot'
+    });
+  });
+
+  test('should filter by type and reject unknown types', async () => {
+    const response = await request(app).get('/api/bots?type=search').expect(200);
+    expect(response.body.bots.every(bot => bot.type === 'search')).toBe(true);
+    expect(response.body.count).toBe(response.body.bots.length);
+
+    const invalid = await request(app).get('/api/bots?type=spam').expect(400);
+    expect(invalid.body.error).toBe('Invalid bot type');
+  });
+});
@@ -0,0 +1,76 @@
+// tests/integration/extract-api.test.js
+// Integration tests for the content extraction endpoint
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+jest.mock('../../utils/helpers', () => ({
+  ...jest.requireActual('../../utils/helpers'),
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../utils/helpers');
+
+const PAGE = `<html><head><title>FAQ</title></head><body><nav><a href="/">Home</a></nav>
+<main><h1>FAQ</h1><h2>Do you ship abroad?</h2><p>Yes, to <strong>Sweden</strong> and Norway.</p></main></body></html>`;
+
+describe('Extract API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const extractRoutes = require('../../routes/extract');
+    app.use('/api', extractRoutes);
+  });
+
+  beforeEach(() => {
+    fetchWithTimeout.mockReset();
+    fetchWithTimeout.mockResolvedValue({ ok: true, status: 200, text: async () => PAGE });
+  });
+
+  test('should reject invalid URLs and formats', async () => {
+    const missing = await request(app).get('/api/extract');
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe('Invalid URL');
+
+    const badFormat = await request(app).get('/api/extract').query({ url: 'https://example.com', format: 'pdf' });
+    expect(badFormat.status).toBe(400);
+    expect(badFormat.body.error).toBe('Invalid format');
+    expect(fetchWithTimeout).not.toHaveBeenCalled();
+  });
+
+  test('should return markdown by default with token headers', async () => {
+    const response = await request(app).get('/api/extract').query({ url: 'https://example.com/faq' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/markdown/);
+    expect(response.text).toBe('# FAQ\n\n## Do you ship abroad?\n\nYes, to **Sweden** and Norway.');
+    expect(Number(response.headers['x-token-count'])).toBeGreaterThan(0);
+    expect(response.headers['x-word-count']).toBe('10');
+  });
+
+  test('should return plain text and JSON variants', async () => {
+    const text = await request(app).get('/api/extract').query({ url: 'https://example.com/faq', format: 'text' });
+    expect(text.headers['content-type']).toMatch(/^text\/plain/);
+    expect(text.text).toBe('FAQ\n\nDo you ship abroad?\n\nYes, to Sweden and Norway.');
+
+    const json = await request(app).get('/api/extract').query({ url: 'https://example.com/faq', format: 'json' });
+    expect(json.body.sections.map(section => section.heading)).toEqual(['FAQ', 'Do you ship abroad?']);
+    expect(json.body.metrics.tokens).toBe(Number(text.headers['x-token-count']));
+  });
+
+  test('should report upstream failures', async () => {
+    fetchWithTimeout.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+    const response = await request(app).get('/api/extract').query({ url: 'https://example.com/missing' });
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Failed to extract content', details: 'HTTP 404: Not Found' });
+  });
+});
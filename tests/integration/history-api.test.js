@@ -0,0 +1,89 @@
+// tests/integration/history-api.test.js
+// Integration tests for the audit history API
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+const {
+  InMemoryAuditHistoryStore,
+  setAuditHistoryStore
+} = require('../../services/audit-history');
+
+describe('Audit History API Integration Tests', () => {
+  let app;
+  let store;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const historyRoutes = require('../../routes/history');
+    app.use('/api', historyRoutes);
+  });
+
+  beforeEach(async () => {
+    store = new InMemoryAuditHistoryStore();
+    setAuditHistoryStore(store);
+
+    await store.record('https://example.com', {
+      tests: { seo: { score: 60 }, accessibility: { score: 70 }, eat: { overallScore: 40 } }
+    }, { auditedAt: Date.UTC(2024, 0, 15), jobId: 'job-jan' });
+    await store.record('https://example.com/', {
+      tests: { seo: { score: 80 }, accessibility: { score: 90 }, eat: { overallScore: 50 } }
+    }, { auditedAt: Date.UTC(2024, 3, 15), jobId: 'job-apr' });
+  });
+
+  afterAll(() => {
+    setAuditHistoryStore(null);
+  });
+
+  describe('GET /api/history', () => {
+    test('should return score time series for a URL', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .query({ url: 'https://example.com' })
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.series.seo.map(point => point.value)).toEqual([60, 80]);
+      expect(response.body.series.eat.map(point => point.jobId)).toEqual(['job-jan', 'job-apr']);
+      expect(response.body.change.accessibility).toEqual({ first: 70, last: 90, delta: 20 });
+      expect(response.body.firstAuditAt).toBe('2024-01-15T00:00:00.000Z');
+      expect(Object.keys(response.body.series)).toEqual(
+        expect.arrayContaining(['overall', 'seo', 'performance', 'accessibility', 'aeo', 'eat'])
+      );
+    });
+
+    test('should filter by date range', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .query({ url: 'https://example.com', from: '2024-03-01' })
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.entries[0].jobId).toBe('job-apr');
+    });
+
+    test('should return an empty series for URLs without history', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .query({ url: 'https://unknown.example.org' })
+        .expect(200);
+
+      expect(response.body.count).toBe(0);
+      expect(response.body.series.overall).toEqual([]);
+    });
+
+    test('should reject missing URLs and invalid dates', async () => {
+      await request(app).get('/api/history').expect(400);
+      await request(app)
+        .get('/api/history')
+        .query({ url: 'https://example.com', to: 'not-a-date' })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// tests/integration/llms-api.test.js
+// Integration tests for the llms.txt generation endpoint
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+const mockGenerate = jest.fn();
+jest.mock('../../services/llms-txt-generator', () => jest.fn(() => ({ generate: mockGenerate })));
+
+const { cache } = require('../../utils/cache');
+
+describe('LLMs API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const llmsRoutes = require('../../routes/llms');
+    app.use('/api', llmsRoutes);
+  });
+
+  beforeEach(() => {
+    mockGenerate.mockReset();
+    cache.clear();
+  });
+
+  test('should reject invalid URLs and sources', async () => {
+    const missing = await request(app).post('/api/llms/generate').send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe('Invalid URL');
+
+    const badSource = await request(app)
+      .post('/api/llms/generate')
+      .send({ url: 'https://example.com', options: { source: 'rss' } });
+    expect(badSource.status).toBe(400);
+    expect(badSource.body).toEqual({ error: 'Invalid options', details: ['source must be one of: auto, sitemap, crawl'] });
+    expect(mockGenerate).not.toHaveBeenCalled();
+  });
+
+  test('should pass bounded options to the generator', async () => {
+    mockGenerate.mockResolvedValue({ url: 'https://example.com', source: 'sitemap', llmsTxt: '# Example\n', sections: [] });
+
+    const response = await request(app)
+      .post('/api/llms/generate')
+      .send({ url: 'https://example.com', options: { maxPages: 1000, includeFull: true, tokenBudget: 10 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.llmsTxt).toBe('# Example\n');
+    expect(response.body.recommendations.length).toBeGreaterThan(0);
+    expect(mockGenerate).toHaveBeenCalledWith('https://example.com', {
+      source: 'auto',
+      maxPages: 100,
+      maxDepth: 3,
+      includeFull: true,
+      tokenBudget: 1000,
+      fullPages: 20
+    });
+  });
+
+  test('should report generation failures', async () => {
+    mockGenerate.mockRejectedValue(new Error('No pages found via crawl'));
+
+    const response = await request(app).post('/api/llms/generate').send({ url: 'https://example.com' });
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Failed to generate llms.txt', details: 'No pages found via crawl' });
+  });
+});
@@ -0,0 +1,147 @@
+// tests/integration/logs-api.test.js
+// Integration tests for the access-log analysis endpoint
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+jest.mock('../../utils/helpers', () => ({
+  ...jest.requireActual('../../utils/helpers'),
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../utils/helpers');
+
+const GOOGLEBOT_UA = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+const GPTBOT_UA = 'GPTBot/1.2 (+https://openai.com/gptbot)';
+
+const LOG = [
+  `66.249.66.1 - - [19/Oct/2026:06:00:00 +0000] "GET /blog/ HTTP/1.1" 200 900 "-" "${GOOGLEBOT_UA}"`,
+  `203.0.113.9 - - [19/Oct/2026:06:05:00 +0000] "GET /wp-login.php HTTP/1.1" 404 0 "-" "${GOOGLEBOT_UA}"`,
+  `20.171.0.1 - - [19/Oct/2026:07:00:00 +0000] "GET /private/report HTTP/1.1" 200 1200 "-" "${GPTBOT_UA}"`
+].join('\n');
+
+describe('Logs API Integration Tests', () => {
+  let app;
+  let stubDir;
+
+  beforeAll(() => {
+    stubDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dns-stub-'));
+    const stubFile = path.join(stubDir, 'dns.json');
+    fs.writeFileSync(stubFile, JSON.stringify({
+      ptr: { '66.249.66.1': ['crawl-66-249-66-1.googlebot.com'] },
+      a: { 'crawl-66-249-66-1.googlebot.com': ['66.249.66.1'] }
+    }));
+    process.env.BOT_DNS_STUB_FILE = stubFile;
+
+    app = express();
+    app.use(express.json());
+
+    const logsRoutes = require('../../routes/logs');
+    app.use('/api', logsRoutes);
+  });
+
+  afterAll(() => {
+    delete process.env.BOT_DNS_STUB_FILE;
+    delete process.env.LOG_UPLOAD_MAX_BYTES;
+    fs.rmSync(stubDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fetchWithTimeout.mockReset();
+  });
+
+  test('should analyze a plain-text log and verify crawlers against the DNS stub', async () => {
+    const response = await request(app)
+      .post('/api/logs/analyze')
+      .set('Content-Type', 'text/plain')
+      .send(LOG)
+      .expect(200);
+
+    expect(response.body.lines).toEqual({ total: 3, parsed: 3, invalid: 0 });
+    expect(response.body.summary.botsSeen).toEqual(['Googlebot', 'GPTBot']);
+    expect(response.body.bots.Googlebot.verification).toMatchObject({ verifiedHits: 1, spoofedHits: 1 });
+    expect(response.body.bots.Googlebot.verification.spoofedIps[0].ip).toBe('203.0.113.9');
+    expect(response.body.bots.GPTBot.disallowedCrawls).toBeNull();
+    expect(response.body.robotsTxt).toBeNull();
+    expect(response.body.registryVersion).toBeDefined();
+  });
+
+  test('should check crawled paths against the site robots.txt', async () => {
+    fetchWithTimeout.mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => 'User-agent: GPTBot\nDisallow: /private/\n'
+    });
+
+    const response = await request(app)
+      .post('/api/logs/analyze?site=https://example.com&verifyDns=false')
+      .set('Content-Type', 'text/plain')
+      .send(LOG)
+      .expect(200);
+
+    expect(fetchWithTimeout).toHaveBeenCalledWith('https://example.com/robots.txt', expect.any(Number));
+    expect(response.body.robotsTxt.availability).toBe('available');
+    expect(response.body.bots.GPTBot.disallowedCrawls).toMatchObject({ hits: 1, paths: [{ path: '/private/report', hits: 1 }] });
+    expect(response.body.bots.Googlebot.verification).toEqual({ status: 'skipped' });
+  });
+
+  test('should accept gzip-compressed NDJSON logs', async () => {
+    const ndjson = [
+      { remote_addr: '20.171.0.1', time: '2026-10-19T07:00:00Z', request: 'GET /docs HTTP/1.1', status: 200, http_user_agent: GPTBOT_UA },
+      { remote_addr: '20.171.0.1', time: '2026-10-19T07:01:00Z', request: 'GET /docs/api HTTP/1.1', status: 500, http_user_agent: GPTBOT_UA }
+    ].map(entry => JSON.stringify(entry)).join('\n');
+
+    const response = await request(app)
+      .post('/api/logs/analyze?format=json')
+      .set('Content-Type', 'application/x-ndjson')
+      .set('Content-Encoding', 'gzip')
+      .send(zlib.gzipSync(ndjson))
+      .expect(200);
+
+    expect(response.body.format).toBe('json');
+    expect(response.body.bots.GPTBot.statuses.byClass).toEqual({ '2xx': 1, '5xx': 1 });
+  });
+
+  test('should reject invalid parameters, JSON bodies and corrupt gzip', async () => {
+    const invalid = await request(app)
+      .post('/api/logs/analyze?format=w3c&site=not-a-url')
+      .set('Content-Type', 'text/plain')
+      .send(LOG)
+      .expect(400);
+    expect(invalid.body.error).toBe('Invalid log analysis request');
+    expect(invalid.body.details).toContain('format must be one of: auto, combined, json');
+
+    await request(app)
+      .post('/api/logs/analyze')
+      .send({ remote_addr: '1.2.3.4' })
+      .expect(415);
+
+    const corrupt = await request(app)
+      .post('/api/logs/analyze')
+      .set('Content-Type', 'application/gzip')
+      .send(Buffer.from('definitely not gzip'))
+      .expect(400);
+    expect(corrupt.body.error).toBe('Invalid gzip log upload');
+  });
+
+  test('should reject uploads over the size limit', async () => {
+    process.env.LOG_UPLOAD_MAX_BYTES = '100';
+
+    const response = await request(app)
+      .post('/api/logs/analyze')
+      .set('Content-Type', 'text/plain')
+      .send(LOG)
+      .expect(413);
+
+    delete process.env.LOG_UPLOAD_MAX_BYTES;
+    expect(response.body.error).toBe('Log upload too large');
+  });
+});
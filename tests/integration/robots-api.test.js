@@ -0,0 +1,135 @@
+// tests/integration/robots-api.test.js
+// Integration tests for the robots.txt tester endpoint
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+jest.mock('../../utils/helpers', () => ({
+  ...jest.requireActual('../../utils/helpers'),
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../utils/helpers');
+
+const ROBOTS = 'User-agent: GPTBot\nDisallow: /\n\nUser-agent: *\nDisallow: /private/\nAllow: /private/press$\n';
+
+describe('Robots API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const robotsRoutes = require('../../routes/robots');
+    app.use('/api', robotsRoutes);
+  });
+
+  beforeEach(() => {
+    fetchWithTimeout.mockReset();
+  });
+
+  test('should evaluate every URL and user-agent pair against a submitted robots.txt', async () => {
+    const response = await request(app)
+      .post('/api/robots/test')
+      .send({
+        robotsTxt: ROBOTS,
+        urls: ['https://example.com/private/press', '/private/report'],
+        userAgents: ['Googlebot', 'GPTBot']
+      })
+      .expect(200);
+
+    expect(fetchWithTimeout).not.toHaveBeenCalled();
+    expect(response.body.robotsTxt).toMatchObject({ source: 'body', availability: 'available' });
+    expect(response.body.robotsTxt.groups).toHaveLength(2);
+    expect(response.body.summary).toEqual({ total: 4, allowed: 1, disallowed: 3 });
+    expect(response.body.results[0]).toMatchObject({
+      url: 'https://example.com/private/press',
+      userAgent: 'Googlebot',
+      verdict: 'allowed',
+      group: { userAgent: '*' },
+      rule: { directive: 'allow', path: '/private/press$', lineNumber: 6 }
+    });
+    expect(response.body.results[1]).toMatchObject({
+      userAgent: 'GPTBot',
+      verdict: 'disallowed',
+      rule: { line: 'Disallow: /', lineNumber: 2 }
+    });
+  });
+
+  test('should fetch robots.txt from the site when no body is submitted', async () => {
+    fetchWithTimeout.mockResolvedValue({ ok: true, status: 200, text: async () => ROBOTS });
+
+    const response = await request(app)
+      .post('/api/robots/test')
+      .send({ urls: ['https://example.com/private/x'], userAgents: ['bingbot'] })
+      .expect(200);
+
+    expect(fetchWithTimeout).toHaveBeenCalledWith('https://example.com/robots.txt', expect.any(Number));
+    expect(response.body.robotsTxt).toMatchObject({ source: 'fetched', url: 'https://example.com/robots.txt', status: 200 });
+    expect(response.body.results[0]).toMatchObject({ allowed: false, rule: { path: '/private/' } });
+  });
+
+  test('should disallow everything when robots.txt is unreachable', async () => {
+    fetchWithTimeout.mockResolvedValue({ ok: false, status: 503 });
+
+    const response = await request(app)
+      .post('/api/robots/test')
+      .send({ url: 'https://example.com', urls: ['/'], userAgents: ['Googlebot'] })
+      .expect(200);
+
+    expect(response.body.robotsTxt.availability).toBe('unreachable');
+    expect(response.body.results[0]).toMatchObject({ allowed: false, reason: 'robots-unreachable' });
+  });
+
+  test('should reject invalid requests', async () => {
+    const missing = await request(app)
+      .post('/api/robots/test')
+      .send({ urls: ['/only-a-path'], userAgents: ['Googlebot'] })
+      .expect(400);
+    expect(missing.body.details).toContain('Provide robotsTxt, a site url, or absolute test URLs');
+
+    const invalid = await request(app)
+      .post('/api/robots/test')
+      .send({ robotsTxt: ROBOTS, urls: ['ftp://example.com/file'], userAgents: [] })
+      .expect(400);
+    expect(invalid.body.error).toBe('Invalid robots.txt test');
+    expect(invalid.body.details).toHaveLength(2);
+  });
+
+  describe('POST /api/robots/simulate', () => {
+    test('should diff current and proposed robots.txt for each known bot', async () => {
+      const response = await request(app)
+        .post('/api/robots/simulate')
+        .send({
+          url: 'https://example.com',
+          currentRobotsTxt: 'User-agent: *\nDisallow:\n',
+          proposedRobotsTxt: ROBOTS,
+          urls: ['https://example.com/', 'https://example.com/private/report']
+        })
+        .expect(200);
+
+      expect(fetchWithTimeout).not.toHaveBeenCalled();
+      expect(response.body.urlSource).toEqual({ source: 'urls', urls: 2, truncated: false });
+      expect(response.body.bots.GPTBot).toMatchObject({ newlyBlocked: 2, newlyAllowed: 0 });
+      expect(response.body.bots.Googlebot).toMatchObject({ newlyBlocked: 1, importantNewlyBlocked: [] });
+      expect(response.body.summary.botsLosingAccess).toContain('GPTBot');
+      expect(response.body.warnings[0]).toMatchObject({ bot: 'GPTBot', urls: ['https://example.com/'] });
+    });
+
+    test('should reject invalid simulations', async () => {
+      const response = await request(app)
+        .post('/api/robots/simulate')
+        .send({ url: 'https://example.com', template: 'aggressive', source: 'logs' })
+        .expect(400);
+
+      expect(response.body.details).toEqual([
+        'template must be one of: permissive, balanced, restrictive',
+        'source must be one of: sitemap, crawl, urls'
+      ]);
+    });
+  });
+});
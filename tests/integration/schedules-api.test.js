@@ -0,0 +1,116 @@
+// tests/integration/schedules-api.test.js
+// Integration tests for recurring audit schedule endpoints
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+jest.mock('../../services/audit-orchestrator', () => {
+  return jest.fn().mockImplementation(() => ({
+    runFullAudit: jest.fn().mockResolvedValue({ url: 'https://example.com', tests: {} })
+  }));
+});
+
+const mockQueue = {
+  addJob: jest.fn(),
+  findDuplicateJob: jest.fn(),
+  on: jest.fn()
+};
+
+jest.mock('../../services/audit-queue', () => ({
+  ...jest.requireActual('../../services/audit-queue'),
+  getGlobalQueue: jest.fn(() => mockQueue)
+}));
+
+describe('Schedules API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const scheduleRoutes = require('../../routes/schedules');
+    app.use('/api', scheduleRoutes);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockQueue.findDuplicateJob.mockReturnValue(null);
+    mockQueue.addJob.mockReturnValue({ jobId: 'job-1', status: 'pending', position: 1, estimatedWait: 0 });
+  });
+
+  afterAll(() => {
+    const { shutdownGlobalScheduler } = require('../../services/audit-scheduler');
+    shutdownGlobalScheduler();
+  });
+
+  const createSchedule = (body) => request(app).post('/api/schedules').send(body);
+
+  test('should create, read, update and delete a schedule', async () => {
+    const created = await createSchedule({
+      url: 'https://example.com',
+      cron: '0 6 * * MON',
+      options: { fastMode: true },
+      webhookClientId: 'acme'
+    }).expect(201);
+
+    expect(created.body).toMatchObject({
+      url: 'https://example.com',
+      type: 'url',
+      enabled: true,
+      webhookClientId: 'acme'
+    });
+    expect(created.body.nextRunAt).toMatch(/T06:00:00.000Z$/);
+
+    const { id } = created.body;
+    const fetched = await request(app).get(`/api/schedules/${id}`).expect(200);
+    expect(fetched.body.cron).toBe('0 6 * * MON');
+
+    const updated = await request(app)
+      .put(`/api/schedules/${id}`)
+      .send({ enabled: false, name: 'Weekly homepage' })
+      .expect(200);
+    expect(updated.body).toMatchObject({ enabled: false, name: 'Weekly homepage', cron: '0 6 * * MON' });
+
+    const list = await request(app).get('/api/schedules').expect(200);
+    expect(list.body.schedules.map(schedule => schedule.id)).toContain(id);
+
+    await request(app).delete(`/api/schedules/${id}`).expect(200);
+    await request(app).get(`/api/schedules/${id}`).expect(404);
+  });
+
+  test('should reject invalid schedules', async () => {
+    const response = await createSchedule({ url: 'https://example.com', cron: '* * * *' }).expect(400);
+    expect(response.body.details[0]).toMatch('Invalid cron expression');
+
+    await request(app).put('/api/schedules/unknown').send({ cron: '@daily' }).expect(404);
+    await request(app).put('/api/schedules/unknown').send({ priority: 9 }).expect(400);
+  });
+
+  test('should run a schedule on demand through the audit queue', async () => {
+    const created = await createSchedule({ url: 'https://example.com/blog', cron: '@daily' }).expect(201);
+
+    const response = await request(app).post(`/api/schedules/${created.body.id}/run`).expect(202);
+
+    expect(response.body).toMatchObject({ trigger: 'manual', status: 'enqueued', jobIds: ['job-1'] });
+    expect(mockQueue.addJob).toHaveBeenCalledWith(
+      'https://example.com/blog',
+      { scheduleId: created.body.id },
+      2
+    );
+  });
+
+  test('should report suppressed overlapping runs', async () => {
+    const created = await createSchedule({ url: 'https://example.com', cron: '@hourly' }).expect(201);
+    mockQueue.findDuplicateJob.mockReturnValue({ id: 'job-active' });
+
+    const response = await request(app).post(`/api/schedules/${created.body.id}/run`).expect(202);
+
+    expect(response.body.status).toBe('skipped');
+    expect(response.body.skipped[0]).toMatchObject({ reason: 'overlap', activeJobId: 'job-active' });
+    expect(mockQueue.addJob).not.toHaveBeenCalled();
+  });
+});
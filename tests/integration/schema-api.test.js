@@ -0,0 +1,72 @@
+// tests/integration/schema-api.test.js
+// Integration tests for the JSON-LD generation endpoint
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('express-rate-limit', () => {
+  return jest.fn(() => (req, res, next) => next());
+});
+
+jest.mock('../../utils/helpers', () => ({
+  ...jest.requireActual('../../utils/helpers'),
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../utils/helpers');
+
+const PAGE = `<html lang="fi"><head><title>Kahvila Aurora</title><meta property="og:site_name" content="Kahvila Aurora"></head>
+<body><h1>Menu</h1><h2>Do you have oat milk?</h2><p>Yes, at no extra cost.</p></body></html>`;
+
+describe('Schema API Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+
+    const schemaRoutes = require('../../routes/schema');
+    app.use('/api', schemaRoutes);
+  });
+
+  beforeEach(() => {
+    fetchWithTimeout.mockReset();
+  });
+
+  test('should reject a missing URL', async () => {
+    const response = await request(app).post('/api/schema/generate').send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid URL');
+    expect(fetchWithTimeout).not.toHaveBeenCalled();
+  });
+
+  test('should return a JSON-LD draft with property provenance', async () => {
+    fetchWithTimeout.mockResolvedValue({ ok: true, status: 200, text: async () => PAGE });
+
+    const response = await request(app)
+      .post('/api/schema/generate')
+      .send({ url: 'https://aurora.example/menu' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.jsonLd['@graph'].map(node => node['@type'])).toEqual(
+      expect.arrayContaining(['WebSite', 'BreadcrumbList', 'FAQPage'])
+    );
+    expect(response.body.script).toMatch(/^<script type="application\/ld\+json">/);
+    expect(response.body.properties).toContainEqual(
+      expect.objectContaining({ type: 'WebSite', property: 'inLanguage', status: 'extracted', source: 'html-lang' })
+    );
+    expect(response.body.summary.questions).toBe(1);
+  });
+
+  test('should report upstream failures', async () => {
+    fetchWithTimeout.mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' });
+
+    const response = await request(app)
+      .post('/api/schema/generate')
+      .send({ url: 'https://aurora.example/menu' });
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Failed to generate JSON-LD', details: 'HTTP 503: Service Unavailable' });
+  });
+});
@@ -6,6 +6,9 @@ process.env.NODE_ENV = 'test';
 process.env.PORT = '3001';
 process.env.API_KEYS = 'test-key-1,test-key-2';
 process.env.USE_PSI_METRICS = 'false';
+process.env.AUDIT_HISTORY_BACKEND = 'memory';
+process.env.SCHEDULES_BACKEND = 'memory';
+process.env.BOT_REGISTRY_OVERRIDE = '';
 
 // Extend Jest matchers
 expect.extend({
@@ -0,0 +1,179 @@
+// tests/unit/services/answer-block-detector.test.js
+// Unit tests for candidate answer passage detection
+
+const cheerio = require('cheerio');
+const AnswerBlockDetector = require('../../../services/answer-block-detector');
+const { cssSelector } = require('../../../services/answer-block-detector');
+
+const ANSWER = 'Ski wax is a coating applied to the base of a ski to control friction on snow. ' +
+  'Glide wax makes skis faster, while grip wax holds the ski in place during the kick of classic skiing. ' +
+  'Choosing ski wax by snow temperature gives the best results on any given day.';
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+  <header><h2>What is new?</h2><p>Our spring catalogue is out now with many new products to browse.</p></header>
+  <main id="guide">
+    <h1>Ski waxing guide</h1>
+    <h2 id="what-is-ski-wax">What is ski wax?</h2>
+    <p>${ANSWER}</p>
+    <h2>Why wax often?</h2>
+    <p>It keeps the base healthy.</p>
+    <p>A base cleaner is a solvent that removes old wax and dirt from the ski base before waxing.</p>
+    <h2>How to wax skis</h2>
+    <ol>
+      <li>Clean the base</li>
+      <li>Melt wax onto the base with an iron</li>
+      <li>Scrape and brush once cool</li>
+    </ol>
+    <h2>Wax comparison</h2>
+    <table>
+      <tr><th>Wax</th><th>Snow</th><th>Price</th></tr>
+      <tr><td>Green</td><td>Below -10 °C</td><td>€12</td></tr>
+      <tr><td>Red</td><td>Around 0 °C</td><td>€14</td></tr>
+    </table>
+    <ul><li><a href="/a">A</a></li><li><a href="/b">B</a></li><li><a href="/c">C</a></li></ul>
+  </main>
+  <footer><ol><li>Home</li><li>Shop</li><li>Contact</li></ol></footer>
+</body>
+</html>`;
+
+describe('Services - Answer Block Detector', () => {
+  let detector;
+  let result;
+
+  beforeEach(() => {
+    detector = new AnswerBlockDetector();
+    result = detector.detect(cheerio.load(PAGE));
+  });
+
+  test('should find each block type in document order, skipping page chrome', () => {
+    expect(result.blocks.map(block => block.type)).toEqual([
+      'question-answer',
+      'question-answer',
+      'definition',
+      'steps',
+      'comparison-table'
+    ]);
+    expect(result.blocks.some(block => block.question === 'What is new?')).toBe(false);
+    expect(result.summary).toMatchObject({
+      total: 5,
+      byType: { 'question-answer': 2, definition: 1, steps: 1, 'comparison-table': 1 }
+    });
+  });
+
+  test('should not treat consent or modal state classes on body and main as page chrome', () => {
+    const page = PAGE
+      .replace('<body>', '<body class="home cookie-consent-accepted">')
+      .replace('<main id="guide">', '<main id="guide" class="modal-free">');
+    const blocks = detector.detect(cheerio.load(page)).blocks;
+
+    expect(blocks.map(block => block.type)).toEqual(result.blocks.map(block => block.type));
+    expect(blocks.some(block => block.question === 'What is new?')).toBe(false);
+  });
+
+  test('should detect blocks on a page with hundreds of Q&A sections quickly', () => {
+    const sections = Array.from({ length: 800 }, (_, index) =>
+      `<section><h2>What is wax number ${index}?</h2><p>Wax number ${index} is a glide wax for cold and dry snow.</p></section>`
+    ).join('');
+    const $ = cheerio.load(`<body><nav><a href="/">Home</a></nav><main>${sections}</main><footer><p>Shop</p></footer></body>`);
+
+    const started = Date.now();
+    const { blocks } = new AnswerBlockDetector({ maxBlocks: 1000 }).detect($);
+
+    expect(blocks).toHaveLength(800);
+    expect(Date.now() - started).toBeLessThan(1500);
+  });
+
+  test('should score a 40–60 word direct answer under an anchored question as snippet-ready', () => {
+    const [answer] = result.blocks;
+
+    expect(answer).toMatchObject({
+      question: 'What is ski wax?',
+      selector: '#guide > p:nth-of-type(1)',
+      wordCount: 50,
+      score: 100,
+      issues: [],
+      snippetReady: true
+    });
+  });
+
+  test('should report why a short pronoun-led answer is not extractable', () => {
+    const answer = result.blocks[1];
+
+    expect(answer.question).toBe('Why wax often?');
+    expect(answer.wordCount).toBe(5);
+    expect(answer.snippetReady).toBe(false);
+    expect(answer.issues).toEqual(expect.arrayContaining([
+      'Answer is 5 words; aim for 40–60',
+      'Answer starts with a pronoun and does not stand alone',
+      'Question heading has no id for deep links'
+    ]));
+  });
+
+  test('should turn definition paragraphs into a "What is" question', () => {
+    const definition = result.blocks[2];
+
+    expect(definition.question).toBe('What is base cleaner?');
+    expect(definition.selector).toBe('#guide > p:nth-of-type(3)');
+    expect(definition.wordCount).toBe(18);
+  });
+
+  test('should describe step lists and comparison tables', () => {
+    const steps = result.blocks[3];
+    const table = result.blocks[4];
+
+    expect(steps).toMatchObject({ question: 'How to wax skis', itemCount: 3, selector: '#guide > ol', snippetReady: true });
+    expect(steps.text).toBe('1. Clean the base 2. Melt wax onto the base with an iron 3. Scrape and brush once cool');
+    expect(table).toMatchObject({ question: 'Wax comparison', rows: 3, columns: 3, comparison: true, selector: '#guide > table' });
+    expect(table.score).toBe(100);
+  });
+
+  test('should flag unordered steps and tables without headers', () => {
+    const $ = cheerio.load(`<body>
+      <h2>Steps to install</h2><ul><li>Download</li><li>Unpack</li><li>Run setup</li></ul>
+      <table><tr><td>A</td><td>1</td></tr><tr><td>B</td><td></td></tr></table>
+    </body>`);
+    const [steps, table] = detector.detect($).blocks;
+
+    expect(steps.issues).toContain('Steps are not an ordered list (<ol>)');
+    expect(table.issues).toEqual(expect.arrayContaining([
+      'Table has no header cells (<th>)',
+      '1 of 4 cells are empty'
+    ]));
+  });
+
+  test('should return an empty summary for pages without candidates', () => {
+    const empty = detector.detect(cheerio.load('<body><p>Hello.</p></body>'));
+
+    expect(empty.blocks).toEqual([]);
+    expect(empty.summary).toEqual({
+      total: 0,
+      snippetReady: 0,
+      byType: { 'question-answer': 0, definition: 0, steps: 0, 'comparison-table': 0 },
+      averageScore: 0
+    });
+  });
+
+  test('should score answers in accordions and definition lists', () => {
+    const $ = cheerio.load(`<body><main>
+      <details><summary>Can I use candle wax?</summary><p>No, candle wax wears off within a kilometre of skiing.</p></details>
+      <dl><dt>Do you ship abroad?</dt><dd>Yes, we ship skis and wax to all Nordic countries.</dd></dl>
+    </main></body>`);
+    const pairs = detector.findQuestionAnswers($);
+    const { blocks } = detector.detect($);
+
+    expect(pairs.map(pair => pair.source)).toEqual(['details', 'definition-list']);
+    expect(blocks.map(block => [block.question, block.selector])).toEqual([
+      ['Can I use candle wax?', 'body > main > details > p'],
+      ['Do you ship abroad?', 'body > main > dl > dd']
+    ]);
+  });
+
+  test('should build selectors from the nearest id', () => {
+    const $ = cheerio.load('<body><div><p>a</p><p id="x"><span>b</span></p><p>c</p></div></body>');
+
+    expect(cssSelector($, $('p').get(2))).toBe('body > div > p:nth-of-type(3)');
+    expect(cssSelector($, $('span').get(0))).toBe('#x > span');
+  });
+});
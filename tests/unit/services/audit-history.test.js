@@ -0,0 +1,132 @@
+// tests/unit/services/audit-history.test.js
+// Unit tests for audit history storage and score series
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  InMemoryAuditHistoryStore,
+  FileAuditHistoryStore,
+  buildScoreSeries,
+  createAuditHistoryStore,
+  setAuditHistoryStore,
+  recordAuditHistory
+} = require('../../../services/audit-history');
+
+const auditResult = (seo, accessibility) => ({
+  mode: 'lightweight-enterprise',
+  tests: {
+    seo: { score: seo },
+    accessibility: { score: accessibility, issues: ['Page language not specified'] }
+  }
+});
+
+describe('Services - AuditHistory', () => {
+  describe('InMemoryAuditHistoryStore', () => {
+    test('should key history by normalized URL', async () => {
+      const store = new InMemoryAuditHistoryStore();
+      await store.record('https://Example.com/pricing/', auditResult(60, 70), { auditedAt: 1000 });
+      await store.record('https://example.com/pricing?utm_source=mail', auditResult(80, 90), { auditedAt: 2000, jobId: 'job-2' });
+      await store.record('https://example.com/other', auditResult(10, 10), { auditedAt: 3000 });
+
+      const history = await store.getHistory('https://example.com/pricing');
+
+      expect(history).toHaveLength(2);
+      expect(history.map(entry => entry.scores.seo)).toEqual([60, 80]);
+      expect(history[1]).toMatchObject({ jobId: 'job-2', issueCount: 1, mode: 'lightweight-enterprise' });
+      expect((await store.getLatest('https://example.com/pricing')).scores.seo).toBe(80);
+    });
+
+    test('should filter by time range and keep the most recent entries when limited', async () => {
+      const store = new InMemoryAuditHistoryStore();
+      for (let i = 1; i <= 5; i++) {
+        await store.record('https://example.com', auditResult(i * 10, 50), { auditedAt: i * 1000 });
+      }
+
+      const ranged = await store.getHistory('https://example.com', { from: 2000, to: 4000 });
+      const limited = await store.getHistory('https://example.com', { limit: 2 });
+
+      expect(ranged.map(entry => entry.auditedAt)).toEqual([2000, 3000, 4000]);
+      expect(limited.map(entry => entry.auditedAt)).toEqual([4000, 5000]);
+    });
+  });
+
+  describe('FileAuditHistoryStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-history-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should persist entries across store instances', async () => {
+      await new FileAuditHistoryStore({ directory }).record('https://example.com/', auditResult(55, 65), { auditedAt: 1000 });
+      await new FileAuditHistoryStore({ directory }).record('https://example.com', auditResult(75, 85), { auditedAt: 2000 });
+
+      const history = await new FileAuditHistoryStore({ directory }).getHistory('https://example.com');
+
+      expect(history.map(entry => entry.scores.seo)).toEqual([55, 75]);
+      expect(fs.readdirSync(directory)).toHaveLength(1);
+    });
+
+    test('should store and load full results by ID', async () => {
+      const store = new FileAuditHistoryStore({ directory });
+      await store.saveResult('job-1', { id: 'job-1', url: 'https://example.com', result: auditResult(50, 60) });
+
+      expect((await store.getResult('job-1')).result.tests.seo.score).toBe(50);
+      expect(await store.getResult('job-2')).toBeNull();
+      expect(await store.getResult('../secrets')).toBeNull();
+    });
+
+    test('should return an empty history for unknown URLs', async () => {
+      const store = new FileAuditHistoryStore({ directory });
+      expect(await store.getHistory('https://never-audited.com')).toEqual([]);
+      expect(await store.getLatest('https://never-audited.com')).toBeNull();
+    });
+  });
+
+  describe('recordAuditHistory', () => {
+    afterEach(() => setAuditHistoryStore(null));
+
+    test('should keep the full result under the job ID, or the entry ID without one', async () => {
+      const store = new InMemoryAuditHistoryStore();
+      setAuditHistoryStore(store);
+
+      await recordAuditHistory('https://example.com', auditResult(40, 50), { jobId: 'job-9' });
+      const entry = await recordAuditHistory('https://example.com', auditResult(45, 55));
+
+      expect((await store.getResult('job-9')).result.tests.seo.score).toBe(40);
+      expect((await store.getResult(entry.id)).url).toBe('https://example.com');
+    });
+  });
+
+  describe('buildScoreSeries', () => {
+    test('should build per-metric series and first-to-last change', () => {
+      const entries = [
+        { auditedAt: Date.UTC(2024, 0, 1), jobId: 'a', scores: { overall: 50, seo: 40, eat: null } },
+        { auditedAt: Date.UTC(2024, 1, 1), jobId: 'b', scores: { overall: 65, seo: 70, eat: null } }
+      ];
+
+      const { series, change } = buildScoreSeries(entries);
+
+      expect(series.seo).toEqual([
+        { timestamp: '2024-01-01T00:00:00.000Z', value: 40, jobId: 'a' },
+        { timestamp: '2024-02-01T00:00:00.000Z', value: 70, jobId: 'b' }
+      ]);
+      expect(change.overall).toEqual({ first: 50, last: 65, delta: 15 });
+      expect(series.eat).toEqual([]);
+      expect(change.eat).toBeNull();
+    });
+  });
+
+  describe('createAuditHistoryStore', () => {
+    test('should select the backend by name', () => {
+      expect(createAuditHistoryStore({ backend: 'memory' })).toBeInstanceOf(InMemoryAuditHistoryStore);
+      expect(createAuditHistoryStore({ backend: 'file', directory: os.tmpdir() })).toBeInstanceOf(FileAuditHistoryStore);
+      expect(() => createAuditHistoryStore({ backend: 'mongo' })).toThrow('Unknown audit history backend');
+    });
+  });
+});
@@ -16,6 +16,13 @@ describe('Services - OptimizedAuditOrchestrator', () => {
             expect(orchestrator.puppeteer).toBeNull();
             expect(orchestrator.lighthouse).toBeNull();
         });
+
+        test('should share the process-wide JavaScript renderer', async () => {
+            const { getSharedRenderer } = require('../../../services/js-renderer');
+
+            expect(await orchestrator.loadJSRenderer()).toBe(getSharedRenderer());
+            expect(await new OptimizedAuditOrchestrator().loadJSRenderer()).toBe(getSharedRenderer());
+        });
     });
 
     describe('performLightweightAudit', () => {
@@ -32,6 +39,9 @@ describe('Services - OptimizedAuditOrchestrator', () => {
             expect(result.tests.files).toHaveProperty('error');
             expect(result.tests.metadata).toHaveProperty('error');
             expect(result.tests.schema).toHaveProperty('error');
+            // Caller-supplied fallbacks are returned as-is
+            expect(result.tests.performance.error).toBe('Performance analysis failed');
+            expect(result.tests.files).toEqual({ robots: { exists: false }, sitemap: { exists: false }, error: 'Files analysis failed' });
         }, 10000);
 
         test('should return structured results for valid URL', async () => {
@@ -54,6 +64,106 @@ describe('Services - OptimizedAuditOrchestrator', () => {
         }, 15000);
     });
 
+    describe('shared document', () => {
+        const http = require('http');
+        let server;
+        let baseUrl;
+        let pageHits = 0;
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                if (req.url === '/page') {
+                    pageHits++;
+                    res.writeHead(200, { 'Content-Type': 'text/html' });
+                    return res.end(`<html lang="en"><head><title>Shared document test page title</title>
+                        <meta name="description" content="A page used to check that audits fetch once">
+                        <script type="application/ld+json">{"@context":"https://schema.org","@type":"Organization","name":"Example"}</script>
+                        </head><body><h1>What is a shared document?</h1><p>It is fetched once per audit.</p></body></html>`);
+                }
+                res.writeHead(404);
+                res.end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterAll(async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should fetch the audited page once for all lightweight checks', async () => {
+            // Skip the headless browser; the fallback reads the shared document
+            jest.spyOn(orchestrator, 'checkAxeAccessibility')
+                .mockImplementation((url, options) => orchestrator.checkBasicAccessibilityFallback(url, options));
+
+            const result = await orchestrator.performLightweightAudit(`${baseUrl}/page`);
+
+            expect(pageHits).toBe(1);
+            expect(result.tests.seo.title).toBe('Shared document test page title');
+            expect(result.tests.metadata.title).toBe('Shared document test page title');
+            expect(result.tests.performance.statusCode).toBe(200);
+            expect(result.tests.accessibility).not.toHaveProperty('error');
+            expect(result.tests.eat).not.toHaveProperty('error');
+            expect(result.tests.aeo).not.toHaveProperty('error');
+        }, 15000);
+
+        test('should reuse a document fetched by the caller', async () => {
+            jest.spyOn(orchestrator, 'checkAxeAccessibility')
+                .mockImplementation((url, options) => orchestrator.checkBasicAccessibilityFallback(url, options));
+            const sharedDocument = await orchestrator.fetchSharedDocument(`${baseUrl}/page`);
+            const hitsBefore = pageHits;
+
+            const result = await orchestrator.performLightweightAudit(`${baseUrl}/page`, { sharedDocument });
+
+            expect(pageHits).toBe(hitsBefore);
+            expect(result.tests.seo.title).toBe('Shared document test page title');
+        }, 15000);
+    });
+
+    describe('llms.txt checks', () => {
+        const http = require('http');
+        let server;
+        let baseUrl;
+        let linkHits = 0;
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                if (req.url === '/llms.txt') {
+                    res.writeHead(200, { 'Content-Type': 'text/plain' });
+                    return res.end('# Example\n\n> Test site.\n\n## Docs\n\n- [Guide](/guide): Missing page\n');
+                }
+                if (req.url.startsWith('/guide')) linkHits++;
+                res.writeHead(404);
+                res.end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterAll(async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should validate llms.txt structure without link checks in the files step', async () => {
+            const result = await orchestrator.checkBasicFiles(`${baseUrl}/`);
+
+            expect(result.llms.exists).toBe(true);
+            expect(result.llms.validation.title).toBe('Example');
+            expect(result.llms.validation.checks.reachability).toEqual({ passed: 0, skipped: true });
+            expect(linkHits).toBe(0);
+        });
+
+        test('should check linked URLs only in the opt-in link check step', async () => {
+            const validation = await orchestrator.checkLlmsLinks(`${baseUrl}/`);
+
+            expect(linkHits).toBeGreaterThan(0);
+            expect(validation.reachability).toMatchObject({ checked: 1, reachable: 0 });
+            expect(validation.errors.map(error => error.code)).toContain('broken_link');
+        });
+    });
+
     describe('checkBasicFiles', () => {
         test('should check for basic files', async () => {
             const result = await orchestrator.checkBasicFiles('https://httpbin.org/html');
@@ -0,0 +1,214 @@
+// tests/unit/services/audit-scheduler.test.js
+// Unit tests for scheduled recurring audits
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../services/audit-orchestrator', () => {
+  return jest.fn().mockImplementation(() => ({
+    runFullAudit: jest.fn().mockResolvedValue({ url: 'https://example.com', tests: { seo: { score: 80 } } })
+  }));
+});
+
+const { AuditQueue, JOB_PRIORITY } = require('../../../services/audit-queue');
+const {
+  AuditScheduler,
+  InMemoryScheduleStore,
+  FileScheduleStore,
+  validateSchedule
+} = require('../../../services/audit-scheduler');
+
+describe('Services - AuditScheduler', () => {
+  let queue;
+  let clock;
+  let scheduler;
+
+  beforeEach(() => {
+    queue = new AuditQueue({ testMode: true });
+    clock = Date.UTC(2024, 0, 1, 8, 0);
+    scheduler = new AuditScheduler({
+      queue,
+      store: new InMemoryScheduleStore(),
+      now: () => clock,
+      tickInterval: 60000
+    });
+  });
+
+  afterEach(async () => {
+    scheduler.stop();
+    queue.forceShutdown();
+  });
+
+  describe('validateSchedule', () => {
+    test('should require a URL and cron expression', () => {
+      expect(validateSchedule({}).errors).toEqual(expect.arrayContaining([
+        'URL is required',
+        expect.stringContaining('Invalid cron expression')
+      ]));
+      expect(validateSchedule({ url: 'https://example.com', cron: '@daily', type: 'feed' }).errors)
+        .toEqual(['type must be one of: url, sitemap']);
+      expect(validateSchedule({ enabled: 'yes' }, { partial: true }).errors).toEqual(['enabled must be a boolean']);
+    });
+  });
+
+  describe('schedule lifecycle', () => {
+    test('should compute the next run on create and update', async () => {
+      const schedule = await scheduler.createSchedule({ url: 'https://example.com', cron: '0 9 * * *' });
+
+      expect(schedule).toMatchObject({
+        type: 'url',
+        enabled: true,
+        priority: JOB_PRIORITY.NORMAL,
+        nextRunAt: '2024-01-01T09:00:00.000Z'
+      });
+
+      const updated = await scheduler.updateSchedule(schedule.id, { cron: '30 7 * * *' });
+      expect(updated.nextRunAt).toBe('2024-01-02T07:30:00.000Z');
+      expect(await scheduler.updateSchedule('missing', { enabled: false })).toBeNull();
+    });
+
+    test('should reject invalid definitions', async () => {
+      await expect(scheduler.createSchedule({ url: 'https://example.com', cron: 'often' }))
+        .rejects.toThrow('Invalid schedule');
+    });
+  });
+
+  describe('tick', () => {
+    test('should enqueue due schedules and advance them', async () => {
+      const schedule = await scheduler.createSchedule({
+        url: 'https://example.com',
+        cron: '0 9 * * *',
+        options: { fastMode: true },
+        priority: JOB_PRIORITY.HIGH
+      });
+
+      expect(await scheduler.tick()).toEqual([]);
+
+      clock = Date.UTC(2024, 0, 1, 9, 0, 20);
+      const [run] = await scheduler.tick();
+
+      expect(run).toMatchObject({ scheduleId: schedule.id, trigger: 'cron', status: 'enqueued' });
+      const job = queue.getJob(run.jobIds[0]);
+      expect(job).toMatchObject({
+        url: 'https://example.com',
+        priority: JOB_PRIORITY.HIGH,
+        options: { fastMode: true, scheduleId: schedule.id }
+      });
+
+      const stored = await scheduler.getSchedule(schedule.id);
+      expect(stored.nextRunAt).toBe('2024-01-02T09:00:00.000Z');
+      expect(stored.runCount).toBe(1);
+    });
+
+    test('should suppress a run while the previous job of the schedule is still active', async () => {
+      const schedule = await scheduler.createSchedule({ url: 'https://example.com', cron: '*/5 * * * *' });
+
+      clock = Date.UTC(2024, 0, 1, 8, 5);
+      const [first] = await scheduler.tick();
+      clock = Date.UTC(2024, 0, 1, 8, 10);
+      const [second] = await scheduler.tick();
+
+      expect(first.jobIds).toHaveLength(1);
+      expect(second.status).toBe('skipped');
+      expect(second.skipped).toEqual([{ url: 'https://example.com', reason: 'overlap', activeJobId: first.jobIds[0] }]);
+      expect(queue.pending.size).toBe(1);
+      expect((await scheduler.getSchedule(schedule.id)).lastRun.status).toBe('skipped');
+    });
+
+    test('should catch up missed runs once after a restart', async () => {
+      const store = new InMemoryScheduleStore();
+      const before = new AuditScheduler({ queue, store, now: () => clock });
+      const schedule = await before.createSchedule({ url: 'https://example.com', cron: '0 * * * *' });
+
+      // Process was down for three hourly slots
+      clock = Date.UTC(2024, 0, 1, 11, 20);
+      const restarted = new AuditScheduler({ queue, store, now: () => clock });
+      const runs = await restarted.start();
+      restarted.stop();
+
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({ trigger: 'catch-up', missedRuns: 3, scheduledFor: '2024-01-01T09:00:00.000Z' });
+      expect(queue.pending.size).toBe(1);
+      expect((await store.get(schedule.id)).nextRunAt).toBe('2024-01-01T12:00:00.000Z');
+    });
+
+    test('should skip missed runs when catch-up is disabled', async () => {
+      const schedule = await scheduler.createSchedule({ url: 'https://example.com', cron: '0 9 * * *', catchUp: false });
+
+      clock = Date.UTC(2024, 0, 3, 12, 0);
+      const runs = await scheduler.tick();
+      const stored = await scheduler.getSchedule(schedule.id);
+
+      expect(runs).toEqual([]);
+      expect(queue.pending.size).toBe(0);
+      expect(stored.lastRun).toMatchObject({ status: 'missed', missedRuns: 3 });
+      expect(stored.nextRunAt).toBe('2024-01-04T09:00:00.000Z');
+    });
+
+    test('should enqueue every discovered URL for sitemap schedules', async () => {
+      const crawler = {
+        crawlSitemap: jest.fn().mockResolvedValue({ urls: ['https://example.com/', 'https://example.com/about'] })
+      };
+      scheduler.crawler = crawler;
+      const schedule = await scheduler.createSchedule({
+        url: 'https://example.com',
+        type: 'sitemap',
+        cron: '0 9 * * *',
+        maxUrls: 10
+      });
+
+      const run = await scheduler.triggerSchedule(schedule.id);
+
+      expect(crawler.crawlSitemap).toHaveBeenCalledWith('https://example.com', { discoverOnly: true, maxUrls: 10 });
+      expect(run).toMatchObject({ trigger: 'manual', status: 'enqueued' });
+      expect(run.jobIds).toHaveLength(2);
+      // Manual runs keep the cron slot
+      expect((await scheduler.getSchedule(schedule.id)).nextRunAt).toBe('2024-01-01T09:00:00.000Z');
+    });
+  });
+
+  describe('webhooks', () => {
+    test('should notify the schedule webhook client when a scheduled job completes', async () => {
+      const webhooks = { sendAuditCompleted: jest.fn().mockResolvedValue(), sendAuditFailed: jest.fn() };
+      scheduler.webhooks = webhooks;
+      const schedule = await scheduler.createSchedule({
+        url: 'https://example.com',
+        cron: '0 9 * * *',
+        webhookClientId: 'acme'
+      });
+
+      const run = await scheduler.triggerSchedule(schedule.id);
+      await queue.manualProcess();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(webhooks.sendAuditCompleted).toHaveBeenCalledWith(
+        run.jobIds[0],
+        expect.objectContaining({ url: 'https://example.com' }),
+        { clientId: 'acme', scheduleId: schedule.id, url: 'https://example.com' }
+      );
+    });
+  });
+
+  describe('FileScheduleStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should persist schedules across store instances', async () => {
+      const filePath = path.join(directory, 'schedules.json');
+      await new FileScheduleStore({ filePath }).save({ id: 's1', url: 'https://example.com', cron: '@daily' });
+
+      const reloaded = new FileScheduleStore({ filePath });
+      expect((await reloaded.get('s1')).cron).toBe('@daily');
+      expect(await reloaded.delete('s1')).toBe(true);
+      expect(await new FileScheduleStore({ filePath }).list()).toEqual([]);
+    });
+  });
+});
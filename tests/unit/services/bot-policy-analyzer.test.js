@@ -43,6 +43,18 @@ describe('Services - BotPolicyAnalyzer', () => {
       expect(aiTrainingBots.length).toBeGreaterThan(0);
       expect(aiBrowseBots.length).toBeGreaterThan(0);
     });
+
+    test('should load bots and version from the registry', () => {
+      expect(analyzer.registryVersion).toBe(require('../../../config/bots.json').version);
+      ['OAI-SearchBot', 'Meta-ExternalAgent', 'Bytespider', 'Amazonbot', 'DuckAssistBot', 'cohere-ai'].forEach(bot => {
+        expect(analyzer.knownBots).toHaveProperty(bot);
+      });
+      expect(analyzer.knownBots.Bytespider.userAgentPattern.test('Mozilla/5.0 (compatible; Bytespider; spider-feedback@bytedance.com)')).toBe(true);
+
+      const custom = new BotPolicyAnalyzer({ registry: { version: 'test', bots: { Googlebot: analyzer.knownBots.Googlebot } } });
+      expect(Object.keys(custom.knownBots)).toEqual(['Googlebot']);
+      expect(custom.registryVersion).toBe('test');
+    });
   });
 
   describe('parseRobotsPolicies - Enhanced Parser', () => {
@@ -278,6 +290,82 @@ Sitemap: https://example.com/sitemap.xml
     });
   });
 
+  describe('page-level directives', () => {
+    const { Headers } = jest.requireActual('node-fetch');
+
+    const mockPage = (html, xRobotsTags = []) => {
+      const headers = new Headers({ 'content-type': 'text/html; charset=utf-8' });
+      xRobotsTags.forEach(value => headers.append('x-robots-tag', value));
+      fetchWithTimeout.mockResolvedValueOnce({ ok: true, status: 200, headers, text: () => Promise.resolve(html) });
+    };
+
+    const openRobots = { exists: true, policies: { '*': { rules: [] } } };
+
+    test('should collect meta robots, bot-specific metas and scoped X-Robots-Tag headers', async () => {
+      mockPage(
+        '<head><meta name="robots" content="max-snippet:120"><meta name="GPTBot" content="noindex"><meta name="description" content="x"></head>',
+        ['googlebot: nosnippet', 'noimageai']
+      );
+
+      const result = await analyzer.analyzeBotHeaders('https://example.com/article');
+
+      expect(fetchWithTimeout).toHaveBeenCalledWith('https://example.com/article', 10000);
+      expect(result.pageDirectives.map(entry => [entry.source, entry.scope, entry.value])).toEqual([
+        ['meta', '*', 'max-snippet:120'],
+        ['meta', 'gptbot', 'noindex'],
+        ['x-robots-tag', 'googlebot', 'nosnippet'],
+        ['x-robots-tag', '*', 'noimageai']
+      ]);
+    });
+
+    test('should merge page directives into indexing and snippet eligibility per bot', async () => {
+      mockPage(
+        '<meta name="robots" content="max-snippet:120, max-image-preview:standard"><meta name="bingbot" content="noindex">',
+        ['googlebot: nosnippet', 'GPTBot: noai']
+      );
+      const headersAnalysis = await analyzer.analyzeBotHeaders('https://example.com/article');
+
+      const matrix = analyzer.generateBotMatrix(openRobots, headersAnalysis);
+
+      expect(matrix.Googlebot.access.effective).toMatchObject({
+        allowed: true,
+        indexable: true,
+        snippet: { eligible: false, maxLength: 0 },
+        imagePreview: 'standard'
+      });
+      expect(matrix.Googlebot.access.headers.restrictions).toEqual(['nosnippet', 'max-snippet', 'max-image-preview']);
+      expect(matrix.Bingbot.access.effective).toMatchObject({ allowed: false, crawlable: true, indexable: false });
+      expect(matrix.GPTBot.access.effective).toMatchObject({ allowed: false, indexable: true, aiUse: { text: false, images: false } });
+      expect(matrix.ClaudeBot.access.effective).toMatchObject({
+        allowed: true,
+        snippet: { eligible: true, maxLength: 120 },
+        aiUse: { text: true, images: true },
+        sources: ['meta']
+      });
+    });
+
+    test('should treat an expired unavailable_after as noindex', () => {
+      const policy = analyzer.getBotPolicyFromHeaders('Googlebot', {
+        'x-robots-tag': 'unavailable_after: Wed, 01 Jan 2020 00:00:00 GMT'
+      });
+
+      expect(policy.allowed).toBe(false);
+      expect(policy.restrictions).toEqual(['unavailable_after']);
+      expect(policy.directives.unavailableAfter).toBe('2020-01-01T00:00:00.000Z');
+    });
+
+    test('should flag noindex directives hidden behind a robots.txt block', () => {
+      const robotsAnalysis = { exists: true, policies: { GPTBot: { rules: [{ directive: 'disallow', path: '/' }] } } };
+      const headersAnalysis = {
+        pageDirectives: [{ source: 'meta', scope: '*', value: 'noindex', directives: [{ name: 'noindex', value: null }] }]
+      };
+
+      const conflicts = analyzer.detectConflicts(robotsAnalysis, headersAnalysis);
+
+      expect(conflicts).toEqual([expect.objectContaining({ type: 'unreachable_noindex', bots: ['GPTBot'] })]);
+    });
+  });
+
   describe('detectGlobalConflicts', () => {
     test('should detect selective blocking', () => {
       const policies = {
@@ -0,0 +1,91 @@
+// tests/unit/services/bot-verifier.test.js
+// Unit tests for reverse-DNS crawler verification
+
+const BotVerifier = require('../../../services/bot-verifier');
+
+const { createStubResolver, hostnameMatches, normalizeIp } = BotVerifier;
+
+const GOOGLEBOT = { reverseDnsSuffixes: ['googlebot.com', 'google.com'] };
+
+describe('Services - Bot Verifier', () => {
+  const resolver = createStubResolver({
+    ptr: {
+      '66.249.66.1': ['crawl-66-249-66-1.googlebot.com'],
+      '203.0.113.5': ['host-5.example.net'],
+      '203.0.113.6': ['crawl-fake.googlebot.com'],
+      '203.0.113.7': ['evilgooglebot.com'],
+      '2001:4860:4801:10:0:0:0:1': ['crawl-v6.googlebot.com']
+    },
+    a: {
+      'crawl-66-249-66-1.googlebot.com': ['66.249.66.1'],
+      'crawl-fake.googlebot.com': ['66.249.66.200'],
+      'crawl-v6.googlebot.com': ['2001:4860:4801:0010:0000:0000:0000:0001']
+    }
+  });
+
+  test('should match hostnames on a label boundary', () => {
+    expect(hostnameMatches('crawl-1.googlebot.com.', ['googlebot.com'])).toBe(true);
+    expect(hostnameMatches('googlebot.com', ['.googlebot.com'])).toBe(true);
+    expect(hostnameMatches('evilgooglebot.com', ['googlebot.com'])).toBe(false);
+  });
+
+  test('should verify an IP whose PTR and forward records agree', async () => {
+    const verifier = new BotVerifier({ resolver });
+
+    await expect(verifier.verify('66.249.66.1', GOOGLEBOT)).resolves.toEqual({
+      status: 'verified',
+      hostname: 'crawl-66-249-66-1.googlebot.com',
+      reason: null
+    });
+  });
+
+  test('should normalize IPv6 and IPv4-mapped addresses', () => {
+    expect(normalizeIp('::ffff:66.249.66.1')).toBe('66.249.66.1');
+    expect(normalizeIp('::FFFF:42f9:4201')).toBe('66.249.66.1');
+    expect(normalizeIp('2001:DB8::1')).toBe('2001:db8:0:0:0:0:0:1');
+    expect(normalizeIp('2001:0db8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8:0:0:0:0:0:1');
+    expect(normalizeIp('[::1]')).toBe('0:0:0:0:0:0:0:1');
+    expect(normalizeIp('66.249.66.1')).toBe('66.249.66.1');
+  });
+
+  test('should forward-confirm IPv4-mapped and differently written IPv6 addresses', async () => {
+    const verifier = new BotVerifier({ resolver });
+
+    expect((await verifier.verify('::ffff:66.249.66.1', GOOGLEBOT)).status).toBe('verified');
+    expect((await verifier.verify('2001:4860:4801:10::1', GOOGLEBOT)).status).toBe('verified');
+  });
+
+  test('should flag foreign hostnames, missing PTRs and forward mismatches as spoofed', async () => {
+    const verifier = new BotVerifier({ resolver });
+
+    expect((await verifier.verify('203.0.113.5', GOOGLEBOT)).status).toBe('spoofed');
+    expect((await verifier.verify('203.0.113.7', GOOGLEBOT)).status).toBe('spoofed');
+    expect(await verifier.verify('198.51.100.1', GOOGLEBOT)).toMatchObject({ status: 'spoofed', reason: 'No PTR record' });
+    expect(await verifier.verify('203.0.113.6', GOOGLEBOT)).toMatchObject({
+      status: 'spoofed',
+      hostname: 'crawl-fake.googlebot.com',
+      reason: 'Forward DNS does not resolve back to the IP'
+    });
+  });
+
+  test('should report resolver failures as unverified and cache lookups', async () => {
+    const failing = {
+      reverse: jest.fn().mockRejectedValue(Object.assign(new Error('server failure'), { code: 'ESERVFAIL' })),
+      forward: jest.fn()
+    };
+    const verifier = new BotVerifier({ resolver: failing });
+
+    const first = await verifier.verify('66.249.66.1', GOOGLEBOT);
+    await verifier.verify('66.249.66.1', GOOGLEBOT);
+
+    expect(first.status).toBe('unverified');
+    expect(first.reason).toContain('server failure');
+    expect(failing.reverse).toHaveBeenCalledTimes(1);
+  });
+
+  test('should time out slow lookups', async () => {
+    const verifier = new BotVerifier({ resolver: { reverse: () => new Promise(() => {}) }, timeout: 10 });
+
+    await expect(verifier.verify('66.249.66.1', GOOGLEBOT)).resolves.toMatchObject({ status: 'unverified' });
+  });
+});
@@ -0,0 +1,83 @@
+// tests/unit/services/content-extractor.test.js
+// Unit tests for main-content extraction and heading sections
+
+const cheerio = require('cheerio');
+const ContentExtractor = require('../../../services/content-extractor');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head><title>Waxing guide | Nordic Gear</title></head>
+<body>
+  <header><h1>How to wax skis</h1><nav><a href="/">Home</a><a href="/shop">Shop</a></nav></header>
+  <div class="cookie-consent">We use cookies. <button>Accept</button></div>
+  <main>
+    <p>Glide wax keeps skis fast on cold snow.</p>
+    <h2>What you need</h2>
+    <ul><li>A waxing iron</li><li>A <a href="/scrapers">plastic scraper</a></li></ul>
+    <h3>Wax by temperature</h3>
+    <table><tr><th>Snow</th><th>Wax</th></tr><tr><td>-10 °C</td><td>Green</td></tr></table>
+    <h4>Tip</h4>
+    <p>Test on a short strip first.</p>
+  </main>
+  <footer><p>© 2026 Nordic Gear</p></footer>
+</body>
+</html>`;
+
+describe('Services - Content Extractor', () => {
+  const encoder = { encode: text => text.split(/\s+/).filter(Boolean) };
+
+  test('should extract markdown without chrome and restore a header H1', () => {
+    const $ = cheerio.load(PAGE);
+    const result = new ContentExtractor({ encoder }).extract($, 'https://nordicgear.example/guides/waxing');
+
+    expect(result.title).toBe('Waxing guide | Nordic Gear');
+    expect(result.markdown).toBe([
+      '# How to wax skis',
+      '',
+      'Glide wax keeps skis fast on cold snow.',
+      '',
+      '## What you need',
+      '',
+      '- A waxing iron',
+      '- A [plastic scraper](https://nordicgear.example/scrapers)',
+      '',
+      '### Wax by temperature',
+      '',
+      '| Snow | Wax |',
+      '| --- | --- |',
+      '| -10 °C | Green |',
+      '',
+      '#### Tip',
+      '',
+      'Test on a short strip first.'
+    ].join('\n'));
+    expect(result.text).not.toMatch(/cookies|©|\[|\|/);
+    expect(result.headings.map(heading => `h${heading.level} ${heading.text}`)).toEqual([
+      'h1 How to wax skis', 'h2 What you need', 'h3 Wax by temperature', 'h4 Tip'
+    ]);
+    expect(result.landmarks).toMatchObject({ mainSelector: 'main', present: ['header', 'nav', 'main', 'footer'], missing: [] });
+    expect($('.cookie-consent').length).toBe(1);
+  });
+
+  test('should split sections at H1-H3 and count tokens per section', () => {
+    const result = new ContentExtractor({ encoder }).extract(cheerio.load(PAGE), 'https://nordicgear.example/guides/waxing');
+
+    expect(result.sections.map(section => [section.heading, section.level, section.words])).toEqual([
+      ['How to wax skis', 1, 8],
+      ['What you need', 2, 6],
+      ['Wax by temperature', 3, 12]
+    ]);
+    expect(result.sections[2].markdown).toContain('#### Tip');
+    expect(result.sections[0].tokens).toBe(8);
+    expect(result.metrics).toMatchObject({ words: 36, sections: 3, removedElements: expect.any(Number) });
+    expect(result.metrics.tokens).toBe(result.markdown.split(/\s+/).length);
+  });
+
+  test('should skip token counting on request and keep fenced headings in their section', () => {
+    const extractor = new ContentExtractor();
+    const sections = extractor.splitSections('Intro\n\n## Code\n\n```\n## not a heading\n```');
+
+    expect(sections.map(section => section.heading)).toEqual([null, 'Code']);
+    expect(extractor.extract(cheerio.load('<main><p>Hi</p></main>'), null, { countTokens: false }).metrics.tokens).toBeNull();
+  });
+});
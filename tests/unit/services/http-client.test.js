@@ -0,0 +1,126 @@
+// tests/unit/services/http-client.test.js
+// Unit tests for the pooled HTTP client against a local server
+
+const http = require('http');
+const { HttpClient } = require('../../../services/http-client');
+
+describe('Services - HttpClient', () => {
+  let server;
+  let baseUrl;
+  let client;
+  let active = 0;
+  let peak = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+        case '/start':
+          res.writeHead(301, { Location: '/middle' });
+          return res.end();
+        case '/middle':
+          res.writeHead(302, { Location: `${baseUrl}/final` });
+          return res.end();
+        case '/final':
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          return res.end('<html><title>Final</title></html>');
+        case '/loop':
+          res.writeHead(302, { Location: '/loop' });
+          return res.end();
+        case '/large':
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          return res.end('x'.repeat(5000));
+        case '/declared-large':
+          res.writeHead(200, { 'Content-Length': '999999' });
+          return res.end('small');
+        case '/slow':
+          active++;
+          peak = Math.max(peak, active);
+          return setTimeout(() => {
+            active--;
+            res.end('ok');
+          }, 30);
+        case '/hang':
+          return; // Never responds
+        default:
+          res.writeHead(404);
+          return res.end('missing');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    client.destroy();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    if (client) client.destroy();
+    client = new HttpClient({ timeout: 2000, maxResponseSize: 1000, maxConcurrentPerHost: 2 });
+  });
+
+  describe('request', () => {
+    test('should follow redirects and record the chain', async () => {
+      const response = await client.request(`${baseUrl}/start`);
+
+      expect(response.status).toBe(200);
+      expect(response.url).toBe(`${baseUrl}/final`);
+      expect(response.body).toContain('<title>Final</title>');
+      expect(response.totalRedirects).toBe(2);
+      expect(response.redirectChain.map(step => step.status)).toEqual([301, 302, 200]);
+      expect(response.redirectChain[0].isRedirect).toBe(true);
+    });
+
+    test('should stop after the redirect limit', async () => {
+      await expect(client.request(`${baseUrl}/loop`, { maxRedirects: 3 }))
+        .rejects.toThrow('Too many redirects');
+    });
+
+    test('should truncate bodies at the size cap', async () => {
+      const response = await client.request(`${baseUrl}/large`);
+
+      expect(response.body).toHaveLength(1000);
+      expect(response.truncated).toBe(true);
+      expect(client.getStats().truncated).toBe(1);
+    });
+
+    test('should reject responses that declare an oversized body', async () => {
+      await expect(client.request(`${baseUrl}/declared-large`)).rejects.toThrow('Response too large');
+    });
+
+    test('should skip the body when includeBody is false', async () => {
+      const response = await client.request(`${baseUrl}/final`, { includeBody: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toBeNull();
+    });
+
+    test('should abort after the timeout', async () => {
+      await expect(client.request(`${baseUrl}/hang`, { timeout: 100 })).rejects.toThrow();
+    });
+
+    test('should limit concurrent requests per host', async () => {
+      peak = 0;
+      const responses = await Promise.all(
+        Array.from({ length: 6 }, () => client.request(`${baseUrl}/slow`))
+      );
+
+      expect(responses.every(response => response.body === 'ok')).toBe(true);
+      expect(peak).toBeLessThanOrEqual(2);
+      expect(client.getStats().queued).toBeGreaterThan(0);
+      expect(client.getStats().activeHosts).toBe(0);
+    });
+  });
+
+  describe('fetch', () => {
+    test('should return a fetch-compatible response', async () => {
+      const response = await client.fetch(`${baseUrl}/nothing-here`);
+
+      expect(response.ok).toBe(false);
+      expect(response.status).toBe(404);
+      expect(await response.text()).toBe('missing');
+    });
+  });
+});
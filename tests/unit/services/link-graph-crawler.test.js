@@ -0,0 +1,165 @@
+// tests/unit/services/link-graph-crawler.test.js
+// Unit tests for the breadth-first link graph crawler
+
+const cheerio = require('cheerio');
+const LinkGraphCrawler = require('../../../services/link-graph-crawler');
+
+// Mock network helpers used for robots.txt and sitemap fetches
+jest.mock('../../../utils/helpers', () => ({
+  fetchWithTimeout: jest.fn(),
+  sleep: jest.fn(() => Promise.resolve())
+}));
+
+const { fetchWithTimeout, sleep } = require('../../../utils/helpers');
+
+const textResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => body
+});
+
+const page = (links, extra = '') => `<html><head><title>Page</title>${extra}</head><body>${
+  links.map(href => `<a href="${href}">link</a>`).join('')
+}</body></html>`;
+
+const site = {
+  'https://example.com/': page(['/about', '/blog', '/private/area', 'https://other.com/', 'mailto:hi@example.com', '/brochure.pdf']),
+  'https://example.com/about': page(['/', '/team#jobs']),
+  'https://example.com/blog': page(['/blog/post-1', '/blog/post-2']),
+  'https://example.com/team': page(['/about']),
+  'https://example.com/blog/post-1': page(['/blog/post-3']),
+  'https://example.com/blog/post-2': page(['/blog']),
+  'https://example.com/blog/post-3': page([])
+};
+
+const fetchPage = jest.fn(async (url) => {
+  if (!site[url]) throw new Error('HTTP 404: Not Found');
+  return { $: cheerio.load(site[url]), url, status: 200 };
+});
+
+const mockRemote = ({ robots, sitemap } = {}) => {
+  fetchWithTimeout.mockImplementation(async (url) => {
+    if (url.endsWith('/robots.txt') && robots) return textResponse(robots);
+    if (url.endsWith('/sitemap.xml') && sitemap) return textResponse(sitemap);
+    return textResponse('Not found', 404);
+  });
+};
+
+describe('Services - LinkGraphCrawler', () => {
+  let auditor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditor = {
+      performLightweightAudit: jest.fn(async () => ({ tests: { seo: { score: 80 } } }))
+    };
+  });
+
+  test('should build a link graph with click depth and in-link counts', async () => {
+    mockRemote({ robots: 'User-agent: *\nDisallow: /private/\n' });
+
+    const crawler = new LinkGraphCrawler({ fetchPage, auditor });
+    const result = await crawler.crawl('https://example.com/', { maxDepth: 2, maxPages: 20, compareSitemap: false });
+
+    const byUrl = Object.fromEntries(result.linkGraph.pages.map(p => [p.url, p]));
+
+    expect(byUrl['https://example.com/'].depth).toBe(0);
+    expect(byUrl['https://example.com/about'].depth).toBe(1);
+    expect(byUrl['https://example.com/team'].depth).toBe(2);
+    expect(byUrl['https://example.com/about'].inLinks).toBe(2);
+    expect(byUrl['https://example.com/blog'].inLinks).toBe(2);
+
+    // External, mailto and non-HTML links are not part of the graph
+    expect(byUrl['https://other.com']).toBeUndefined();
+    expect(Object.keys(byUrl).some(url => url.endsWith('.pdf'))).toBe(false);
+
+    // Depth-3 page is discovered but never fetched
+    expect(byUrl['https://example.com/blog/post-3']).toMatchObject({ depth: 3, fetched: false });
+    expect(result.linkGraph.stats.complete).toBe(false);
+  });
+
+  test('should not fetch URLs disallowed by robots.txt', async () => {
+    mockRemote({ robots: 'User-agent: *\nDisallow: /private/\n' });
+
+    const crawler = new LinkGraphCrawler({ fetchPage, auditor });
+    const result = await crawler.crawl('https://example.com/', { maxDepth: 1, compareSitemap: false, audit: false });
+
+    const blocked = result.linkGraph.pages.find(p => p.url === 'https://example.com/private/area');
+    expect(blocked).toMatchObject({ blockedByRobots: true, fetched: false, robotsRule: 'Disallow: /private/' });
+    expect(fetchPage).not.toHaveBeenCalledWith('https://example.com/private/area');
+    expect(result.robots.blockedUrls).toBe(1);
+  });
+
+  test('should stop at the page budget', async () => {
+    mockRemote();
+
+    const crawler = new LinkGraphCrawler({ fetchPage, auditor });
+    const result = await crawler.crawl('https://example.com/', { maxDepth: 5, maxPages: 3, compareSitemap: false, audit: false });
+
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+    expect(result.linkGraph.stats.pagesFetched).toBe(3);
+  });
+
+  test('should refuse to crawl a start URL blocked by robots.txt', async () => {
+    mockRemote({ robots: 'User-agent: *\nDisallow: /\n' });
+
+    const crawler = new LinkGraphCrawler({ fetchPage, auditor });
+    await expect(crawler.crawl('https://example.com/')).rejects.toThrow('disallowed by robots.txt');
+  });
+
+  test('should honour crawl-delay for its robots group', async () => {
+    mockRemote({ robots: 'User-agent: AttentionBot\nCrawl-delay: 2\nDisallow: /blog\n' });
+
+    const crawler = new LinkGraphCrawler({ fetchPage, auditor });
+    const result = await crawler.crawl('https://example.com/', { maxDepth: 1, compareSitemap: false, audit: false });
+
+    expect(result.robots).toMatchObject({ userAgent: 'AttentionBot', crawlDelay: 2 });
+    expect(sleep).toHaveBeenCalledWith(2000);
+    expect(result.linkGraph.pages.find(p => p.url === 'https://example.com/blog').blockedByRobots).toBe(true);
+  });
+
+  test('should report sitemap URLs the crawl did not reach as orphan candidates', async () => {
+    mockRemote({
+      sitemap: '<urlset><url><loc>https://example.com/about</loc></url><url><loc>https://example.com/landing</loc></url></urlset>'
+    });
+
+    const crawler = new LinkGraphCrawler({ fetchPage, auditor });
+    const result = await crawler.crawl('https://example.com/', { maxDepth: 1, audit: false });
+
+    expect(result.linkGraph.orphanCandidates).toEqual([
+      { url: 'https://example.com/landing', reason: 'in-sitemap-not-linked' }
+    ]);
+  });
+
+  test('should audit fetched pages and attach a rollup', async () => {
+    mockRemote();
+
+    const crawler = new LinkGraphCrawler({ fetchPage, auditor });
+    const result = await crawler.crawl('https://example.com/', { maxDepth: 1, compareSitemap: false });
+
+    expect(auditor.performLightweightAudit).toHaveBeenCalledTimes(3);
+    auditor.performLightweightAudit.mock.calls.forEach(([pageUrl, auditOptions]) => {
+      expect(auditOptions.sharedDocument).toMatchObject({ url: pageUrl, status: 200 });
+    });
+    expect(result.results.every(p => p.success)).toBe(true);
+    expect(result.rollup.scores.seo.average).toBe(80);
+  });
+
+  describe('checkRobots', () => {
+    const robots = {
+      rules: [
+        { directive: 'disallow', path: '/shop' },
+        { directive: 'allow', path: '/shop/public' },
+        { directive: 'disallow', path: '' }
+      ]
+    };
+
+    test('should apply the longest matching rule to the URL path and query', () => {
+      const crawler = new LinkGraphCrawler();
+
+      expect(crawler.checkRobots('https://example.com/shop/cart', robots).allowed).toBe(false);
+      expect(crawler.checkRobots('https://example.com/shop/public/item?page=2', robots).allowed).toBe(true);
+      expect(crawler.checkRobots('https://example.com/about', robots)).toEqual({ allowed: true, rule: null });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/unit/services/llms-txt-generator.test.js
+// Unit tests for sitewide llms.txt / llms-full.txt generation
+
+jest.mock('../../../utils/helpers', () => ({
+  ...jest.requireActual('../../../utils/helpers'),
+  fetchWithTimeout: jest.fn()
+}));
+
+const cheerio = require('cheerio');
+const { fetchWithTimeout } = require('../../../utils/helpers');
+const LlmsTxtGenerator = require('../../../services/llms-txt-generator');
+
+const ORIGIN = 'https://nordicgear.example';
+
+const page = (title, description, links = [], body = '') => `<html><head><title>${title}</title>
+${description ? `<meta name="description" content="${description}">` : ''}</head>
+<body><nav>${links.map(href => `<a href="${href}">link</a>`).join('')}</nav><main>${body}</main></body></html>`;
+
+const SITE = {
+  [`${ORIGIN}/`]: page('Nordic Gear | Ski equipment since 1998', 'Cross-country ski equipment and waxing guides.',
+    ['/guides/waxing', '/guides/poles', '/products/skis', '/about'], '<h1>Nordic Gear</h1>'),
+  [`${ORIGIN}/guides/waxing`]: page('How to wax skis | Nordic Gear', 'Step-by-step glide waxing.',
+    ['/guides/poles', '/products/skis'], '<h1>How to wax skis</h1><p>Warm the iron and drip the wax.</p>'),
+  [`${ORIGIN}/guides/poles`]: page('Choosing poles | Nordic Gear', null, ['/guides/waxing'], '<h1>Choosing poles</h1><p>Pole length is about 85% of height.</p>'),
+  [`${ORIGIN}/products/skis`]: page('Classic skis | Nordic Gear', 'Waxable and skin skis.', ['/guides/waxing'], '<p>Skis.</p>'),
+  [`${ORIGIN}/about`]: page('About us | Nordic Gear', 'Family shop in Helsinki.', [], '<p>About.</p>'),
+  [`${ORIGIN}/privacy-policy`]: page('Privacy | Nordic Gear', null, [], '<p>Privacy.</p>'),
+  [`${ORIGIN}/draft`]: page('Draft | Nordic Gear', null, [], '').replace('<head>', '<head><meta name="robots" content="noindex">')
+};
+
+const fetchPage = jest.fn(async url => {
+  if (!SITE[url]) throw new Error('HTTP 404: Not Found');
+  return { status: 200, url, $: cheerio.load(SITE[url]) };
+});
+
+const sitemapCrawler = urls => ({
+  discoverSitemaps: jest.fn(async () => [`${ORIGIN}/sitemap.xml`]),
+  collectSitemapUrls: jest.fn(async () => ({ sitemaps: [], urls, truncated: false }))
+});
+
+describe('Services - LLMs.txt Generator', () => {
+  beforeEach(() => {
+    fetchPage.mockClear();
+    fetchWithTimeout.mockReset();
+  });
+
+  test('should classify pages by path, schema and og:type', () => {
+    const generator = new LlmsTxtGenerator({ fetchPage });
+    const empty = cheerio.load('<html></html>');
+
+    expect(generator.classifyPage(`${ORIGIN}/`, empty)).toBe('home');
+    expect(generator.classifyPage(`${ORIGIN}/docs/setup`, empty)).toBe('docs');
+    expect(generator.classifyPage(`${ORIGIN}/terms-of-service`, empty)).toBe('legal');
+    expect(generator.classifyPage(`${ORIGIN}/x`, cheerio.load('<script type="application/ld+json">{"@type":"Product"}</script>'))).toBe('product');
+    expect(generator.classifyPage(`${ORIGIN}/y`, cheerio.load('<meta property="og:type" content="article">'))).toBe('blog');
+    expect(generator.classifyPage(`${ORIGIN}/z`, empty)).toBe('other');
+  });
+
+  test('should classify by @type arrays, microdata and RDFa', () => {
+    const generator = new LlmsTxtGenerator({ fetchPage });
+    const classify = html => generator.classifyPage(`${ORIGIN}/x`, cheerio.load(html));
+
+    expect(classify('<script type="application/ld+json">{"@type":["WebPage","https://schema.org/BlogPosting"]}</script>')).toBe('blog');
+    expect(classify('<div itemscope itemtype="https://schema.org/Product"><span itemprop="name">Wax</span></div>')).toBe('product');
+    expect(classify('<div vocab="https://schema.org/" typeof="Service"><span property="name">Waxing</span></div>')).toBe('product');
+  });
+
+  test('should build ranked sections from sitemap pages', async () => {
+    const generator = new LlmsTxtGenerator({ fetchPage, siteCrawler: sitemapCrawler(Object.keys(SITE)) });
+    const result = await generator.generate(`${ORIGIN}/shop`);
+
+    expect(result.source).toBe('sitemap');
+    expect(result.metadata).toMatchObject({ title: 'Nordic Gear', pagesDiscovered: 7, pagesIncluded: 5, noindexSkipped: 1 });
+    expect(result.sections.map(section => section.title)).toEqual(['Docs', 'Products', 'Company', 'Optional']);
+    expect(result.sections[0].pages.map(entry => [entry.title, entry.inLinks])).toEqual([
+      ['How to wax skis', 3],
+      ['Choosing poles', 2]
+    ]);
+
+    expect(result.llmsTxt).toBe([
+      '# Nordic Gear',
+      '',
+      '> Cross-country ski equipment and waxing guides.',
+      '',
+      '## Docs',
+      '',
+      `- [How to wax skis](${ORIGIN}/guides/waxing): Step-by-step glide waxing.`,
+      `- [Choosing poles](${ORIGIN}/guides/poles)`,
+      '',
+      '## Products',
+      '',
+      `- [Classic skis](${ORIGIN}/products/skis): Waxable and skin skis.`,
+      '',
+      '## Company',
+      '',
+      `- [About us](${ORIGIN}/about): Family shop in Helsinki.`,
+      '',
+      '## Optional',
+      '',
+      `- [Privacy](${ORIGIN}/privacy-policy)`,
+      ''
+    ].join('\n'));
+    expect(result.validation.errors).toEqual([]);
+    expect(result.validation.score).toBe(100);
+    expect(result.llmsFullTxt).toBeUndefined();
+  });
+
+  test('should fill llms-full.txt with top pages within the token budget', async () => {
+    const encoder = { encode: jest.fn(text => new Array(text.includes('Pole length') ? 500 : 20).fill(0)) };
+    const generator = new LlmsTxtGenerator({ fetchPage, encoder, siteCrawler: sitemapCrawler(Object.keys(SITE)) });
+    const result = await generator.generate(ORIGIN, { includeFull: true, tokenBudget: 200, fullPages: 3 });
+
+    expect(result.full.pages.map(entry => entry.url)).toEqual([`${ORIGIN}/guides/waxing`, `${ORIGIN}/products/skis`]);
+    expect(result.full.skipped).toEqual([{ url: `${ORIGIN}/guides/poles`, tokens: 500 }]);
+    expect(result.full.tokens).toBeLessThanOrEqual(200);
+    expect(result.llmsFullTxt).toContain(`Source: ${ORIGIN}/guides/waxing\n\n# How to wax skis\n\nWarm the iron and drip the wax.`);
+    expect(result.llmsFullTxt).not.toContain('<nav>');
+  });
+
+  test('should fall back to a link crawl when the sitemap is empty', async () => {
+    fetchWithTimeout.mockResolvedValue({ ok: false, status: 404 }); // robots.txt
+    const generator = new LlmsTxtGenerator({ fetchPage, siteCrawler: sitemapCrawler([]) });
+    const result = await generator.generate(`${ORIGIN}/`, { maxDepth: 2 });
+
+    expect(result.source).toBe('crawl');
+    expect(result.sections.map(section => section.title)).toEqual(['Docs', 'Products', 'Company']);
+    expect(result.sections[0].pages[0]).toMatchObject({ url: `${ORIGIN}/guides/waxing`, inLinks: 3 });
+  });
+
+  test('should group untyped pages by path segment', () => {
+    const generator = new LlmsTxtGenerator({ fetchPage });
+    const sections = generator.buildSections([
+      { url: `${ORIGIN}/case-studies/a`, pageType: 'other', inLinks: 1 },
+      { url: `${ORIGIN}/case-studies/b`, pageType: 'other', inLinks: 4 },
+      { url: `${ORIGIN}/locations`, pageType: 'other', inLinks: 0 }
+    ], { maxLinksPerSection: 1 });
+
+    expect(sections).toEqual([
+      { title: 'Case Studies', pages: [expect.objectContaining({ url: `${ORIGIN}/case-studies/b` })], omitted: 1 },
+      { title: 'Pages', pages: [expect.objectContaining({ url: `${ORIGIN}/locations` })], omitted: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,198 @@
+// tests/unit/services/llms-txt-validator.test.js
+// Unit tests for llms.txt spec validation
+
+const LlmsTxtValidator = require('../../../services/llms-txt-validator');
+const { markdownVariantUrl } = require('../../../services/llms-txt-validator');
+
+const VALID_LLMS = `# Nordic Gear
+
+> Cross-country ski equipment, waxing guides and rentals in Helsinki.
+
+We ship within Finland and Sweden.
+
+## Guides
+
+- [Waxing skis](https://nordicgear.example/guides/waxing): Step-by-step glide waxing
+- [Choosing poles](/guides/poles)
+
+## Optional
+
+- [Company history](https://nordicgear.example/about/)
+`;
+
+/**
+ * Mock http-client whose responses are looked up by URL; unknown URLs return 404
+ */
+function createClient(responses = {}) {
+  return {
+    request: jest.fn(async (url, options = {}) => {
+      const entry = responses[url];
+      if (entry instanceof Error) throw entry;
+      const status = entry ? entry.status || 200 : 404;
+      if (entry && entry.headOnlyFails && options.method === 'HEAD') {
+        return { status: 405, ok: false, headers: {} };
+      }
+      return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: (entry && entry.headers) || {},
+        body: entry ? entry.body || '' : ''
+      };
+    })
+  };
+}
+
+describe('Services - LLMs.txt Validator', () => {
+  describe('parse', () => {
+    test('should read title, summary, details and link sections', () => {
+      const parsed = new LlmsTxtValidator().parse(VALID_LLMS, 'https://nordicgear.example/llms.txt');
+
+      expect(parsed.title).toBe('Nordic Gear');
+      expect(parsed.summary).toBe('Cross-country ski equipment, waxing guides and rentals in Helsinki.');
+      expect(parsed.details).toBe('We ship within Finland and Sweden.');
+      expect(parsed.sections.map(section => [section.title, section.optional, section.links.length])).toEqual([
+        ['Guides', false, 2],
+        ['Optional', true, 1]
+      ]);
+      expect(parsed.sections[0].links[0]).toEqual({
+        title: 'Waxing skis',
+        url: 'https://nordicgear.example/guides/waxing',
+        description: 'Step-by-step glide waxing',
+        line: 9
+      });
+      expect(parsed.sections[0].links[1].url).toBe('https://nordicgear.example/guides/poles');
+      expect(parsed.errors).toEqual([]);
+      expect(parsed.warnings).toEqual([]);
+    });
+
+    test('should flag a missing H1, non-link list items and deep headings', () => {
+      const parsed = new LlmsTxtValidator().parse(
+        'User-agent: *\n\n## Docs\n\n- plain text item\n\n### Details\n\n```\n# not a title\n```\n',
+        'https://example.com/llms.txt'
+      );
+
+      expect(parsed.title).toBeNull();
+      expect(parsed.errors.map(error => error.code)).toEqual(['missing_h1', 'invalid_link_item']);
+      expect(parsed.errors[0].line).toBe(1);
+      expect(parsed.warnings.map(warning => warning.code)).toEqual(['heading_level']);
+    });
+
+    test('should flag a second H1 and sections without links', () => {
+      const parsed = new LlmsTxtValidator().parse('# One\n\n> Summary\n\n## Empty\n\n# Two\n', 'https://example.com/llms.txt');
+
+      expect(parsed.errors).toEqual([{ code: 'multiple_h1', line: 7, message: 'Only one H1 is allowed; found "Two"' }]);
+      expect(parsed.warnings.map(warning => warning.code)).toEqual(['empty_section']);
+    });
+  });
+
+  describe('validateContent', () => {
+    test('should score structure and skip network checks', () => {
+      const report = new LlmsTxtValidator().validateContent(VALID_LLMS, 'https://nordicgear.example/llms.txt');
+
+      expect(report.checks.reachability.skipped).toBe(true);
+      expect(report.score).toBe(100);
+      expect(report.links).toHaveLength(3);
+    });
+
+    test('should report an empty file', () => {
+      const report = new LlmsTxtValidator().validateContent('  \n', 'https://example.com/llms.txt');
+
+      expect(report.errors).toEqual([{ code: 'empty_file', line: null, message: 'llms.txt is empty' }]);
+      expect(report.score).toBe(0);
+    });
+  });
+
+  describe('validate', () => {
+    test('should check links, llms-full.txt and .md variants', async () => {
+      const client = createClient({
+        'https://nordicgear.example/llms.txt': { body: VALID_LLMS, headers: { 'content-type': 'text/plain' } },
+        'https://nordicgear.example/guides/waxing': { headOnlyFails: true },
+        'https://nordicgear.example/about/': {},
+        'https://nordicgear.example/llms-full.txt': {},
+        'https://nordicgear.example/guides/waxing.md': {},
+        'https://nordicgear.example/about/index.html.md': {}
+      });
+      const report = await new LlmsTxtValidator({ client }).validate('https://nordicgear.example/shop');
+
+      expect(report.reachability).toEqual({
+        checked: 3,
+        reachable: 2,
+        broken: [{ url: 'https://nordicgear.example/guides/poles', status: 404, error: null }],
+        blocked: [],
+        unchecked: 0
+      });
+      expect(report.errors).toEqual([expect.objectContaining({ code: 'broken_link', line: 10 })]);
+      expect(report.full).toEqual({ url: 'https://nordicgear.example/llms-full.txt', exists: true, status: 200 });
+      expect(report.markdownVariants).toEqual({
+        checked: 3,
+        available: 2,
+        missing: ['https://nordicgear.example/guides/poles.md']
+      });
+      expect(report.warnings.map(warning => warning.code)).toEqual(['missing_md_variants']);
+      // 25 + 15 + 20 + 10 + 15 * 2/3 + 10 + 5 * 2/3 = 93.3
+      expect(report.score).toBe(93);
+    });
+
+    test('should score zero when llms.txt is missing or served as HTML', async () => {
+      const missing = await new LlmsTxtValidator({ client: createClient() }).validate('https://example.com/');
+      expect(missing).toMatchObject({ exists: false, score: 0, errors: [expect.objectContaining({ code: 'not_found' })] });
+
+      const client = createClient({
+        'https://example.com/llms.txt': { body: '<!DOCTYPE html><html></html>', headers: { 'content-type': 'text/html' } }
+      });
+      const html = await new LlmsTxtValidator({ client }).validate('https://example.com/');
+      expect(html).toMatchObject({ exists: true, score: 0, errors: [expect.objectContaining({ code: 'not_markdown' })] });
+    });
+
+    test('should use provided content and cap link checks', async () => {
+      const client = createClient();
+      const report = await new LlmsTxtValidator({ client, maxLinkChecks: 1, maxMarkdownChecks: 0 })
+        .validate('https://nordicgear.example', { content: VALID_LLMS });
+
+      expect(client.request).not.toHaveBeenCalledWith('https://nordicgear.example/llms.txt', expect.anything());
+      expect(report.reachability).toMatchObject({ checked: 1, unchecked: 2 });
+      expect(report.checks.markdownVariants.skipped).toBe(true);
+      expect(report.warnings.map(warning => warning.code)).toContain('missing_full');
+    });
+
+    test('should not request off-site links to private or loopback addresses', async () => {
+      const content = `# Intranet
+
+## Docs
+
+- [Metadata](http://169.254.169.254/latest/meta-data/)
+- [Admin](http://127.0.0.1:8080/admin)
+- [Mapped](http://[::ffff:10.0.0.1]/)
+- [Partner](https://partner.example/docs)
+`;
+      const client = createClient({ 'https://partner.example/docs': {} });
+      const report = await new LlmsTxtValidator({ client, maxMarkdownChecks: 0 })
+        .validate('https://nordicgear.example', { content });
+
+      const requested = client.request.mock.calls.map(([url]) => url);
+      expect(requested).toEqual(expect.arrayContaining(['https://partner.example/docs']));
+      expect(requested.some(url => /169\.254|127\.0\.0\.1|::ffff/.test(url))).toBe(false);
+      expect(report.reachability).toMatchObject({
+        checked: 1,
+        reachable: 1,
+        blocked: ['http://169.254.169.254/latest/meta-data/', 'http://127.0.0.1:8080/admin', 'http://[::ffff:a00:1]/'],
+        unchecked: 0
+      });
+      expect(report.warnings.filter(warning => warning.code === 'internal_link')).toHaveLength(3);
+    });
+
+    test('should check links on an internal audited site', async () => {
+      const client = createClient({ 'http://127.0.0.1:3000/docs': {} });
+      const report = await new LlmsTxtValidator({ client, maxMarkdownChecks: 0 })
+        .validate('http://127.0.0.1:3000/', { content: '# Local\n\n## Docs\n\n- [Docs](/docs)\n' });
+
+      expect(client.request).toHaveBeenCalledWith('http://127.0.0.1:3000/docs', expect.anything());
+      expect(report.reachability).toMatchObject({ checked: 1, reachable: 1, blocked: [] });
+    });
+  });
+
+  test('should build markdown variant URLs', () => {
+    expect(markdownVariantUrl('https://example.com/docs/intro?x=1#top')).toBe('https://example.com/docs/intro.md');
+    expect(markdownVariantUrl('https://example.com/docs/')).toBe('https://example.com/docs/index.html.md');
+  });
+});
@@ -0,0 +1,97 @@
+// tests/unit/services/log-analyzer.test.js
+// Unit tests for access-log bot traffic analysis
+
+const { Readable } = require('stream');
+const LogAnalyzer = require('../../../services/log-analyzer');
+const BotVerifier = require('../../../services/bot-verifier');
+const { parseRobotsTxt } = require('../../../utils/robots-matcher');
+
+const GOOGLEBOT_UA = 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)';
+const GPTBOT_UA = 'Mozilla/5.0 AppleWebKit/537.36 (KHTML, like Gecko; compatible; GPTBot/1.2; +https://openai.com/gptbot)';
+
+const line = (ip, time, path, status, userAgent) =>
+  `${ip} - - [${time} +0000] "GET ${path} HTTP/1.1" ${status} 512 "-" "${userAgent}"`;
+
+const LOG = [
+  line('66.249.66.1', '18/Oct/2026:10:00:00', '/', 200, GOOGLEBOT_UA),
+  line('66.249.66.1', '18/Oct/2026:11:00:00', '/blog/post', 200, GOOGLEBOT_UA),
+  line('66.249.66.1', '19/Oct/2026:09:00:00', '/blog/post', 301, GOOGLEBOT_UA),
+  line('203.0.113.9', '19/Oct/2026:09:30:00', '/admin/login', 403, GOOGLEBOT_UA),
+  line('20.171.0.1', '19/Oct/2026:10:00:00', '/docs/', 200, GPTBOT_UA),
+  line('20.171.0.1', '19/Oct/2026:10:01:00', '/docs/api', 404, GPTBOT_UA),
+  line('192.0.2.10', '19/Oct/2026:10:02:00', '/', 200, 'Mozilla/5.0 (Windows NT 10.0) Firefox/131.0'),
+  line('192.0.2.11', '19/Oct/2026:10:03:00', '/', 200, 'SomeNewCrawler/1.0 (+https://crawler.example)'),
+  '',
+  'garbage line',
+  JSON.stringify({ remote_addr: '20.171.0.2', time: '2026-10-19T11:00:00Z', request: 'GET /docs/guide HTTP/1.1', status: 200, http_user_agent: GPTBOT_UA })
+].join('\n');
+
+const ROBOTS = 'User-agent: GPTBot\nDisallow: /docs/\n\nUser-agent: *\nDisallow: /admin/\n';
+
+describe('Services - Log Analyzer', () => {
+  const resolver = BotVerifier.createStubResolver({
+    ptr: { '66.249.66.1': ['crawl-66-249-66-1.googlebot.com'] },
+    a: { 'crawl-66-249-66-1.googlebot.com': ['66.249.66.1'] }
+  });
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new LogAnalyzer({ verifier: new BotVerifier({ resolver }) });
+  });
+
+  test('should classify user-agents by registry pattern', () => {
+    expect(analyzer.classify(GOOGLEBOT_UA)).toBe('Googlebot');
+    expect(analyzer.classify('Mozilla/5.0 (compatible; Google-Extended)')).toBe('Google-Extended');
+    expect(analyzer.classify('Mozilla/5.0 Firefox/131.0')).toBeNull();
+    expect(analyzer.classify(null)).toBeNull();
+  });
+
+  test('should report frequency, status mix and top paths per bot', async () => {
+    const result = await analyzer.analyzeStream(Readable.from([LOG]), { verifyDns: false });
+
+    expect(result.lines).toEqual({ total: 10, parsed: 9, invalid: 1 });
+    expect(result.period).toEqual({ start: '2026-10-18T10:00:00.000Z', end: '2026-10-19T11:00:00.000Z', days: 2 });
+    expect(result.summary).toMatchObject({ totalHits: 9, botHits: 7, otherHits: 2, botsSeen: ['Googlebot', 'GPTBot'] });
+
+    const googlebot = result.bots.Googlebot;
+    expect(googlebot.hits).toBe(4);
+    expect(googlebot.frequency).toMatchObject({ activeDays: 2, averagePerDay: 2, peakDay: { date: '2026-10-18', hits: 2 } });
+    expect(googlebot.statuses.byClass).toEqual({ '2xx': 2, '3xx': 1, '4xx': 1 });
+    expect(googlebot.topPaths[0]).toEqual({ path: '/blog/post', hits: 2 });
+    expect(googlebot.disallowedCrawls).toBeNull();
+    expect(googlebot.verification).toEqual({ status: 'skipped' });
+    expect(result.unknownBots).toEqual([{ userAgent: 'SomeNewCrawler/1.0 (+https://crawler.example)', hits: 1 }]);
+  });
+
+  test('should count crawls of paths robots.txt disallows for that bot', async () => {
+    const robots = { ...parseRobotsTxt(ROBOTS), availability: 'available' };
+    const result = await analyzer.analyzeStream(Readable.from([LOG]), { robots, verifyDns: false });
+
+    expect(result.bots.GPTBot.disallowedCrawls.hits).toBe(3);
+    expect(result.bots.GPTBot.disallowedCrawls.paths[0].rule).toMatchObject({ directive: 'disallow', path: '/docs/' });
+    expect(result.bots.Googlebot.disallowedCrawls).toMatchObject({ hits: 1, paths: [{ path: '/admin/login', hits: 1 }] });
+    expect(result.summary.disallowedHits).toBe(4);
+  });
+
+  test('should separate verified and spoofed traffic for bots with DNS rules', async () => {
+    const result = await analyzer.analyzeStream(Readable.from([LOG]));
+
+    expect(result.bots.Googlebot.verification).toMatchObject({
+      status: 'checked',
+      ipsChecked: 2,
+      verifiedHits: 3,
+      spoofedHits: 1,
+      spoofedIps: [{ ip: '203.0.113.9', hits: 1, reason: 'No PTR record' }]
+    });
+    expect(result.bots.GPTBot.verification).toEqual({ status: 'no-rule' });
+    expect(result.summary).toMatchObject({ spoofedHits: 1, botsWithSpoofedTraffic: ['Googlebot'] });
+  });
+
+  test('should reject when the input stream fails', async () => {
+    const stream = new Readable({ read() {} });
+    const analysis = analyzer.analyzeStream(stream);
+    stream.destroy(new Error('upload aborted'));
+
+    await expect(analysis).rejects.toThrow('upload aborted');
+  });
+});
@@ -0,0 +1,108 @@
+// tests/unit/services/passage-chunker.test.js
+// Unit tests for heading-aware passage chunking and self-containedness checks
+
+const cheerio = require('cheerio');
+const ContentExtractor = require('../../../services/content-extractor');
+const PassageChunker = require('../../../services/passage-chunker');
+
+// Whitespace tokenizer keeps token counts predictable
+const encoder = { encode: text => text.split(/\s+/).filter(Boolean) };
+
+const filler = (count, sentence) => Array.from({ length: count }, () => sentence).join(' ');
+
+const PAGE = `<html><head><title>Ski waxing | Nordic Gear</title></head><body>
+  <main>
+    <h1>How to wax skis</h1>
+    <p>${filler(15, 'Waxing skis keeps the base fast and protects it from dry snow.')}</p>
+    <h2>Choosing wax</h2>
+    <p>It depends on the snow. As mentioned above, colder snow needs harder glide wax.</p>
+    <h3>Temperature bands</h3>
+    <p>${filler(25, 'Green glide suits cold snow below minus ten degrees.')}</p>
+    <h2>Storage</h2>
+    <p>${filler(20, 'Keep the base covered in a thick layer of wax over summer.')}</p>
+    <p>${filler(20, 'Store the pair in a dry and cool room away from sunlight.')}</p>
+  </main>
+</body></html>`;
+
+describe('Services - Passage Chunker', () => {
+  let result;
+
+  beforeEach(() => {
+    const extraction = new ContentExtractor({ encoder }).extract(cheerio.load(PAGE), 'https://nordicgear.example/wax');
+    result = new PassageChunker({ encoder, chunkTokens: { min: 50, ideal: 100, max: 300 } }).analyze(extraction);
+  });
+
+  test('should follow heading boundaries and keep the heading path', () => {
+    expect(result.sections.map(section => section.heading)).toEqual([
+      'How to wax skis',
+      'Choosing wax',
+      'Temperature bands',
+      'Storage'
+    ]);
+    expect(result.sections[2].path).toEqual(['How to wax skis', 'Choosing wax', 'Temperature bands']);
+    expect(result.sections[3].path).toEqual(['How to wax skis', 'Storage']);
+  });
+
+  test('should pass a sized, self-contained section', () => {
+    const [intro] = result.sections;
+
+    expect(intro).toMatchObject({ tokens: 180, tooLong: false, fragmented: false, issues: [], retrievability: 100 });
+    expect(intro.chunks).toHaveLength(1);
+    expect(intro.chunks[0].selfContained).toBe(true);
+  });
+
+  test('should flag a fragmented section with a leading pronoun and dangling reference', () => {
+    const choosing = result.sections[1];
+
+    expect(choosing.fragmented).toBe(true);
+    expect(choosing.chunks[0]).toMatchObject({
+      startsWithPronoun: true,
+      missingSubject: false,
+      danglingReferences: ['as mentioned above'],
+      selfContained: false
+    });
+    expect(choosing.issues).toEqual([
+      'Section is only 14 tokens; too little context to be retrieved on its own',
+      'Starts with "It", which refers to text outside the chunk',
+      'Points to other parts of the page: "as mentioned above"'
+    ]);
+    expect(choosing.retrievability).toBe(15 + 60 - 20 - 10);
+  });
+
+  test('should split long sections at paragraph boundaries and flag them', () => {
+    const storage = result.sections[3];
+
+    expect(storage.tooLong).toBe(true);
+    expect(storage.chunks).toHaveLength(2);
+    expect(storage.chunks.every(chunk => chunk.tokens <= 300)).toBe(true);
+    expect(storage.issues[0]).toBe('Section is 480 tokens and splits into 2 chunks; add subheadings');
+    expect(result.chunks[4]).toMatchObject({ section: 3, heading: 'Storage', continuation: true });
+  });
+
+  test('should report a missing subject entity', () => {
+    const temperature = result.sections[2];
+
+    expect(temperature.chunks[0].missingSubject).toBe(true);
+    expect(temperature.issues).toContain('Never names the subject of its section or page');
+  });
+
+  test('should summarise chunks and sections', () => {
+    expect(result.summary).toMatchObject({
+      sections: 4,
+      chunks: 5,
+      selfContainedChunks: 2,
+      tooLong: 1,
+      fragmented: 1
+    });
+    expect(result.summary.chunkTokens).toEqual({ min: 50, ideal: 100, max: 300 });
+  });
+
+  test('should accept demonstratives that introduce a noun', () => {
+    const chunker = new PassageChunker({ encoder });
+
+    expect(chunker.checkSelfContained('This wax is for cold snow.', ['wax']).startsWithPronoun).toBe(false);
+    expect(chunker.checkSelfContained('This is why wax matters.', ['wax']).startsWithPronoun).toBe(true);
+    expect(chunker.checkSelfContained('See the previous section for skis.', ['ski']).danglingReferences)
+      .toEqual(['the previous section']);
+  });
+});
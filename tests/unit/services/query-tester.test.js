@@ -0,0 +1,102 @@
+// tests/unit/services/query-tester.test.js
+// Unit tests for target-question retrieval tests
+
+const cheerio = require('cheerio');
+const ContentExtractor = require('../../../services/content-extractor');
+const QueryTester = require('../../../services/query-tester');
+
+// Whitespace tokenizer keeps token counts predictable
+const encoder = { encode: text => text.split(/\s+/).filter(Boolean) };
+
+const PAGE = `<html><head><title>Help | Nordic Gear</title></head><body>
+  <main>
+    <h1>Customer help</h1>
+    <h2>Shipping</h2>
+    <p>Nordic Gear ships skis and wax to Sweden, Norway and Finland. Orders arrive within three working days.</p>
+    <h2>Returns</h2>
+    <p>Unused items can be returned within 30 days for a full refund. Print the return label from your account.</p>
+    <h2>Ski care</h2>
+    <p>Wax your skis every few outings. Store skis in a dry room over summer.</p>
+    <h2>Wax care</h2>
+    <p>Store wax in a dry room over summer.</p>
+  </main>
+</body></html>`;
+
+describe('Services - Query Tester', () => {
+  let report;
+
+  beforeEach(() => {
+    const extraction = new ContentExtractor({ encoder }).extract(cheerio.load(PAGE), 'https://nordicgear.example/help');
+    report = new QueryTester({ encoder }).test(extraction, [
+      'Do you ship skis to Norway?',
+      'Can I return unused items?',
+      'How should I store things over summer?',
+      'How much does shipping to Iceland cost?',
+      'Do you offer gift cards?'
+    ]);
+  });
+
+  test('should find a strong answer chunk with a clear margin', () => {
+    const [shipping] = report.results;
+
+    expect(shipping.status).toBe('strong');
+    expect(shipping.answered).toBe(true);
+    expect(shipping.best).toMatchObject({
+      heading: 'Shipping',
+      path: ['Customer help', 'Shipping'],
+      matchedTerms: ['ship', 'skis', 'norway'],
+      missingTerms: [],
+      coverage: 1
+    });
+    expect(shipping.best.text).toContain('Orders arrive within three working days');
+    expect(shipping.runnerUp.heading).toBe('Ski care');
+    expect(shipping.margin).toBeCloseTo(shipping.best.score - shipping.runnerUp.score, 2);
+    expect(shipping.relativeMargin).toBeGreaterThanOrEqual(0.2);
+  });
+
+  test('should rank the matching section first for each question', () => {
+    const returns = report.results[1];
+
+    expect(returns.status).toBe('strong');
+    expect(returns.best.heading).toBe('Returns');
+    expect(returns.best.coverage).toBe(1);
+    expect(returns.relativeMargin).toBeGreaterThanOrEqual(0.2);
+  });
+
+  test('should mark close competing chunks as ambiguous', () => {
+    const storage = report.results[2];
+
+    expect(storage.status).toBe('ambiguous');
+    expect(storage.ranking.map(entry => entry.heading)).toEqual(['Wax care', 'Ski care']);
+    expect(storage.relativeMargin).toBeLessThan(0.2);
+    expect(storage.margin).toBeCloseTo(storage.best.score - storage.runnerUp.score, 2);
+  });
+
+  test('should report weak matches with the missing terms', () => {
+    const iceland = report.results[3];
+
+    expect(iceland.status).toBe('weak');
+    expect(iceland.answered).toBe(false);
+    expect(iceland.best.heading).toBe('Shipping');
+    expect(iceland.best.missingTerms).toEqual(['much', 'iceland', 'cost']);
+  });
+
+  test('should report questions the page does not answer', () => {
+    const giftCards = report.results[4];
+
+    expect(giftCards).toMatchObject({ status: 'missing', answered: false, best: null, runnerUp: null, margin: 0, ranking: [] });
+  });
+
+  test('should summarise the answer rate', () => {
+    expect(report.chunks).toBe(4);
+    expect(report.summary).toEqual({
+      questions: 5,
+      answered: 3,
+      strong: 2,
+      ambiguous: 1,
+      weak: 1,
+      missing: 1,
+      answerRate: 60
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// tests/unit/services/regression-alerts.test.js
+// Unit tests for audit.regressed webhook alerts
+
+const http = require('http');
+const { WebhookService } = require('../../../services/webhooks');
+const { InMemoryAuditHistoryStore, setAuditHistoryStore } = require('../../../services/audit-history');
+const { recordAuditWithAlerts, getRegressionThreshold } = require('../../../services/regression-alerts');
+
+const auditResult = (seo, robots = 'index, follow') => ({
+  tests: {
+    seo: { score: seo },
+    metadata: { robots, canonical: 'https://example.com/' }
+  }
+});
+
+describe('Services - RegressionAlerts', () => {
+  let store;
+  let webhooks;
+
+  beforeEach(() => {
+    store = new InMemoryAuditHistoryStore();
+    setAuditHistoryStore(store);
+    webhooks = { enabled: true, sendAuditRegressed: jest.fn().mockResolvedValue() };
+  });
+
+  afterEach(() => {
+    setAuditHistoryStore(null);
+    delete process.env.REGRESSION_ALERT_THRESHOLD;
+    delete process.env.AUDIT_HISTORY_BACKEND;
+  });
+
+  test('should send audit.regressed with before/after values and the prior job ID', async () => {
+    await recordAuditWithAlerts('https://example.com', auditResult(85), { jobId: 'job-1' }, { webhooks });
+    const entry = await recordAuditWithAlerts('https://example.com/', auditResult(70, 'noindex'), {
+      jobId: 'job-2',
+      options: { clientId: 'acme' }
+    }, { webhooks });
+
+    expect(entry.jobId).toBe('job-2');
+    expect(webhooks.sendAuditRegressed).toHaveBeenCalledTimes(1);
+
+    const [jobId, regression, metadata] = webhooks.sendAuditRegressed.mock.calls[0];
+    expect(jobId).toBe('job-2');
+    expect(regression).toMatchObject({
+      url: 'https://example.com/',
+      previousJobId: 'job-1',
+      threshold: 5,
+      scores: { before: { seo: 85 }, after: { seo: 70 } }
+    });
+    expect(regression.alerts.map(alert => alert.type)).toEqual(['score-drop', 'score-drop', 'noindex']);
+    expect(metadata.clientId).toBe('acme');
+  });
+
+  test('should stay quiet for the first audit and for drops within the threshold', async () => {
+    await recordAuditWithAlerts('https://example.com', auditResult(85), { jobId: 'job-1' }, { webhooks });
+    await recordAuditWithAlerts('https://example.com', auditResult(82), {
+      jobId: 'job-2',
+      options: { regressionThreshold: 3 }
+    }, { webhooks });
+
+    expect(webhooks.sendAuditRegressed).not.toHaveBeenCalled();
+    expect(await store.getHistory('https://example.com')).toHaveLength(2);
+  });
+
+  test('should resolve to null instead of rejecting when the history store cannot be created', async () => {
+    setAuditHistoryStore(null);
+    process.env.AUDIT_HISTORY_BACKEND = 'bogus';
+
+    await expect(recordAuditWithAlerts('https://example.com', auditResult(85), { jobId: 'job-1' }, { webhooks }))
+      .resolves.toBeNull();
+    expect(webhooks.sendAuditRegressed).not.toHaveBeenCalled();
+  });
+
+  test('should resolve the threshold from options, then environment', () => {
+    process.env.REGRESSION_ALERT_THRESHOLD = '12';
+    expect(getRegressionThreshold({ regressionThreshold: 2 })).toBe(2);
+    expect(getRegressionThreshold()).toBe(12);
+    process.env.REGRESSION_ALERT_THRESHOLD = 'not-a-number';
+    expect(getRegressionThreshold()).toBe(5);
+  });
+
+  describe('WebhookService.sendAuditRegressed', () => {
+    let server;
+    let received;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { headers: req.headers, body: JSON.parse(body) };
+          res.end('ok');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should deliver a signed audit.regressed event', async () => {
+      const service = new WebhookService();
+      service.enabled = true;
+      service.secret = 'test-secret';
+      service.retryAttempts = 1;
+      service.endpoints = new Map([['default', `http://127.0.0.1:${server.address().port}/hook`]]);
+
+      await service.sendAuditRegressed('job-2', {
+        url: 'https://example.com',
+        previousJobId: 'job-1',
+        alerts: [{ type: 'noindex', before: 'index', after: 'noindex' }],
+        scores: { before: { seo: 85 }, after: { seo: 70 } }
+      });
+
+      expect(received.headers['x-webhook-event']).toBe('audit.regressed');
+      expect(received.body.data).toMatchObject({ jobId: 'job-2', previousJobId: 'job-1' });
+      expect(received.headers['x-webhook-signature'])
+        .toBe(service.generateSignature(received.body, received.headers['x-webhook-id']));
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// tests/unit/services/report-generator.test.js
+// Unit tests for client HTML/PDF reports
+
+const ReportGenerator = require('../../../services/report-generator');
+
+const auditResult = {
+  url: 'https://example.com/',
+  timestamp: '2024-05-01T00:00:00.000Z',
+  tests: {
+    seo: { score: 90, issues: ['Title too long'] },
+    accessibility: { score: 35, issues: ['Images missing alt text (3 instances)'] },
+    aeo: {
+      score: 55,
+      recommendations: [
+        { priority: 'low', title: 'Add a glossary', description: 'Define key terms' },
+        { priority: 'high', title: 'Add FAQ schema', description: 'Use <FAQPage> markup', implementation: { steps: ['Pick questions', 'Add JSON-LD'] } }
+      ]
+    },
+    eat: {
+      overallScore: 60,
+      recommendations: [{ priority: 'medium', category: 'Authority', title: 'Add author bios', description: 'Show credentials' }]
+    }
+  }
+};
+
+describe('Services - ReportGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new ReportGenerator({ brand: { name: 'Acme SEO', website: 'https://acme.test', color: '#112233' } });
+  });
+
+  test('should prioritize fixes from AEO and E-A-T recommendations', () => {
+    const fixes = generator.collectFixes(auditResult.tests);
+
+    expect(fixes.map(fix => fix.title)).toEqual(['Add FAQ schema', 'Add author bios', 'Add a glossary']);
+    expect(fixes[0]).toMatchObject({ source: 'aeo', priority: 'high', steps: ['Pick questions', 'Add JSON-LD'] });
+    expect(fixes[1]).toMatchObject({ source: 'eat', category: 'Authority' });
+  });
+
+  test('should build an executive summary and category breakdown', () => {
+    const model = generator.buildReportModel(auditResult, { jobId: 'job-1' });
+
+    expect(model.jobId).toBe('job-1');
+    expect(model.executiveSummary.strengths).toEqual(['On-Page SEO']);
+    expect(model.executiveSummary.weaknesses).toEqual(['Accessibility']);
+    expect(model.categories.map(category => category.key)).toEqual(['seo', 'accessibility', 'aeo', 'eat']);
+    expect(model.categories.find(category => category.key === 'aeo').fixes).toBe(2);
+    expect(model.evidence.map(item => item.name)).toEqual(['seo', 'accessibility', 'aeo', 'eat']);
+  });
+
+  test('should truncate large evidence entries', () => {
+    const model = generator.buildReportModel({ tests: { seo: { blob: 'x'.repeat(10000) } } });
+
+    expect(model.evidence[0].truncated).toBe(true);
+    expect(model.evidence[0].json.length).toBeLessThan(5000);
+  });
+
+  test('should render branded, escaped HTML with one section per page', () => {
+    const html = generator.renderHtml(auditResult, { jobId: 'job-1' });
+
+    expect(html).toContain('Acme SEO');
+    expect(html).toContain('#112233');
+    expect(html).toContain('Use &lt;FAQPage&gt; markup');
+    expect(html).not.toContain('<FAQPage>');
+    expect(html.match(/<section class="page/g)).toHaveLength(4);
+    expect(html).toContain('Appendix: raw evidence');
+  });
+
+  test('should ignore brand colours that are not hex values', () => {
+    const unsafe = new ReportGenerator({ brand: { color: 'red;}</style><script>' } });
+    expect(unsafe.brand.color).toBe('#1f4b99');
+  });
+
+  test('should print PDFs through the renderer with page numbers', async () => {
+    const renderer = { renderPdf: jest.fn().mockResolvedValue(Buffer.from('%PDF')) };
+    generator = new ReportGenerator({ renderer });
+
+    const pdf = await generator.renderPdf(auditResult);
+
+    expect(pdf.toString()).toBe('%PDF');
+    const [html, options] = renderer.renderPdf.mock.calls[0];
+    expect(html).toContain('<!DOCTYPE html>');
+    expect(options.footerTemplate).toContain('pageNumber');
+    expect(options.footerTemplate).toContain('totalPages');
+  });
+});
@@ -0,0 +1,144 @@
+// tests/unit/services/rich-result-evaluator.test.js
+// Unit tests for rich result eligibility
+
+const RichResultEvaluator = require('../../../services/rich-result-evaluator');
+const SchemaValidator = require('../../../services/schema-validator');
+const rules = require('../../../config/rich-results.json');
+
+describe('Services - Rich Result Evaluator', () => {
+  let evaluator;
+
+  beforeEach(() => {
+    evaluator = new RichResultEvaluator();
+  });
+
+  const feature = (result, id) => result.features.find(item => item.id === id);
+
+  test('should cover every requested search feature', () => {
+    expect(Object.keys(rules.features)).toEqual(expect.arrayContaining([
+      'product', 'reviewSnippet', 'faq', 'breadcrumb', 'sitelinksSearchbox',
+      'article', 'event', 'recipe', 'video', 'jobPosting'
+    ]));
+  });
+
+  test('should report undetected features as ineligible with a reason', () => {
+    const result = evaluator.evaluate([]);
+
+    expect(result.summary).toEqual({ detected: 0, eligible: 0, withWarnings: 0, ineligible: 0 });
+    expect(feature(result, 'recipe')).toMatchObject({ status: 'ineligible', detected: false, reason: 'No Recipe markup found' });
+    expect(feature(result, 'reviewSnippet').reason).toBe('No supported markup with aggregateRating or review found');
+  });
+
+  test('should mark a complete product eligible for product snippets and review stars', () => {
+    const result = evaluator.evaluate([{
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: 'Trail Runner',
+      image: 'https://example.com/shoe.jpg',
+      description: 'Trail shoe',
+      brand: { '@type': 'Brand', name: 'Acme' },
+      offers: { '@type': 'Offer', price: '129.00', priceCurrency: 'EUR', availability: 'https://schema.org/InStock' },
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.6, reviewCount: 87, bestRating: 5, worstRating: 1 }
+    }]);
+
+    expect(feature(result, 'product')).toMatchObject({ status: 'eligible', detected: true, blocking: [], warnings: [] });
+    expect(feature(result, 'reviewSnippet').status).toBe('eligible');
+    expect(feature(result, 'faq').detected).toBe(false);
+  });
+
+  test('should list blocking properties through nested values and @id references', () => {
+    const result = evaluator.evaluate([{
+      '@context': 'https://schema.org',
+      '@graph': [
+        { '@type': 'Product', name: 'Kettle', offers: { '@id': '#offer' } },
+        { '@type': 'Offer', '@id': '#offer', priceCurrency: 'EUR' }
+      ]
+    }]);
+
+    const product = feature(result, 'product');
+    expect(product.status).toBe('ineligible');
+    expect(product.blocking).toEqual([{
+      property: 'offers.price|lowPrice|priceSpecification',
+      path: "$[0]['@graph'][0].offers",
+      message: 'Product.offers needs one of: price, lowPrice, priceSpecification'
+    }]);
+    expect(product.items[0].warnings.map(w => w.property)).toEqual(['image', 'description', 'brand', 'offers.availability']);
+  });
+
+  test('should block items with invalid values from the property validator', () => {
+    const documents = [{
+      '@type': 'Product',
+      name: 'Kettle',
+      image: 'https://example.com/k.jpg',
+      description: 'Steel kettle',
+      brand: 'Acme',
+      offers: { '@type': 'Offer', price: 49, priceCurrency: 'EUR', availability: 'InStockNow' }
+    }];
+    const validation = new SchemaValidator().validate(documents);
+    const product = feature(evaluator.evaluate(documents, validation), 'product');
+
+    expect(product.status).toBe('ineligible');
+    expect(product.blocking[0]).toMatchObject({ property: 'availability', path: '$[0].offers.availability' });
+  });
+
+  test('should require at least two breadcrumb items with position and name', () => {
+    const result = evaluator.evaluate([{
+      '@type': 'BreadcrumbList',
+      itemListElement: [{ '@type': 'ListItem', name: 'Home', item: 'https://example.com/' }]
+    }]);
+
+    expect(feature(result, 'breadcrumb').blocking.map(b => b.property)).toEqual(['itemListElement', 'itemListElement.position']);
+  });
+
+  test('should pick the best candidate and flag FAQ and sitelinks notices as warnings', () => {
+    const result = evaluator.evaluate([
+      { '@type': 'FAQPage', mainEntity: [{ '@type': 'Question', name: 'What?' }] },
+      {
+        '@type': 'FAQPage',
+        mainEntity: [{ '@type': 'Question', name: 'Why?', acceptedAnswer: { '@type': 'Answer', text: 'Because.' } }]
+      },
+      {
+        '@type': 'WebSite',
+        url: 'https://example.com/',
+        potentialAction: { '@type': 'SearchAction', target: 'https://example.com/?q={q}', 'query-input': 'required name=q' }
+      }
+    ]);
+
+    const faq = feature(result, 'faq');
+    expect(faq.status).toBe('with-warnings');
+    expect(faq.items.map(item => item.status)).toEqual(['ineligible', 'eligible']);
+    expect(faq.items[0].blocking[0].property).toBe('mainEntity.acceptedAnswer');
+    expect(feature(result, 'sitelinksSearchbox').status).toBe('with-warnings');
+    expect(result.summary).toMatchObject({ detected: 2, withWarnings: 2 });
+  });
+
+  test('should not award review stars for self-serving LocalBusiness reviews', () => {
+    const result = evaluator.evaluate([{
+      '@type': 'Restaurant',
+      name: 'Bistro',
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.8, ratingCount: 120 }
+    }]);
+
+    const stars = feature(result, 'reviewSnippet');
+    expect(stars.status).toBe('ineligible');
+    expect(stars.blocking[0].property).toBe('@type');
+  });
+
+  test('should accept remote jobs with applicantLocationRequirements and report missing basics', () => {
+    const result = evaluator.evaluate([{
+      '@type': 'JobPosting',
+      title: 'Engineer',
+      description: '<p>Build things</p>',
+      datePosted: '2026-10-01',
+      hiringOrganization: 'Acme',
+      applicantLocationRequirements: { '@type': 'Country', name: 'FI' }
+    }]);
+
+    const job = feature(result, 'jobPosting');
+    expect(job.status).toBe('ineligible');
+    expect(job.blocking).toEqual([expect.objectContaining({
+      property: 'hiringOrganization',
+      message: 'JobPosting.hiringOrganization should be an object with name'
+    })]);
+  });
+});
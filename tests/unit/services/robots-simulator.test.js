@@ -0,0 +1,135 @@
+// tests/unit/services/robots-simulator.test.js
+// Unit tests for the robots.txt what-if simulator
+
+const RobotsSimulator = require('../../../services/robots-simulator');
+
+jest.mock('../../../utils/helpers', () => ({
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../../utils/helpers');
+const { parseRobotsTxt } = require('../../../utils/robots-matcher');
+
+const CURRENT = 'User-agent: *\nDisallow: /admin/\n';
+const PROPOSED = 'User-agent: GPTBot\nDisallow: /\n\nUser-agent: *\nDisallow: /admin/\nDisallow: /blog/drafts/\nAllow: /admin/help\n';
+
+describe('Services - Robots Simulator', () => {
+  let simulator;
+
+  beforeEach(() => {
+    fetchWithTimeout.mockReset();
+    simulator = new RobotsSimulator({ maxSamples: 2 });
+  });
+
+  describe('markImportantPages', () => {
+    test('should flag the homepage, listed URLs, depth-1 and best-linked pages', () => {
+      const pages = simulator.markImportantPages([
+        { url: 'https://example.com/', depth: 0, inLinks: 0 },
+        { url: 'https://example.com/pricing', depth: 1, inLinks: 1 },
+        { url: 'https://example.com/blog/post', depth: 2, inLinks: 9 },
+        { url: 'https://example.com/legal/terms', depth: 3, inLinks: 0 }
+      ], ['https://example.com/legal/terms/']);
+
+      expect(pages.map(page => page.importance)).toEqual([
+        ['homepage'],
+        ['depth-1', 'most-linked'],
+        ['most-linked'],
+        ['listed']
+      ]);
+    });
+
+    test('should treat top-level sitemap URLs as important', () => {
+      const [section, deep] = simulator.markImportantPages([
+        { url: 'https://example.com/services', depth: null, inLinks: null },
+        { url: 'https://example.com/services/seo', depth: null, inLinks: null }
+      ]);
+
+      expect(section).toMatchObject({ important: true, importance: ['top-level'] });
+      expect(deep.important).toBe(false);
+    });
+  });
+
+  describe('simulate', () => {
+    const pages = () => simulator.markImportantPages([
+      'https://example.com/',
+      'https://example.com/blog/drafts/a',
+      'https://example.com/blog/drafts/b',
+      'https://example.com/blog/drafts/c',
+      'https://example.com/admin/help'
+    ].map(url => ({ url, depth: null, inLinks: null })));
+
+    test('should report per-bot URLs moving between allowed and blocked', () => {
+      const result = simulator.simulate({ current: parseRobotsTxt(CURRENT), proposed: parseRobotsTxt(PROPOSED), pages: pages() });
+      const googlebot = result.bots.Googlebot;
+
+      expect(googlebot).toMatchObject({
+        current: { allowed: 4, blocked: 1 },
+        proposed: { allowed: 2, blocked: 3 },
+        newlyBlocked: 3,
+        newlyAllowed: 1,
+        importantNewlyBlocked: []
+      });
+      expect(googlebot.samples.newlyBlocked).toHaveLength(2);
+      expect(googlebot.samples.newlyAllowed[0]).toMatchObject({
+        url: 'https://example.com/admin/help',
+        rule: { directive: 'allow', lineNumber: 7 }
+      });
+
+      expect(result.bots.GPTBot).toMatchObject({ newlyBlocked: 4, newlyAllowed: 0 });
+      expect(result.bots.GPTBot.importantNewlyBlocked.map(entry => entry.url)).toEqual(['https://example.com/']);
+    });
+
+    test('should summarise affected bots and rate the risk', () => {
+      const result = simulator.simulate({ current: parseRobotsTxt(CURRENT), proposed: parseRobotsTxt(PROPOSED), pages: pages() });
+
+      expect(result.summary.botsLosingAccess).toContain('GPTBot');
+      expect(result.summary.botsGainingAccess).toContain('Googlebot');
+      expect(result.summary.risk).toBe('medium');
+      expect(result.warnings).toEqual([
+        expect.objectContaining({ type: 'bot_loses_important_pages', bot: 'GPTBot', urls: ['https://example.com/'] })
+      ]);
+
+      const blockAll = simulator.simulate({ current: parseRobotsTxt(CURRENT), proposed: parseRobotsTxt('User-agent: *\nDisallow: /'), pages: pages() });
+      expect(blockAll.summary.risk).toBe('high');
+      expect(blockAll.warnings.find(warning => warning.bot === 'Googlebot').severity).toBe('critical');
+    });
+  });
+
+  describe('run', () => {
+    test('should fetch the current robots.txt and simulate a generated template', async () => {
+      fetchWithTimeout.mockResolvedValue({ ok: true, status: 200, text: async () => CURRENT });
+
+      const result = await simulator.run('https://example.com/page', {
+        template: 'restrictive',
+        source: 'urls',
+        urls: ['https://example.com/', 'https://example.com/about']
+      });
+
+      expect(fetchWithTimeout).toHaveBeenCalledWith('https://example.com/robots.txt', expect.any(Number));
+      expect(result.currentRobotsTxt).toMatchObject({ source: 'fetched', availability: 'available' });
+      expect(result.proposedRobotsTxt).toMatchObject({ source: 'template', template: 'restrictive' });
+      expect(result.proposedRobotsTxt.content).toContain('Sitemap: https://example.com/sitemap.xml');
+      expect(result.urlSource).toEqual({ source: 'urls', urls: 2, truncated: false });
+      expect(result.bots.Googlebot.newlyBlocked).toBe(0);
+      expect(result.bots.GPTBot.newlyBlocked).toBe(2);
+    });
+
+    test('should collect URLs from the sitemap or a link graph crawl', async () => {
+      const siteCrawler = { crawlSitemap: jest.fn().mockResolvedValue({ urls: ['https://example.com/a'], truncated: true }) };
+      const linkCrawler = {
+        performLinkGraphCrawl: jest.fn().mockResolvedValue({
+          linkGraph: { pages: [{ url: 'https://example.com/', depth: 0, inLinks: 2 }], stats: { complete: true } }
+        })
+      };
+      simulator = new RobotsSimulator({ siteCrawler, linkCrawler });
+
+      const sitemap = await simulator.collectPages('https://example.com', { maxUrls: 10 });
+      expect(siteCrawler.crawlSitemap).toHaveBeenCalledWith('https://example.com', { maxUrls: 10, discoverOnly: true });
+      expect(sitemap).toEqual({ source: 'sitemap', pages: [{ url: 'https://example.com/a', depth: null, inLinks: null }], truncated: true });
+
+      const crawl = await simulator.collectPages('https://example.com', { source: 'crawl', maxUrls: 10, maxDepth: 1 });
+      expect(linkCrawler.performLinkGraphCrawl).toHaveBeenCalledWith('https://example.com', expect.objectContaining({ audit: false, maxDepth: 1, maxPages: 10 }));
+      expect(crawl.pages[0].inLinks).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// tests/unit/services/schema-generator.test.js
+// Unit tests for the JSON-LD draft generator
+
+const cheerio = require('cheerio');
+const SchemaGenerator = require('../../../services/schema-generator');
+const SchemaValidator = require('../../../services/schema-validator');
+
+const ARTICLE_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <title>How to wax skis | Nordic Gear</title>
+  <meta name="description" content="A step-by-step guide to waxing cross-country skis.">
+  <meta name="author" content="Anna Virtanen">
+  <meta property="og:site_name" content="Nordic Gear">
+  <meta property="og:image" content="/img/wax.jpg">
+  <meta property="article:published_time" content="2026-10-01T08:00:00Z">
+</head>
+<body>
+  <header><img src="/img/logo.svg" alt="Nordic Gear logo"></header>
+  <nav aria-label="Breadcrumb"><a href="/">Home</a> › <a href="/blog/">Blog</a></nav>
+  <article>
+    <h1>How to wax skis</h1>
+    <p>Glide wax keeps skis fast.</p>
+    <h2>How often should I wax my skis?</h2>
+    <p>Every 3-4 outings, or whenever the base looks dry.</p>
+    <h2>Tools</h2>
+    <p>An iron and a scraper.</p>
+    <details><summary>Can I use candle wax?</summary><p>No, it wears off within a kilometre.</p></details>
+  </article>
+  <footer>
+    <a href="mailto:info@nordicgear.example">Email us</a>
+    <a href="https://www.instagram.com/nordicgear">Instagram</a>
+  </footer>
+</body>
+</html>`;
+
+describe('Services - Schema Generator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new SchemaGenerator();
+  });
+
+  const find = (result, type) => result.jsonLd['@graph'].find(node => node['@type'] === type);
+  const status = (result, type, property) =>
+    result.properties.find(entry => entry.type === type && entry.property === property);
+
+  test('should extract Q&A blocks from question headings and details', () => {
+    const pairs = generator.extractQuestionAnswers(cheerio.load(ARTICLE_PAGE));
+
+    expect(pairs).toEqual([
+      { question: 'How often should I wax my skis?', answer: 'Every 3-4 outings, or whenever the base looks dry.', source: 'heading' },
+      { question: 'Can I use candle wax?', answer: 'No, it wears off within a kilometre.', source: 'details' }
+    ]);
+  });
+
+  test('should draft Organization, WebSite, BreadcrumbList, Article, Person and FAQPage', () => {
+    const result = generator.generate(cheerio.load(ARTICLE_PAGE), 'https://nordicgear.example/blog/how-to-wax-skis');
+
+    expect(result.summary.types).toEqual(['Organization', 'WebSite', 'BreadcrumbList', 'Person', 'Article', 'FAQPage']);
+    expect(result.jsonLd['@context']).toBe('https://schema.org');
+
+    const organization = find(result, 'Organization');
+    expect(organization).toMatchObject({
+      '@id': 'https://nordicgear.example/#organization',
+      name: 'Nordic Gear',
+      logo: 'https://nordicgear.example/img/logo.svg',
+      email: 'info@nordicgear.example',
+      sameAs: ['https://www.instagram.com/nordicgear']
+    });
+    expect(status(result, 'Organization', 'name')).toMatchObject({ status: 'extracted', source: 'og:site_name' });
+    expect(status(result, 'Organization', 'telephone')).toMatchObject({ status: 'placeholder', source: null });
+    expect(organization.telephone).toBe('TODO: telephone');
+
+    expect(find(result, 'BreadcrumbList').itemListElement).toEqual([
+      { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://nordicgear.example/' },
+      { '@type': 'ListItem', position: 2, name: 'Blog', item: 'https://nordicgear.example/blog/' },
+      { '@type': 'ListItem', position: 3, name: 'How to wax skis', item: 'https://nordicgear.example/blog/how-to-wax-skis' }
+    ]);
+
+    const article = find(result, 'Article');
+    expect(article).toMatchObject({
+      headline: 'How to wax skis',
+      image: 'https://nordicgear.example/img/wax.jpg',
+      datePublished: '2026-10-01T08:00:00Z',
+      author: { '@id': 'https://nordicgear.example/blog/how-to-wax-skis#author-1' },
+      publisher: { '@id': 'https://nordicgear.example/#organization' }
+    });
+    expect(status(result, 'Article', 'dateModified').status).toBe('placeholder');
+    expect(find(result, 'Person')).toMatchObject({ name: 'Anna Virtanen' });
+    expect(status(result, 'Person', 'name').source).toBe('author-meta');
+
+    expect(find(result, 'FAQPage').mainEntity).toHaveLength(2);
+    expect(result.summary.placeholders).toBe(result.properties.filter(p => p.status === 'placeholder').length);
+  });
+
+  test('should produce a graph the property validator and script tag accept', () => {
+    const result = generator.generate(cheerio.load(ARTICLE_PAGE), 'https://nordicgear.example/blog/how-to-wax-skis');
+    const report = new SchemaValidator().validate([result.jsonLd]);
+
+    expect(report.issues.filter(issue => issue.code === 'unresolved_reference')).toEqual([]);
+    expect(JSON.parse(result.script.replace(/^<script[^>]*>|<\/script>$/g, ''))).toEqual(result.jsonLd);
+  });
+
+  test('should use LocalBusiness with address placeholders and skip breadcrumbs on the home page', () => {
+    const detector = {
+      extractTypesFromJsonLd: jest.fn(),
+      detectBusinessType: jest.fn(() => ({ type: 'LocalBusiness', confidence: 'high', method: 'schema', detected: 'Local Business' }))
+    };
+    generator = new SchemaGenerator({ businessTypeDetector: detector });
+
+    const result = generator.generate(cheerio.load('<html><body><h1>Bistro</h1><a href="tel:+358401234567">Call</a></body></html>'), 'https://bistro.example/');
+
+    expect(result.summary.types).toEqual(['LocalBusiness', 'WebSite']);
+    const business = find(result, 'LocalBusiness');
+    expect(business.telephone).toBe('+358401234567');
+    expect(business.address.streetAddress).toBe('TODO: streetAddress');
+    expect(status(result, 'LocalBusiness', 'address').status).toBe('placeholder');
+    expect(status(result, 'LocalBusiness', 'name').status).toBe('placeholder');
+  });
+});
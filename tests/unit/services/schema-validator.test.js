@@ -0,0 +1,131 @@
+// tests/unit/services/schema-validator.test.js
+// Unit tests for Schema.org property-level validation
+
+const SchemaValidator = require('../../../services/schema-validator');
+const rules = require('../../../config/schema-rules.json');
+
+describe('Services - Schema Validator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new SchemaValidator();
+  });
+
+  const codes = (result) => result.issues.map(issue => [issue.code, issue.path]);
+
+  test('should cover every requested type in the shipped rules', () => {
+    ['Article', 'Product', 'Offer', 'FAQPage', 'HowTo', 'Event', 'Recipe', 'JobPosting', 'LocalBusiness',
+      'Organization', 'Person', 'BreadcrumbList', 'VideoObject', 'Review'].forEach(type => {
+      expect(rules.types[type]).toBeDefined();
+    });
+    Object.values(rules.types).forEach(rule => {
+      Object.values(rule.properties).forEach(spec => {
+        if (spec.enum) expect(rules.enumerations[spec.enum]).toBeDefined();
+      });
+    });
+  });
+
+  test('should resolve subtypes to the most specific rule set', () => {
+    expect(validator.getRuleType(['Restaurant'])).toBe('LocalBusiness');
+    expect(validator.getRuleType(['NewsArticle'])).toBe('Article');
+    expect(validator.getRuleType(['Recipe'])).toBe('Recipe');
+    expect(validator.getRuleType(['WebSite'])).toBeNull();
+    expect(validator.isA('Bakery', 'Organization')).toBe(true);
+    expect(validator.isA('Person', 'Organization')).toBe(false);
+  });
+
+  test('should report missing properties, wrong types and invalid enumerations with JSON paths', () => {
+    const result = validator.validate([{
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: 'Trail Shoe',
+      brand: { '@type': 'Brand', name: 'Acme' },
+      offers: {
+        '@type': 'Offer',
+        price: '$19.99',
+        priceCurrency: 'usd',
+        availability: 'https://schema.org/InStockNow'
+      }
+    }]);
+
+    expect(codes(result)).toEqual(expect.arrayContaining([
+      ['missing_recommended', '$[0].image'],
+      ['invalid_type', '$[0].offers.price'],
+      ['invalid_format', '$[0].offers.priceCurrency'],
+      ['invalid_enum', '$[0].offers.availability']
+    ]));
+    expect(result.entities.map(entity => [entity.ruleType, entity.valid])).toEqual([['Product', true], ['Offer', false]]);
+    expect(result.issues.find(issue => issue.code === 'invalid_type').message).toBe('Offer.price: Expected Number, found "$19.99"');
+    expect(result.unvalidatedTypes).toEqual(['Brand']);
+  });
+
+  test('should follow @graph and @id references across scripts', () => {
+    const result = validator.validate([
+      {
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'Organization', '@id': 'https://example.com/#org', name: 'Example', url: 'https://example.com', logo: 'https://example.com/logo.png' },
+          {
+            '@type': 'BlogPosting',
+            headline: 'Launch notes',
+            author: { '@id': 'https://example.com/#jane' },
+            publisher: { '@id': 'https://example.com/#org' },
+            datePublished: '2026-10-19T08:00:00+02:00',
+            image: { '@id': 'https://example.com/#missing' }
+          }
+        ]
+      },
+      { '@context': 'https://schema.org', '@type': 'Organization', '@id': 'https://example.com/#jane', name: 'Not a person' }
+    ]);
+
+    const article = result.entities.find(entity => entity.ruleType === 'Article');
+    expect(article.path).toBe("$[0]['@graph'][1]");
+    expect(article.errors).toEqual([]);
+    expect(article.warnings.map(issue => [issue.code, issue.path])).toEqual(expect.arrayContaining([
+      ['unresolved_reference', "$[0]['@graph'][1].image"],
+      ['missing_recommended', "$[0]['@graph'][1].dateModified"]
+    ]));
+
+    const org = validator.validate([{ '@type': 'Review', author: { '@id': '#shop' }, reviewRating: { '@type': 'Rating', ratingValue: 4 } }, { '@type': 'Product', '@id': '#shop', name: 'X', review: { '@id': '#r' } }]);
+    expect(org.issues.find(issue => issue.code === 'invalid_type')).toMatchObject({ path: '$[0].author', expected: ['Person', 'Organization'] });
+  });
+
+  test('should validate nested FAQ, breadcrumb and untyped values', () => {
+    const result = validator.validate([
+      {
+        '@type': 'FAQPage',
+        mainEntity: [
+          { '@type': 'Question', name: 'Do you ship?', acceptedAnswer: { '@type': 'Answer', text: 'Yes.' } },
+          { '@type': 'Question', name: 'Returns?', acceptedAnswer: { text: 'Within 30 days.' } }
+        ]
+      },
+      {
+        '@type': 'BreadcrumbList',
+        itemListElement: [{ '@type': 'ListItem', position: 'first', name: 'Home', item: 'https://example.com/' }]
+      }
+    ]);
+
+    expect(codes(result)).toEqual(expect.arrayContaining([
+      ['missing_type', '$[0].mainEntity[1].acceptedAnswer'],
+      ['invalid_type', '$[1].itemListElement[0].position']
+    ]));
+    expect(result.entities.filter(entity => entity.implicit).map(entity => entity.ruleType)).toEqual(['Answer']);
+  });
+
+  test('should check requiredOneOf groups, durations, dates and summarize richness', () => {
+    const result = validator.validate([
+      { '@type': 'JobPosting', title: 'Engineer', description: 'Build things', datePosted: '19/10/2026', hiringOrganization: { '@type': 'Organization', name: 'Acme' }, employmentType: 'FULLTIME' },
+      { '@type': 'Recipe', name: 'Bread', image: 'https://example.com/bread.jpg', totalTime: '1 hour' }
+    ]);
+
+    expect(codes(result)).toEqual(expect.arrayContaining([
+      ['missing_required', '$[0]'],
+      ['invalid_type', '$[0].datePosted'],
+      ['invalid_enum', '$[0].employmentType'],
+      ['invalid_type', '$[1].totalTime']
+    ]));
+    expect(result.summary).toMatchObject({ entities: 3, valid: 1 });
+    expect(result.summary.richnessScore).toBeGreaterThan(0);
+    expect(validator.validate([]).summary).toEqual({ entities: 0, valid: 0, errors: 0, warnings: 0, richnessScore: 0 });
+  });
+});
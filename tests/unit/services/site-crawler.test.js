@@ -0,0 +1,255 @@
+// tests/unit/services/site-crawler.test.js
+// Unit tests for the sitemap-driven site crawler
+
+const zlib = require('zlib');
+const SiteCrawler = require('../../../services/site-crawler');
+
+// Mock fetchWithTimeout to avoid network calls in tests
+jest.mock('../../../utils/helpers', () => ({
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../../utils/helpers');
+
+const textResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => body,
+  buffer: async () => Buffer.from(body)
+});
+
+const urlset = (locs) => `<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  locs.map(loc => `<url><loc>${loc}</loc></url>`).join('')
+}</urlset>`;
+
+const sitemapIndex = (locs) => `<?xml version="1.0"?><sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+  locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('')
+}</sitemapindex>`;
+
+const mockRoutes = (routes) => {
+  fetchWithTimeout.mockImplementation(async (url) => {
+    const route = routes[url];
+    if (!route) return textResponse('Not found', 404);
+    return typeof route === 'function' ? route() : textResponse(route);
+  });
+};
+
+const lightweightAudit = (seoScore) => ({
+  tests: {
+    seo: { score: seoScore, scoreBreakdown: [{ factor: 'Meta description', points: 15, earned: 0 }] },
+    metadata: { issues: ['Missing canonical URL'] },
+    accessibility: { score: 80, issues: [] }
+  }
+});
+
+describe('Services - SiteCrawler', () => {
+  let auditor;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditor = { performLightweightAudit: jest.fn(async () => lightweightAudit(70)) };
+  });
+
+  describe('discoverSitemaps', () => {
+    test('should read Sitemap lines from robots.txt', async () => {
+      mockRoutes({
+        'https://example.com/robots.txt': 'User-agent: *\nDisallow:\nSitemap: https://example.com/custom-sitemap.xml\n'
+      });
+
+      const crawler = new SiteCrawler({ auditor });
+      const sitemaps = await crawler.discoverSitemaps('https://example.com');
+
+      expect(sitemaps).toEqual(['https://example.com/custom-sitemap.xml']);
+    });
+
+    test('should fall back to common sitemap locations', async () => {
+      mockRoutes({});
+
+      const crawler = new SiteCrawler({ auditor });
+      const sitemaps = await crawler.discoverSitemaps('https://example.com');
+
+      expect(sitemaps).toContain('https://example.com/sitemap.xml');
+    });
+  });
+
+  describe('collectSitemapUrls', () => {
+    test('should recurse into sitemap indexes and dedupe normalized URLs', async () => {
+      mockRoutes({
+        'https://example.com/sitemap.xml': sitemapIndex([
+          'https://example.com/pages.xml',
+          'https://example.com/posts.xml.gz',
+          'https://example.com/pages.xml'
+        ]),
+        'https://example.com/pages.xml': urlset([
+          'https://example.com/',
+          'https://example.com/about/',
+          'https://example.com/about?utm_source=newsletter',
+          'https://other-site.com/external'
+        ]),
+        'https://example.com/posts.xml.gz': () => ({
+          ok: true,
+          status: 200,
+          buffer: async () => zlib.gzipSync(urlset(['https://www.example.com/blog/post-1']))
+        })
+      });
+
+      const crawler = new SiteCrawler({ auditor });
+      const result = await crawler.collectSitemapUrls(['https://example.com/sitemap.xml'], {
+        maxUrls: 50,
+        host: 'example.com'
+      });
+
+      expect(result.urls).toEqual([
+        'https://example.com/',
+        'https://example.com/about',
+        'https://www.example.com/blog/post-1'
+      ]);
+      expect(result.sitemaps.filter(s => s.type === 'index')).toHaveLength(1);
+      expect(result.sitemaps.filter(s => s.type === 'urlset')).toHaveLength(2);
+      expect(result.truncated).toBe(false);
+    });
+
+    test('should stop at maxUrls and report truncation', async () => {
+      mockRoutes({
+        'https://example.com/sitemap.xml': urlset([
+          'https://example.com/a',
+          'https://example.com/b',
+          'https://example.com/c'
+        ])
+      });
+
+      const crawler = new SiteCrawler({ auditor });
+      const result = await crawler.collectSitemapUrls(['https://example.com/sitemap.xml'], {
+        maxUrls: 2,
+        host: 'example.com'
+      });
+
+      expect(result.urls).toHaveLength(2);
+      expect(result.truncated).toBe(true);
+    });
+
+    test('should record unreachable sitemaps without failing', async () => {
+      mockRoutes({});
+
+      const crawler = new SiteCrawler({ auditor });
+      const result = await crawler.collectSitemapUrls(['https://example.com/missing.xml'], {
+        maxUrls: 10,
+        host: 'example.com'
+      });
+
+      expect(result.urls).toEqual([]);
+      expect(result.sitemaps[0]).toMatchObject({ status: 'error', error: 'HTTP 404' });
+    });
+
+    test('should skip sitemaps on other hosts without fetching them', async () => {
+      mockRoutes({
+        'https://example.com/sitemap.xml': sitemapIndex([
+          'http://169.254.169.254/latest/meta-data/',
+          'https://example.com/pages.xml'
+        ]),
+        'https://example.com/pages.xml': urlset(['https://example.com/a'])
+      });
+
+      const crawler = new SiteCrawler({ auditor });
+      const result = await crawler.collectSitemapUrls([
+        'http://127.0.0.1:8080/sitemap.xml',
+        'https://example.com/sitemap.xml'
+      ], { maxUrls: 10, host: 'example.com' });
+
+      expect(result.urls).toEqual(['https://example.com/a']);
+      expect(result.sitemaps.filter(s => s.status === 'skipped').map(s => s.url)).toEqual([
+        'http://127.0.0.1:8080/sitemap.xml',
+        'http://169.254.169.254/latest/meta-data/'
+      ]);
+      expect(fetchWithTimeout.mock.calls.map(([url]) => new URL(url).hostname)).toEqual(['example.com', 'example.com']);
+    });
+
+    test('should report gzip sitemaps that expand past the size cap as errors', async () => {
+      mockRoutes({
+        'https://example.com/big.xml.gz': () => ({
+          ok: true,
+          status: 200,
+          buffer: async () => zlib.gzipSync(Buffer.alloc(2048, ' '))
+        })
+      });
+
+      const crawler = new SiteCrawler({ auditor, maxSitemapBytes: 1024 });
+      const result = await crawler.collectSitemapUrls(['https://example.com/big.xml.gz'], {
+        maxUrls: 10,
+        host: 'example.com'
+      });
+
+      expect(result.sitemaps[0]).toMatchObject({ status: 'error', error: 'Decompressed sitemap exceeds 1024 bytes' });
+    });
+  });
+
+  describe('crawlSitemap', () => {
+    beforeEach(() => {
+      mockRoutes({
+        'https://example.com/sitemap.xml': urlset([
+          'https://example.com/',
+          'https://example.com/pricing',
+          'https://example.com/contact'
+        ])
+      });
+    });
+
+    test('should return discovered URLs without auditing in discover mode', async () => {
+      const crawler = new SiteCrawler({ auditor });
+      const result = await crawler.crawlSitemap('https://example.com', { maxUrls: 10, discoverOnly: true });
+
+      expect(result.mode).toBe('discover');
+      expect(result.discoveredUrls).toBe(3);
+      expect(auditor.performLightweightAudit).not.toHaveBeenCalled();
+    });
+
+    test('should audit each page and build a site rollup', async () => {
+      auditor.performLightweightAudit
+        .mockResolvedValueOnce(lightweightAudit(90))
+        .mockRejectedValueOnce(new Error('Timeout'))
+        .mockResolvedValueOnce(lightweightAudit(50));
+
+      const crawler = new SiteCrawler({ auditor, concurrency: 1 });
+      const result = await crawler.crawlSitemap('https://example.com', { maxUrls: 10 });
+
+      expect(auditor.performLightweightAudit).toHaveBeenCalledTimes(3);
+      expect(result.results).toHaveLength(3);
+      expect(result.results[1]).toMatchObject({ url: 'https://example.com/pricing', success: false, error: 'Timeout' });
+      expect(result.results[0].facts).toMatchObject({ titleLength: null, h1Count: null, schemaTypes: [] });
+
+      expect(result.rollup.pagesAudited).toBe(2);
+      expect(result.rollup.pagesFailed).toBe(1);
+      expect(result.rollup.scores.seo).toEqual({ average: 70, min: 50, max: 90, pages: 2 });
+      expect(result.rollup.issues.byCategory).toEqual({ seo: 2, metadata: 2 });
+      expect(result.rollup.issues.mostCommon[0].pages).toBe(2);
+      expect(result.rollup.fixPriorities.find(fix => fix.id === 'metadata:missing-canonical-url').affectedUrls)
+        .toEqual(['https://example.com/', 'https://example.com/contact']);
+      expect(result.summary).toMatchObject({ completed: 2, failed: 1 });
+    });
+
+    test('should throw when no page URLs are found', async () => {
+      mockRoutes({});
+
+      const crawler = new SiteCrawler({ auditor });
+      await expect(crawler.crawlSitemap('https://example.com')).rejects.toThrow('No page URLs found');
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    test('should never exceed the concurrency limit and keep input order', async () => {
+      let active = 0;
+      let peak = 0;
+
+      const results = await SiteCrawler.runWithConcurrency([30, 10, 20, 5], 2, async (delay) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        active--;
+        return delay;
+      });
+
+      expect(results).toEqual([30, 10, 20, 5]);
+      expect(peak).toBe(2);
+    });
+  });
+});
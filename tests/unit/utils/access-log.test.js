@@ -0,0 +1,76 @@
+// tests/unit/utils/access-log.test.js
+// Unit tests for access log line parsing
+
+const { parseLogTime, parseLogLine } = require('../../../utils/access-log');
+
+describe('Utils - Access Log', () => {
+  describe('parseLogTime', () => {
+    test('should convert Apache timestamps with offsets to UTC', () => {
+      expect(parseLogTime('10/Oct/2000:13:55:36 -0700').toISOString()).toBe('2000-10-10T20:55:36.000Z');
+      expect(parseLogTime('01/Jan/2026:00:30:00 +0100').toISOString()).toBe('2025-12-31T23:30:00.000Z');
+    });
+
+    test('should reject malformed timestamps', () => {
+      expect(parseLogTime('10/Foo/2000:13:55:36 -0700')).toBeNull();
+      expect(parseLogTime('yesterday')).toBeNull();
+    });
+  });
+
+  describe('parseLogLine', () => {
+    test('should parse combined format lines', () => {
+      const entry = parseLogLine('66.249.66.1 - - [19/Oct/2026:06:25:24 +0000] "GET /blog/post?page=2 HTTP/1.1" 200 5120 "-" "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"');
+
+      expect(entry).toEqual({
+        ip: '66.249.66.1',
+        time: new Date('2026-10-19T06:25:24.000Z'),
+        method: 'GET',
+        path: '/blog/post?page=2',
+        status: 200,
+        bytes: 5120,
+        referer: null,
+        userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)'
+      });
+    });
+
+    test('should parse common format lines and absolute request targets', () => {
+      const entry = parseLogLine('10.0.0.1 - frank [19/Oct/2026:06:25:24 +0000] "GET https://example.com/a.gif HTTP/1.0" 304 -');
+
+      expect(entry.path).toBe('/a.gif');
+      expect(entry.status).toBe(304);
+      expect(entry.bytes).toBe(0);
+      expect(entry.userAgent).toBeNull();
+    });
+
+    test('should parse JSON lines using common field names', () => {
+      const nginx = parseLogLine(JSON.stringify({
+        remote_addr: '40.77.167.1',
+        time_iso8601: '2026-10-19T06:00:00+00:00',
+        request: 'GET /pricing HTTP/2.0',
+        status: '200',
+        body_bytes_sent: '900',
+        http_user_agent: 'Mozilla/5.0 (compatible; bingbot/2.0)'
+      }));
+      const cdn = parseLogLine(JSON.stringify({
+        ClientIP: '1.2.3.4',
+        EdgeStartTimestamp: 1792389600000,
+        ClientRequestMethod: 'GET',
+        ClientRequestURI: '/docs',
+        EdgeResponseStatus: 404,
+        ClientRequestUserAgent: 'GPTBot/1.2'
+      }), 'json');
+
+      expect(nginx).toMatchObject({ ip: '40.77.167.1', method: 'GET', path: '/pricing', status: 200, bytes: 900 });
+      expect(nginx.time.toISOString()).toBe('2026-10-19T06:00:00.000Z');
+      expect(cdn).toMatchObject({ ip: '1.2.3.4', path: '/docs', status: 404, userAgent: 'GPTBot/1.2' });
+      expect(cdn.time.getTime()).toBe(1792389600000);
+    });
+
+    test('should return null for blank, malformed and incomplete lines', () => {
+      expect(parseLogLine('')).toBeNull();
+      expect(parseLogLine('not a log line')).toBeNull();
+      expect(parseLogLine('{"status": 200}')).toBeNull();
+      expect(parseLogLine('{broken json')).toBeNull();
+      expect(parseLogLine('66.249.66.1 - - [19/Oct/2026:06:25:24 +0000] "GET / HTTP/1.1" 200 1', 'json')).toBeNull();
+    });
+  });
+});
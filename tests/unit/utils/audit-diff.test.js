@@ -0,0 +1,151 @@
+// tests/unit/utils/audit-diff.test.js
+// Unit tests for audit-to-audit comparison
+
+const { compareFields, diffAudits, findRegressionAlerts, SEO_FIELDS } = require('../../../utils/audit-diff');
+
+const botMatrix = (googlebot, gptbot) => ({
+  Googlebot: { type: 'search', critical: true, access: { effective: { allowed: googlebot } } },
+  GPTBot: { type: 'ai-training', critical: false, access: { effective: { allowed: gptbot } } }
+});
+
+describe('Utils - AuditDiff', () => {
+  describe('compareFields', () => {
+    test('should report changed fields and respect numeric thresholds', () => {
+      const differences = compareFields(
+        { title: 'Home', h1Count: 1, wordCount: 500 },
+        { title: 'Home', h1Count: 2, wordCount: 550 },
+        SEO_FIELDS
+      );
+
+      expect(differences).toEqual([
+        { field: 'h1Count', before: 1, after: 2, significance: 'medium' }
+      ]);
+    });
+
+    test('should compare nested paths and treat missing values as null', () => {
+      const differences = compareFields(
+        { og: { title: 'Old' } },
+        {},
+        [{ field: 'og.title', significance: 'low' }]
+      );
+
+      expect(differences).toEqual([{ field: 'og.title', before: 'Old', after: null, significance: 'low' }]);
+    });
+  });
+
+  describe('diffAudits', () => {
+    const before = {
+      tests: {
+        seo: { score: 80, title: 'Home', h1Count: 1, wordCount: 800 },
+        metadata: { score: 90, title: 'Home', description: 'Welcome', robots: 'index, follow', canonical: 'https://example.com/' },
+        schema: { score: 70, types: ['Organization', 'FAQPage'] },
+        accessibility: { score: 85, issues: ['Images missing alt text (3 instances)', 'Page language not specified'] },
+        eat: { overallScore: 40 },
+        multiBot: { botMatrix: botMatrix(true, true) }
+      }
+    };
+    const after = {
+      tests: {
+        seo: { score: 60, title: 'Home', h1Count: 1, wordCount: 820 },
+        metadata: { score: 70, title: 'Home', description: null, robots: 'noindex', canonical: 'https://example.com/' },
+        schema: { score: 70, types: ['Organization', 'Product'] },
+        accessibility: { score: 90, issues: ['Images missing alt text (5 instances)', 'Form inputs without labels'] },
+        eat: { overallScore: 55 },
+        multiBot: { botMatrix: botMatrix(false, false) }
+      }
+    };
+
+    test('should report per-test score deltas', () => {
+      const diff = diffAudits(before, after);
+
+      expect(diff.tests.seo).toEqual({ from: 80, to: 60, delta: -20 });
+      expect(diff.tests.eat).toEqual({ from: 40, to: 55, delta: 15 });
+      expect(diff.tests.schema.delta).toBe(0);
+      expect(diff.scores.seo.delta).toBe(-20);
+    });
+
+    test('should classify metadata, schema and accessibility changes', () => {
+      const diff = diffAudits(before, after);
+      const regressionMessages = diff.regressions.map(item => item.message);
+      const improvementMessages = diff.improvements.map(item => item.message);
+
+      expect(regressionMessages).toEqual(expect.arrayContaining([
+        'Page became noindex',
+        'description removed',
+        'Schema type FAQPage removed',
+        'New accessibility issue: Form inputs without labels'
+      ]));
+      expect(improvementMessages).toEqual(expect.arrayContaining([
+        'Schema type Product added',
+        'Resolved accessibility issue: Page language not specified'
+      ]));
+      // Instance counts alone do not make a new issue
+      expect(diff.accessibility.newIssues).toHaveLength(1);
+      expect(diff.schema).toEqual({ added: ['Product'], removed: ['FAQPage'] });
+    });
+
+    test('should report effective bot access changes', () => {
+      const diff = diffAudits(before, after);
+
+      expect(diff.botAccess).toEqual([
+        { bot: 'Googlebot', from: true, to: false, critical: true, type: 'search' },
+        { bot: 'GPTBot', from: true, to: false, critical: false, type: 'ai-training' }
+      ]);
+      expect(diff.regressions[0].severity).toBe('high');
+      expect(diff.regressions.find(item => item.type === 'botAccess').message).toBe('Googlebot is now blocked');
+      expect(diff.changes.find(item => item.type === 'botAccess').message).toBe('GPTBot is now blocked');
+    });
+
+    test('should ignore fallback tests and report an empty diff for identical audits', () => {
+      const diff = diffAudits(before, JSON.parse(JSON.stringify(before)));
+      const fallback = diffAudits(before, { tests: { ...before.tests, schema: { fallback: true, types: [] } } });
+
+      expect(diff.regressions).toEqual([]);
+      expect(diff.improvements).toEqual([]);
+      expect(diff.summary.overallDelta).toBe(0);
+      expect(fallback.schema.removed).toEqual([]);
+      expect(fallback.tests.schema.to).toBeNull();
+    });
+  });
+
+  describe('findRegressionAlerts', () => {
+    const audit = (overrides = {}) => ({
+      tests: {
+        seo: { score: 80 },
+        accessibility: { score: 90 },
+        metadata: { robots: '', canonical: 'https://example.com/', ...overrides.metadata },
+        schema: { types: overrides.types || ['Organization', 'Organization', 'WebSite'] },
+        multiBot: { botMatrix: botMatrix(overrides.googlebot ?? true, true) },
+        ...overrides.tests
+      }
+    });
+
+    test('should alert on score drops above the threshold only', () => {
+      const alerts = findRegressionAlerts(audit(), audit({ tests: { seo: { score: 72 }, accessibility: { score: 86 } } }), { threshold: 5 });
+
+      expect(alerts.map(alert => alert.field)).toEqual(['seo', 'overall']);
+      expect(alerts[0]).toMatchObject({ type: 'score-drop', before: 80, after: 72, delta: -8 });
+    });
+
+    test('should alert on critical flips', () => {
+      const alerts = findRegressionAlerts(audit(), audit({
+        metadata: { robots: 'noindex, follow', canonical: 'https://example.com/home' },
+        types: ['Organization'],
+        googlebot: false
+      }), { threshold: 100 });
+
+      expect(alerts.map(alert => alert.type)).toEqual([
+        'canonical-changed', 'noindex', 'googlebot-blocked', 'schema-removed'
+      ]);
+      expect(alerts[0]).toMatchObject({ before: 'https://example.com/', after: 'https://example.com/home' });
+      expect(alerts[3]).toMatchObject({ before: ['Organization', 'WebSite'], after: ['Organization'], removed: ['WebSite'] });
+    });
+
+    test('should not alert on improvements or newly added canonicals', () => {
+      const before = audit({ metadata: { robots: 'noindex', canonical: '' }, googlebot: false });
+      const after = audit({ tests: { seo: { score: 95 } } });
+
+      expect(findRegressionAlerts(before, after)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// tests/unit/utils/audit-scores.test.js
+// Unit tests for audit score and issue extraction
+
+const { extractScores, collectIssues, extractPageFacts } = require('../../../utils/audit-scores');
+
+describe('Utils - Audit Scores', () => {
+  describe('extractScores', () => {
+    test('should read category scores from a lightweight audit', () => {
+      const scores = extractScores({
+        tests: {
+          seo: { score: 82 },
+          performance: { score: 60 },
+          accessibility: { score: 91 },
+          schema: { score: 40 },
+          aeo: { score: 55 },
+          eat: { overallScore: 72 }
+        }
+      });
+
+      expect(scores).toEqual({
+        seo: 82,
+        performance: 60,
+        accessibility: 91,
+        schema: 40,
+        aeo: 55,
+        eat: 72,
+        overall: 67
+      });
+    });
+
+    test('should prefer PSI performance when available', () => {
+      const scores = extractScores({
+        tests: { performance: { score: 100 } },
+        psiMetrics: { performance: { score: 48 } }
+      });
+
+      expect(scores.performance).toBe(48);
+    });
+
+    test('should ignore fallback and errored tests', () => {
+      const scores = extractScores({
+        tests: {
+          seo: { score: 70 },
+          accessibility: { score: 50, fallback: true },
+          schema: { error: 'Method timeout' }
+        }
+      });
+
+      expect(scores.accessibility).toBeNull();
+      expect(scores.schema).toBeNull();
+      expect(scores.overall).toBe(70);
+    });
+
+    test('should return null scores for empty results', () => {
+      expect(extractScores(null).overall).toBeNull();
+    });
+  });
+
+  describe('collectIssues', () => {
+    test('should flatten issues across tests with categories and severity', () => {
+      const issues = collectIssues({
+        tests: {
+          seo: { scoreBreakdown: [{ factor: 'Title tag', points: 25, earned: 0 }, { factor: 'H1', points: 20, earned: 20 }] },
+          metadata: { issues: ['Missing title tag', 'Missing canonical URL'] },
+          accessibility: { axeResults: { violations: [{ help: 'Images must have alternate text', impact: 'critical', nodes: 3 }] } },
+          performance: { warnings: [{ message: 'Large DOM', severity: 'low' }] },
+          files: { robots: { exists: false }, sitemap: { exists: true } }
+        }
+      });
+
+      expect(issues).toEqual([
+        { category: 'seo', message: 'Title tag not met', severity: 'high' },
+        { category: 'metadata', message: 'Missing title tag', severity: 'high' },
+        { category: 'metadata', message: 'Missing canonical URL', severity: 'medium' },
+        { category: 'accessibility', message: 'Images must have alternate text (3 instances)', severity: 'high' },
+        { category: 'performance', message: 'Large DOM', severity: 'low' },
+        { category: 'files', message: 'robots.txt not found', severity: 'medium' }
+      ]);
+    });
+  });
+  describe('extractPageFacts', () => {
+    test('should read on-page facts from metadata, SEO and schema tests', () => {
+      const facts = extractPageFacts({
+        tests: {
+          metadata: { title: 'Pricing plans', description: 'Compare our plans', canonical: 'https://example.com/pricing' },
+          seo: { h1Count: 2, title: 'ignored' },
+          schema: { types: ['Product', 'Offer', 'Product'] }
+        }
+      });
+
+      expect(facts).toEqual({
+        title: 'Pricing plans',
+        titleLength: 13,
+        descriptionLength: 17,
+        h1Count: 2,
+        canonical: 'https://example.com/pricing',
+        schemaTypes: ['Product', 'Offer']
+      });
+    });
+
+    test('should return nulls when tests are missing or failed', () => {
+      const facts = extractPageFacts({ tests: { seo: { error: 'Timeout', h1Count: 1 } } });
+
+      expect(facts).toEqual({
+        title: null,
+        titleLength: null,
+        descriptionLength: null,
+        h1Count: null,
+        canonical: null,
+        schemaTypes: []
+      });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// tests/unit/utils/bm25.test.js
+// Unit tests for local BM25 ranking
+
+const { stem, tokenize, createBM25Index } = require('../../../utils/bm25');
+
+describe('Utils - BM25', () => {
+  test('should tokenize without stopwords and with light stemming', () => {
+    expect(tokenize('How long does shipping to Norway take?')).toEqual(['long', 'ship', 'norway', 'take']);
+    expect(stem('shipped')).toBe('ship');
+    expect(stem('skis')).toBe('skis');
+    expect(stem('returns')).toBe('return');
+  });
+
+  test('should rank the document with the rarer matching term first', () => {
+    const index = createBM25Index([
+      'Wax keeps skis fast on cold snow.',
+      'We ship skis to Norway and Sweden.',
+      'Skis, poles and boots are in stock.'
+    ]);
+
+    const ranking = index.search('shipping skis to Norway');
+
+    expect(index.size).toBe(3);
+    expect(ranking[0].index).toBe(1);
+    expect(ranking[0].score).toBeGreaterThan(ranking[1].score);
+    expect(ranking[1].score).toBeGreaterThan(0);
+  });
+
+  test('should normalise for document length', () => {
+    const index = createBM25Index([
+      'Returns are free.',
+      `Returns are free. ${'Our catalogue lists gloves, hats and jackets for every season. '.repeat(10)}`
+    ]);
+
+    const [first, second] = index.search('free returns');
+
+    expect(first.index).toBe(0);
+    expect(first.score).toBeGreaterThan(second.score);
+  });
+
+  test('should score unmatched queries and empty indexes as zero', () => {
+    expect(createBM25Index(['Wax on snow']).search('shipping')).toEqual([{ index: 0, score: 0 }]);
+    expect(createBM25Index([]).search('anything')).toEqual([]);
+  });
+});
@@ -0,0 +1,126 @@
+// tests/unit/utils/bot-registry.test.js
+// Unit tests for the bot registry loader, schema validation and overrides
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  REGISTRY_PATH,
+  validateRegistry,
+  mergeRegistry,
+  loadBotRegistry,
+  getBotRegistry
+} = require('../../../utils/bot-registry');
+
+const baseRegistry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+
+describe('Utils - Bot Registry', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-registry-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeJson = (name, data) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, typeof data === 'string' ? data : JSON.stringify(data));
+    return filePath;
+  };
+
+  test('the shipped registry should pass schema validation', () => {
+    expect(validateRegistry(baseRegistry)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('should report schema errors per bot', () => {
+    const result = validateRegistry({
+      version: '1',
+      types: ['search'],
+      bots: {
+        BadBot: { type: 'scraper', critical: 'yes', company: 'X', description: '', userAgentPattern: '(', recommendations: {}, stealthWarning: 1, verification: { reverseDnsSuffixes: [] } }
+      }
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'BadBot: type must be one of search',
+      'BadBot: critical must be a boolean',
+      'BadBot: description must be a non-empty string',
+      'BadBot: userAgentPattern is not a valid regular expression',
+      'BadBot: recommendations.allow and recommendations.block must be strings',
+      'BadBot: verification.reverseDnsSuffixes must be a non-empty array of hostnames',
+      'BadBot: stealthWarning must be a boolean'
+    ]);
+    expect(validateRegistry({ bots: {} }).errors).toEqual([
+      'version must be a non-empty string',
+      'types must be a non-empty array of strings',
+      'bots must be a non-empty object'
+    ]);
+  });
+
+  test('should compile user-agent patterns and ignore overrides when disabled', () => {
+    const registry = loadBotRegistry({ overridePath: '' });
+
+    expect(registry.version).toBe(baseRegistry.version);
+    expect(registry.source.override).toBeNull();
+    expect(registry.bots['OAI-SearchBot'].userAgentPattern).toBeInstanceOf(RegExp);
+    expect(registry.bots['OAI-SearchBot'].userAgentPattern.test('OAI-SearchBot/1.0; +https://openai.com/searchbot')).toBe(true);
+    expect(getBotRegistry().version).toBe(baseRegistry.version);
+  });
+
+  test('should merge, add and remove bots from the override file', () => {
+    const overridePath = writeJson('bots.local.json', {
+      version: 'acme-2',
+      bots: {
+        GPTBot: { critical: true, recommendations: { block: 'Blocks OpenAI training for Acme' } },
+        CCBot: null,
+        AcmeBot: {
+          type: 'search',
+          critical: false,
+          company: 'Acme',
+          description: 'Internal search crawler',
+          userAgentPattern: 'acmebot',
+          recommendations: { allow: 'Keeps site search fresh', block: 'Site search goes stale' }
+        }
+      }
+    });
+
+    const registry = loadBotRegistry({ overridePath });
+
+    expect(registry.version).toBe(`${baseRegistry.version}+acme-2`);
+    expect(registry.baseVersion).toBe(baseRegistry.version);
+    expect(registry.source.override).toBe(overridePath);
+    expect(registry.bots.GPTBot).toMatchObject({
+      critical: true,
+      company: 'OpenAI',
+      recommendations: { allow: baseRegistry.bots.GPTBot.recommendations.allow, block: 'Blocks OpenAI training for Acme' }
+    });
+    expect(registry.bots).not.toHaveProperty('CCBot');
+    expect(registry.bots.AcmeBot.userAgentPattern.test('AcmeBot/3')).toBe(true);
+  });
+
+  test('should ignore an invalid override and keep the base registry', () => {
+    const incomplete = loadBotRegistry({ overridePath: writeJson('incomplete.json', { bots: { NewBot: { type: 'search' } } }) });
+    expect(incomplete.version).toBe(baseRegistry.version);
+    expect(incomplete.bots).not.toHaveProperty('NewBot');
+    expect(incomplete.overrideErrors).toContain('NewBot: critical must be a boolean');
+
+    const malformed = loadBotRegistry({ overridePath: writeJson('malformed.json', '{ not json') });
+    expect(malformed.overrideErrors).toHaveLength(1);
+    expect(malformed.source.override).toBeNull();
+  });
+
+  test('should throw when the base registry is invalid', () => {
+    const registryPath = writeJson('bots.json', { version: '1', types: ['search'], bots: {} });
+    expect(() => loadBotRegistry({ registryPath, overridePath: '' })).toThrow('Invalid bot registry');
+  });
+
+  test('mergeRegistry should label local overrides without a version', () => {
+    const merged = mergeRegistry(baseRegistry, { types: ['ai-agent'], bots: {} });
+    expect(merged.version).toBe(`${baseRegistry.version}+local`);
+    expect(merged.types).toContain('ai-agent');
+  });
+});
@@ -0,0 +1,68 @@
+// tests/unit/utils/cron.test.js
+// Unit tests for cron expression parsing and next-run calculation
+
+const { parseCron, validateCron, getNextRun, getRunsBetween } = require('../../../utils/cron');
+
+describe('Utils - Cron', () => {
+  describe('parseCron', () => {
+    test('should expand lists, ranges, steps and names', () => {
+      const parsed = parseCron('*/20 9-11 1,15 JAN-MAR MON-FRI');
+
+      expect([...parsed.minute]).toEqual([0, 20, 40]);
+      expect([...parsed.hour]).toEqual([9, 10, 11]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+      expect([...parsed.month]).toEqual([1, 2, 3]);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should accept macros and Sunday as 7', () => {
+      expect([...parseCron('@weekly').dayOfWeek]).toEqual([0]);
+      expect([...parseCron('0 0 * * 7').dayOfWeek]).toEqual([0]);
+    });
+
+    test('should reject malformed expressions', () => {
+      expect(validateCron('61 * * * *').isValid).toBe(false);
+      expect(validateCron('* * *').error).toMatch('5 fields');
+      expect(validateCron('*/0 * * * *').isValid).toBe(false);
+      expect(validateCron('').isValid).toBe(false);
+      expect(validateCron('0 9 * * MON').isValid).toBe(true);
+    });
+  });
+
+  describe('getNextRun', () => {
+    test('should return the next matching minute strictly after the start', () => {
+      expect(getNextRun('0 9 * * MON', Date.UTC(2024, 0, 1, 9, 0)).toISOString()).toBe('2024-01-08T09:00:00.000Z');
+      expect(getNextRun('*/15 * * * *', Date.UTC(2024, 0, 1, 9, 7, 30)).toISOString()).toBe('2024-01-01T09:15:00.000Z');
+      expect(getNextRun('@monthly', Date.UTC(2024, 0, 31, 12)).toISOString()).toBe('2024-02-01T00:00:00.000Z');
+    });
+
+    test('should match either day field when both are restricted', () => {
+      // 1st of the month or any Friday, whichever comes first
+      expect(getNextRun('0 0 1 * FRI', Date.UTC(2024, 0, 1, 12)).toISOString()).toBe('2024-01-05T00:00:00.000Z');
+    });
+
+    test('should treat stepped wildcard day fields as unrestricted', () => {
+      // Odd days of the month that are also Mondays, not odd days or Mondays
+      expect(getNextRun('0 0 */2 * 1', Date.UTC(2024, 0, 1, 12)).toISOString()).toBe('2024-01-15T00:00:00.000Z');
+      // 13th falling on Sun/Tue/Thu/Sat: 2024-01-13 is a Saturday
+      expect(getNextRun('0 0 13 * */2', Date.UTC(2024, 0, 1)).toISOString()).toBe('2024-01-13T00:00:00.000Z');
+      expect(getNextRun('0 0 13 * */2', Date.UTC(2024, 0, 14)).toISOString()).toBe('2024-02-13T00:00:00.000Z');
+    });
+
+    test('should handle rare dates', () => {
+      expect(getNextRun('0 0 29 2 *', Date.UTC(2024, 2, 1)).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+      expect(getNextRun('0 0 31 2 *', Date.UTC(2024, 0, 1))).toBeNull();
+    });
+  });
+
+  describe('getRunsBetween', () => {
+    test('should list runs inside the window', () => {
+      const runs = getRunsBetween('0 3 * * *', Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 4));
+      expect(runs.map(run => run.toISOString())).toEqual([
+        '2024-01-01T03:00:00.000Z',
+        '2024-01-02T03:00:00.000Z',
+        '2024-01-03T03:00:00.000Z'
+      ]);
+    });
+  });
+});
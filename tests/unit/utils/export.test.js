@@ -0,0 +1,160 @@
+// tests/unit/utils/export.test.js
+// Unit tests for CSV/XLSX exports of batch, sitemap and crawl results
+
+const zlib = require('zlib');
+const {
+  PAGE_COLUMNS,
+  getPageEntries,
+  toPageRow,
+  toIssueRows,
+  createCsvStream,
+  buildExportWorkbook,
+  parseExportQuery
+} = require('../../../utils/export');
+const { crc32, columnName } = require('../../../utils/xlsx');
+
+const readStream = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) text += chunk.toString();
+  return text;
+};
+
+/**
+ * Read the entries of a zip file produced by createZip
+ */
+const unzip = (buffer) => {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+  return files;
+};
+
+const batchResponse = {
+  summary: { total: 2, successful: 1, failed: 1 },
+  results: [
+    {
+      url: 'https://example.com/',
+      status: 'success',
+      result: {
+        tests: {
+          seo: { score: 80, h1Count: 1, scoreBreakdown: [{ factor: 'Canonical URL', points: 5, earned: 0 }] },
+          metadata: { title: 'Home, "best" page', description: 'Welcome', canonical: '', issues: ['Missing canonical tag', 'Missing title tag'] },
+          schema: { score: 50, types: ['Organization'] }
+        }
+      }
+    },
+    { url: 'https://example.com/broken', status: 'error', error: 'HTTP 500' }
+  ]
+};
+
+const sitemapResponse = {
+  mode: 'batch',
+  results: [
+    {
+      url: 'https://example.com/a',
+      success: true,
+      scores: { overall: 70, seo: 70 },
+      facts: { titleLength: 42, descriptionLength: 120, h1Count: 1, canonical: 'https://example.com/a', schemaTypes: ['Article', 'BreadcrumbList'] },
+      issues: [{ category: 'schema', message: 'Missing author', severity: 'medium' }]
+    }
+  ]
+};
+
+describe('Utils - Export', () => {
+  test('should flatten batch entries from full audit results', () => {
+    const [page, failed] = getPageEntries(batchResponse);
+    const row = toPageRow(page);
+
+    expect(row).toMatchObject({
+      url: 'https://example.com/',
+      status: 'ok',
+      titleLength: 17,
+      descriptionLength: 7,
+      h1Count: 1,
+      canonical: null,
+      schemaTypes: 'Organization',
+      score_seo: 80,
+      score_schema: 50,
+      score_performance: null,
+      issueCount: 3
+    });
+    // High severity issues are listed first
+    expect(row.topIssues.split(' | ')[0]).toBe('Missing title tag');
+    expect(toPageRow(failed)).toMatchObject({ status: 'error', error: 'HTTP 500', issueCount: 0 });
+  });
+
+  test('should flatten sitemap and crawl entries', () => {
+    const [page] = getPageEntries(sitemapResponse);
+
+    expect(toPageRow(page)).toMatchObject({ titleLength: 42, schemaTypes: 'Article; BreadcrumbList', score_overall: 70 });
+    expect(toIssueRows(page)).toEqual([
+      { url: 'https://example.com/a', category: 'schema', severity: 'medium', issue: 'Missing author' }
+    ]);
+  });
+
+  test('should stream a quoted CSV pages sheet', async () => {
+    const csv = await readStream(createCsvStream(getPageEntries(batchResponse)));
+    const lines = csv.replace(/^﻿/, '').trim().split('\r\n');
+
+    expect(lines).toHaveLength(3);
+    expect(lines[0].split(',')).toEqual(PAGE_COLUMNS.map(column => column.header));
+    expect(lines[1].startsWith('https://example.com/,ok,,17,7,1,,Organization,')).toBe(true);
+    expect(lines[2]).toContain('https://example.com/broken,error,HTTP 500');
+  });
+
+  test('should stream one CSV row per URL and issue', async () => {
+    const csv = await readStream(createCsvStream(getPageEntries(batchResponse), 'issues'));
+    const lines = csv.replace(/^﻿/, '').trim().split('\r\n');
+
+    expect(lines[0]).toBe('URL,Category,Severity,Issue');
+    expect(lines).toHaveLength(4);
+    expect(lines).toContain('https://example.com/,metadata,high,Missing title tag');
+  });
+
+  test('should guard CSV cells against formula injection', async () => {
+    const csv = await readStream(createCsvStream([
+      { url: 'https://example.com/', status: 'ok', facts: {}, scores: {}, issues: [{ category: 'seo', severity: 'low', message: '=HYPERLINK("x")' }] }
+    ], 'issues'));
+
+    expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+  });
+
+  test('should build an XLSX workbook with pages and issues sheets', () => {
+    const files = unzip(buildExportWorkbook(getPageEntries(batchResponse)));
+
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml'
+    ]));
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Pages"');
+    expect(files['xl/workbook.xml']).toContain('<sheet name="Issues"');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">https://example.com/</t></is></c>');
+    expect(files['xl/worksheets/sheet1.xml']).toContain('<c r="F2"><v>1</v></c>');
+    expect(files['xl/worksheets/sheet2.xml']).toContain('Missing canonical tag');
+  });
+
+  test('should validate export query parameters', () => {
+    expect(parseExportQuery({})).toMatchObject({ isValid: true, format: 'json', sheet: 'pages' });
+    expect(parseExportQuery({ format: 'XLSX' })).toMatchObject({ isValid: true, format: 'xlsx' });
+    expect(parseExportQuery({ format: 'pdf', sheet: 'links' }).errors).toHaveLength(2);
+  });
+});
+
+describe('Utils - XLSX', () => {
+  test('should compute standard CRC-32 values', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('should name columns like spreadsheets do', () => {
+    expect([0, 25, 26, 27, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+  });
+});
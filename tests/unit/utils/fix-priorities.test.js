@@ -0,0 +1,143 @@
+// tests/unit/utils/fix-priorities.test.js
+// Unit tests for the Fix Priorities normalization and ranking
+
+const {
+  parseHours,
+  estimateEffort,
+  collectFixes,
+  buildFixPriorities,
+  aggregateFixPriorities,
+  attachFixPriorities
+} = require('../../../utils/fix-priorities');
+
+const auditResult = {
+  url: 'https://example.com/',
+  tests: {
+    aeo: {
+      score: 40,
+      recommendations: [
+        {
+          priority: 'high',
+          title: 'Add FAQ content',
+          description: 'Create FAQ section with structured data markup',
+          impact: 'Improves AEO eligibility by 25-40%',
+          timeEstimate: '2-4 hours',
+          implementation: { steps: ['Add FAQ section to page content'] }
+        },
+        { priority: 'low', title: 'Make content more conversational', description: 'Use shorter sentences' }
+      ]
+    },
+    eat: {
+      overallScore: 50,
+      trustworthiness: { score: 20 },
+      recommendations: [{ priority: 'high', category: 'trust', title: 'Add Contact Information', description: 'Provide clear contact details' }]
+    },
+    multiBot: {
+      recommendations: [
+        { type: 'critical_warning', priority: 'high', bot: 'Googlebot', message: 'Critical bot Googlebot is blocked', action: 'Review robots.txt' },
+        { type: 'consistency_issue', priority: 'medium', message: 'Inconsistent AI training bot policies detected', details: 'Allowing: GPTBot' }
+      ]
+    },
+    performance: {
+      score: 60,
+      recommendations: [{ type: 'performance', message: 'Improve First Contentful Paint', impact: 'high', details: 'Current FCP: 4200ms' }]
+    },
+    aiAdvanced: {
+      overallScore: 55,
+      recommendations: [{ type: 'citations', message: 'Include more authoritative sources and citations', priority: 'medium', specifics: ['No outbound citations'], score: 45 }]
+    },
+    metadata: { issues: ['Missing title tag'] }
+  }
+};
+
+describe('Utils - FixPriorities', () => {
+  describe('effort estimates', () => {
+    test('should parse hour and minute ranges', () => {
+      expect(parseHours('2-4 hours')).toEqual({ min: 2, max: 4 });
+      expect(parseHours('30-60 minutes')).toEqual({ min: 0.5, max: 1 });
+      expect(parseHours('about 3h')).toEqual({ min: 3, max: 3 });
+      expect(parseHours('soon')).toBeNull();
+    });
+
+    test('should derive the effort tier from the estimate or fall back to a default tier', () => {
+      expect(estimateEffort('30-60 minutes').level).toBe('low');
+      expect(estimateEffort('2-4 hours').level).toBe('medium');
+      expect(estimateEffort('1-2 days')).toMatchObject({ level: 'high', hours: { min: 8, max: 16 } });
+      expect(estimateEffort('whenever')).toMatchObject({ level: 'medium', estimate: null });
+      expect(estimateEffort(null, 'low')).toMatchObject({ level: 'low', hours: { min: 0.25, max: 1 } });
+    });
+  });
+
+  test('should normalize every analyzer into the shared issue model', () => {
+    const fixes = collectFixes(auditResult);
+    const byId = Object.fromEntries(fixes.map(fix => [fix.id, fix]));
+
+    expect(byId['aeo:add-faq-content']).toMatchObject({
+      source: 'aeo',
+      severity: 'high',
+      effort: { level: 'medium', hours: { min: 2, max: 4 }, estimate: '2-4 hours' },
+      affectedUrls: ['https://example.com/'],
+      evidence: ['Improves AEO eligibility by 25-40%'],
+      steps: ['Add FAQ section to page content']
+    });
+    expect(byId['eat:add-contact-information'].evidence).toEqual(['E-E-A-T area: trust', 'trustworthiness score: 20']);
+    expect(byId['bots:critical-warning-googlebot']).toMatchObject({ severity: 'critical', action: 'Review robots.txt' });
+    expect(byId['performance:improve-first-contentful-paint']).toMatchObject({ severity: 'high', effort: { level: 'high' }, evidence: ['Current FCP: 4200ms'] });
+    expect(byId['ai:citations-include-more-authoritative-sources-and-citations'].evidence).toEqual(['No outbound citations', 'citations score: 45']);
+    expect(byId['metadata:missing-title-tag']).toMatchObject({ source: 'checks', severity: 'high', effort: { level: 'low' } });
+  });
+
+  test('should rank by impact over effort', () => {
+    const ranked = buildFixPriorities(auditResult);
+
+    expect(ranked[0]).toMatchObject({ id: 'bots:critical-warning-googlebot', rank: 1, priorityScore: 10 });
+    expect(ranked[1]).toMatchObject({ id: 'metadata:missing-title-tag', priorityScore: 6 });
+    expect(ranked.map(fix => fix.rank)).toEqual(ranked.map((fix, index) => index + 1));
+
+    const scores = ranked.map(fix => fix.priorityScore);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+  });
+
+  test('should map low AI Surfaces sub-metrics to fixes by score band', () => {
+    const fixes = collectFixes({
+      url: 'https://example.com/',
+      tests: { aiSurfaces: { score: 48, subs: { answerClarity: 20, citations: 45, recency: 65, technical: 90 } } }
+    });
+
+    expect(fixes.map(fix => [fix.id, fix.severity, fix.effort.hours])).toEqual([
+      ['ai:surfaces-answerclarity', 'critical', { min: 6, max: 8 }],
+      ['ai:surfaces-citations', 'high', { min: 4, max: 6 }],
+      ['ai:surfaces-recency', 'medium', { min: 2, max: 4 }]
+    ]);
+  });
+
+  test('should skip errored tests', () => {
+    const fixes = collectFixes({ url: 'https://example.com/', tests: { aeo: { error: 'Timeout', recommendations: [{ title: 'x' }] } } });
+    expect(fixes).toEqual([]);
+  });
+
+  test('should merge the same fix across pages and boost its rank', () => {
+    const page = (url, imageCount) => buildFixPriorities({
+      url,
+      tests: {
+        metadata: { issues: [`${imageCount} images missing alt text`] },
+        eat: { recommendations: [{ priority: 'medium', category: 'trust', title: 'Create Privacy Policy' }] }
+      }
+    });
+
+    const site = aggregateFixPriorities([page('https://example.com/a', 3), page('https://example.com/b', 5), []]);
+    const images = site.find(fix => fix.id === 'metadata:n-images-missing-alt-text');
+
+    expect(images.affectedUrls).toEqual(['https://example.com/a', 'https://example.com/b']);
+    expect(images.priorityScore).toBe(6);
+    expect(site.find(fix => fix.id === 'eat:create-privacy-policy').affectedUrls).toHaveLength(2);
+  });
+
+  test('should attach fixPriorities to a result in place', () => {
+    const result = { url: 'https://example.com/', tests: { metadata: { issues: ['Missing canonical tag'] } } };
+
+    expect(attachFixPriorities(result)).toBe(result);
+    expect(result.fixPriorities).toHaveLength(1);
+    expect(attachFixPriorities(null)).toBeNull();
+  });
+});
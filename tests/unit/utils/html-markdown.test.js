@@ -0,0 +1,96 @@
+// tests/unit/utils/html-markdown.test.js
+// Unit tests for main-content selection and HTML → markdown conversion
+
+const cheerio = require('cheerio');
+const { htmlToMarkdown, selectMainContent, cleanDocument } = require('../../../utils/html-markdown');
+
+describe('Utils - HTML Markdown', () => {
+  test('should drop page chrome and prefer the main element', () => {
+    const html = `<html><head><title>Guide</title><script>var x = 1;</script></head><body>
+      <header><a href="/">Logo</a></header><nav><a href="/docs">Docs</a></nav>
+      <main><h1>Waxing</h1><p>Warm the iron.</p></main>
+      <footer>© 2026</footer></body></html>`;
+    const $ = cheerio.load(html);
+    const result = htmlToMarkdown($, { baseUrl: 'https://example.com/guide' });
+
+    expect(result).toEqual({ markdown: '# Waxing\n\nWarm the iron.', title: 'Guide', selector: 'main' });
+    expect($('nav').length).toBe(1);
+  });
+
+  test('should keep content when consent or modal state classes sit on content roots', () => {
+    const html = `<html class="js"><body class="home cookie-consent-accepted">
+      <div class="modal-open-page"><main class="modal-free"><h1>Waxing</h1><p>Warm the iron.</p></main></div>
+      <div class="cookie-banner">We use cookies.</div>
+      <div id="consent-dialog">Accept?</div>
+      <div class="site newsletter_signup">Subscribe</div>
+      <div class="modalities">Kept</div>
+      </body></html>`;
+    const $ = cleanDocument(html);
+
+    expect($('main p').text()).toBe('Warm the iron.');
+    expect($('.cookie-banner, #consent-dialog, .newsletter_signup').length).toBe(0);
+    expect($('.modalities').length).toBe(1);
+    expect(htmlToMarkdown(cheerio.load(html)).markdown).toBe('# Waxing\n\nWarm the iron.');
+  });
+
+  test('should keep pages wrapped in a single form', () => {
+    const html = `<html><body><form id="form1"><nav>Menu</nav><main><p>Warm the iron.</p></main>
+      <form class="search"><input name="q"></form></form></body></html>`;
+    const $ = cleanDocument(html);
+
+    expect($('main p').text()).toBe('Warm the iron.');
+    expect($('nav, form.search').length).toBe(0);
+  });
+
+  test('should keep the H1 article wrapper but drop related article cards', () => {
+    const $ = cleanDocument(`<body><div class="modal-root"><article><h1>Waxing</h1><p>Warm the iron.</p></article></div>
+      <div class="related-posts"><article><h2>Poles</h2></article></div></body>`);
+
+    expect($('article p').text()).toBe('Warm the iron.');
+    expect($('.related-posts').length).toBe(0);
+  });
+
+  test('should convert inline formatting, links, lists, tables, quotes and code', () => {
+    const { markdown } = htmlToMarkdown(`<article>
+      <h2>Steps</h2>
+      <p>Use <strong>glide</strong> wax, see <a href="/faq">the FAQ</a>.<br>Then <em>scrape</em> with <code>a_scraper</code>.</p>
+      <ol><li>Warm<ul><li>Slowly</li></ul></li><li>Scrape</li></ol>
+      <table><tr><th>Temp</th><th>Wax</th></tr><tr><td>-5</td><td>Blue | cold</td></tr></table>
+      <blockquote><p>Less is more.</p></blockquote>
+      <pre>iron --temp 120\n</pre>
+      <img src="/wax.png" alt="Wax bar"><img src="/spacer.gif">
+    </article>`, { baseUrl: 'https://example.com/guides/' });
+
+    expect(markdown).toBe([
+      '## Steps',
+      '',
+      'Use **glide** wax, see [the FAQ](https://example.com/faq).',
+      'Then *scrape* with `a_scraper`.',
+      '',
+      '1. Warm',
+      '  - Slowly',
+      '2. Scrape',
+      '',
+      '| Temp | Wax |',
+      '| --- | --- |',
+      '| -5 | Blue \\| cold |',
+      '',
+      '> Less is more.',
+      '',
+      '```',
+      'iron --temp 120',
+      '```',
+      '',
+      '![Wax bar](https://example.com/wax.png)'
+    ].join('\n'));
+  });
+
+  test('should pick the longest candidate and fall back to body', () => {
+    const $ = cleanDocument('<body><article>Short</article><article>A much longer article body</article></body>');
+    expect($(selectMainContent($).element).text()).toBe('A much longer article body');
+
+    const body = cleanDocument('<body><div>Only a div</div><aside>Related</aside></body>');
+    expect(selectMainContent(body).selector).toBe('body');
+    expect(htmlToMarkdown('<body><div>Only a div</div><aside>Related</aside></body>').markdown).toBe('Only a div');
+  });
+});
@@ -0,0 +1,105 @@
+// tests/unit/utils/robots-directives.test.js
+// Unit tests for meta robots and X-Robots-Tag directive parsing
+
+const {
+  parseDirectiveList,
+  parseXRobotsTag,
+  extractMetaDirectives,
+  resolveBotDirectives
+} = require('../../../utils/robots-directives');
+
+describe('Utils - Robots Directives', () => {
+  describe('parseDirectiveList', () => {
+    test('should parse flags and valued directives, skipping unknown tokens', () => {
+      expect(parseDirectiveList('NOINDEX, max-snippet:50, max-image-preview: large, foo, noai')).toEqual([
+        { name: 'noindex', value: null },
+        { name: 'max-snippet', value: '50' },
+        { name: 'max-image-preview', value: 'large' },
+        { name: 'noai', value: null }
+      ]);
+    });
+
+    test('should keep commas inside unavailable_after dates', () => {
+      expect(parseDirectiveList('unavailable_after: Wednesday, 25-Jun-10 15:00:00 GMT, nofollow')).toEqual([
+        { name: 'unavailable_after', value: 'Wednesday, 25-Jun-10 15:00:00 GMT' },
+        { name: 'nofollow', value: null }
+      ]);
+    });
+  });
+
+  describe('parseXRobotsTag', () => {
+    test('should scope directives by user-agent prefix', () => {
+      const entries = parseXRobotsTag(['googlebot: noindex, nofollow', 'otherbot: noarchive, max-snippet: 20', 'noimageai']);
+
+      expect(entries.map(({ scope, value }) => ({ scope, value }))).toEqual([
+        { scope: 'googlebot', value: 'noindex, nofollow' },
+        { scope: 'otherbot', value: 'noarchive, max-snippet: 20' },
+        { scope: '*', value: 'noimageai' }
+      ]);
+      expect(entries[1].directives).toEqual([{ name: 'noarchive', value: null }, { name: 'max-snippet', value: '20' }]);
+    });
+
+    test('should switch scope inside a joined header and ignore empty values', () => {
+      const entries = parseXRobotsTag('nosnippet, bingbot: noindex');
+
+      expect(entries.map(entry => entry.scope)).toEqual(['*', 'bingbot']);
+      expect(parseXRobotsTag(null)).toEqual([]);
+    });
+  });
+
+  describe('extractMetaDirectives', () => {
+    test('should read robots and crawler-specific meta tags only', () => {
+      const html = '<meta name="robots" content="index, follow"><meta name="Googlebot" content="nosnippet">' +
+        '<meta name="viewport" content="width=device-width"><meta name="somebot" content="noindex">';
+
+      expect(extractMetaDirectives(html, ['Googlebot', 'GPTBot']).map(({ scope, value }) => ({ scope, value }))).toEqual([
+        { scope: '*', value: 'index, follow' },
+        { scope: 'googlebot', value: 'nosnippet' }
+      ]);
+    });
+  });
+
+  describe('resolveBotDirectives', () => {
+    const entries = [
+      ...extractMetaDirectives('<meta name="robots" content="max-snippet:160, max-image-preview:large">', []),
+      ...parseXRobotsTag(['googlebot: max-snippet:40, max-image-preview:none', 'gptbot: none'])
+    ];
+
+    test('should apply the most restrictive value from every matching scope', () => {
+      const googlebot = resolveBotDirectives(entries, 'Googlebot');
+
+      expect(googlebot).toMatchObject({
+        index: true,
+        follow: true,
+        snippet: { allowed: true, maxLength: 40 },
+        imagePreview: 'none',
+        ai: { text: true, images: true }
+      });
+      expect(googlebot.sources).toHaveLength(2);
+      expect(resolveBotDirectives(entries, 'bingbot').snippet.maxLength).toBe(160);
+    });
+
+    test('should expand none and handle unavailable_after against the reference time', () => {
+      expect(resolveBotDirectives(entries, 'GPTBot')).toMatchObject({ index: false, follow: false });
+
+      const dated = parseXRobotsTag('unavailable_after: 2026-12-31T00:00:00Z');
+      expect(resolveBotDirectives(dated, 'Googlebot', new Date('2026-10-19'))).toMatchObject({ index: true, expired: false });
+      expect(resolveBotDirectives(dated, 'Googlebot', new Date('2027-01-02'))).toMatchObject({ index: false, expired: true });
+    });
+
+    test('should default to fully permissive without directives', () => {
+      expect(resolveBotDirectives([], 'Googlebot')).toEqual({
+        index: true,
+        follow: true,
+        snippet: { allowed: true, maxLength: null },
+        imagePreview: 'large',
+        archive: true,
+        ai: { text: true, images: true },
+        unavailableAfter: null,
+        expired: false,
+        directives: [],
+        sources: []
+      });
+    });
+  });
+});
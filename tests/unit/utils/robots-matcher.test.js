@@ -0,0 +1,168 @@
+// tests/unit/utils/robots-matcher.test.js
+// Unit tests for the RFC 9309 robots.txt parser and matcher
+
+jest.mock('../../../utils/helpers', () => ({
+  fetchWithTimeout: jest.fn()
+}));
+
+const { fetchWithTimeout } = require('../../../utils/helpers');
+const {
+  productToken,
+  normalizePath,
+  parseRobotsTxt,
+  selectGroup,
+  matchesPattern,
+  evaluateRules,
+  evaluateUrl,
+  fetchRobotsTxt
+} = require('../../../utils/robots-matcher');
+
+const ROBOTS = [
+  '\uFEFFUser-agent: Googlebot',
+  'User-agent: bingbot # shared group',
+  'Disallow: /search',
+  'Allow: /search/about',
+  '',
+  'User-agent: *',
+  'Disallow: /private/',
+  'Allow: /private/press$',
+  'Disallow: /*.pdf$',
+  'Crawl-delay: 5',
+  'Sitemap: https://example.com/sitemap.xml',
+  '',
+  'User-agent: googlebot',
+  'Disallow: /tmp/'
+].join('\r\n');
+
+describe('Utils - Robots Matcher', () => {
+  describe('parseRobotsTxt', () => {
+    test('should group consecutive user-agent lines and record line numbers', () => {
+      const robots = parseRobotsTxt(ROBOTS);
+
+      expect(robots.groups).toHaveLength(3);
+      expect(robots.groups[0]).toMatchObject({ userAgents: ['Googlebot', 'bingbot'], lineNumber: 1 });
+      expect(robots.groups[0].rules[1]).toEqual({ directive: 'allow', path: '/search/about', line: 'Allow: /search/about', lineNumber: 4 });
+      expect(robots.groups[1].crawlDelay).toBe(5);
+      expect(robots.sitemaps).toEqual(['https://example.com/sitemap.xml']);
+    });
+
+    test('should warn about rules outside groups and unknown records', () => {
+      const robots = parseRobotsTxt('Disallow: /\nNoindex: /x\nUser-agent: *\nDisalow: /old');
+
+      expect(robots.warnings.map(warning => warning.lineNumber)).toEqual([1, 2]);
+      expect(robots.groups[0].rules[0]).toMatchObject({ directive: 'disallow', path: '/old' });
+    });
+  });
+
+  describe('selectGroup', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    test('should merge every group naming the crawler, case-insensitively', () => {
+      const group = selectGroup(robots, 'GOOGLEBOT');
+
+      expect(group.userAgent).toBe('Googlebot');
+      expect(group.lineNumbers).toEqual([1, 13]);
+      expect(group.rules.map(rule => rule.path)).toEqual(['/search', '/search/about', '/tmp/']);
+    });
+
+    test('should fall back to the wildcard group and match full user-agent strings', () => {
+      expect(selectGroup(robots, 'GPTBot').userAgent).toBe('*');
+      expect(selectGroup(robots, 'Mozilla/5.0 (compatible; bingbot/2.0; +http://www.bing.com/bingbot.htm)').userAgent).toBe('bingbot');
+      expect(selectGroup(parseRobotsTxt('User-agent: GPTBot\nDisallow: /'), 'Googlebot')).toBeNull();
+    });
+  });
+
+  describe('matchesPattern', () => {
+    test('should support * wildcards and the $ end anchor', () => {
+      expect(matchesPattern('/fish/salmon.html', '/fish')).toBe(true);
+      expect(matchesPattern('/Fish.asp', '/fish')).toBe(false);
+      expect(matchesPattern('/filename.php?parameters', '/*.php')).toBe(true);
+      expect(matchesPattern('/filename.php?parameters', '/*.php$')).toBe(false);
+      expect(matchesPattern('/folder/filename.php', '/*.php$')).toBe(true);
+      expect(matchesPattern('/fish/', '/fish*')).toBe(true);
+      expect(matchesPattern('/a$b', '/a$b')).toBe(true);
+    });
+
+    test('should stay fast on wildcard-heavy patterns', () => {
+      const start = Date.now();
+      expect(matchesPattern(`/${'a'.repeat(2000)}`, `/${'*a'.repeat(50)}b`)).toBe(false);
+      expect(Date.now() - start).toBeLessThan(1000);
+    });
+  });
+
+  describe('evaluateRules', () => {
+    test('should apply the longest match and let Allow win ties', () => {
+      const rules = [
+        { directive: 'allow', path: '/p' },
+        { directive: 'disallow', path: '/' },
+        { directive: 'allow', path: '/folder' },
+        { directive: 'disallow', path: '/folder' },
+        { directive: 'disallow', path: '/*.htm' },
+        { directive: 'allow', path: '/page' },
+        { directive: 'disallow', path: '/*.html' }
+      ];
+
+      expect(evaluateRules('/page', rules)).toMatchObject({ allowed: true, rule: { path: '/page' } });
+      expect(evaluateRules('/folder/page', rules)).toMatchObject({ allowed: true, rule: { directive: 'allow', path: '/folder' } });
+      expect(evaluateRules('/page.htm', rules)).toMatchObject({ allowed: false, rule: { path: '/*.htm' } });
+      expect(evaluateRules('/x', rules)).toMatchObject({ allowed: false, rule: { path: '/' } });
+    });
+
+    test('should ignore empty rules and compare percent-encoded paths', () => {
+      expect(evaluateRules('/anything', [{ directive: 'disallow', path: '' }])).toEqual({ allowed: true, rule: null });
+      expect(normalizePath('/caf%c3%a9/%7euser')).toBe('/caf%C3%A9/~user');
+      expect(evaluateRules('/café/menu', [{ directive: 'disallow', path: '/caf%C3%A9/' }]).allowed).toBe(false);
+      expect(evaluateRules('/%7Euser/', [{ directive: 'disallow', path: '/~user' }]).allowed).toBe(false);
+    });
+  });
+
+  describe('evaluateUrl', () => {
+    const robots = parseRobotsTxt(ROBOTS);
+
+    test('should report the verdict, group and deciding rule', () => {
+      expect(evaluateUrl(robots, 'https://example.com/private/press', 'GPTBot')).toEqual({
+        path: '/private/press',
+        allowed: true,
+        verdict: 'allowed',
+        reason: 'matched-rule',
+        group: { userAgent: '*', lineNumbers: [6] },
+        rule: { directive: 'allow', path: '/private/press$', line: 'Allow: /private/press$', lineNumber: 8 }
+      });
+      expect(evaluateUrl(robots, '/docs/guide.pdf', 'GPTBot')).toMatchObject({ verdict: 'disallowed', rule: { lineNumber: 9 } });
+      expect(evaluateUrl(robots, '/private/report', 'Googlebot')).toMatchObject({ allowed: true, reason: 'no-matching-rule', rule: null });
+    });
+
+    test('should always allow robots.txt and honour availability', () => {
+      expect(evaluateUrl(parseRobotsTxt('User-agent: *\nDisallow: /'), '/robots.txt', 'GPTBot').reason).toBe('robots-txt');
+      expect(evaluateUrl({ availability: 'unavailable', groups: [] }, '/', 'GPTBot')).toMatchObject({ allowed: true, reason: 'robots-unavailable' });
+      expect(evaluateUrl({ availability: 'unreachable', groups: [] }, '/', 'GPTBot')).toMatchObject({ allowed: false, reason: 'robots-unreachable' });
+    });
+  });
+
+  describe('fetchRobotsTxt', () => {
+    beforeEach(() => {
+      fetchWithTimeout.mockReset();
+    });
+
+    test('should classify 4xx as unavailable and 5xx or network errors as unreachable', async () => {
+      fetchWithTimeout.mockResolvedValueOnce({ ok: true, status: 200, text: async () => 'User-agent: *' });
+      fetchWithTimeout.mockResolvedValueOnce({ ok: false, status: 404 });
+      fetchWithTimeout.mockResolvedValueOnce({ ok: false, status: 503 });
+      fetchWithTimeout.mockRejectedValueOnce(new Error('ECONNRESET'));
+
+      expect(await fetchRobotsTxt('https://example.com/page')).toMatchObject({
+        url: 'https://example.com/robots.txt',
+        availability: 'available',
+        content: 'User-agent: *'
+      });
+      expect((await fetchRobotsTxt('https://example.com')).availability).toBe('unavailable');
+      expect((await fetchRobotsTxt('https://example.com')).availability).toBe('unreachable');
+      expect(await fetchRobotsTxt('https://example.com')).toMatchObject({ availability: 'unreachable', error: 'ECONNRESET' });
+    });
+  });
+
+  test('productToken should strip version suffixes', () => {
+    expect(productToken('Googlebot/2.1')).toBe('Googlebot');
+    expect(productToken(' * ')).toBe('*');
+  });
+});
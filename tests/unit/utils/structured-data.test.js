@@ -0,0 +1,152 @@
+// tests/unit/utils/structured-data.test.js
+// Unit tests for JSON-LD, microdata and RDFa Lite extraction
+
+const cheerio = require('cheerio');
+const {
+  parseJsonLd,
+  extractMicrodata,
+  extractRdfa,
+  extractStructuredData
+} = require('../../../utils/structured-data');
+const SchemaValidator = require('../../../services/schema-validator');
+
+const PRODUCT_MICRODATA = `
+  <div itemscope itemtype="https://schema.org/Product" itemid="#product">
+    <h1 itemprop="name">Trail Runner 2</h1>
+    <img itemprop="image" src="/img/trail.jpg" alt="">
+    <p itemprop="description">  Lightweight
+      trail shoe </p>
+    <div itemprop="offers" itemscope itemtype="https://schema.org/Offer">
+      <span itemprop="price" content="129.00">€129</span>
+      <meta itemprop="priceCurrency" content="EUR">
+      <link itemprop="availability" href="https://schema.org/InStock">
+    </div>
+    <div itemprop="review" itemscope itemtype="https://schema.org/Review">
+      <span itemprop="author">Ann</span>
+    </div>
+    <div itemprop="review" itemscope itemtype="https://schema.org/Review">
+      <span itemprop="author">Ben</span>
+    </div>
+  </div>`;
+
+describe('Utils - Structured Data', () => {
+  describe('parseJsonLd', () => {
+    test('should tolerate comments, trailing commas and concatenated roots', () => {
+      expect(parseJsonLd('<!-- x --> {"@type": "Thing", "name": "A",}').data).toEqual({ '@type': 'Thing', name: 'A' });
+      expect(parseJsonLd('{"@type": "A"} {"@type": "B"} {"@type": "C"}').data).toHaveLength(3);
+      expect(parseJsonLd('{"@type": ').error).toBeTruthy();
+    });
+  });
+
+  describe('extractMicrodata', () => {
+    test('should build nested JSON-LD shaped entities from itemscope/itemprop', () => {
+      const [item] = extractMicrodata(PRODUCT_MICRODATA);
+
+      expect(item.source).toBe('microdata');
+      expect(item.data).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        '@id': '#product',
+        name: 'Trail Runner 2',
+        image: '/img/trail.jpg',
+        description: 'Lightweight trail shoe',
+        offers: {
+          '@type': 'Offer',
+          price: '129.00',
+          priceCurrency: 'EUR',
+          availability: 'https://schema.org/InStock'
+        },
+        review: [
+          { '@type': 'Review', author: 'Ann' },
+          { '@type': 'Review', author: 'Ben' }
+        ]
+      });
+    });
+
+    test('should treat itemscope without itemprop as a separate top-level item', () => {
+      const items = extractMicrodata(`
+        <body itemscope itemtype="http://schema.org/WebPage">
+          <span itemprop="name">Page</span>
+          <div itemscope itemtype="http://schema.org/BreadcrumbList"><span itemprop="name">Crumbs</span></div>
+        </body>`);
+
+      expect(items.map(item => item.data['@type'])).toEqual(['WebPage', 'BreadcrumbList']);
+      expect(items[0].data.name).toBe('Page');
+    });
+
+    test('should follow itemref and read time/data values', () => {
+      const [item] = extractMicrodata(`
+        <div itemscope itemtype="https://schema.org/Event" itemref="venue">
+          <span itemprop="name">Launch</span>
+          <time itemprop="startDate" datetime="2026-11-01T18:00">1 Nov</time>
+        </div>
+        <p id="venue" itemprop="location">Helsinki</p>`);
+
+      expect(item.data).toMatchObject({ name: 'Launch', startDate: '2026-11-01T18:00', location: 'Helsinki' });
+    });
+  });
+
+  describe('extractRdfa', () => {
+    test('should extract schema.org RDFa Lite items with vocab and nested typeof', () => {
+      const [item] = extractRdfa(`
+        <div vocab="https://schema.org/" typeof="Product" resource="#p1">
+          <span property="name">Kettle</span>
+          <div property="offers" typeof="Offer">
+            <meta property="price" content="49.90">
+            <link property="availability" href="https://schema.org/InStock">
+          </div>
+        </div>`);
+
+      expect(item.source).toBe('rdfa');
+      expect(item.data).toEqual({
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        '@id': '#p1',
+        name: 'Kettle',
+        offers: { '@type': 'Offer', price: '49.90', availability: 'https://schema.org/InStock' }
+      });
+    });
+
+    test('should resolve schema: prefixes and ignore other vocabularies', () => {
+      const items = extractRdfa(`
+        <html prefix="og: http://ogp.me/ns#">
+          <head><meta property="og:title" content="OG"></head>
+          <body>
+            <article typeof="schema:Article">
+              <h1 property="schema:headline">Hello</h1>
+              <meta property="og:type" content="article">
+            </article>
+            <div vocab="http://xmlns.com/foaf/0.1/" typeof="Person"><span property="name">X</span></div>
+          </body>
+        </html>`);
+
+      expect(items).toHaveLength(1);
+      expect(items[0].data).toEqual({ '@context': 'https://schema.org', '@type': 'Article', headline: 'Hello' });
+    });
+  });
+
+  describe('extractStructuredData', () => {
+    test('should merge all syntaxes and count them per source', () => {
+      const $ = cheerio.load(`
+        <script type="application/ld+json">{"@context":"https://schema.org","@type":"Organization","name":"Acme"}</script>
+        <script type="application/ld+json">{"broken": </script>
+        ${PRODUCT_MICRODATA}
+        <div vocab="https://schema.org/" typeof="FAQPage"><span property="name">FAQ</span></div>`);
+      const result = extractStructuredData($);
+
+      expect(result.counts).toEqual({ jsonLd: 1, microdata: 1, rdfa: 1 });
+      expect(result.documents.map(doc => doc.source)).toEqual(['json-ld', 'microdata', 'rdfa']);
+      expect(result.documents[0].location).toBe('script[1]');
+      expect(result.issues).toHaveLength(1);
+    });
+
+    test('should feed microdata entities to the property validator', () => {
+      const { documents } = extractStructuredData(PRODUCT_MICRODATA);
+      const report = new SchemaValidator().validate(documents.map(doc => doc.data));
+
+      const product = report.entities.find(entity => entity.type === 'Product');
+      expect(product).toBeDefined();
+      expect(report.issues.some(issue => issue.code === 'invalid_type' && issue.path.endsWith('.offers.price'))).toBe(false);
+    });
+  });
+});
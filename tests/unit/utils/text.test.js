@@ -0,0 +1,19 @@
+// tests/unit/utils/text.test.js
+// Unit tests for shared text helpers
+
+const { cleanText, isQuestion } = require('../../../utils/text');
+
+describe('Utils - Text', () => {
+  test('should collapse whitespace', () => {
+    expect(cleanText('  Ski\n\t wax  ')).toBe('Ski wax');
+    expect(cleanText(undefined)).toBe('');
+  });
+
+  test('should recognise questions by question mark or interrogative opener', () => {
+    expect(isQuestion('How long does waxing take')).toBe(true);
+    expect(isQuestion('Wie lange dauert das Wachsen?')).toBe(true);
+    expect(isQuestion('スキーのワックスとは？')).toBe(true);
+    expect(isQuestion('Waxing basics')).toBe(false);
+    expect(isQuestion('Why')).toBe(false);
+  });
+});
@@ -2,6 +2,7 @@
 // Unit tests for validation utility functions
 
 const {
+  isInternalHost,
   validateAuditUrl,
   validateAuditOptions,
   validateSchema,
@@ -62,6 +63,15 @@ describe('Utils - Validation', () => {
       });
     });
 
+    test('should recognise private, link-local and loopback hosts', () => {
+      ['169.254.169.254', '172.16.0.1', '0.0.0.0', '[::1]', '[fd00::1]', '[::ffff:7f00:1]'].forEach(host => {
+        expect(isInternalHost(host)).toBe(true);
+      });
+      ['example.com', '172.32.0.1', '8.8.8.8', '[::ffff:808:808]', '[2001:db8::1]'].forEach(host => {
+        expect(isInternalHost(host)).toBe(false);
+      });
+    });
+
     test('should reject extremely long URLs', () => {
       const longUrl = 'https://example.com/' + 'a'.repeat(2100);
       const result = validateAuditUrl(longUrl);
@@ -0,0 +1,164 @@
+// utils/access-log.js
+// Access log line parsing: Apache/Nginx combined (and common) format or JSON lines
+
+/**
+ * Supported log formats ('auto' detects per line)
+ */
+const LOG_FORMATS = ['auto', 'combined', 'json'];
+
+/**
+ * Combined log format; referer and user-agent are optional so common-format lines still parse
+ * 127.0.0.1 - frank [10/Oct/2000:13:55:36 -0700] "GET /a.gif HTTP/1.0" 200 2326 "http://ref/" "Mozilla/4.08"
+ */
+const COMBINED_PATTERN = /^(\S+) \S+ \S+ \[([^\]]+)\] "(?:(\S+) (\S+)(?: [^"]*)?|[^"]*)" (\d{3}) (\S+)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?/;
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+/**
+ * Field names used by common JSON log setups (Nginx escape=json, CDN exports, app loggers)
+ */
+const JSON_FIELDS = {
+  ip: ['remote_addr', 'remote_ip', 'client_ip', 'clientip', 'ip', 'ClientIP', 'c-ip'],
+  time: ['time', 'timestamp', '@timestamp', 'time_iso8601', 'time_local', 'date', 'EdgeStartTimestamp'],
+  method: ['method', 'request_method', 'ClientRequestMethod'],
+  path: ['path', 'uri', 'request_uri', 'url', 'ClientRequestURI', 'cs-uri-stem'],
+  request: ['request'],
+  status: ['status', 'status_code', 'statusCode', 'EdgeResponseStatus', 'sc-status'],
+  bytes: ['bytes', 'body_bytes_sent', 'bytes_sent', 'size', 'EdgeResponseBytes'],
+  userAgent: ['http_user_agent', 'user_agent', 'userAgent', 'agent', 'ua', 'ClientRequestUserAgent', 'cs(User-Agent)']
+};
+
+/**
+ * Parse an Apache/Nginx timestamp (10/Oct/2000:13:55:36 -0700)
+ * @param {string} value - Log timestamp
+ * @returns {Date|null} - Parsed date
+ */
+function parseLogTime(value) {
+  const match = String(value || '').match(/^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?: ([+-])(\d{2})(\d{2}))?$/);
+  if (!match || MONTHS[match[2]] === undefined) return null;
+
+  const [, day, month, year, hour, minute, second, sign, offsetHours, offsetMinutes] = match;
+  const utc = Date.UTC(+year, MONTHS[month], +day, +hour, +minute, +second);
+  const offset = sign ? (sign === '-' ? -1 : 1) * (+offsetHours * 60 + +offsetMinutes) : 0;
+  return new Date(utc - offset * 60000);
+}
+
+/**
+ * Parse a JSON timestamp: ISO string, Apache format or epoch seconds/milliseconds/nanoseconds
+ * @param {*} value - Timestamp value
+ * @returns {Date|null} - Parsed date
+ */
+function parseJsonTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value))) {
+    let epoch = Number(value);
+    if (epoch > 1e17) epoch /= 1e6;
+    else if (epoch < 1e11) epoch *= 1000;
+    return new Date(epoch);
+  }
+  const date = parseLogTime(value) || new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Strip the scheme and host from an absolute request target
+ * @param {string} target - Request target
+ * @returns {string|null} - Path plus query
+ */
+function toRequestPath(target) {
+  if (!target) return null;
+  if (target.startsWith('/')) return target;
+  try {
+    const url = new URL(target);
+    return url.pathname + url.search;
+  } catch (error) {
+    return target;
+  }
+}
+
+/**
+ * Parse a combined/common log line
+ * @param {string} line - Log line
+ * @returns {Object|null} - Log entry or null when the line does not match
+ */
+function parseCombinedLine(line) {
+  const match = line.match(COMBINED_PATTERN);
+  if (!match) return null;
+
+  const [, ip, time, method, target, status, bytes, referer, userAgent] = match;
+  return {
+    ip,
+    time: parseLogTime(time),
+    method: method || null,
+    path: toRequestPath(target),
+    status: parseInt(status, 10),
+    bytes: bytes === '-' ? 0 : parseInt(bytes, 10) || 0,
+    referer: referer && referer !== '-' ? referer : null,
+    userAgent: userAgent && userAgent !== '-' ? userAgent.replace(/\\"/g, '"') : null
+  };
+}
+
+/**
+ * Parse a JSON log line
+ * @param {string} line - Log line
+ * @returns {Object|null} - Log entry or null when the line is not a JSON object
+ */
+function parseJsonLine(line) {
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+  const pick = (field) => {
+    const key = JSON_FIELDS[field].find(name => record[name] !== undefined && record[name] !== null && record[name] !== '');
+    return key ? record[key] : undefined;
+  };
+
+  let method = pick('method');
+  let path = pick('path');
+  const request = pick('request');
+  if (!path && typeof request === 'string') {
+    const [requestMethod, requestTarget] = request.split(' ');
+    method = method || requestMethod;
+    path = requestTarget;
+  }
+
+  const status = parseInt(pick('status'), 10);
+  if (!path || !Number.isFinite(status)) return null;
+
+  return {
+    ip: pick('ip') ? String(pick('ip')) : null,
+    time: parseJsonTime(pick('time')),
+    method: method ? String(method) : null,
+    path: toRequestPath(String(path)),
+    status,
+    bytes: parseInt(pick('bytes'), 10) || 0,
+    referer: null,
+    userAgent: pick('userAgent') ? String(pick('userAgent')) : null
+  };
+}
+
+/**
+ * Parse one access log line
+ * @param {string} line - Log line
+ * @param {string} format - 'auto', 'combined' or 'json'
+ * @returns {Object|null} - { ip, time, method, path, status, bytes, referer, userAgent } or null
+ */
+function parseLogLine(line, format = 'auto') {
+  const text = String(line || '').trim();
+  if (!text) return null;
+
+  if (format === 'json' || (format === 'auto' && text.startsWith('{'))) {
+    return parseJsonLine(text);
+  }
+  return parseCombinedLine(text);
+}
+
+module.exports = {
+  LOG_FORMATS,
+  parseLogTime,
+  parseLogLine
+};
@@ -0,0 +1,460 @@
+// utils/audit-diff.js
+// Field-level comparison of two audit results (regressions, improvements, changes)
+
+const { extractScores } = require('./audit-scores');
+
+/**
+ * Metadata fields compared between audits
+ */
+const METADATA_FIELDS = [
+  { field: 'title', significance: 'high' },
+  { field: 'description', significance: 'medium' },
+  { field: 'canonical', significance: 'high' },
+  { field: 'robots', significance: 'high' },
+  { field: 'viewport', significance: 'medium' },
+  { field: 'lang', significance: 'low' },
+  { field: 'og.title', significance: 'low' },
+  { field: 'og.description', significance: 'low' },
+  { field: 'og.image', significance: 'low' }
+];
+
+/**
+ * On-page SEO fields compared between audits
+ */
+const SEO_FIELDS = [
+  { field: 'title', significance: 'high' },
+  { field: 'h1Count', significance: 'medium' },
+  { field: 'wordCount', significance: 'high', threshold: 100 }
+];
+
+/**
+ * Severity order used when sorting regressions and improvements
+ */
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Read a dotted path from an object
+ * @param {Object} obj - Source object
+ * @param {string} path - Dotted path (e.g. 'og.title')
+ * @returns {*} - Value or undefined
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Treat missing and empty values alike (the lightweight checks report '' where full audits report null)
+ * @param {*} value - Field value
+ * @returns {*} - Value, or null when missing or empty
+ */
+function presentOrNull(value) {
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Compare selected fields of two objects
+ * @param {Object} before - Baseline object
+ * @param {Object} after - Object to compare against the baseline
+ * @param {Array} specs - [{ field, significance, threshold? }]; threshold applies to numeric fields
+ * @returns {Array} - [{ field, before, after, significance }] for fields that differ
+ */
+function compareFields(before, after, specs) {
+  const differences = [];
+
+  specs.forEach(({ field, significance, threshold }) => {
+    const a = presentOrNull(getPath(before || {}, field));
+    const b = presentOrNull(getPath(after || {}, field));
+
+    let changed;
+    if (typeof a === 'number' && typeof b === 'number') {
+      changed = Math.abs(b - a) > (threshold || 0);
+    } else {
+      changed = a !== b;
+    }
+
+    if (changed) {
+      differences.push({ field, before: a, after: b, significance });
+    }
+  });
+
+  return differences;
+}
+
+/**
+ * Usable test result (not a fallback or failed test)
+ * @param {Object} test - Test result
+ * @returns {boolean} - True when the test ran normally
+ */
+function isUsable(test) {
+  return !!test && typeof test === 'object' && !test.fallback && !test.error;
+}
+
+/**
+ * Score reported by a single test, whichever field it uses
+ * @param {Object} test - Test result
+ * @returns {number|null} - Score or null
+ */
+function testScore(test) {
+  if (!isUsable(test)) return null;
+  const candidates = [test.score, test.overallScore, test.overall?.score];
+  const score = candidates.find(value => typeof value === 'number' && Number.isFinite(value));
+  return score === undefined ? null : Math.round(score);
+}
+
+/**
+ * Map a score delta to a severity
+ * @param {number} delta - Absolute score change
+ * @returns {string} - Severity level
+ */
+function severityFromDelta(delta) {
+  if (delta >= 10) return 'high';
+  if (delta >= 5) return 'medium';
+  return 'low';
+}
+
+/**
+ * Normalize a robots meta value into a list of directives
+ * @param {string|null} value - Robots meta content
+ * @returns {Array} - Lowercase directives
+ */
+function robotsDirectives(value) {
+  return String(value || '').toLowerCase().split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Check whether robots directives exclude the page from the index
+ * @param {string|null} value - Robots meta content
+ * @returns {boolean} - True for noindex or none
+ */
+function isNoindex(value) {
+  return robotsDirectives(value).some(directive => directive === 'noindex' || directive === 'none');
+}
+
+/**
+ * Accessibility issues keyed for comparison
+ * @param {Object} test - Accessibility test result
+ * @returns {Map} - key -> { message, severity }
+ */
+function accessibilityIssues(test) {
+  const issues = new Map();
+  if (!isUsable(test)) return issues;
+
+  const impactSeverity = { critical: 'high', serious: 'high', moderate: 'medium', minor: 'low' };
+  const violations = test.axeResults?.violations;
+
+  if (Array.isArray(violations)) {
+    violations.forEach(violation => {
+      issues.set(violation.id || violation.help, {
+        message: violation.help || violation.description || violation.id,
+        severity: impactSeverity[violation.impact] || 'medium'
+      });
+    });
+  } else {
+    (test.issues || []).forEach(issue => {
+      const message = typeof issue === 'string' ? issue : issue?.message;
+      if (!message) return;
+      // Instance counts change between audits without the issue changing
+      const key = message.replace(/\s*\(\d+ instances?\)$/, '').replace(/\d+/g, 'N');
+      issues.set(key, { message, severity: 'medium' });
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Effective access per bot from the multi-bot matrix
+ * @param {Object} tests - Audit tests tree
+ * @returns {Object} - botName -> { allowed, critical, type }
+ */
+function botAccess(tests) {
+  const matrix = isUsable(tests.multiBot) ? tests.multiBot.botMatrix : null;
+  const access = {};
+
+  Object.entries(matrix || {}).forEach(([bot, info]) => {
+    const allowed = info?.access?.effective?.allowed;
+    if (typeof allowed === 'boolean') {
+      access[bot] = { allowed, critical: !!info.critical, type: info.type || null };
+    }
+  });
+
+  return access;
+}
+
+/**
+ * Diff score categories and per-test scores
+ * @param {Object} fromResult - Baseline audit
+ * @param {Object} toResult - Newer audit
+ * @returns {Object} - { scores, tests }
+ */
+function diffScores(fromResult, toResult) {
+  const fromScores = extractScores(fromResult);
+  const toScores = extractScores(toResult);
+  const scores = {};
+
+  Object.keys(toScores).forEach(category => {
+    const before = fromScores[category];
+    const after = toScores[category];
+    scores[category] = {
+      from: before,
+      to: after,
+      delta: before !== null && after !== null ? after - before : null
+    };
+  });
+
+  const fromTests = fromResult?.tests || {};
+  const toTests = toResult?.tests || {};
+  const tests = {};
+
+  new Set([...Object.keys(fromTests), ...Object.keys(toTests)]).forEach(name => {
+    const before = testScore(fromTests[name]);
+    const after = testScore(toTests[name]);
+    if (before === null && after === null) return;
+    tests[name] = {
+      from: before,
+      to: after,
+      delta: before !== null && after !== null ? after - before : null
+    };
+  });
+
+  return { scores, tests };
+}
+
+/**
+ * Compare two audit results of the same URL
+ * @param {Object} fromResult - Baseline (older) audit result
+ * @param {Object} toResult - Newer audit result
+ * @param {Object} options - { minScoreDelta } score changes smaller than this are ignored
+ * @returns {Object} - Structured diff with regressions, improvements and neutral changes
+ */
+function diffAudits(fromResult, toResult, options = {}) {
+  const minScoreDelta = options.minScoreDelta ?? 1;
+  const fromTests = fromResult?.tests || {};
+  const toTests = toResult?.tests || {};
+
+  const regressions = [];
+  const improvements = [];
+  const changes = [];
+
+  // Score categories and per-test scores
+  const { scores, tests } = diffScores(fromResult, toResult);
+  Object.entries(tests).forEach(([name, { from, to, delta }]) => {
+    if (delta === null || Math.abs(delta) < minScoreDelta) return;
+    const item = {
+      type: 'score',
+      path: `tests.${name}.score`,
+      from,
+      to,
+      delta,
+      severity: severityFromDelta(Math.abs(delta)),
+      message: `${name} score ${delta < 0 ? 'dropped' : 'improved'} from ${from} to ${to}`
+    };
+    (delta < 0 ? regressions : improvements).push(item);
+  });
+
+  // Metadata and on-page SEO fields
+  const compareMetadata = isUsable(fromTests.metadata) && isUsable(toTests.metadata);
+  const metadata = [
+    ...(compareMetadata
+      ? compareFields(fromTests.metadata, toTests.metadata, METADATA_FIELDS).map(diff => ({ ...diff, test: 'metadata' }))
+      : []),
+    ...(isUsable(fromTests.seo) && isUsable(toTests.seo)
+      ? compareFields(fromTests.seo, toTests.seo, SEO_FIELDS)
+        .filter(diff => diff.field !== 'title' || !compareMetadata)
+        .map(diff => ({ ...diff, test: 'seo' }))
+      : [])
+  ];
+
+  metadata.forEach(diff => {
+    const item = {
+      type: 'metadata',
+      path: `tests.${diff.test}.${diff.field}`,
+      from: diff.before,
+      to: diff.after,
+      severity: diff.significance
+    };
+
+    if (diff.field === 'robots') {
+      const wasNoindex = isNoindex(diff.before);
+      const nowNoindex = isNoindex(diff.after);
+      if (!wasNoindex && nowNoindex) {
+        regressions.push({ ...item, severity: 'high', message: 'Page became noindex' });
+        return;
+      }
+      if (wasNoindex && !nowNoindex) {
+        improvements.push({ ...item, severity: 'high', message: 'noindex removed' });
+        return;
+      }
+    }
+
+    if (diff.before === null) {
+      improvements.push({ ...item, message: `${diff.field} added` });
+    } else if (diff.after === null) {
+      regressions.push({ ...item, message: `${diff.field} removed` });
+    } else {
+      changes.push({ ...item, message: `${diff.field} changed` });
+    }
+  });
+
+  // Schema types
+  const fromTypes = new Set(isUsable(fromTests.schema) ? fromTests.schema.types || [] : []);
+  const toTypes = new Set(isUsable(toTests.schema) ? toTests.schema.types || [] : []);
+  const schema = { added: [], removed: [] };
+  if (isUsable(fromTests.schema) && isUsable(toTests.schema)) {
+    schema.added = [...toTypes].filter(type => !fromTypes.has(type));
+    schema.removed = [...fromTypes].filter(type => !toTypes.has(type));
+  }
+  schema.added.forEach(type => improvements.push({
+    type: 'schema', path: 'tests.schema.types', from: null, to: type, severity: 'low', message: `Schema type ${type} added`
+  }));
+  schema.removed.forEach(type => regressions.push({
+    type: 'schema', path: 'tests.schema.types', from: type, to: null, severity: 'high', message: `Schema type ${type} removed`
+  }));
+
+  // Accessibility issues
+  const accessibility = { newIssues: [], resolvedIssues: [] };
+  if (isUsable(fromTests.accessibility) && isUsable(toTests.accessibility)) {
+    const before = accessibilityIssues(fromTests.accessibility);
+    const after = accessibilityIssues(toTests.accessibility);
+    after.forEach((issue, key) => { if (!before.has(key)) accessibility.newIssues.push(issue); });
+    before.forEach((issue, key) => { if (!after.has(key)) accessibility.resolvedIssues.push(issue); });
+  }
+  accessibility.newIssues.forEach(issue => regressions.push({
+    type: 'accessibility', path: 'tests.accessibility', from: null, to: issue.message, severity: issue.severity, message: `New accessibility issue: ${issue.message}`
+  }));
+  accessibility.resolvedIssues.forEach(issue => improvements.push({
+    type: 'accessibility', path: 'tests.accessibility', from: issue.message, to: null, severity: issue.severity, message: `Resolved accessibility issue: ${issue.message}`
+  }));
+
+  // Bot policy effective access
+  const fromBots = botAccess(fromTests);
+  const toBots = botAccess(toTests);
+  const botChanges = Object.keys(toBots)
+    .filter(bot => fromBots[bot] && fromBots[bot].allowed !== toBots[bot].allowed)
+    .map(bot => ({ bot, from: fromBots[bot].allowed, to: toBots[bot].allowed, critical: toBots[bot].critical, type: toBots[bot].type }));
+
+  botChanges.forEach(change => {
+    const item = {
+      type: 'botAccess',
+      path: `tests.multiBot.botMatrix.${change.bot}.access.effective.allowed`,
+      from: change.from,
+      to: change.to,
+      severity: change.critical ? 'high' : 'medium'
+    };
+    // Blocking is only a regression for bots the site presumably wants; AI training bots are reported as changes
+    if (change.type === 'search' || change.critical) {
+      (change.to ? improvements : regressions).push({
+        ...item,
+        message: `${change.bot} ${change.to ? 'is now allowed' : 'is now blocked'}`
+      });
+    } else {
+      changes.push({ ...item, message: `${change.bot} ${change.to ? 'is now allowed' : 'is now blocked'}` });
+    }
+  });
+
+  const bySeverity = (a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity];
+  regressions.sort(bySeverity);
+  improvements.sort(bySeverity);
+
+  return {
+    scores,
+    tests,
+    metadata,
+    schema,
+    accessibility,
+    botAccess: botChanges,
+    regressions,
+    improvements,
+    changes,
+    summary: {
+      regressions: regressions.length,
+      improvements: improvements.length,
+      changes: changes.length,
+      highSeverityRegressions: regressions.filter(item => item.severity === 'high').length,
+      overallDelta: scores.overall.delta
+    }
+  };
+}
+
+/**
+ * Find the changes between two audits of a URL that warrant an alert:
+ * category or overall score drops above the threshold, and critical flips
+ * (page became noindex, Googlebot blocked, canonical changed, schema types removed)
+ * @param {Object} fromResult - Previous audit result
+ * @param {Object} toResult - New audit result
+ * @param {Object} options - { threshold } score drop in points that triggers an alert (default 5)
+ * @returns {Array} - [{ type, field, before, after, delta?, message }]
+ */
+function findRegressionAlerts(fromResult, toResult, options = {}) {
+  const threshold = options.threshold ?? 5;
+  const diff = diffAudits(fromResult, toResult, { minScoreDelta: 0 });
+  const alerts = [];
+
+  Object.entries(diff.scores).forEach(([category, { from, to, delta }]) => {
+    if (delta !== null && -delta > threshold) {
+      alerts.push({
+        type: 'score-drop',
+        field: category,
+        before: from,
+        after: to,
+        delta,
+        message: `${category} score dropped by ${-delta} points (${from} -> ${to})`
+      });
+    }
+  });
+
+  diff.metadata
+    .filter(change => change.test === 'metadata')
+    .forEach(change => {
+      if (change.field === 'robots' && !isNoindex(change.before) && isNoindex(change.after)) {
+        alerts.push({
+          type: 'noindex',
+          field: 'tests.metadata.robots',
+          before: change.before,
+          after: change.after,
+          message: 'Page became noindex'
+        });
+      }
+      if (change.field === 'canonical' && change.before !== null) {
+        alerts.push({
+          type: 'canonical-changed',
+          field: 'tests.metadata.canonical',
+          before: change.before,
+          after: change.after,
+          message: change.after === null ? 'Canonical tag removed' : 'Canonical URL changed'
+        });
+      }
+    });
+
+  diff.botAccess
+    .filter(change => change.bot === 'Googlebot' && change.from === true && change.to === false)
+    .forEach(change => alerts.push({
+      type: 'googlebot-blocked',
+      field: 'tests.multiBot.botMatrix.Googlebot.access.effective.allowed',
+      before: change.from,
+      after: change.to,
+      message: 'Googlebot is now blocked'
+    }));
+
+  if (diff.schema.removed.length > 0) {
+    alerts.push({
+      type: 'schema-removed',
+      field: 'tests.schema.types',
+      before: [...new Set(fromResult.tests.schema.types)],
+      after: [...new Set(toResult.tests.schema.types)],
+      removed: diff.schema.removed,
+      message: `Schema types removed: ${diff.schema.removed.join(', ')}`
+    });
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  METADATA_FIELDS,
+  SEO_FIELDS,
+  compareFields,
+  diffAudits,
+  findRegressionAlerts,
+  testScore
+};
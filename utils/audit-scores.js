@@ -0,0 +1,142 @@
+// utils/audit-scores.js
+// Score and issue extraction shared by crawls, history and exports
+
+/**
+ * Score categories reported for every audited page
+ */
+const SCORE_CATEGORIES = ['overall', 'seo', 'performance', 'accessibility', 'schema', 'aeo', 'eat'];
+
+/**
+ * Return value when it is a finite number, otherwise null
+ * @param {*} value - Candidate score
+ * @returns {number|null} - Numeric score or null
+ */
+function toScore(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.round(value) : null;
+}
+
+/**
+ * Extract per-category scores from an audit result
+ * @param {Object} result - Audit result (lightweight, two-pass or full)
+ * @returns {Object} - Scores keyed by category, null where unavailable
+ */
+function extractScores(result) {
+  const tests = (result && result.tests) || {};
+  const usable = (test) => test && !test.fallback && !test.error;
+
+  const scores = {
+    seo: usable(tests.seo) ? toScore(tests.seo.score) : null,
+    performance: toScore(result?.psiMetrics?.performance?.score) ??
+      toScore(tests.performance?.psi?.score) ??
+      (usable(tests.performance) ? toScore(tests.performance.score) : null),
+    accessibility: usable(tests.accessibility) ? toScore(tests.accessibility.score) : null,
+    schema: usable(tests.schema) ? toScore(tests.schema.score) : null,
+    aeo: usable(tests.aeo) ? toScore(tests.aeo.score) :
+      usable(tests.aiAdvanced) ? toScore(tests.aiAdvanced.overallScore) : null,
+    eat: usable(tests.eat) ? toScore(tests.eat.overallScore) : null
+  };
+
+  // Overall is the audit's own value when present, otherwise the mean of available categories
+  const available = Object.values(scores).filter(score => score !== null);
+  scores.overall = toScore(result?.overallScore) ??
+    (available.length > 0 ? Math.round(available.reduce((sum, score) => sum + score, 0) / available.length) : null);
+
+  return scores;
+}
+
+/**
+ * Map a points value from a score breakdown to a severity
+ * @param {number} points - Points available for the factor
+ * @returns {string} - Severity level
+ */
+function severityFromPoints(points) {
+  if (points >= 20) return 'high';
+  if (points >= 10) return 'medium';
+  return 'low';
+}
+
+/**
+ * Collect the issues reported across all tests of an audit result
+ * @param {Object} result - Audit result
+ * @returns {Array} - Flat list of { category, message, severity }
+ */
+function collectIssues(result) {
+  const tests = (result && result.tests) || {};
+  const issues = [];
+  const push = (category, message, severity = 'medium') => {
+    if (message) issues.push({ category, message: String(message), severity });
+  };
+
+  if (tests.seo && !tests.seo.error) {
+    (tests.seo.scoreBreakdown || [])
+      .filter(item => item.earned === 0)
+      .forEach(item => push('seo', `${item.factor} not met`, severityFromPoints(item.points)));
+  }
+
+  if (tests.metadata && !tests.metadata.error) {
+    (tests.metadata.issues || []).forEach(issue => {
+      push('metadata', issue, /missing title/i.test(issue) ? 'high' : 'medium');
+    });
+  }
+
+  if (tests.schema && !tests.schema.error) {
+    (tests.schema.issues || []).forEach(issue => push('schema', issue, 'medium'));
+  }
+
+  if (tests.accessibility && !tests.accessibility.error) {
+    const violations = tests.accessibility.axeResults?.violations;
+    if (Array.isArray(violations) && violations.length > 0) {
+      violations.forEach(violation => {
+        const severity = ['critical', 'serious'].includes(violation.impact) ? 'high' :
+          violation.impact === 'moderate' ? 'medium' : 'low';
+        push('accessibility', `${violation.help || violation.description} (${violation.nodes} instances)`, severity);
+      });
+    } else {
+      (tests.accessibility.issues || []).forEach(issue => push('accessibility', issue, 'medium'));
+    }
+  }
+
+  if (tests.performance && !tests.performance.error) {
+    (tests.performance.warnings || []).forEach(warning => {
+      push('performance', warning.message, warning.severity || 'medium');
+    });
+  }
+
+  if (tests.files && !tests.files.error) {
+    if (tests.files.robots && !tests.files.robots.exists) push('files', 'robots.txt not found', 'medium');
+    if (tests.files.sitemap && !tests.files.sitemap.exists) push('files', 'XML sitemap not found', 'medium');
+  }
+
+  return issues;
+}
+
+/**
+ * Extract the on-page facts used in spreadsheet exports
+ * @param {Object} result - Audit result
+ * @returns {Object} - { title, titleLength, descriptionLength, h1Count, canonical, schemaTypes }
+ */
+function extractPageFacts(result) {
+  const tests = (result && result.tests) || {};
+  const metadata = tests.metadata && !tests.metadata.error ? tests.metadata : {};
+  const seo = tests.seo && !tests.seo.error ? tests.seo : {};
+  const schema = tests.schema && !tests.schema.error ? tests.schema : {};
+
+  const title = metadata.title ?? seo.title ?? null;
+  const description = metadata.description ?? seo.description ?? null;
+
+  return {
+    title,
+    titleLength: typeof title === 'string' ? title.length : null,
+    descriptionLength: typeof description === 'string' ? description.length : null,
+    h1Count: typeof seo.h1Count === 'number' ? seo.h1Count : null,
+    canonical: metadata.canonical || seo.canonical || null,
+    schemaTypes: [...new Set(Array.isArray(schema.types) ? schema.types : [])]
+  };
+}
+
+module.exports = {
+  SCORE_CATEGORIES,
+  extractScores,
+  collectIssues,
+  extractPageFacts
+};
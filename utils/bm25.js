@@ -0,0 +1,90 @@
+// utils/bm25.js
+// Local Okapi BM25 ranking for lexical passage retrieval (no external model)
+
+/**
+ * English function words ignored when indexing and querying
+ */
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as', 'into',
+  'about', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'do', 'does', 'did', 'can', 'could', 'should',
+  'would', 'will', 'may', 'might', 'must', 'have', 'has', 'had', 'what', 'which', 'who', 'whom', 'whose', 'when',
+  'where', 'why', 'how', 'i', 'you', 'your', 'we', 'our', 'my', 'me', 'it', 'its', 'they', 'them', 'their', 'this',
+  'that', 'these', 'those', 'there', 'if', 'so', 'than', 'then', 'not', 'no', 'any', 'some'
+]);
+
+/**
+ * Reduce a word to a crude stem so inflections match ("shipping", "shipped" and "ships" → "ship")
+ * @param {string} word - Lowercased word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ing|ed|es|s)$/, '').replace(/([^aeiou])\1$/, '$1');
+}
+
+/**
+ * Split text into stemmed index terms
+ * @param {string} text - Text
+ * @returns {Array} - Terms in order, stopwords removed
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Build a BM25 index over documents
+ * @param {Array} documents - Document texts
+ * @param {Object} options - { k1: term frequency saturation, b: length normalization }
+ * @returns {Object} - { size, search(query) → [{ index, score }] sorted by score }
+ */
+function createBM25Index(documents, options = {}) {
+  const k1 = options.k1 !== undefined ? options.k1 : 1.2;
+  const b = options.b !== undefined ? options.b : 0.75;
+
+  const docs = documents.map(text => {
+    const terms = tokenize(text);
+    const frequencies = new Map();
+    terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+    return { length: terms.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  docs.forEach(doc => {
+    doc.frequencies.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  const averageLength = docs.length > 0 ? docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length : 0;
+
+  // Lucene-style IDF stays positive for terms found in most documents
+  const idf = term => {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  };
+
+  return {
+    size: docs.length,
+    search(query) {
+      const terms = [...new Set(tokenize(query))];
+      return docs
+        .map((doc, index) => {
+          const score = terms.reduce((sum, term) => {
+            const tf = doc.frequencies.get(term) || 0;
+            if (tf === 0) return sum;
+            const norm = 1 - b + b * (averageLength > 0 ? doc.length / averageLength : 0);
+            return sum + idf(term) * (tf * (k1 + 1)) / (tf + k1 * norm);
+          }, 0);
+          return { index, score };
+        })
+        .sort((x, y) => y.score - x.score || x.index - y.index);
+    }
+  };
+}
+
+module.exports = {
+  STOPWORDS,
+  stem,
+  tokenize,
+  createBM25Index
+};
@@ -0,0 +1,222 @@
+// utils/bot-registry.js
+// Known crawler registry: versioned config/bots.json plus an optional operator override file
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+
+const logger = new Logger('bot-registry');
+
+const REGISTRY_PATH = path.join(__dirname, '../config/bots.json');
+const DEFAULT_OVERRIDE_PATH = path.join(__dirname, '../config/bots.local.json');
+
+/**
+ * Optional bot fields and their expected types
+ */
+const OPTIONAL_FIELDS = {
+  stealthWarning: 'boolean',
+  stealthDetails: 'string'
+};
+
+/**
+ * Validate one bot entry
+ * @param {string} name - Bot name (its robots.txt product token)
+ * @param {Object} bot - Bot entry
+ * @param {Array} types - Allowed bot types
+ * @returns {Array} - Error messages
+ */
+function validateBot(name, bot, types) {
+  const errors = [];
+  if (!bot || typeof bot !== 'object' || Array.isArray(bot)) {
+    return [`${name}: must be an object`];
+  }
+
+  if (!types.includes(bot.type)) {
+    errors.push(`${name}: type must be one of ${types.join(', ')}`);
+  }
+  if (typeof bot.critical !== 'boolean') {
+    errors.push(`${name}: critical must be a boolean`);
+  }
+  ['company', 'description', 'userAgentPattern'].forEach(field => {
+    if (typeof bot[field] !== 'string' || !bot[field].trim()) {
+      errors.push(`${name}: ${field} must be a non-empty string`);
+    }
+  });
+  if (typeof bot.userAgentPattern === 'string') {
+    try {
+      new RegExp(bot.userAgentPattern, 'i');
+    } catch (error) {
+      errors.push(`${name}: userAgentPattern is not a valid regular expression`);
+    }
+  }
+  if (!bot.recommendations || typeof bot.recommendations.allow !== 'string' || typeof bot.recommendations.block !== 'string') {
+    errors.push(`${name}: recommendations.allow and recommendations.block must be strings`);
+  }
+  if (bot.verification !== undefined) {
+    const suffixes = bot.verification && bot.verification.reverseDnsSuffixes;
+    if (!Array.isArray(suffixes) || suffixes.length === 0 || !suffixes.every(suffix => typeof suffix === 'string' && suffix.trim())) {
+      errors.push(`${name}: verification.reverseDnsSuffixes must be a non-empty array of hostnames`);
+    }
+  }
+  Object.entries(OPTIONAL_FIELDS).forEach(([field, type]) => {
+    if (bot[field] !== undefined && typeof bot[field] !== type) {
+      errors.push(`${name}: ${field} must be a ${type}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate registry data against the registry schema
+ * @param {Object} data - Parsed registry JSON
+ * @returns {Object} - { isValid, errors }
+ */
+function validateRegistry(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return { isValid: false, errors: ['Registry must be a JSON object'] };
+  }
+  if (typeof data.version !== 'string' || !data.version.trim()) {
+    errors.push('version must be a non-empty string');
+  }
+  if (!Array.isArray(data.types) || data.types.length === 0 || !data.types.every(type => typeof type === 'string')) {
+    errors.push('types must be a non-empty array of strings');
+  }
+  if (!data.bots || typeof data.bots !== 'object' || Object.keys(data.bots).length === 0) {
+    errors.push('bots must be a non-empty object');
+  } else if (Array.isArray(data.types)) {
+    Object.entries(data.bots).forEach(([name, bot]) => errors.push(...validateBot(name, bot, data.types)));
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Apply an override file on top of the base registry
+ * Entries for existing bots are merged field by field, new names add bots, null removes a bot.
+ * @param {Object} base - Base registry data
+ * @param {Object} override - { version, types, bots }
+ * @returns {Object} - Merged registry data
+ */
+function mergeRegistry(base, override) {
+  const bots = { ...base.bots };
+
+  Object.entries(override.bots || {}).forEach(([name, entry]) => {
+    if (entry === null) {
+      delete bots[name];
+    } else if (bots[name] && entry && typeof entry === 'object') {
+      bots[name] = {
+        ...bots[name],
+        ...entry,
+        recommendations: { ...bots[name].recommendations, ...(entry.recommendations || {}) }
+      };
+    } else {
+      bots[name] = entry;
+    }
+  });
+
+  return {
+    ...base,
+    version: `${base.version}+${override.version || 'local'}`,
+    types: [...new Set([...base.types, ...(Array.isArray(override.types) ? override.types : [])])],
+    bots
+  };
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - File path
+ * @returns {Object} - Parsed JSON
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load the bot registry, applying the local override file when present
+ * An invalid base registry throws; an invalid override is ignored and reported in overrideErrors.
+ * @param {Object} options - { registryPath, overridePath } (overridePath '' disables overrides)
+ * @returns {Object} - { version, baseVersion, updated, types, source, overrideErrors, bots }
+ */
+function loadBotRegistry(options = {}) {
+  const registryPath = options.registryPath || REGISTRY_PATH;
+  const overridePath = options.overridePath ?? process.env.BOT_REGISTRY_OVERRIDE ?? DEFAULT_OVERRIDE_PATH;
+
+  const base = readJson(registryPath);
+  const validation = validateRegistry(base);
+  if (!validation.isValid) {
+    throw new Error(`Invalid bot registry ${registryPath}: ${validation.errors.join('; ')}`);
+  }
+
+  let data = base;
+  let overrideErrors = [];
+  let appliedOverride = null;
+
+  if (overridePath && fs.existsSync(overridePath)) {
+    try {
+      const merged = mergeRegistry(base, readJson(overridePath));
+      const mergedValidation = validateRegistry(merged);
+      if (mergedValidation.isValid) {
+        data = merged;
+        appliedOverride = overridePath;
+      } else {
+        overrideErrors = mergedValidation.errors;
+      }
+    } catch (error) {
+      overrideErrors = [error.message];
+    }
+
+    if (overrideErrors.length > 0) {
+      logger.warn('Ignoring invalid bot registry override', { overridePath, errors: overrideErrors });
+    }
+  }
+
+  const bots = {};
+  Object.entries(data.bots).forEach(([name, bot]) => {
+    bots[name] = { ...bot, userAgentPattern: new RegExp(bot.userAgentPattern, 'i') };
+  });
+
+  return {
+    version: data.version,
+    baseVersion: base.version,
+    updated: data.updated || null,
+    types: data.types,
+    source: { registry: registryPath, override: appliedOverride },
+    overrideErrors,
+    bots
+  };
+}
+
+let registry = null;
+
+/**
+ * Get the process-wide bot registry, loading it on first use
+ * @returns {Object} - Loaded registry
+ */
+function getBotRegistry() {
+  if (!registry) {
+    registry = loadBotRegistry();
+  }
+  return registry;
+}
+
+/**
+ * Reload the registry after the data or override file changed
+ * @returns {Object} - Loaded registry
+ */
+function reloadBotRegistry() {
+  registry = loadBotRegistry();
+  return registry;
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  DEFAULT_OVERRIDE_PATH,
+  validateRegistry,
+  mergeRegistry,
+  loadBotRegistry,
+  getBotRegistry,
+  reloadBotRegistry
+};
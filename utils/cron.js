@@ -0,0 +1,230 @@
+// utils/cron.js
+// Minimal five-field cron expression parser (minute hour day-of-month month day-of-week), evaluated in UTC
+
+/**
+ * Field ranges in expression order
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+/**
+ * Shorthand expressions
+ */
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+/**
+ * Parse a single field value, resolving month/day names
+ * @param {string} value - Numeric value or name
+ * @param {Object} field - Field definition
+ * @returns {number} - Parsed value
+ */
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+  if (field.names && field.names.includes(upper)) {
+    return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+/**
+ * Expand one cron field into the set of values it matches
+ * @param {string} source - Field text (e.g. '*\/15', '1-5', 'MON,WED')
+ * @param {Object} field - Field definition
+ * @returns {Set} - Matching values
+ */
+function parseField(source, field) {
+  const values = new Set();
+
+  source.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.name === 'dayOfWeek' ? 6 : field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`Invalid ${field.name} range: ${range}`);
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Sunday may be written as 0 or 7
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field expression or macro (@daily, @weekly, ...)
+ * @returns {Object} - { expression, minute, hour, dayOfMonth, month, dayOfWeek, anyDayOfMonth, anyDayOfWeek }
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const normalized = CRON_MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}`);
+  }
+
+  const parsed = { expression: expression.trim() };
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+
+  // Day fields starting with '*' (including '*/n') do not widen the match of the other day field, as in Vixie cron
+  parsed.anyDayOfMonth = parts[2].startsWith('*');
+  parsed.anyDayOfWeek = parts[4].startsWith('*');
+
+  return parsed;
+}
+
+/**
+ * Check an expression without throwing
+ * @param {string} expression - Cron expression
+ * @returns {Object} - { isValid, error }
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return { isValid: true, error: null };
+  } catch (error) {
+    return { isValid: false, error: error.message };
+  }
+}
+
+/**
+ * Check whether a UTC day matches the day-of-month and day-of-week fields
+ * @param {Object} parsed - Result of parseCron
+ * @param {Date} date - Date to check
+ * @returns {boolean} - True when the expression can fire on that day
+ */
+function matchesDay(parsed, date) {
+  const domMatch = parsed.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getUTCDay());
+
+  // When either field starts with * (including */n), the day must match both fields
+  if (parsed.anyDayOfMonth || parsed.anyDayOfWeek) {
+    return domMatch && dowMatch;
+  }
+  // Standard cron: when both day fields are restricted, either may match
+  return domMatch || dowMatch;
+}
+
+/**
+ * Check whether a UTC minute matches a parsed expression
+ * @param {Object} parsed - Result of parseCron
+ * @param {Date} date - Date to check
+ * @returns {boolean} - True when the expression fires at that minute
+ */
+function matchesCron(parsed, date) {
+  return matchesDay(parsed, date) &&
+    parsed.minute.has(date.getUTCMinutes()) &&
+    parsed.hour.has(date.getUTCHours()) &&
+    parsed.month.has(date.getUTCMonth() + 1);
+}
+
+/**
+ * Find the next run strictly after a point in time
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Date|number} after - Start point
+ * @returns {Date|null} - Next run, or null when none exists within five years
+ */
+function getNextRun(expression, after = Date.now()) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = date.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    // Skip whole days and hours that cannot match before stepping minutes
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (matchesCron(parsed, date)) {
+      return date;
+    }
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+  }
+
+  return null;
+}
+
+/**
+ * List scheduled runs in a time window
+ * @param {string|Object} expression - Cron expression or parsed expression
+ * @param {Date|number} from - Window start (exclusive)
+ * @param {Date|number} to - Window end (inclusive)
+ * @param {number} limit - Maximum number of runs returned
+ * @returns {Array<Date>} - Run times, oldest first
+ */
+function getRunsBetween(expression, from, to, limit = 100) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+  const end = new Date(to).getTime();
+  const runs = [];
+
+  let next = getNextRun(parsed, from);
+  while (next && next.getTime() <= end && runs.length < limit) {
+    runs.push(next);
+    next = getNextRun(parsed, next);
+  }
+
+  return runs;
+}
+
+module.exports = {
+  CRON_MACROS,
+  parseCron,
+  validateCron,
+  matchesCron,
+  getNextRun,
+  getRunsBetween
+};
@@ -0,0 +1,259 @@
+// utils/export.js
+// Spreadsheet exports (CSV/XLSX) for batch, sitemap and crawl audit results
+
+const { Readable } = require('stream');
+const { SCORE_CATEGORIES, extractScores, collectIssues, extractPageFacts } = require('./audit-scores');
+const { buildWorkbook } = require('./xlsx');
+
+/**
+ * Supported export formats ('json' keeps the regular response)
+ */
+const EXPORT_FORMATS = ['json', 'csv', 'xlsx'];
+
+/**
+ * CSV carries one sheet per download
+ */
+const EXPORT_SHEETS = ['pages', 'issues'];
+
+/**
+ * Number of issue messages listed in the pages sheet
+ */
+const TOP_ISSUES = 3;
+
+/**
+ * Column labels for score categories
+ */
+const SCORE_LABELS = {
+  overall: 'Overall',
+  seo: 'SEO',
+  performance: 'Performance',
+  accessibility: 'Accessibility',
+  schema: 'Schema',
+  aeo: 'AEO',
+  eat: 'E-E-A-T'
+};
+
+/**
+ * Columns of the pages sheet, one row per URL
+ */
+const PAGE_COLUMNS = [
+  { key: 'url', header: 'URL' },
+  { key: 'status', header: 'Status' },
+  { key: 'error', header: 'Error' },
+  { key: 'titleLength', header: 'Title Length' },
+  { key: 'descriptionLength', header: 'Description Length' },
+  { key: 'h1Count', header: 'H1 Count' },
+  { key: 'canonical', header: 'Canonical' },
+  { key: 'schemaTypes', header: 'Schema Types' },
+  ...SCORE_CATEGORIES.map(category => ({ key: `score_${category}`, header: `${SCORE_LABELS[category]} Score` })),
+  { key: 'issueCount', header: 'Issue Count' },
+  { key: 'topIssues', header: 'Top Issues' }
+];
+
+/**
+ * Columns of the issues sheet, one row per (URL, issue)
+ */
+const ISSUE_COLUMNS = [
+  { key: 'url', header: 'URL' },
+  { key: 'category', header: 'Category' },
+  { key: 'severity', header: 'Severity' },
+  { key: 'issue', header: 'Issue' }
+];
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Normalize one page entry from any supported result shape
+ * Batch entries carry the full audit result; sitemap and crawl entries carry scores, facts and issues
+ * @param {Object} entry - Page entry
+ * @returns {Object} - { url, status, error, facts, scores, issues }
+ */
+function normalizePageEntry(entry = {}) {
+  const audit = entry.result || entry.audit || null;
+  const failed = entry.status === 'error' || entry.success === false;
+
+  if (failed) {
+    return { url: entry.url, status: 'error', error: entry.error || null, facts: {}, scores: {}, issues: [] };
+  }
+
+  return {
+    url: entry.url || audit?.url || null,
+    status: entry.status && entry.status !== 'success' ? entry.status : 'ok',
+    error: entry.error || null,
+    facts: entry.facts || (audit ? extractPageFacts(audit) : {}),
+    scores: entry.scores || (audit ? extractScores(audit) : {}),
+    issues: entry.issues || (audit ? collectIssues(audit) : [])
+  };
+}
+
+/**
+ * Get the per-page entries of a batch, sitemap or crawl response
+ * @param {Object|Array} payload - Response body or array of page entries
+ * @returns {Array} - Normalized page entries
+ */
+function getPageEntries(payload) {
+  const entries = Array.isArray(payload) ? payload : (payload?.results || []);
+  return entries.map(normalizePageEntry);
+}
+
+/**
+ * Flatten a normalized page entry into a pages-sheet row
+ * @param {Object} page - Normalized page entry
+ * @returns {Object} - Row keyed by PAGE_COLUMNS keys
+ */
+function toPageRow(page) {
+  const row = {
+    url: page.url,
+    status: page.status,
+    error: page.error,
+    titleLength: page.facts.titleLength ?? null,
+    descriptionLength: page.facts.descriptionLength ?? null,
+    h1Count: page.facts.h1Count ?? null,
+    canonical: page.facts.canonical || null,
+    schemaTypes: (page.facts.schemaTypes || []).join('; '),
+    issueCount: page.issues.length,
+    topIssues: [...page.issues]
+      .sort((a, b) => (SEVERITY_RANK[a.severity] ?? 1) - (SEVERITY_RANK[b.severity] ?? 1))
+      .slice(0, TOP_ISSUES)
+      .map(issue => issue.message)
+      .join(' | ')
+  };
+  SCORE_CATEGORIES.forEach(category => {
+    row[`score_${category}`] = page.scores[category] ?? null;
+  });
+  return row;
+}
+
+/**
+ * Flatten a normalized page entry into issues-sheet rows
+ * @param {Object} page - Normalized page entry
+ * @returns {Array} - Rows keyed by ISSUE_COLUMNS keys
+ */
+function toIssueRows(page) {
+  return page.issues.map(issue => ({
+    url: page.url,
+    category: issue.category,
+    severity: issue.severity,
+    issue: issue.message
+  }));
+}
+
+/**
+ * Format one CSV field (RFC 4180 quoting, spreadsheet formula injection guarded)
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a CSV line
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line with CRLF terminator
+ */
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * Create a readable stream producing a CSV sheet row by row
+ * @param {Array} pages - Normalized page entries
+ * @param {string} sheet - 'pages' or 'issues'
+ * @returns {Readable} - CSV stream
+ */
+function createCsvStream(pages, sheet = 'pages') {
+  const columns = sheet === 'issues' ? ISSUE_COLUMNS : PAGE_COLUMNS;
+
+  function* lines() {
+    // BOM so Excel opens UTF-8 correctly
+    yield `\uFEFF${csvLine(columns.map(column => column.header))}`;
+    for (const page of pages) {
+      const rows = sheet === 'issues' ? toIssueRows(page) : [toPageRow(page)];
+      for (const row of rows) {
+        yield csvLine(columns.map(column => row[column.key]));
+      }
+    }
+  }
+
+  return Readable.from(lines(), { objectMode: false });
+}
+
+/**
+ * Build an XLSX workbook with pages and issues sheets
+ * @param {Array} pages - Normalized page entries
+ * @returns {Buffer} - XLSX file
+ */
+function buildExportWorkbook(pages) {
+  return buildWorkbook([
+    { name: 'Pages', columns: PAGE_COLUMNS, rows: pages.map(toPageRow) },
+    { name: 'Issues', columns: ISSUE_COLUMNS, rows: pages.flatMap(toIssueRows) }
+  ]);
+}
+
+/**
+ * Validate export query parameters
+ * @param {Object} query - { format, sheet }
+ * @returns {Object} - { isValid, errors, format, sheet }
+ */
+function parseExportQuery(query = {}) {
+  const format = String(query.format || 'json').toLowerCase();
+  const sheet = String(query.sheet || 'pages').toLowerCase();
+  const errors = [];
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!EXPORT_SHEETS.includes(sheet)) {
+    errors.push(`sheet must be one of: ${EXPORT_SHEETS.join(', ')}`);
+  }
+
+  return { isValid: errors.length === 0, errors, format, sheet };
+}
+
+/**
+ * Send results as a CSV (streamed) or XLSX download
+ * @param {Object} res - Express response
+ * @param {Object|Array} payload - Batch, sitemap or crawl response body
+ * @param {Object} options - { format: 'csv'|'xlsx', sheet, name }
+ */
+function sendExport(res, payload, options = {}) {
+  const pages = getPageEntries(payload);
+  const date = new Date().toISOString().slice(0, 10);
+  const name = `${options.name || 'audit'}-${date}`;
+
+  if (options.format === 'xlsx') {
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${name}.xlsx"`
+    });
+    res.send(buildExportWorkbook(pages));
+    return;
+  }
+
+  const sheet = options.sheet || 'pages';
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${name}-${sheet}.csv"`
+  });
+  createCsvStream(pages, sheet).pipe(res);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_SHEETS,
+  PAGE_COLUMNS,
+  ISSUE_COLUMNS,
+  getPageEntries,
+  toPageRow,
+  toIssueRows,
+  createCsvStream,
+  buildExportWorkbook,
+  parseExportQuery,
+  sendExport
+};
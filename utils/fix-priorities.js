@@ -0,0 +1,374 @@
+// utils/fix-priorities.js
+// Fix Priorities: recommendations from every analyzer normalized into one issue model and ranked by impact over effort
+
+const { collectIssues } = require('./audit-scores');
+
+/**
+ * Impact weight per severity
+ */
+const SEVERITY_IMPACT = { critical: 10, high: 6, medium: 3, low: 1 };
+
+/**
+ * Effort tiers: weight divides impact, hours are the default estimate when an analyzer gives none
+ */
+const EFFORT_LEVELS = {
+  low: { weight: 1, hours: { min: 0.25, max: 1 } },
+  medium: { weight: 2, hours: { min: 1, max: 4 } },
+  high: { weight: 4, hours: { min: 4, max: 8 } }
+};
+
+/**
+ * Default effort per issue category
+ */
+const CATEGORY_EFFORT = {
+  seo: 'low',
+  metadata: 'low',
+  files: 'low',
+  bots: 'low',
+  schema: 'medium',
+  accessibility: 'medium',
+  aeo: 'medium',
+  ai: 'medium',
+  eat: 'medium',
+  performance: 'high'
+};
+
+/**
+ * Effort per PerformanceAnalyzer recommendation type
+ */
+const PERFORMANCE_EFFORT = { optimization: 'medium', performance: 'high', memory: 'high' };
+
+/**
+ * Effort per AIAnalyzer sub-metric
+ */
+const AI_METRIC_EFFORT = {
+  answerClarity: 'medium',
+  structuredData: 'low',
+  extractableFacts: 'medium',
+  citations: 'medium',
+  recency: 'low',
+  technical: 'medium'
+};
+
+/**
+ * AI Surfaces sub-metrics and the fix each one calls for
+ */
+const AI_SURFACES_FIXES = {
+  answerClarity: 'Improve answer structure: add H1, FAQ/Q&A sections',
+  structuredData: 'Expand schema markup and fix required fields',
+  extractableFacts: 'Add extractable facts (meta/OG, definition lists)',
+  citations: 'Add more citations and source links',
+  recency: 'Update published/modified dates',
+  technical: 'Improve technical foundation (HTTPS, robots, sitemap)'
+};
+
+/**
+ * AI Surfaces sub-metric score bands: critical (<30) 6-8 h, high (30-50) 4-6 h, medium (50-70) 2-4 h
+ */
+const AI_SURFACES_TIERS = [
+  { below: 30, severity: 'critical', estimate: '6-8 hours' },
+  { below: 50, severity: 'high', estimate: '4-6 hours' },
+  { below: 70, severity: 'medium', estimate: '2-4 hours' }
+];
+
+/**
+ * E-A-T recommendation category to the analysis section holding its score
+ */
+const EAT_SECTIONS = { expertise: 'expertise', authority: 'authoritativeness', trust: 'trustworthiness' };
+
+/**
+ * Map any analyzer priority wording to a severity
+ * @param {string} value - 'critical' | 'high' | 'medium' | 'low' (or similar)
+ * @returns {string} - Severity
+ */
+function toSeverity(value) {
+  const normalized = String(value || '').toLowerCase();
+  return SEVERITY_IMPACT[normalized] ? normalized : 'medium';
+}
+
+/**
+ * Parse a time estimate such as '2-4 hours', '30-60 minutes' or '1-2 days' (8-hour days)
+ * @param {string} text - Estimate text
+ * @returns {Object|null} - { min, max } in hours, or null when unparsable
+ */
+function parseHours(text) {
+  const match = /(\d+(?:\.\d+)?)\s*(?:-|–|to)?\s*(\d+(?:\.\d+)?)?\s*(minutes?|mins?|hours?|hrs?|h|days?)\b/i.exec(String(text || ''));
+  if (!match) return null;
+  const factor = /^m/i.test(match[3]) ? 1 / 60 : /^d/i.test(match[3]) ? 8 : 1;
+  const min = parseFloat(match[1]) * factor;
+  const max = (match[2] ? parseFloat(match[2]) : parseFloat(match[1])) * factor;
+  return { min: Math.round(min * 100) / 100, max: Math.round(max * 100) / 100 };
+}
+
+/**
+ * Build the effort estimate from an explicit time estimate or a default tier
+ * @param {string|null} timeEstimate - Analyzer time estimate
+ * @param {string} fallbackLevel - Tier used when no estimate is given
+ * @returns {Object} - { level, hours: { min, max }, estimate }
+ */
+function estimateEffort(timeEstimate, fallbackLevel = 'medium') {
+  const hours = parseHours(timeEstimate);
+  if (hours) {
+    const level = hours.max <= 1 ? 'low' : hours.max <= 4 ? 'medium' : 'high';
+    return { level, hours, estimate: timeEstimate };
+  }
+  const level = EFFORT_LEVELS[fallbackLevel] ? fallbackLevel : 'medium';
+  return { level, hours: { ...EFFORT_LEVELS[level].hours }, estimate: null };
+}
+
+/**
+ * Turn text into an id fragment; numbers are masked so the same issue matches across pages
+ * @param {string} text - Text
+ * @returns {string} - Lowercase dash-separated slug
+ */
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\d+/g, 'n')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'item';
+}
+
+/**
+ * Create a normalized fix
+ * @param {Object} fields - { source, category, title, description, severity, effort, evidence, action, steps }
+ * @param {string} url - Affected URL
+ * @returns {Object} - Fix in the shared issue model
+ */
+function createFix(fields, url) {
+  const severity = toSeverity(fields.severity);
+  const effort = fields.effort || estimateEffort(null, CATEGORY_EFFORT[fields.category]);
+
+  return {
+    id: `${fields.category}:${slugify(fields.key || fields.title)}`,
+    source: fields.source,
+    category: fields.category,
+    title: fields.title,
+    description: fields.description || null,
+    action: fields.action || null,
+    severity,
+    effort,
+    impact: SEVERITY_IMPACT[severity],
+    priorityScore: 0,
+    affectedUrls: url ? [url] : [],
+    evidence: (fields.evidence || []).filter(item => item !== null && item !== undefined && item !== ''),
+    steps: fields.steps || []
+  };
+}
+
+/**
+ * Normalize one recommendation emitted under tests.aeo or tests.aiAdvanced
+ * generateAEORecommendations emits { priority, title, description, impact, timeEstimate, implementation },
+ * AIAnalyzer.generateRecommendations emits { type, message, priority, specifics, score }
+ * @param {Object} rec - Recommendation
+ * @param {string} source - Test key the recommendation came from
+ * @param {string} category - Issue category
+ * @returns {Object} - createFix fields
+ */
+function fromContentRecommendation(rec, source, category) {
+  if (rec.title) {
+    return {
+      source,
+      category,
+      title: rec.title,
+      description: rec.description,
+      severity: rec.priority,
+      effort: estimateEffort(rec.timeEstimate, CATEGORY_EFFORT[category]),
+      evidence: [rec.impact],
+      steps: rec.implementation?.steps
+    };
+  }
+  return {
+    source,
+    category,
+    key: rec.type ? `${rec.type}-${rec.message}` : rec.message,
+    title: rec.message,
+    severity: rec.priority,
+    effort: estimateEffort(null, AI_METRIC_EFFORT[rec.type] || CATEGORY_EFFORT[category]),
+    evidence: [
+      ...(rec.specifics || []),
+      typeof rec.score === 'number' ? `${rec.type || 'metric'} score: ${rec.score}` : null
+    ]
+  };
+}
+
+/**
+ * Collect normalized fixes from every analyzer in an audit result
+ * @param {Object} result - Audit result (lightweight, two-pass or full)
+ * @returns {Array} - Fixes in the shared issue model (unranked)
+ */
+function collectFixes(result) {
+  const tests = (result && result.tests) || {};
+  const url = result?.url || null;
+  const usable = (test) => test && !test.error;
+  const fixes = [];
+  const add = (fields) => {
+    if (fields && fields.title) fixes.push(createFix(fields, url));
+  };
+
+  // Answer engine and AI readiness recommendations
+  if (usable(tests.aeo)) {
+    (tests.aeo.recommendations || []).forEach(rec => add(fromContentRecommendation(rec, 'aeo', 'aeo')));
+  }
+  if (usable(tests.aiAdvanced)) {
+    (tests.aiAdvanced.recommendations || []).forEach(rec => add(fromContentRecommendation(rec, 'aiAdvanced', 'ai')));
+  }
+
+  // Lowest AI Surfaces sub-metrics, with effort tiers by score band
+  if (usable(tests.aiSurfaces)) {
+    Object.entries(tests.aiSurfaces.subs || {}).forEach(([metric, score]) => {
+      const tier = AI_SURFACES_TIERS.find(band => typeof score === 'number' && score < band.below);
+      if (!tier || !AI_SURFACES_FIXES[metric]) return;
+      add({
+        source: 'aiSurfaces',
+        category: 'ai',
+        key: `surfaces-${metric}`,
+        title: AI_SURFACES_FIXES[metric],
+        severity: tier.severity,
+        effort: estimateEffort(tier.estimate),
+        evidence: [`AI Surfaces ${metric} score: ${score}`]
+      });
+    });
+  }
+
+  // E-A-T recommendations carry their own sub-category
+  if (usable(tests.eat)) {
+    (tests.eat.recommendations || []).forEach(rec => {
+      const section = tests.eat[EAT_SECTIONS[rec.category]];
+      add({
+        source: 'eat',
+        category: 'eat',
+        title: rec.title,
+        description: rec.description,
+        severity: rec.priority,
+        evidence: [
+          rec.category ? `E-E-A-T area: ${rec.category}` : null,
+          typeof section?.score === 'number' ? `${EAT_SECTIONS[rec.category]} score: ${section.score}` : null
+        ]
+      });
+    });
+  }
+
+  // Bot policy recommendations (full audit and robots.txt analysis in the files test)
+  const botRecommendations = [
+    ...(usable(tests.multiBot) ? tests.multiBot.recommendations || [] : []),
+    ...(tests.files?.robots?.botPolicyAnalysis?.recommendations || [])
+  ];
+  botRecommendations.forEach(rec => add({
+    source: 'multiBot',
+    category: 'bots',
+    key: rec.bot ? `${rec.type}-${rec.bot}` : rec.message,
+    title: rec.message,
+    action: rec.action,
+    severity: rec.type === 'critical_warning' ? 'critical' : rec.priority,
+    evidence: [rec.details, rec.impact, rec.bot ? `Bot: ${rec.bot}` : null]
+  }));
+
+  // PerformanceAnalyzer recommendations rate impact as high/medium
+  if (usable(tests.performance)) {
+    (tests.performance.recommendations || []).forEach(rec => {
+      if (!rec || !rec.message) return;
+      add({
+        source: 'performance',
+        category: 'performance',
+        title: rec.message,
+        severity: rec.impact,
+        effort: estimateEffort(null, PERFORMANCE_EFFORT[rec.type] || 'medium'),
+        evidence: [rec.details]
+      });
+    });
+  }
+
+  // Issues detected by the core checks (SEO, metadata, schema, accessibility, files)
+  collectIssues(result).forEach(issue => add({
+    source: 'checks',
+    category: issue.category,
+    title: issue.message,
+    severity: issue.severity
+  }));
+
+  return fixes;
+}
+
+/**
+ * Rank fixes by impact over effort; ties go to the higher severity, then to the original order
+ * Fixes sharing an id are merged and their affected URLs combined
+ * @param {Array} fixes - Normalized fixes
+ * @returns {Array} - Ranked fixes with priorityScore and rank
+ */
+function rankFixes(fixes) {
+  const merged = new Map();
+  fixes.forEach(fix => {
+    const existing = merged.get(fix.id);
+    if (!existing) {
+      merged.set(fix.id, { ...fix, affectedUrls: [...fix.affectedUrls], evidence: [...fix.evidence] });
+      return;
+    }
+    fix.affectedUrls.forEach(url => {
+      if (!existing.affectedUrls.includes(url)) existing.affectedUrls.push(url);
+    });
+    fix.evidence.forEach(item => {
+      if (!existing.evidence.includes(item)) existing.evidence.push(item);
+    });
+    if (SEVERITY_IMPACT[fix.severity] > SEVERITY_IMPACT[existing.severity]) {
+      existing.severity = fix.severity;
+      existing.impact = fix.impact;
+    }
+  });
+
+  return [...merged.values()]
+    .map((fix, index) => {
+      // Fixes affecting many pages gain impact, with diminishing returns
+      const reach = 1 + Math.log2(Math.max(fix.affectedUrls.length, 1));
+      const priorityScore = Math.round((fix.impact * reach / EFFORT_LEVELS[fix.effort.level].weight) * 100) / 100;
+      return { fix: { ...fix, priorityScore }, index };
+    })
+    .sort((a, b) =>
+      (b.fix.priorityScore - a.fix.priorityScore) ||
+      (b.fix.impact - a.fix.impact) ||
+      (a.index - b.index))
+    .map(({ fix }, index) => ({ ...fix, rank: index + 1 }));
+}
+
+/**
+ * Build the ranked Fix Priorities list for one audit result
+ * @param {Object} result - Audit result
+ * @returns {Array} - Ranked fixes
+ */
+function buildFixPriorities(result) {
+  return rankFixes(collectFixes(result));
+}
+
+/**
+ * Merge per-page Fix Priorities into a site-level list
+ * @param {Array<Array>} lists - fixPriorities of each page
+ * @returns {Array} - Ranked fixes with combined affected URLs
+ */
+function aggregateFixPriorities(lists) {
+  return rankFixes(lists.flat().filter(Boolean));
+}
+
+/**
+ * Attach Fix Priorities to an audit result in place
+ * @param {Object} result - Audit result
+ * @returns {Object} - The same result
+ */
+function attachFixPriorities(result) {
+  if (result && typeof result === 'object') {
+    result.fixPriorities = buildFixPriorities(result);
+  }
+  return result;
+}
+
+module.exports = {
+  SEVERITY_IMPACT,
+  EFFORT_LEVELS,
+  parseHours,
+  estimateEffort,
+  collectFixes,
+  rankFixes,
+  buildFixPriorities,
+  aggregateFixPriorities,
+  attachFixPriorities
+};
@@ -0,0 +1,312 @@
+// utils/html-markdown.js
+// Main-content selection and HTML → markdown conversion for LLM-facing exports
+
+const cheerio = require('cheerio');
+
+/**
+ * Content roots and their ancestors; attribute matches on these are page state, not chrome
+ * (<body class="cookie-consent-accepted">, <main class="modal-free">). Only the article holding
+ * the page H1 counts, so related-post lists of <article> cards are still dropped.
+ */
+const CONTENT_ROOTS = 'html, body, main, article, [role="main"], :has(main), :has([role="main"]), :has(article h1)';
+
+/**
+ * Class tokens of banners and overlays, matched whole or as a prefix before "-" or "_"
+ * ("cookie-banner", "modal_dialog", but not "recookie" or "modalities")
+ */
+const OVERLAY_CLASS_TOKENS = ['cookie', 'consent', 'gdpr', 'newsletter', 'popup', 'modal'];
+
+/**
+ * Page chrome and non-content elements dropped before conversion, never a content root or its wrapper
+ * (ASP.NET pages wrap everything in one <form>)
+ */
+const BOILERPLATE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'canvas', 'form', 'button', 'dialog',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[aria-hidden="true"]', '[hidden]', '[aria-modal="true"]',
+  '[id^="cookie" i]', '[id^="consent" i]',
+  ...OVERLAY_CLASS_TOKENS.flatMap(token => [
+    `[class~="${token}" i]`,
+    ...['-', '_'].flatMap(separator => [`[class^="${token}${separator}" i]`, `[class*=" ${token}${separator}" i]`])
+  ]),
+  '.skip-link', '.breadcrumb', '.breadcrumbs', '.share', '.social-share', '.related-posts', '.sidebar'
+].map(selector => `${selector}:not(${CONTENT_ROOTS})`).join(', ');
+
+/**
+ * Main-content candidates, most specific first
+ */
+const MAIN_SELECTORS = ['main', '[role="main"]', 'article', '#content', '#main', '.content', '.main-content'];
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'figure', 'figcaption', 'address', 'details', 'summary',
+  'dl', 'dt', 'dd', 'header', 'footer'
+]);
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ * @param {string} value - href/src value
+ * @param {string} base - Page URL
+ * @returns {string|null} - Absolute URL, or the raw value when it cannot be resolved
+ */
+function resolveHref(value, base) {
+  if (!value) return null;
+  try {
+    return base ? new URL(value, base).href : value;
+  } catch (_) {
+    return value;
+  }
+}
+
+/**
+ * Pick the main content element of a cleaned document
+ * @param {Function} $ - Cheerio instance with boilerplate removed
+ * @returns {Object} - { element, selector }
+ */
+function selectMainContent($) {
+  for (const selector of MAIN_SELECTORS) {
+    const candidates = $(selector).toArray()
+      .map(element => ({ element, length: $(element).text().replace(/\s+/g, ' ').trim().length }))
+      .filter(candidate => candidate.length > 0)
+      .sort((a, b) => b.length - a.length);
+    if (candidates.length > 0) {
+      return { element: candidates[0].element, selector };
+    }
+  }
+  return { element: $('body').get(0) || $.root().get(0), selector: 'body' };
+}
+
+/**
+ * Load a copy of the document with boilerplate removed, leaving the caller's DOM untouched
+ * @param {Function|string} input - Cheerio instance or HTML string
+ * @returns {Function} - Cleaned Cheerio instance
+ */
+function cleanDocument(input) {
+  const $ = cheerio.load(typeof input === 'string' ? input : input.html());
+  $(BOILERPLATE_SELECTORS).remove();
+  return $;
+}
+
+/**
+ * Escape characters that would change the meaning of inline markdown text
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escapeInline(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * Convert a node's children to markdown
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @param {Object} context - { baseUrl, listDepth }
+ * @returns {string} - Markdown fragment
+ */
+function convertChildren($, node, context) {
+  return (node.children || []).map(child => convertNode($, child, context)).join('');
+}
+
+/**
+ * Inline text of a node with whitespace collapsed
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @param {Object} context - Conversion context
+ * @returns {string} - Single-line markdown
+ */
+function inlineText($, node, context) {
+  return convertChildren($, node, context).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert a list element, indenting nested lists
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} node - ul/ol node
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown list block
+ */
+function convertList($, node, context) {
+  const ordered = node.tagName === 'ol';
+  const indent = '  '.repeat(context.listDepth);
+  const items = $(node).children('li').toArray().map((item, index) => {
+    const marker = ordered ? `${index + 1}.` : '-';
+    const nested = [];
+    const inline = [];
+    (item.children || []).forEach(child => {
+      if (child.type === 'tag' && (child.tagName === 'ul' || child.tagName === 'ol')) {
+        nested.push(convertList($, child, { ...context, listDepth: context.listDepth + 1 }));
+      } else {
+        inline.push(convertNode($, child, context));
+      }
+    });
+    const text = inline.join('').replace(/\s+/g, ' ').trim();
+    return [`${indent}${marker} ${text}`, ...nested.map(block => block.replace(/^\n+|\n+$/g, ''))].join('\n');
+  });
+  return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+}
+
+/**
+ * Convert a table to a GitHub-flavoured markdown table (first row as header)
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} node - table node
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown table block
+ */
+function convertTable($, node, context) {
+  const rows = $(node).find('tr').toArray()
+    .map(row => $(row).children('th, td').toArray()
+      .map(cell => inlineText($, cell, context).replace(/\|/g, '\\|')))
+    .filter(cells => cells.length > 0);
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const pad = cells => [...cells, ...new Array(width - cells.length).fill('')];
+  const line = cells => `| ${pad(cells).join(' | ')} |`;
+  const [header, ...body] = rows;
+
+  return `\n\n${[line(header), line(new Array(width).fill('---')), ...body.map(line)].join('\n')}\n\n`;
+}
+
+/**
+ * Convert a single DOM node to markdown
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} node - DOM node
+ * @param {Object} context - Conversion context
+ * @returns {string} - Markdown fragment
+ */
+function convertNode($, node, context) {
+  if (node.type === 'text') {
+    return escapeInline(node.data.replace(/\s+/g, ' '));
+  }
+  if (node.type !== 'tag' && node.type !== 'root') return '';
+
+  const tag = node.tagName;
+  const heading = tag && tag.match(/^h([1-6])$/);
+  if (heading) {
+    const text = inlineText($, node, context);
+    return text ? `\n\n${'#'.repeat(Number(heading[1]))} ${text}\n\n` : '';
+  }
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'strong':
+    case 'b': {
+      const text = inlineText($, node, context);
+      return text ? `**${text}**` : '';
+    }
+    case 'em':
+    case 'i': {
+      const text = inlineText($, node, context);
+      return text ? `*${text}*` : '';
+    }
+    case 'code':
+      return `\`${$(node).text().replace(/\s+/g, ' ').trim()}\``;
+    case 'pre':
+      return `\n\n\`\`\`\n${$(node).text().replace(/\n+$/, '')}\n\`\`\`\n\n`;
+    case 'a': {
+      const text = inlineText($, node, context);
+      const href = $(node).attr('href');
+      if (!text) return '';
+      if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+      return `[${text}](${resolveHref(href, context.baseUrl)})`;
+    }
+    case 'img': {
+      const alt = ($(node).attr('alt') || '').trim();
+      const src = $(node).attr('src');
+      return alt && src ? `![${escapeInline(alt)}](${resolveHref(src, context.baseUrl)})` : '';
+    }
+    case 'ul':
+    case 'ol':
+      return convertList($, node, context);
+    case 'table':
+      return convertTable($, node, context);
+    case 'blockquote': {
+      const inner = convertChildren($, node, context).replace(/\n{3,}/g, '\n\n').trim();
+      return inner ? `\n\n${inner.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n` : '';
+    }
+    default: {
+      const inner = convertChildren($, node, context);
+      return BLOCK_TAGS.has(tag) ? `\n\n${inner}\n\n` : inner;
+    }
+  }
+}
+
+/**
+ * Tidy converted markdown: trim lines, collapse blank runs
+ * @param {string} markdown - Raw converted markdown
+ * @returns {string} - Normalized markdown
+ */
+function normalizeMarkdown(markdown) {
+  const lines = [];
+  let inFence = false;
+  markdown.split('\n').forEach(line => {
+    if (line.startsWith('```')) inFence = !inFence;
+    lines.push(inFence || line.startsWith('```') ? line.trimEnd() : line.replace(/^ (?=\S)/, '').trimEnd());
+  });
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Strip markdown syntax, keeping readable text and paragraph breaks
+ * @param {string} markdown - Markdown produced by htmlToMarkdown
+ * @returns {string} - Plain text
+ */
+function markdownToText(markdown) {
+  // Park escaped characters in the private use area so syntax stripping leaves them alone
+  const park = char => String.fromCharCode(0xE000 + char.charCodeAt(0));
+  return String(markdown || '')
+    .replace(/\\([\\`*_[\]|])/g, (_, char) => park(char))
+    .split('\n')
+    .filter(line => !/^```/.test(line) && !/^\|(?:\s*---\s*\|)+$/.test(line) && line.trim() !== '---')
+    .map(line => line
+      .replace(/^#{1,6}\s+/, '')
+      .replace(/^>\s?/, '')
+      .replace(/^\|\s*|\s*\|$/g, '')
+      .replace(/\s+\|\s+/g, '\t')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/(\*\*|\*|`)(?=\S)(.+?)(?<=\S)\1/g, '$2'))
+    .join('\n')
+    .replace(/[\uE000-\uE07F]/g, char => String.fromCharCode(char.charCodeAt(0) - 0xE000))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert a page's main content to markdown
+ * @param {Function|string} input - Cheerio instance or HTML string
+ * @param {Object} options - { baseUrl } for resolving links and images
+ * @returns {Object} - { markdown, title, selector }
+ */
+function htmlToMarkdown(input, options = {}) {
+  const $ = cleanDocument(input);
+  const title = $('title').first().text().replace(/\s+/g, ' ').trim() || null;
+  const { element, selector } = selectMainContent($);
+
+  return { markdown: elementToMarkdown($, element, options), title, selector };
+}
+
+/**
+ * Convert one element of a (cleaned) document to markdown
+ * @param {Function} $ - Cheerio instance
+ * @param {Object} element - DOM element
+ * @param {Object} options - { baseUrl } for resolving links and images
+ * @returns {string} - Normalized markdown
+ */
+function elementToMarkdown($, element, options = {}) {
+  return element
+    ? normalizeMarkdown(convertNode($, element, { baseUrl: options.baseUrl || null, listDepth: 0 }))
+    : '';
+}
+
+module.exports = {
+  BOILERPLATE_SELECTORS,
+  cleanDocument,
+  selectMainContent,
+  htmlToMarkdown,
+  elementToMarkdown,
+  markdownToText
+};
@@ -0,0 +1,180 @@
+// utils/robots-directives.js
+// Page-level robots directives: <meta name="robots">, bot-specific meta tags and X-Robots-Tag headers
+
+const cheerio = require('cheerio');
+
+/**
+ * Directive names understood on robots meta tags and X-Robots-Tag (lower case)
+ * Used to tell a user-agent prefix ("googlebot: noindex") from a valued directive ("max-snippet: 50").
+ */
+const KNOWN_DIRECTIVES = [
+  'all', 'none', 'index', 'noindex', 'follow', 'nofollow', 'nosnippet', 'noarchive', 'nocache',
+  'noimageindex', 'notranslate', 'indexifembedded', 'noai', 'noimageai',
+  'max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'
+];
+
+/**
+ * max-image-preview values from most to least restrictive
+ */
+const IMAGE_PREVIEW_LEVELS = ['none', 'standard', 'large'];
+
+/**
+ * Scope used for directives that apply to every crawler
+ */
+const ALL_BOTS = '*';
+
+/**
+ * Parse one directive token ("noindex", "max-snippet:50", "unavailable_after: 2026-12-31")
+ * @param {string} token - Directive text
+ * @returns {Object|null} - { name, value } or null for unknown directives
+ */
+function parseDirective(token) {
+  const match = String(token || '').trim().match(/^([a-z_-]+)\s*(?::\s*(.*))?$/i);
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  if (!KNOWN_DIRECTIVES.includes(name)) return null;
+  return { name, value: match[2] !== undefined ? match[2].trim() : null };
+}
+
+/**
+ * Split a directive list, re-joining unavailable_after dates that contain commas (RFC 850)
+ * @param {string} content - Comma-separated directives
+ * @returns {Array} - Directive strings
+ */
+function splitDirectives(content) {
+  const parts = [];
+  String(content || '').split(',').forEach(part => {
+    const previous = parts[parts.length - 1];
+    if (previous && /^unavailable_after\s*:/i.test(previous) && !parseDirective(part) && !/^\s*[a-z0-9_-]+\s*:/i.test(part)) {
+      parts[parts.length - 1] = `${previous},${part}`;
+    } else {
+      parts.push(part);
+    }
+  });
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a meta robots content value
+ * @param {string} content - e.g. "noindex, max-snippet:50"
+ * @returns {Array} - [{ name, value }]
+ */
+function parseDirectiveList(content) {
+  return splitDirectives(content).map(parseDirective).filter(Boolean);
+}
+
+/**
+ * Parse X-Robots-Tag header values; a leading "<user-agent>:" scopes the directives that follow
+ * Values joined into one header by the HTTP client keep their scope until the next prefix.
+ * @param {Array|string} values - Header values
+ * @returns {Array} - [{ source: 'x-robots-tag', scope, value, directives }]
+ */
+function parseXRobotsTag(values) {
+  const entries = [];
+  (Array.isArray(values) ? values : [values]).filter(Boolean).forEach(value => {
+    let current = null;
+    splitDirectives(value).forEach(part => {
+      const prefix = part.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/i);
+      let scope = current ? current.scope : ALL_BOTS;
+      let text = part;
+      if (prefix && !KNOWN_DIRECTIVES.includes(prefix[1].toLowerCase())) {
+        scope = prefix[1].toLowerCase();
+        text = prefix[2];
+      }
+      if (!current || current.scope !== scope) {
+        current = { source: 'x-robots-tag', scope, value: '', directives: [] };
+        entries.push(current);
+      }
+      current.value = current.value ? `${current.value}, ${text}` : text;
+      const directive = parseDirective(text);
+      if (directive) current.directives.push(directive);
+    });
+  });
+  return entries;
+}
+
+/**
+ * Extract robots meta tags from HTML: name="robots" applies to all bots, a crawler name
+ * (googlebot, bingbot, GPTBot, ...) scopes the tag to that crawler
+ * @param {string|Object} html - HTML string or loaded cheerio instance
+ * @param {Array} botNames - Crawler names accepted as meta names
+ * @returns {Array} - [{ source: 'meta', scope, value, directives }]
+ */
+function extractMetaDirectives(html, botNames = []) {
+  const $ = typeof html === 'function' ? html : cheerio.load(html || '');
+  const botScopes = new Set(botNames.map(name => name.toLowerCase()));
+  const entries = [];
+
+  $('meta[name][content]').each((i, element) => {
+    const name = String($(element).attr('name')).trim().toLowerCase();
+    if (name !== 'robots' && !botScopes.has(name)) return;
+
+    const value = $(element).attr('content');
+    entries.push({ source: 'meta', scope: name === 'robots' ? ALL_BOTS : name, value, directives: parseDirectiveList(value) });
+  });
+  return entries;
+}
+
+/**
+ * Merge the directives that apply to one crawler; the most restrictive value wins
+ * @param {Array} entries - Scoped entries from extractMetaDirectives and parseXRobotsTag
+ * @param {string} botName - Crawler name (robots.txt product token)
+ * @param {Date} now - Reference time for unavailable_after
+ * @returns {Object} - Effective page-level policy for the crawler
+ */
+function resolveBotDirectives(entries, botName, now = new Date()) {
+  const token = String(botName).toLowerCase();
+  const applicable = (entries || []).filter(entry => entry.scope === ALL_BOTS || entry.scope === token);
+  const names = new Set();
+  let maxSnippet = null;
+  let imagePreview = 'large';
+  let unavailableAfter = null;
+
+  applicable.forEach(entry => entry.directives.forEach(({ name, value }) => {
+    names.add(name);
+    if (name === 'max-snippet') {
+      const length = parseInt(value, 10);
+      if (Number.isFinite(length) && length >= 0 && (maxSnippet === null || length < maxSnippet)) {
+        maxSnippet = length;
+      }
+    } else if (name === 'max-image-preview') {
+      const level = IMAGE_PREVIEW_LEVELS.indexOf(String(value).toLowerCase());
+      if (level !== -1 && level < IMAGE_PREVIEW_LEVELS.indexOf(imagePreview)) {
+        imagePreview = IMAGE_PREVIEW_LEVELS[level];
+      }
+    } else if (name === 'unavailable_after') {
+      const date = new Date(value);
+      if (!Number.isNaN(date.getTime()) && (!unavailableAfter || date < unavailableAfter)) {
+        unavailableAfter = date;
+      }
+    }
+  }));
+
+  const none = names.has('none');
+  const expired = Boolean(unavailableAfter && unavailableAfter <= now);
+  const nosnippet = names.has('nosnippet') || maxSnippet === 0;
+  const noai = names.has('noai');
+
+  return {
+    index: !none && !names.has('noindex') && !expired,
+    follow: !none && !names.has('nofollow'),
+    snippet: { allowed: !nosnippet, maxLength: nosnippet ? 0 : maxSnippet },
+    imagePreview,
+    archive: !names.has('noarchive') && !names.has('nocache'),
+    ai: { text: !noai, images: !noai && !names.has('noimageai') },
+    unavailableAfter: unavailableAfter ? unavailableAfter.toISOString() : null,
+    expired,
+    directives: [...names],
+    sources: applicable.map(({ source, scope, value }) => ({ source, scope, value }))
+  };
+}
+
+module.exports = {
+  KNOWN_DIRECTIVES,
+  ALL_BOTS,
+  parseDirectiveList,
+  parseXRobotsTag,
+  extractMetaDirectives,
+  resolveBotDirectives
+};
@@ -0,0 +1,307 @@
+// utils/robots-matcher.js
+// RFC 9309 robots.txt parser and matcher: grouped user-agents, * and $ wildcards, longest-match precedence
+
+const { fetchWithTimeout } = require('./helpers');
+
+/**
+ * Crawlers must parse at least 500 KiB of robots.txt; anything beyond is ignored
+ */
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+/**
+ * Misspellings of record keys accepted by major crawlers
+ */
+const KEY_ALIASES = {
+  'user-agent': ['useragent', 'user agent'],
+  allow: [],
+  disallow: ['dissallow', 'dissalow', 'disalow', 'diasllow', 'disallaw'],
+  sitemap: ['site-map'],
+  'crawl-delay': []
+};
+
+const KEY_LOOKUP = Object.entries(KEY_ALIASES).reduce((lookup, [key, aliases]) => {
+  lookup[key] = key;
+  aliases.forEach(alias => { lookup[alias] = key; });
+  return lookup;
+}, {});
+
+/**
+ * Extract the product token of a user-agent ('Googlebot/2.1' -> 'Googlebot')
+ * @param {string} userAgent - User-agent line value or crawler name
+ * @returns {string} - Product token, '*' for the wildcard group
+ */
+function productToken(userAgent) {
+  const value = String(userAgent || '').trim();
+  if (value.startsWith('*')) return '*';
+  const match = value.match(/^[A-Za-z_-]+/);
+  return match ? match[0] : '';
+}
+
+/**
+ * Normalize a path or pattern for comparison: percent-encode non-ASCII characters,
+ * decode escaped unreserved characters and upper-case the remaining escapes
+ * @param {string} value - Path or rule pattern
+ * @returns {string} - Normalized value
+ */
+function normalizePath(value) {
+  return String(value || '')
+    .replace(/[^\x00-\x7F]+/g, text => encodeURIComponent(text))
+    .replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+      const char = String.fromCharCode(parseInt(hex, 16));
+      return /[A-Za-z0-9\-._~]/.test(char) ? char : `%${hex.toUpperCase()}`;
+    });
+}
+
+/**
+ * Parse robots.txt into groups of user-agents and rules
+ * Consecutive user-agent lines share one group; a user-agent line after rules starts a new group
+ * @param {string} content - robots.txt body
+ * @returns {Object} - { groups: [{ userAgents, rules, lineNumber, crawlDelay }], sitemaps, warnings, truncated }
+ */
+function parseRobotsTxt(content) {
+  let text = String(content || '');
+  const truncated = Buffer.byteLength(text, 'utf8') > MAX_ROBOTS_BYTES;
+  if (truncated) {
+    text = Buffer.from(text, 'utf8').subarray(0, MAX_ROBOTS_BYTES).toString('utf8');
+  }
+
+  const result = { groups: [], sitemaps: [], warnings: [], truncated };
+  let group = null;
+  let collectingAgents = false;
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((raw, index) => {
+    const lineNumber = index + 1;
+    const line = raw.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    const key = separator === -1 ? null : KEY_LOOKUP[line.slice(0, separator).trim().toLowerCase()];
+    if (!key) {
+      result.warnings.push({ lineNumber, line, message: 'Unrecognized record' });
+      return;
+    }
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!collectingAgents) {
+        group = { userAgents: [], rules: [], lineNumber, crawlDelay: null };
+        result.groups.push(group);
+        collectingAgents = true;
+      }
+      group.userAgents.push(value);
+      return;
+    }
+
+    if (key === 'sitemap') {
+      if (value) result.sitemaps.push(value);
+      return;
+    }
+
+    collectingAgents = false;
+    if (!group) {
+      result.warnings.push({ lineNumber, line, message: 'Rule outside of a user-agent group' });
+      return;
+    }
+
+    if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        group.crawlDelay = delay;
+      } else {
+        result.warnings.push({ lineNumber, line, message: 'Invalid crawl-delay value' });
+      }
+      return;
+    }
+
+    group.rules.push({ directive: key, path: value, line, lineNumber });
+  });
+
+  return result;
+}
+
+/**
+ * Select the groups that apply to a crawler
+ * Product tokens are compared case-insensitively and all groups naming the crawler are merged;
+ * a full browser-style user-agent string falls back to the most specific token it contains.
+ * Without a named group the '*' groups apply.
+ * @param {Object} robots - Result of parseRobotsTxt
+ * @param {string} userAgent - Product token or full user-agent string
+ * @returns {Object|null} - { userAgent, rules, lineNumbers, crawlDelay } or null when no group applies
+ */
+function selectGroup(robots, userAgent) {
+  const groups = robots?.groups || [];
+  const named = (token) => groups.filter(group =>
+    group.userAgents.some(agent => productToken(agent).toLowerCase() === token.toLowerCase())
+  );
+
+  const token = productToken(userAgent);
+  let selected = token && token !== '*' ? named(token) : [];
+  let matchedToken = token;
+
+  if (selected.length === 0 && token !== '*') {
+    const haystack = String(userAgent || '').toLowerCase();
+    const contained = groups
+      .flatMap(group => group.userAgents.map(productToken))
+      .filter(agent => agent && agent !== '*')
+      .filter(agent => new RegExp(`(^|[^a-z_-])${agent.toLowerCase()}([^a-z_-]|$)`).test(haystack))
+      .sort((a, b) => b.length - a.length);
+    if (contained.length > 0) {
+      matchedToken = contained[0];
+      selected = named(matchedToken);
+    }
+  }
+
+  if (selected.length === 0) {
+    matchedToken = '*';
+    selected = named('*');
+  }
+  if (selected.length === 0) return null;
+
+  const agent = selected[0].userAgents.find(value => productToken(value).toLowerCase() === matchedToken.toLowerCase());
+  const delays = selected.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    userAgent: agent ? productToken(agent) : matchedToken,
+    rules: selected.flatMap(group => group.rules),
+    lineNumbers: selected.map(group => group.lineNumber),
+    crawlDelay: delays.length > 0 ? delays[0] : null
+  };
+}
+
+/**
+ * Match a path against a rule pattern ('*' matches any sequence, a trailing '$' anchors the end)
+ * Tracks every position the pattern prefix can end at, so wildcard-heavy rules stay linear per character
+ * @param {string} path - Normalized path plus query
+ * @param {string} pattern - Normalized rule path
+ * @returns {boolean} - True when the rule matches
+ */
+function matchesPattern(path, pattern) {
+  let positions = [0];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '$' && i === pattern.length - 1) {
+      return positions[positions.length - 1] === path.length;
+    }
+
+    if (char === '*') {
+      const start = positions[0];
+      positions = [];
+      for (let position = start; position <= path.length; position++) positions.push(position);
+      continue;
+    }
+
+    const next = [];
+    positions.forEach(position => {
+      if (position < path.length && path[position] === char) next.push(position + 1);
+    });
+    if (next.length === 0) return false;
+    positions = next;
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate a path against a group's rules
+ * The longest matching pattern wins; when an Allow and a Disallow match equally, Allow wins.
+ * Rules with an empty path match nothing.
+ * @param {string} path - URL path plus query
+ * @param {Array} rules - [{ directive, path }]
+ * @returns {Object} - { allowed, rule }
+ */
+function evaluateRules(path, rules) {
+  const target = normalizePath(path || '/');
+  let verdict = { allowed: true, rule: null };
+  let longest = -1;
+
+  (rules || []).forEach(rule => {
+    if (!rule.path) return;
+    const pattern = normalizePath(rule.path);
+    if (!matchesPattern(target, pattern)) return;
+    if (pattern.length > longest || (pattern.length === longest && rule.directive === 'allow' && !verdict.allowed)) {
+      longest = pattern.length;
+      verdict = { allowed: rule.directive === 'allow', rule };
+    }
+  });
+
+  return verdict;
+}
+
+/**
+ * Get the path plus query robots rules are matched against
+ * @param {string} url - Absolute URL or path
+ * @returns {string} - Path plus query
+ */
+function toRobotsPath(url) {
+  const value = String(url || '').trim();
+  if (!value || value.startsWith('/')) return value || '/';
+  const { pathname, search } = new URL(value);
+  return (pathname || '/') + search;
+}
+
+/**
+ * Decide whether a crawler may fetch a URL
+ * robots.txt itself is always allowed. An unavailable robots.txt (4xx) allows everything;
+ * an unreachable one (5xx, network error) disallows everything.
+ * @param {Object} robots - Result of parseRobotsTxt, optionally with availability
+ * @param {string} url - Absolute URL or path
+ * @param {string} userAgent - Product token or full user-agent string
+ * @returns {Object} - { path, allowed, verdict, reason, group, rule }
+ */
+function evaluateUrl(robots, url, userAgent) {
+  const path = toRobotsPath(url);
+  const availability = robots?.availability || 'available';
+  const verdict = (allowed, reason, group = null, rule = null) => ({
+    path,
+    allowed,
+    verdict: allowed ? 'allowed' : 'disallowed',
+    reason,
+    group,
+    rule: rule ? { directive: rule.directive, path: rule.path, line: rule.line, lineNumber: rule.lineNumber } : null
+  });
+
+  if (path === '/robots.txt') return verdict(true, 'robots-txt');
+  if (availability === 'unavailable') return verdict(true, 'robots-unavailable');
+  if (availability === 'unreachable') return verdict(false, 'robots-unreachable');
+
+  const group = selectGroup(robots, userAgent);
+  if (!group) return verdict(true, 'no-matching-group');
+
+  const groupInfo = { userAgent: group.userAgent, lineNumbers: group.lineNumbers };
+  const { allowed, rule } = evaluateRules(path, group.rules);
+  return verdict(allowed, rule ? 'matched-rule' : 'no-matching-rule', groupInfo, rule);
+}
+
+/**
+ * Fetch robots.txt for an origin and classify its availability per RFC 9309
+ * @param {string} origin - Site origin (scheme, host, port)
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<Object>} - { url, status, availability, content, error }
+ */
+async function fetchRobotsTxt(origin, timeout = 10000) {
+  const url = `${new URL(origin).origin}/robots.txt`;
+  try {
+    const response = await fetchWithTimeout(url, timeout);
+    if (response.ok) {
+      return { url, status: response.status, availability: 'available', content: await response.text(), error: null };
+    }
+    const availability = response.status >= 500 ? 'unreachable' : 'unavailable';
+    return { url, status: response.status, availability, content: '', error: null };
+  } catch (error) {
+    return { url, status: null, availability: 'unreachable', content: '', error: error.message };
+  }
+}
+
+module.exports = {
+  MAX_ROBOTS_BYTES,
+  productToken,
+  normalizePath,
+  parseRobotsTxt,
+  selectGroup,
+  matchesPattern,
+  evaluateRules,
+  evaluateUrl,
+  fetchRobotsTxt
+};
@@ -0,0 +1,309 @@
+// utils/structured-data.js
+// Structured data extraction: JSON-LD, microdata and RDFa Lite normalized into JSON-LD shaped entities
+
+const cheerio = require('cheerio');
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+const SCHEMA_IRI = /^https?:\/\/(?:www\.)?schema\.org\//i;
+
+/**
+ * Elements whose microdata/RDFa value is a URL attribute rather than text
+ */
+const URL_ATTRIBUTES = {
+  a: 'href', area: 'href', link: 'href',
+  audio: 'src', embed: 'src', iframe: 'src', img: 'src', source: 'src', track: 'src', video: 'src',
+  object: 'data'
+};
+
+/**
+ * Parse a JSON-LD script body, tolerating comments, CDATA wrappers, trailing commas
+ * and concatenated root objects
+ * @param {string} raw - Script text
+ * @returns {Object} - { data, cleaned, error }
+ */
+function parseJsonLd(raw) {
+  const cleaned = String(raw || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/\/\*<!\[CDATA\[\*\//g, '')
+    .replace(/\/\*\]\]>\*\//g, '')
+    .trim();
+
+  try {
+    return { data: JSON.parse(cleaned), cleaned, error: null };
+  } catch (_) {
+    const noTrailingCommas = cleaned.replace(/,\s*([}\]])/g, '$1');
+    try {
+      return { data: JSON.parse(noTrailingCommas), cleaned, error: null };
+    } catch (_) {
+      try {
+        return { data: JSON.parse(`[${noTrailingCommas.replace(/}\s*{/g, '},{')}]`), cleaned, error: null };
+      } catch (err) {
+        return { data: null, cleaned, error: err.message };
+      }
+    }
+  }
+}
+
+/**
+ * Map a schema.org IRI or term to its short type name ("https://schema.org/Product" -> "Product")
+ * @param {string} value - IRI or term
+ * @returns {string} - Short name
+ */
+function toSchemaTerm(value) {
+  const text = String(value || '').trim();
+  if (SCHEMA_IRI.test(text)) return text.replace(SCHEMA_IRI, '');
+  return text.split(/[/#]/).pop();
+}
+
+/**
+ * Add a property value, turning repeated properties into arrays
+ * @param {Object} node - Entity being built
+ * @param {string} name - Property name
+ * @param {*} value - Property value
+ */
+function addProperty(node, name, value) {
+  if (!name || value === undefined || value === null || value === '') return;
+  if (node[name] === undefined) {
+    node[name] = value;
+  } else {
+    node[name] = [].concat(node[name], value);
+  }
+}
+
+/**
+ * Read the literal value of a property element
+ * @param {Object} $el - Cheerio element
+ * @param {string} tag - Lower-case tag name
+ * @returns {string} - Value
+ */
+function literalValue($el, tag) {
+  if ($el.attr('content') !== undefined) return $el.attr('content').trim();
+  if (URL_ATTRIBUTES[tag] && $el.attr(URL_ATTRIBUTES[tag]) !== undefined) {
+    return $el.attr(URL_ATTRIBUTES[tag]).trim();
+  }
+  if ((tag === 'data' || tag === 'meter') && $el.attr('value') !== undefined) return $el.attr('value').trim();
+  if (tag === 'time' && $el.attr('datetime') !== undefined) return $el.attr('datetime').trim();
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Visit the descendants of an item, stopping at nested items
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} element - Item root
+ * @param {string} itemAttribute - Attribute that starts a nested item
+ * @param {string} propertyAttribute - Attribute that names a property
+ * @param {Function} visit - Called with each property element
+ */
+function walkProperties($, element, itemAttribute, propertyAttribute, visit) {
+  $(element).children().each((i, child) => {
+    const $child = $(child);
+    if ($child.attr(propertyAttribute) !== undefined) visit(child);
+    if ($child.attr(itemAttribute) === undefined) {
+      walkProperties($, child, itemAttribute, propertyAttribute, visit);
+    }
+  });
+}
+
+/**
+ * Build one microdata item (itemscope/itemtype/itemprop/itemid/itemref)
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} element - Element carrying itemscope
+ * @param {Set} visiting - Items on the current path, guards itemref cycles
+ * @returns {Object} - JSON-LD shaped entity
+ */
+function buildMicrodataItem($, element, visiting = new Set()) {
+  const $el = $(element);
+  const node = {};
+  const types = String($el.attr('itemtype') || '').split(/\s+/).filter(Boolean).map(toSchemaTerm);
+  if (types.length) node['@type'] = types.length === 1 ? types[0] : types;
+  if ($el.attr('itemid')) node['@id'] = $el.attr('itemid').trim();
+
+  visiting.add(element);
+  const visit = child => {
+    const $child = $(child);
+    const names = String($child.attr('itemprop')).split(/\s+/).filter(Boolean).map(toSchemaTerm);
+    let value;
+    if ($child.attr('itemscope') !== undefined) {
+      if (visiting.has(child)) return;
+      value = buildMicrodataItem($, child, visiting);
+    } else {
+      value = literalValue($child, child.tagName.toLowerCase());
+    }
+    names.forEach(name => addProperty(node, name, value));
+  };
+
+  walkProperties($, element, 'itemscope', 'itemprop', visit);
+  String($el.attr('itemref') || '').split(/\s+/).filter(Boolean).forEach(id => {
+    const referenced = $(`[id="${id.replace(/"/g, '\\"')}"]`).get(0);
+    if (!referenced || visiting.has(referenced)) return;
+    if ($(referenced).attr('itemprop') !== undefined) visit(referenced);
+    if ($(referenced).attr('itemscope') === undefined) walkProperties($, referenced, 'itemscope', 'itemprop', visit);
+  });
+  visiting.delete(element);
+
+  return node;
+}
+
+/**
+ * Extract top-level microdata items (itemscope elements that are not a property of another item)
+ * @param {string|Object} html - HTML string or loaded cheerio instance
+ * @returns {Array} - [{ source: 'microdata', location, data }]
+ */
+function extractMicrodata(html) {
+  const $ = typeof html === 'function' ? html : cheerio.load(html || '');
+  return $('[itemscope]').toArray()
+    .filter(element => $(element).attr('itemprop') === undefined)
+    .map((element, i) => ({
+      source: 'microdata',
+      location: `itemscope[${i + 1}]`,
+      element: element.tagName.toLowerCase(),
+      data: { '@context': SCHEMA_CONTEXT, ...buildMicrodataItem($, element) }
+    }));
+}
+
+/**
+ * Resolve an RDFa Lite term or CURIE to a schema.org term; other vocabularies resolve to null
+ * @param {string} value - Term, CURIE ("schema:name") or IRI
+ * @param {Object} context - { vocab, prefixes }
+ * @returns {string|null} - schema.org term
+ */
+function resolveRdfaTerm(value, context) {
+  if (SCHEMA_IRI.test(value)) return value.replace(SCHEMA_IRI, '');
+  const curie = value.match(/^([a-z0-9_-]+):(.+)$/i);
+  if (curie) {
+    const iri = context.prefixes[curie[1].toLowerCase()];
+    return iri && SCHEMA_IRI.test(iri) ? curie[2] : null;
+  }
+  return context.vocab && SCHEMA_IRI.test(context.vocab) ? value : null;
+}
+
+/**
+ * Collect vocab and prefix declarations in scope for an element
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} element - Element
+ * @returns {Object} - { vocab, prefixes }
+ */
+function rdfaContext($, element) {
+  const prefixes = { schema: `${SCHEMA_CONTEXT}/` };
+  let vocab = null;
+  $(element).parents().addBack().each((i, el) => {
+    const $el = $(el);
+    if ($el.attr('vocab') !== undefined) vocab = $el.attr('vocab').trim();
+    const declared = String($el.attr('prefix') || '').match(/[a-z0-9_-]+:\s+\S+/gi) || [];
+    declared.forEach(pair => {
+      const [name, iri] = pair.split(/:\s+/);
+      prefixes[name.toLowerCase()] = iri;
+    });
+  });
+  return { vocab, prefixes };
+}
+
+/**
+ * Build one RDFa Lite item (vocab/typeof/property/resource/prefix)
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} element - Element carrying typeof
+ * @returns {Object} - JSON-LD shaped entity
+ */
+function buildRdfaItem($, element) {
+  const $el = $(element);
+  const context = rdfaContext($, element);
+  const node = {};
+  const types = String($el.attr('typeof')).split(/\s+/).filter(Boolean)
+    .map(type => resolveRdfaTerm(type, context)).filter(Boolean);
+  if (types.length) node['@type'] = types.length === 1 ? types[0] : types;
+  if ($el.attr('resource')) node['@id'] = $el.attr('resource').trim();
+
+  walkProperties($, element, 'typeof', 'property', child => {
+    const $child = $(child);
+    const childContext = rdfaContext($, child);
+    const names = String($child.attr('property')).split(/\s+/).filter(Boolean)
+      .map(name => resolveRdfaTerm(name, childContext)).filter(Boolean);
+    if (!names.length) return;
+
+    let value;
+    if ($child.attr('typeof') !== undefined) {
+      value = buildRdfaItem($, child);
+    } else if ($child.attr('content') === undefined && $child.attr('resource')) {
+      value = $child.attr('resource').trim();
+    } else {
+      value = literalValue($child, child.tagName.toLowerCase());
+    }
+    names.forEach(name => addProperty(node, name, value));
+  });
+
+  return node;
+}
+
+/**
+ * Extract top-level RDFa Lite items typed in the schema.org vocabulary
+ * @param {string|Object} html - HTML string or loaded cheerio instance
+ * @returns {Array} - [{ source: 'rdfa', location, data }]
+ */
+function extractRdfa(html) {
+  const $ = typeof html === 'function' ? html : cheerio.load(html || '');
+  return $('[typeof]').toArray()
+    .filter(element => $(element).attr('property') === undefined || $(element).parents('[typeof]').length === 0)
+    .map(element => ({ element, data: buildRdfaItem($, element) }))
+    .filter(({ data }) => data['@type'])
+    .map(({ element, data }, i) => ({
+      source: 'rdfa',
+      location: `typeof[${i + 1}]`,
+      element: element.tagName.toLowerCase(),
+      data: { '@context': SCHEMA_CONTEXT, ...data }
+    }));
+}
+
+/**
+ * Extract JSON-LD script blocks
+ * @param {string|Object} html - HTML string or loaded cheerio instance
+ * @returns {Object} - { documents: [{ source: 'json-ld', location, snippet, data }], issues }
+ */
+function extractJsonLd(html) {
+  const $ = typeof html === 'function' ? html : cheerio.load(html || '');
+  const documents = [];
+  const issues = [];
+
+  $('script[type="application/ld+json"]').each((i, script) => {
+    // text() decodes HTML entities like &quot; that break JSON.parse
+    const raw = ($(script).text() || '').trim();
+    if (!raw) return;
+
+    const { data, cleaned, error } = parseJsonLd(raw);
+    if (error) {
+      issues.push(`Invalid JSON-LD syntax: ${error.substring(0, 80)}`);
+    } else if (data) {
+      documents.push({ source: 'json-ld', location: `script[${i + 1}]`, snippet: cleaned.substring(0, 200), data });
+    }
+  });
+
+  return { documents, issues };
+}
+
+/**
+ * Extract every structured data syntax on the page into one list of JSON-LD shaped documents
+ * Microdata and RDFa entities carry @type/@id like JSON-LD nodes, so @id references
+ * resolve across syntaxes once the documents are merged into a graph.
+ * @param {string|Object} html - HTML string or loaded cheerio instance
+ * @returns {Object} - { documents, issues, counts: { jsonLd, microdata, rdfa } }
+ */
+function extractStructuredData(html) {
+  const $ = typeof html === 'function' ? html : cheerio.load(html || '');
+  const jsonLd = extractJsonLd($);
+  const microdata = extractMicrodata($);
+  const rdfa = extractRdfa($);
+
+  return {
+    documents: [...jsonLd.documents, ...microdata, ...rdfa],
+    issues: jsonLd.issues,
+    counts: { jsonLd: jsonLd.documents.length, microdata: microdata.length, rdfa: rdfa.length }
+  };
+}
+
+module.exports = {
+  SCHEMA_CONTEXT,
+  parseJsonLd,
+  extractJsonLd,
+  extractMicrodata,
+  extractRdfa,
+  extractStructuredData
+};
@@ -0,0 +1,31 @@
+// utils/text.js
+// Shared text helpers for page extraction: whitespace cleanup and question detection
+
+/**
+ * English interrogative openers for questions written without a question mark
+ */
+const QUESTION_START = /^(what|how|why|when|where|which|who|whom|whose|can|could|do|does|did|is|are|was|should|will|would)\b/i;
+
+/**
+ * Collapse whitespace in extracted text
+ * @param {string} text - Raw text
+ * @returns {string} - Single-line text
+ */
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * True for question-like text: a trailing question mark (any script) or an English interrogative opener
+ * @param {string} text - Candidate question, already cleaned
+ * @returns {boolean} - Whether the text asks a question
+ */
+function isQuestion(text) {
+  return text.length > 3 && text.length <= 200 && (/[?？]$/.test(text) || QUESTION_START.test(text));
+}
+
+module.exports = {
+  QUESTION_START,
+  cleanText,
+  isQuestion
+};
@@ -1,6 +1,46 @@
 // utils/validation.js
 // Input validation utilities for audit system
 
+const net = require('net');
+
+/**
+ * True for localhost, private, link-local and unspecified hosts
+ * @param {string} hostname - URL hostname (IPv6 may be bracketed)
+ * @returns {boolean} - Whether the host points inside the network
+ */
+function isInternalHost(hostname) {
+  let host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local')) {
+    return true;
+  }
+
+  // IPv4-mapped IPv6 addresses are checked as IPv4 (URL parsing writes them in hex)
+  const mapped = host.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    host = mapped[1] || [mapped[2], mapped[3]]
+      .map(group => parseInt(group, 16))
+      .map(word => `${word >> 8}.${word & 255}`)
+      .join('.');
+  }
+
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+
+  if (net.isIPv6(host)) {
+    return host === '::' || host === '::1' ||
+      /^f[cd]/.test(host) ||
+      /^fe[89ab]/.test(host);
+  }
+
+  return false;
+}
+
 /**
  * Validate URL for audit
  * @param {string} url - URL to validate
@@ -40,11 +80,7 @@ function validateAuditUrl(url) {
     }
 
     // Check for localhost/internal URLs
-    if (urlObj.hostname === 'localhost' || 
-        urlObj.hostname.startsWith('127.') ||
-        urlObj.hostname.startsWith('192.168.') ||
-        urlObj.hostname.startsWith('10.') ||
-        urlObj.hostname.endsWith('.local')) {
+    if (isInternalHost(urlObj.hostname)) {
       result.warnings.push('Local/internal URL detected');
     }
 
@@ -364,6 +400,7 @@ function validateHeaders(headers) {
 }
 
 module.exports = {
+  isInternalHost,
   validateAuditUrl,
   validateAuditOptions,
   validateSchema,